@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+// Headless SEO analyzer for saved HTML files, directories of files, URLs and stdin.
+//
+// Reuses the browser analyzer's parsing and rule engine through SEOCore, with
+// jsdom standing in for the browser's DOMParser.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const SEOCore = require('../lib/seo-core');
+const SEORules = require('../lib/rules');
+const SEOFetchers = require('../lib/fetchers');
+const SEODuplicates = require('../lib/duplicates');
+const SEOImages = require('../lib/images');
+const SEOLinks = require('../lib/links');
+const SEOProfiles = require('../lib/profiles');
+const { PageFetchError, fetchPageDetails } = require('../server/fetch-page');
+
+const EXIT_OK = 0;
+const EXIT_BELOW_THRESHOLD = 1;
+const EXIT_ERROR = 2;
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const IMAGE_TIMEOUT = 10000;
+const IMAGE_HEADER_LIMIT = 512 * 1024;
+
+const USAGE = `Usage: seo-analyze [options] <file|directory|url|->...
+
+Analyzes HTML pages and prints the SEO score, category breakdown and findings.
+When several pages are given, titles, descriptions and canonicals shared
+between them are reported as well. og:image and twitter:image are downloaded
+to check their pixel size unless --no-image-check is given.
+Directories are searched recursively for .html and .htm files. Use "-" (or pipe
+into the command without arguments) to read a single page from stdin.
+
+Options:
+  --min-score <n>   Exit with status 1 if any page scores below n (0-100)
+  --base-url <url>  Public URL that local files are served under, used to
+                    resolve each file's page URL (e.g. https://example.com/)
+  --format <type>   Output format: text (default) or json
+  --keyword <text>  Target keyword phrase to check each page's density and
+                    placement (title, description, H1, URL) for
+  --profile <name>  Scoring profile: a preset (${SEOProfiles.PRESETS.map(preset => preset.id).join(', ')})
+                    or a profile .json file exported from the browser app
+  --no-image-check  Do not download social preview images
+  --check-links     Fetch up to 25 internal links per page and report broken ones
+  --check-hreflang  Fetch up to 20 hreflang alternates per page and check that
+                    they link back and declare matching languages
+  -h, --help        Show this help
+
+Exit status: 0 on success, 1 if a page is below --min-score, 2 on errors.`;
+
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+class NodeSEOAnalyzer extends SEOCore {
+    constructor(options = {}) {
+        super(options);
+        this.checkImages = options.checkImages !== false;
+
+        try {
+            this.JSDOM = require('jsdom').JSDOM;
+        } catch (_) {
+            throw new CliError('jsdom is required to parse HTML outside the browser. Install the dependencies with: npm install');
+        }
+    }
+
+    parseDocument(html) {
+        return new this.JSDOM(html).window.document;
+    }
+
+    // jsdom windows are kept alive until closed, which adds up over a directory
+    // or a long URL list
+    releaseDocument(doc) {
+        doc.defaultView.close();
+    }
+
+    async loadSocialImages(metaTags, baseUrl) {
+        return this.checkImages ? super.loadSocialImages(metaTags, baseUrl) : null;
+    }
+
+    // Downloads only as much of the image as it takes to read its size from the
+    // header. Formats SEOImages.imageDimensions() cannot read (SVG, AVIF) resolve
+    // to null, an unknown size, rather than failing.
+    async loadImage(url) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_TIMEOUT) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !/^image\//i.test(contentType)) {
+            response.body.cancel().catch(() => {});
+            throw new Error(`not an image (${contentType.split(';')[0]})`);
+        }
+
+        const reader = response.body.getReader();
+        let bytes = new Uint8Array(0);
+        try {
+            while (bytes.length < IMAGE_HEADER_LIMIT) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+                bytes = Buffer.concat([bytes, value]);
+                const dimensions = SEOImages.imageDimensions(bytes);
+                if (dimensions) {
+                    return dimensions;
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+        return null;
+    }
+
+    async checkLink(url) {
+        try {
+            const { status } = await fetchPageDetails(url, { allowPrivate: true });
+            return { status };
+        } catch (error) {
+            // Report the status the way the browser's FetchError does, so
+            // SEOLinks.checkLinks() handles pages that are only too large alike
+            throw error instanceof PageFetchError ? Object.assign(new Error(error.message), { status: error.statusCode }) : error;
+        }
+    }
+
+    async fetchAlternate(url) {
+        return fetchPage(url);
+    }
+}
+
+function parseArgs(argv) {
+    const options = { inputs: [], minScore: null, baseUrl: null, format: 'text', keyword: '', profile: 'default', checkImages: true, checkLinks: false, checkHreflang: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const takeValue = () => {
+            if (i + 1 >= argv.length) {
+                throw new CliError(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--min-score': {
+                const value = Number(takeValue());
+                if (!Number.isFinite(value) || value < 0 || value > 100) {
+                    throw new CliError('--min-score must be a number between 0 and 100');
+                }
+                options.minScore = value;
+                break;
+            }
+            case '--base-url': {
+                const value = takeValue();
+                try {
+                    options.baseUrl = new URL(value).href;
+                } catch (_) {
+                    throw new CliError(`Invalid --base-url: ${value}`);
+                }
+                break;
+            }
+            case '--keyword':
+                options.keyword = takeValue().trim();
+                break;
+            case '--profile':
+                options.profile = takeValue();
+                break;
+            case '--no-image-check':
+                options.checkImages = false;
+                break;
+            case '--check-links':
+                options.checkLinks = true;
+                break;
+            case '--check-hreflang':
+                options.checkHreflang = true;
+                break;
+            case '--format': {
+                const value = takeValue();
+                if (value !== 'text' && value !== 'json') {
+                    throw new CliError('--format must be "text" or "json"');
+                }
+                options.format = value;
+                break;
+            }
+            default:
+                if (arg.startsWith('--')) {
+                    throw new CliError(`Unknown option: ${arg}`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+function findHtmlFiles(directory) {
+    const files = [];
+
+    fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...findHtmlFiles(fullPath));
+            } else if (HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                files.push(fullPath);
+            }
+        });
+
+    return files;
+}
+
+// A preset id, or the path of a profile exported from the browser app
+function loadProfile(value, engine) {
+    const preset = SEOProfiles.getPreset(value);
+    if (preset) {
+        return preset;
+    }
+
+    let json;
+    try {
+        json = fs.readFileSync(path.resolve(value), 'utf8');
+    } catch (_) {
+        throw new CliError(`Unknown --profile "${value}": not a preset (${SEOProfiles.PRESETS.map(candidate => candidate.id).join(', ')}) or a readable file`);
+    }
+    try {
+        return SEOProfiles.parseProfile(json, engine);
+    } catch (error) {
+        throw new CliError(`Invalid --profile ${value}: ${error.message}`);
+    }
+}
+
+function fileSource(filePath, root, baseUrl) {
+    const relativePath = path.relative(root, filePath).split(path.sep).join('/');
+
+    return {
+        label: path.relative(process.cwd(), filePath) || filePath,
+        url: baseUrl ? new URL(relativePath, baseUrl).href : pathToFileURL(filePath).href,
+        read: async () => ({ html: await fs.promises.readFile(filePath, 'utf8') })
+    };
+}
+
+function collectSources(options) {
+    const sources = [];
+
+    options.inputs.forEach(input => {
+        if (input === '-') {
+            sources.push({
+                label: 'stdin',
+                url: options.baseUrl || 'file:///stdin',
+                read: readStdin
+            });
+        } else if (/^https?:\/\//i.test(input)) {
+            sources.push({ label: input, url: input, read: () => fetchPage(input) });
+        } else {
+            const resolved = path.resolve(input);
+            let stats;
+            try {
+                stats = fs.statSync(resolved);
+            } catch (_) {
+                throw new CliError(`No such file or directory: ${input}`);
+            }
+
+            if (stats.isDirectory()) {
+                const files = findHtmlFiles(resolved);
+                if (files.length === 0) {
+                    throw new CliError(`No HTML files found in ${input}`);
+                }
+                files.forEach(file => sources.push(fileSource(file, resolved, options.baseUrl)));
+            } else {
+                sources.push(fileSource(resolved, path.dirname(resolved), options.baseUrl));
+            }
+        }
+    });
+
+    return sources;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return { html: Buffer.concat(chunks).toString('utf8') };
+}
+
+// Fetched directly rather than through a proxy, so the HTTP status, headers and
+// redirects feed the technical checks. Local addresses are allowed here so
+// preview servers can be checked in CI.
+async function fetchPage(url) {
+    const details = await fetchPageDetails(url, { allowPrivate: true });
+    const { contents, ...response } = details;
+    return { html: contents, response };
+}
+
+async function analyzeSource(analyzer, source, options) {
+    const page = await source.read();
+    if (page.html.length > SEOFetchers.MAX_CONTENT_LENGTH) {
+        throw new Error('Content too large to analyze');
+    }
+
+    const { metaTags, analysis } = await analyzer.analyzePage({ ...page, url: source.url }, {
+        keyword: options.keyword,
+        checkLinks: options.checkLinks,
+        checkHreflang: options.checkHreflang
+    });
+
+    return { source: source.label, url: source.url, metaTags, analysis };
+}
+
+function categoryPercentages(analyzer, categoryScores) {
+    return analyzer.ruleEngine.categories.map(category => ({
+        id: category.id,
+        name: category.name,
+        score: SEORules.categoryPercentage(categoryScores[category.id])
+    }));
+}
+
+function formatText(analyzer, report) {
+    const { analysis } = report;
+    const markers = { passed: 'PASS', warning: 'WARN', error: 'FAIL' };
+    const lines = [
+        `${report.source}${report.url !== report.source ? ` (${report.url})` : ''}`,
+        `  Score: ${analysis.score}/100  (${analysis.passed} passed, ${SEORules.plural(analysis.warnings, 'warning')}, ${SEORules.plural(analysis.errors, 'error')})`
+    ];
+
+    categoryPercentages(analyzer, analysis.categoryScores).forEach(category => {
+        const score = category.score === null ? 'n/a' : `${category.score}%`;
+        lines.push(`  ${category.name.padEnd(22)}${score}`);
+    });
+
+    const links = SEOLinks.summarizeLinks(report.metaTags.links, report.url);
+    lines.push(`  Links: ${links.total} (${links.internal} internal, ${links.external} external; ` +
+        `${links.nofollow} nofollow, ${links.sponsored} sponsored, ${links.ugc} ugc)`);
+
+    analysis.items.forEach(item => {
+        lines.push(`  [${markers[item.type]}] ${item.title}: ${item.description}`);
+    });
+
+    return lines.join('\n');
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+
+    if (options.inputs.length === 0) {
+        if (process.stdin.isTTY) {
+            throw new CliError(`No input given.\n\n${USAGE}`);
+        }
+        options.inputs.push('-');
+    }
+
+    const sources = collectSources(options);
+    const analyzer = new NodeSEOAnalyzer({ checkImages: options.checkImages });
+    const profile = loadProfile(options.profile, analyzer.ruleEngine);
+    SEOProfiles.applyProfile(analyzer.ruleEngine, profile);
+    const reports = [];
+    const failures = [];
+
+    for (const source of sources) {
+        try {
+            reports.push(await analyzeSource(analyzer, source, options));
+        } catch (error) {
+            failures.push({ source: source.label, error: error.message });
+        }
+    }
+
+    const duplicates = SEODuplicates.duplicateFindings(SEODuplicates.findDuplicates(
+        reports.map(report => ({ url: report.url, metaTags: report.metaTags }))
+    ));
+
+    const belowThreshold = options.minScore === null
+        ? []
+        : reports.filter(report => report.analysis.score < options.minScore);
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({
+            minScore: options.minScore,
+            profile: profile.name,
+            pages: reports.map(report => ({
+                source: report.source,
+                url: report.url,
+                score: report.analysis.score,
+                passed: report.analysis.passed,
+                warnings: report.analysis.warnings,
+                errors: report.analysis.errors,
+                categories: categoryPercentages(analyzer, report.analysis.categoryScores),
+                links: SEOLinks.summarizeLinks(report.metaTags.links, report.url),
+                items: report.analysis.items
+            })),
+            duplicates,
+            failures
+        }, null, 2));
+    } else {
+        reports.forEach(report => console.log(`${formatText(analyzer, report)}\n`));
+
+        if (reports.length > 1) {
+            console.log('Duplicate content');
+            if (duplicates.length === 0) {
+                console.log('  No shared titles, descriptions or canonicals');
+            }
+            duplicates.forEach(finding => {
+                console.log(`  [WARN] ${finding.title}: ${finding.description}`);
+                finding.urls.forEach(url => console.log(`    ${url}`));
+            });
+            console.log('');
+        }
+
+        const average = reports.length
+            ? Math.round(reports.reduce((sum, report) => sum + report.analysis.score, 0) / reports.length)
+            : 0;
+        let summary = `${SEORules.plural(reports.length, 'page')} analyzed with the ${profile.name} profile, average score ${average}`;
+        if (options.minScore !== null) {
+            summary += `, ${belowThreshold.length} below minimum score ${options.minScore}`;
+        }
+        console.log(summary);
+    }
+
+    failures.forEach(failure => console.error(`Error: ${failure.source}: ${failure.error}`));
+    belowThreshold.forEach(report => {
+        console.error(`Below minimum score: ${report.source} scored ${report.analysis.score} (minimum ${options.minScore})`);
+    });
+
+    if (failures.length > 0) {
+        return EXIT_ERROR;
+    }
+    return belowThreshold.length > 0 ? EXIT_BELOW_THRESHOLD : EXIT_OK;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            console.error(`Error: ${error.message}`);
+            process.exitCode = EXIT_ERROR;
+        });
+}
+
+module.exports = { NodeSEOAnalyzer, main, parseArgs };
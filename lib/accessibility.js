@@ -0,0 +1,186 @@
+// Accessibility helpers: accessible names of form controls, buttons and links,
+// landmark regions, duplicate ids and language tag validation.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./hreflang'));
+    } else {
+        root.SEOAccessibility = factory(root.SEOHreflang);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEOHreflang) {
+    'use strict';
+
+    // Landmark roles and the elements that carry them implicitly. <header> and
+    // <footer> are only banner/contentinfo outside sectioning content.
+    const LANDMARKS = {
+        main: ['main'],
+        navigation: ['nav'],
+        banner: ['header'],
+        contentinfo: ['footer'],
+        complementary: ['aside'],
+        search: ['search']
+    };
+    const SECTIONING = 'article, aside, main, nav, section';
+
+    // Input types that need a label; buttons and hidden inputs are named differently
+    const UNLABELED_INPUT_TYPES = ['hidden', 'submit', 'reset', 'button', 'image'];
+
+    // BCP 47 language tag: language[-script][-region][-variant...]
+    const LANGUAGE_TAG = /^([a-z]{2,3})(-[a-z]{4})?(-(?:[a-z]{2}|\d{3}))?(-(?:[a-z\d]{5,8}|\d[a-z\d]{3}))*$/i;
+
+    function normalize(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    function isHidden(element) {
+        return element.hidden || element.getAttribute('aria-hidden') === 'true';
+    }
+
+    // Text content as assistive technology reads it: text nodes plus image
+    // alt text, skipping hidden subtrees
+    function contentName(element) {
+        const parts = [];
+        const walk = (node) => {
+            if (node.nodeType === 3) {
+                parts.push(node.nodeValue);
+            } else if (node.nodeType === 1 && !isHidden(node) && !['script', 'style', 'template'].includes(node.localName)) {
+                if (node.localName === 'img' || (node.localName === 'input' && (node.getAttribute('type') || '').toLowerCase() === 'image')) {
+                    parts.push(node.getAttribute('alt') || '');
+                } else {
+                    node.childNodes.forEach(walk);
+                }
+            }
+        };
+        element.childNodes.forEach(walk);
+        return normalize(parts.join(' '));
+    }
+
+    // aria-labelledby, then aria-label
+    function ariaName(element) {
+        const doc = element.ownerDocument;
+        const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+            .map(id => doc.getElementById(id))
+            .filter(Boolean)
+            .map(label => normalize(label.textContent))
+            .join(' ');
+        return normalize(labelledBy) || normalize(element.getAttribute('aria-label') || '');
+    }
+
+    function controlName(control) {
+        const doc = control.ownerDocument;
+        const labels = [];
+        if (control.id) {
+            doc.querySelectorAll('label[for]').forEach(label => {
+                if (label.getAttribute('for') === control.id) {
+                    labels.push(contentName(label));
+                }
+            });
+        }
+        const wrapping = control.closest('label');
+        if (wrapping) {
+            labels.push(contentName(wrapping));
+        }
+        return ariaName(control) || normalize(labels.join(' ')) || normalize(control.getAttribute('title') || '');
+    }
+
+    function buttonName(button) {
+        if (button.localName === 'input') {
+            const type = (button.getAttribute('type') || '').toLowerCase();
+            // Submit and reset buttons have a default label
+            const fallback = { submit: 'Submit', reset: 'Reset' }[type] || '';
+            const value = type === 'image' ? button.getAttribute('alt') : button.getAttribute('value');
+            return ariaName(button) || normalize(value || '') || normalize(button.getAttribute('title') || '') || fallback;
+        }
+        return ariaName(button) || contentName(button) || normalize(button.getAttribute('title') || '');
+    }
+
+    // Short description of an element for findings, e.g. input[type=email][name=email]
+    function describe(element) {
+        const attributes = ['type', 'name', 'id', 'href', 'src']
+            .filter(name => element.getAttribute(name))
+            .map(name => {
+                const value = element.getAttribute(name);
+                return `[${name}=${value.length > 40 ? `${value.slice(0, 39)}…` : value}]`;
+            });
+        return element.localName + attributes.join('');
+    }
+
+    function landmarkCounts(doc) {
+        const counts = {};
+        Object.entries(LANDMARKS).forEach(([role, tags]) => {
+            const elements = new Set(doc.querySelectorAll(`[role="${role}"]`));
+            doc.querySelectorAll(tags.join(', ')).forEach(element => {
+                if (element.hasAttribute('role')) {
+                    return;
+                }
+                if (['banner', 'contentinfo'].includes(role) && element.parentElement && element.parentElement.closest(SECTIONING)) {
+                    return;
+                }
+                elements.add(element);
+            });
+            counts[role] = Array.from(elements).filter(element => !isHidden(element)).length;
+        });
+        return counts;
+    }
+
+    function duplicateIds(doc) {
+        const counts = new Map();
+        doc.querySelectorAll('[id]').forEach(element => {
+            const id = element.getAttribute('id');
+            if (id) {
+                counts.set(id, (counts.get(id) || 0) + 1);
+            }
+        });
+        return Array.from(counts).filter(([, count]) => count > 1).map(([id, count]) => ({ id, count }));
+    }
+
+    // { controls, buttons, links, landmarks, duplicateIds } where controls,
+    // buttons and links are [{ element, name }] with element a short description
+    function extractAccessibility(doc) {
+        const controls = Array.from(doc.querySelectorAll('body input, body select, body textarea'))
+            .filter(control => !isHidden(control) &&
+                !UNLABELED_INPUT_TYPES.includes((control.getAttribute('type') || '').toLowerCase()))
+            .map(control => ({ element: describe(control), name: controlName(control) }));
+
+        const buttons = Array.from(doc.querySelectorAll(
+            'body button, body [role="button"], body input[type="submit" i], body input[type="reset" i], ' +
+            'body input[type="button" i], body input[type="image" i]'
+        ))
+            .filter(button => !isHidden(button))
+            .map(button => ({ element: describe(button), name: buttonName(button) }));
+
+        const links = Array.from(doc.querySelectorAll('body a[href]'))
+            .filter(link => !isHidden(link))
+            .map(link => ({
+                element: describe(link),
+                name: ariaName(link) || contentName(link) || normalize(link.getAttribute('title') || '')
+            }));
+
+        return {
+            controls,
+            buttons,
+            links,
+            landmarks: landmarkCounts(doc),
+            duplicateIds: duplicateIds(doc)
+        };
+    }
+
+    // Why a lang attribute value is not a valid language tag, or '' when it is
+    function languageTagError(lang) {
+        const match = LANGUAGE_TAG.exec(lang);
+        if (!match) {
+            return lang.includes('_')
+                ? 'uses an underscore instead of a hyphen'
+                : 'is not a valid BCP 47 language tag';
+        }
+        if (match[1].length === 2 && !SEOHreflang.isLanguageCode(match[1])) {
+            return `"${match[1]}" is not an ISO 639-1 language code`;
+        }
+        return '';
+    }
+
+    return {
+        LANDMARKS,
+        extractAccessibility,
+        languageTagError
+    };
+}));
@@ -0,0 +1,108 @@
+// Batch analysis helpers: URL list parsing and a rate-limited work queue.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOBatch = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_BATCH_SIZE = 200;
+
+    // Accepts one URL per line, or CSV/TSV rows where the first cell that looks
+    // like a URL is used (header rows and other columns are ignored).
+    function parseUrlList(text) {
+        const urls = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            const cells = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+            const candidate = cells.find(cell => /^(https?:\/\/)?[\w-]+(\.[\w-]+)+(?::\d+)?(?:[/?#]\S*)?$/i.test(cell));
+            if (candidate && !urls.includes(candidate)) {
+                urls.push(candidate);
+            }
+        });
+
+        return urls;
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Spaces out requests so each starts at least minInterval milliseconds
+    // after the previous one.
+    class RateLimiter {
+        constructor(minInterval = 0, lastStart = 0) {
+            this.minInterval = minInterval;
+            this.lastStart = lastStart;
+        }
+
+        async wait() {
+            const delay = this.lastStart + this.minInterval - Date.now();
+            if (delay > 0) {
+                await sleep(delay);
+            }
+            this.lastStart = Date.now();
+        }
+    }
+
+    // Runs a worker over queued inputs one at a time through a RateLimiter.
+    class BatchQueue {
+        constructor(worker, options = {}) {
+            this.worker = worker;
+            this.limiter = new RateLimiter(options.minInterval, options.lastStart);
+            this.onUpdate = options.onUpdate || (() => {});
+            this.entries = [];
+            this.running = false;
+            this.cancelled = false;
+        }
+
+        add(inputs) {
+            inputs.forEach(input => {
+                this.entries.push({ input, status: 'pending', result: null, error: null });
+            });
+            return this;
+        }
+
+        cancel() {
+            this.cancelled = true;
+        }
+
+        async run() {
+            this.running = true;
+            this.cancelled = false;
+
+            for (const entry of this.entries) {
+                if (this.cancelled) {
+                    break;
+                }
+                if (entry.status !== 'pending') {
+                    continue;
+                }
+
+                await this.limiter.wait();
+                if (this.cancelled) {
+                    break;
+                }
+
+                entry.status = 'running';
+                this.onUpdate(entry);
+
+                try {
+                    entry.result = await this.worker(entry.input);
+                    entry.status = 'done';
+                } catch (error) {
+                    entry.error = error;
+                    entry.status = 'failed';
+                }
+                this.onUpdate(entry);
+            }
+
+            this.running = false;
+            return this.entries;
+        }
+    }
+
+    return { MAX_BATCH_SIZE, parseUrlList, RateLimiter, BatchQueue };
+}));
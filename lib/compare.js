@@ -0,0 +1,79 @@
+// Competitor comparison helpers: lines up the scores and meta tag values of
+// your page and up to four competitors and marks where your page falls behind.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules'));
+    } else {
+        root.SEOCompare = factory(root.SEORules);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEORules) {
+    'use strict';
+
+    const MAX_COMPETITORS = 4;
+
+    // analyses[0] is your page and the rest are competitors; a null analysis is
+    // a page that could not be analyzed. Returns one row for the overall score
+    // and one per category, as { id, name, values, ahead, behind } where
+    // ahead[i] marks competitors that outscore your page and behind is true
+    // when any of them does.
+    function compareScores(analyses, categories) {
+        const rows = [{ id: 'score', name: 'Overall', values: analyses.map(analysis => (analysis ? analysis.score : null)) }];
+        categories.forEach(category => {
+            rows.push({
+                id: category.id,
+                name: category.name,
+                values: analyses.map(analysis => (analysis
+                    ? SEORules.categoryPercentage(analysis.categoryScores[category.id] || { maxScore: 0 })
+                    : null))
+            });
+        });
+
+        return rows.map(row => {
+            const own = row.values[0];
+            const ahead = row.values.map((value, index) => index > 0 && own !== null && value !== null && value > own);
+            return { ...row, ahead, behind: ahead.some(Boolean) };
+        });
+    }
+
+    // groupLists[i] holds page i's meta tag groups as [{ title, tags: { name: value } }],
+    // or null for a page that could not be analyzed.
+    // Returns the union of groups and tags in first-seen order as
+    // [{ title, rows: [{ name, values, missing, lacking }] }] where missing[i]
+    // marks competitors that set a tag your page lacks and lacking is true
+    // when any of them does.
+    function compareTagGroups(groupLists) {
+        const groups = [];
+        groupLists.forEach(groupList => {
+            (groupList || []).forEach(group => {
+                let merged = groups.find(existing => existing.title === group.title);
+                if (!merged) {
+                    merged = { title: group.title, names: [] };
+                    groups.push(merged);
+                }
+                Object.keys(group.tags).forEach(name => {
+                    if (!merged.names.includes(name)) {
+                        merged.names.push(name);
+                    }
+                });
+            });
+        });
+
+        const valueOf = (groupList, title, name) => {
+            const group = (groupList || []).find(candidate => candidate.title === title);
+            return group && group.tags[name] ? String(group.tags[name]) : '';
+        };
+
+        return groups.map(group => ({
+            title: group.title,
+            rows: group.names
+                .map(name => {
+                    const values = groupLists.map(groupList => valueOf(groupList, group.title, name));
+                    const missing = values.map((value, index) => index > 0 && !values[0] && Boolean(value));
+                    return { name, values, missing, lacking: missing.some(Boolean) };
+                })
+                .filter(row => row.values.some(Boolean))
+        })).filter(group => group.rows.length > 0);
+    }
+
+    return { MAX_COMPETITORS, compareScores, compareTagGroups };
+}));
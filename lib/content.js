@@ -0,0 +1,163 @@
+// On-page content analysis: body text and heading extraction, word counts,
+// readability scores and target keyword usage.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOContent = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SKIPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object'];
+    const BLOCK_ELEMENTS = [
+        'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+        'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav',
+        'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul'
+    ];
+
+    // Flesch reading ease and its language-specific adaptations, from average
+    // sentence length (words) and average syllables per word
+    const READABILITY_FORMULAS = {
+        en: { name: 'Flesch Reading Ease', score: (asl, asw) => 206.835 - 1.015 * asl - 84.6 * asw },
+        de: { name: 'Amstad', score: (asl, asw) => 180 - asl - 58.5 * asw },
+        es: { name: 'Fernández Huerta', score: (asl, asw) => 206.84 - 60 * asw - 102 / asl },
+        fr: { name: 'Kandel-Moles', score: (asl, asw) => 207 - 1.015 * asl - 73.6 * asw },
+        it: { name: 'Flesch-Vacca', score: (asl, asw) => 217 - 1.3 * asl - 60 * asw },
+        nl: { name: 'Flesch-Douma', score: (asl, asw) => 206.835 - 0.93 * asl - 77 * asw },
+        pt: { name: 'Flesch (Portuguese)', score: (asl, asw) => 248.835 - 1.015 * asl - 84.6 * asw }
+    };
+
+    function words(text) {
+        return text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || [];
+    }
+
+    // Visible body text with block boundaries kept as line breaks, plus headings
+    function extractContent(doc) {
+        const parts = [];
+        const headings = [];
+
+        const walk = (node) => {
+            if (node.nodeType === 3) {
+                parts.push(node.nodeValue);
+                return;
+            }
+            if (node.nodeType !== 1) {
+                return;
+            }
+
+            const name = node.localName;
+            if (SKIPPED_ELEMENTS.includes(name) || node.hidden) {
+                return;
+            }
+            if (/^h[1-6]$/.test(name)) {
+                headings.push({ level: Number(name[1]), text: node.textContent.replace(/\s+/g, ' ').trim() });
+            }
+
+            const block = BLOCK_ELEMENTS.includes(name);
+            if (block) {
+                parts.push('\n');
+            }
+            Array.from(node.childNodes).forEach(walk);
+            if (block) {
+                parts.push('\n');
+            }
+        };
+
+        if (doc.body) {
+            walk(doc.body);
+        }
+
+        const text = parts.join(' ')
+            .replace(/[^\S\n]+/g, ' ')
+            .replace(/ *\n[\s]*/g, '\n')
+            .trim();
+
+        return { text, wordCount: words(text).length, headings };
+    }
+
+    function countSyllables(word, language) {
+        const groups = word.match(/[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿœ]+/g);
+        let count = groups ? groups.length : 0;
+        // Silent trailing "e" in English ("make"), but not "-le" ("table")
+        if (language === 'en' && count > 1 && /[^aeiouy]e$/.test(word) && !/[^aeiouy]le$/.test(word)) {
+            count--;
+        }
+        return Math.max(1, count);
+    }
+
+    function readabilityFormula(language) {
+        const primary = (language || '').toLowerCase().split(/[-_]/)[0];
+        if (!Object.prototype.hasOwnProperty.call(READABILITY_FORMULAS, primary)) {
+            return null;
+        }
+        return { language: primary, ...READABILITY_FORMULAS[primary] };
+    }
+
+    // { score (0-100), formula, sentences, words, syllables }, or null when the
+    // language has no formula or the text has no words
+    function readability(text, language) {
+        const formula = readabilityFormula(language);
+        const textWords = words(text);
+        if (!formula || textWords.length === 0) {
+            return null;
+        }
+
+        const sentences = text.split(/[.!?。]+(?=\s|$)|\n+/)
+            .filter(sentence => words(sentence).length > 0).length || 1;
+        const syllables = textWords.reduce((sum, word) => sum + countSyllables(word, formula.language), 0);
+        const score = formula.score(textWords.length / sentences, syllables / textWords.length);
+
+        return {
+            score: Math.round(Math.min(100, Math.max(0, score))),
+            formula: formula.name,
+            sentences,
+            words: textWords.length,
+            syllables
+        };
+    }
+
+    function countPhrase(haystack, phrase) {
+        if (phrase.length === 0) {
+            return 0;
+        }
+        let count = 0;
+        for (let i = 0; i + phrase.length <= haystack.length; i++) {
+            if (phrase.every((word, offset) => haystack[i + offset] === word)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    function containsPhrase(haystack, phrase) {
+        return countPhrase(haystack, phrase) > 0;
+    }
+
+    // Where the phrase appears and how much of the body text it makes up
+    function keywordUsage(keyword, metaTags, url) {
+        const phrase = words(keyword);
+        const bodyWords = words(metaTags.content.text);
+        const occurrences = countPhrase(bodyWords, phrase);
+        const h1 = metaTags.content.headings.filter(heading => heading.level === 1).map(heading => heading.text).join(' ');
+        let path = '';
+        try {
+            path = decodeURIComponent(new URL(url).pathname);
+        } catch (_) {
+            // Keyword presence in the URL is reported as missing
+        }
+
+        return {
+            phrase: phrase.join(' '),
+            occurrences,
+            density: bodyWords.length ? (occurrences * phrase.length / bodyWords.length) * 100 : 0,
+            inTitle: containsPhrase(words(metaTags.title), phrase),
+            inDescription: containsPhrase(words(metaTags.description), phrase),
+            inH1: containsPhrase(words(h1), phrase),
+            // Slugs drop stop words and word order varies, so every word is enough
+            inUrl: phrase.length > 0 && phrase.every(word => words(path).includes(word))
+        };
+    }
+
+    return { READABILITY_FORMULAS, words, extractContent, readabilityFormula, readability, keywordUsage };
+}));
@@ -0,0 +1,171 @@
+// Cross-page duplicate detection for titles, meta descriptions and canonicals.
+//
+// Pages are { url, metaTags } as produced by parseMetaTags. Titles and
+// descriptions are grouped when identical after normalization or when their
+// character-trigram similarity reaches the threshold.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEODuplicates = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_SIMILARITY = 0.9;
+
+    function normalizeText(text) {
+        return text.toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    function trigrams(text) {
+        const padded = `  ${text} `;
+        const grams = new Map();
+        for (let i = 0; i < padded.length - 2; i++) {
+            const gram = padded.slice(i, i + 3);
+            grams.set(gram, (grams.get(gram) || 0) + 1);
+        }
+        return grams;
+    }
+
+    // Sørensen–Dice coefficient over character trigrams (0 to 1)
+    function similarity(a, b) {
+        return a === b ? 1 : diceCoefficient(trigrams(a), trigrams(b));
+    }
+
+    function diceCoefficient(gramsA, gramsB) {
+        let overlap = 0;
+        let total = 0;
+
+        gramsA.forEach((count, gram) => {
+            overlap += Math.min(count, gramsB.get(gram) || 0);
+            total += count;
+        });
+        gramsB.forEach(count => {
+            total += count;
+        });
+
+        return total ? (2 * overlap) / total : 0;
+    }
+
+    function groupSimilar(pages, field, threshold) {
+        const entries = pages
+            .map(page => ({ url: page.url, value: (page.metaTags[field] || '').trim() }))
+            .filter(entry => entry.value)
+            .map(entry => ({ ...entry, normalized: normalizeText(entry.value) }))
+            .filter(entry => entry.normalized)
+            // Trigrams once per entry rather than once per pair
+            .map(entry => ({ ...entry, grams: trigrams(entry.normalized) }));
+
+        // Union-find over every pair that is identical or similar enough
+        const parent = entries.map((_, index) => index);
+        const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                if (find(i) === find(j)) {
+                    continue;
+                }
+                const a = entries[i];
+                const b = entries[j];
+                if (a.normalized === b.normalized || diceCoefficient(a.grams, b.grams) >= threshold) {
+                    parent[find(j)] = find(i);
+                }
+            }
+        }
+
+        const clusters = new Map();
+        entries.forEach((entry, index) => {
+            const key = find(index);
+            if (!clusters.has(key)) {
+                clusters.set(key, []);
+            }
+            clusters.get(key).push(entry);
+        });
+
+        return Array.from(clusters.values())
+            .filter(cluster => cluster.length > 1)
+            .map(cluster => ({
+                value: cluster[0].value,
+                match: cluster.every(entry => entry.normalized === cluster[0].normalized) ? 'exact' : 'near',
+                pages: cluster.map(({ url, value }) => ({ url, value }))
+            }))
+            .sort((a, b) => b.pages.length - a.pages.length);
+    }
+
+    function groupCanonicals(pages) {
+        const targets = new Map();
+
+        pages.forEach(page => {
+            if (!page.metaTags.canonical) {
+                return;
+            }
+            let target;
+            try {
+                target = new URL(page.metaTags.canonical, page.url).href;
+            } catch (_) {
+                return;
+            }
+            if (!targets.has(target)) {
+                targets.set(target, []);
+            }
+            targets.get(target).push({ url: page.url, value: page.metaTags.canonical });
+        });
+
+        return Array.from(targets.entries())
+            .filter(([, group]) => group.length > 1)
+            .map(([target, group]) => ({ value: target, match: 'exact', pages: group }))
+            .sort((a, b) => b.pages.length - a.pages.length);
+    }
+
+    function findDuplicates(pages, options = {}) {
+        const threshold = options.threshold || DEFAULT_SIMILARITY;
+
+        return {
+            titles: groupSimilar(pages, 'title', threshold),
+            descriptions: groupSimilar(pages, 'description', threshold),
+            canonicals: groupCanonicals(pages)
+        };
+    }
+
+    const LABELS = {
+        titles: 'Title',
+        descriptions: 'Meta Description',
+        canonicals: 'Canonical Target'
+    };
+
+    // Flattens a findDuplicates() report into findings like auditSite()'s,
+    // with the affected page URLs in urls
+    function duplicateFindings(report) {
+        const findings = [];
+
+        ['titles', 'descriptions'].forEach(field => {
+            report[field].forEach(group => {
+                const label = LABELS[field];
+                findings.push({
+                    type: 'warning',
+                    title: `${group.match === 'exact' ? 'Duplicate' : 'Near-Duplicate'} ${label} (${group.pages.length} pages)`,
+                    description: group.match === 'exact'
+                        ? `These pages share the ${label.toLowerCase()} "${group.value}". Give each page a unique one.`
+                        : `These pages have almost identical ${label.toLowerCase()}s, such as "${group.value}". Make each one specific to its page.`,
+                    urls: group.pages.map(page => page.url)
+                });
+            });
+        });
+
+        report.canonicals.forEach(group => {
+            findings.push({
+                type: 'warning',
+                title: `Shared ${LABELS.canonicals} (${group.pages.length} pages)`,
+                description: `These pages all declare ${group.value} as canonical, so only that URL is likely to be indexed.`,
+                urls: group.pages.map(page => page.url)
+            });
+        });
+
+        return findings;
+    }
+
+    return { DEFAULT_SIMILARITY, normalizeText, similarity, findDuplicates, duplicateFindings };
+}));
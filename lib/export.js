@@ -0,0 +1,229 @@
+// Report export: serializes a single-page analysis to JSON, CSV (one row per
+// finding), Markdown and a standalone print-ready HTML document.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules'));
+    } else {
+        root.SEOExport = factory(root.SEORules);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEORules) {
+    'use strict';
+
+    const STATUS_LABELS = { passed: 'Passed', warning: 'Warning', error: 'Error' };
+
+    // Plain, serializable snapshot of one analysis; categories come from the engine
+    function buildReport({ url, metaTags, analysis, categories, analyzedAt = new Date() }) {
+        const categoryNames = {};
+        categories.forEach(category => {
+            categoryNames[category.id] = category.name;
+        });
+
+        return {
+            url,
+            analyzedAt: analyzedAt.toISOString(),
+            score: analysis.score,
+            passed: analysis.passed,
+            warnings: analysis.warnings,
+            errors: analysis.errors,
+            categories: categories.map(category => {
+                const categoryScore = analysis.categoryScores[category.id] || { score: 0, maxScore: 0 };
+                return {
+                    id: category.id,
+                    name: category.name,
+                    percentage: SEORules.categoryPercentage(categoryScore),
+                    score: categoryScore.score,
+                    maxScore: categoryScore.maxScore
+                };
+            }),
+            findings: analysis.items.map(item => ({
+                id: item.id,
+                category: categoryNames[item.category] || item.category,
+                status: item.type,
+                title: item.title,
+                description: item.description
+            })),
+            metaTags
+        };
+    }
+
+    function toJson(report) {
+        return `${JSON.stringify(report, null, 2)}\n`;
+    }
+
+    function csvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Page text is untrusted; keep spreadsheets from evaluating it as a formula
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(report) {
+        const rows = [['URL', 'Analyzed At', 'Overall Score', 'Category', 'Rule', 'Status', 'Finding', 'Details']];
+        report.findings.forEach(finding => {
+            rows.push([
+                report.url,
+                report.analyzedAt,
+                report.score,
+                finding.category,
+                finding.id,
+                STATUS_LABELS[finding.status] || finding.status,
+                finding.title,
+                finding.description
+            ]);
+        });
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Page titles, URLs and findings quote page text; backslash-escape the
+    // Markdown syntax in them and keep them on one line (and in one table cell)
+    function markdownText(text) {
+        return String(text).replace(/[\\`*_[\]<>&|#!~]/g, '\\$&').replace(/\r?\n/g, ' ');
+    }
+
+    // "3 passed, 1 warning, 0 errors"
+    function countSummary(report) {
+        return `${report.passed} passed, ${SEORules.plural(report.warnings, 'warning')}, ${SEORules.plural(report.errors, 'error')}`;
+    }
+
+    function formatPercentage(category) {
+        return category.percentage === null ? 'n/a' : `${category.percentage}%`;
+    }
+
+    function toMarkdown(report) {
+        const markers = { passed: '✅', warning: '⚠️', error: '❌' };
+        const lines = [
+            `# SEO Report: ${markdownText(report.url)}`,
+            '',
+            `Analyzed ${report.analyzedAt}`,
+            '',
+            `**Score: ${report.score}/100** (${countSummary(report)})`,
+            '',
+            '| Category | Score |',
+            '|----------|-------|'
+        ];
+
+        report.categories.forEach(category => {
+            lines.push(`| ${markdownText(category.name)} | ${formatPercentage(category)} |`);
+        });
+
+        ['error', 'warning', 'passed'].forEach(status => {
+            const findings = report.findings.filter(finding => finding.status === status);
+            if (findings.length === 0) {
+                return;
+            }
+            lines.push('', `## ${STATUS_LABELS[status]}${status === 'passed' ? '' : 's'} (${findings.length})`, '');
+            findings.forEach(finding => {
+                lines.push(`- ${markers[status]} **${markdownText(finding.title)}** (${markdownText(finding.category)}): ${markdownText(finding.description)}`);
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    const PRINT_STYLES = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 2cm; line-height: 1.5; }
+        h1 { font-size: 1.6rem; margin-bottom: 0; word-break: break-all; }
+        h2 { font-size: 1.2rem; border-bottom: 2px solid #667eea; padding-bottom: 4px; margin-top: 1.5em; }
+        .meta { color: #666; margin-top: 4px; }
+        .score { font-size: 2.5rem; font-weight: 700; color: #667eea; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e1e5e9; vertical-align: top; }
+        .status { font-weight: 600; white-space: nowrap; }
+        .passed .status { color: #2e7d32; }
+        .warning .status { color: #e65100; }
+        .error .status { color: #c62828; }
+        td.value { word-break: break-all; font-family: Menlo, Monaco, monospace; font-size: 0.85rem; }
+        tr { page-break-inside: avoid; }
+        @page { margin: 1.5cm; }
+        @media print { body { margin: 0; } }
+    `;
+
+    // Meta tags as flat label/value rows, skipping empty and structured fields
+    function metaTagRows(metaTags) {
+        return Object.keys(metaTags)
+            .filter(key => typeof metaTags[key] === 'string' && metaTags[key])
+            .map(key => [key, metaTags[key]]);
+    }
+
+    function toHtml(report) {
+        const categoryRows = report.categories.map(category =>
+            `<tr><td>${escapeHtml(category.name)}</td><td>${formatPercentage(category)}</td></tr>`).join('');
+        const findingRows = report.findings.map(finding => `
+            <tr class="${escapeHtml(finding.status)}">
+                <td class="status">${escapeHtml(STATUS_LABELS[finding.status] || finding.status)}</td>
+                <td>${escapeHtml(finding.category)}</td>
+                <td><strong>${escapeHtml(finding.title)}</strong><br>${escapeHtml(finding.description)}</td>
+            </tr>`).join('');
+        const tagRows = metaTagRows(report.metaTags).map(([key, value]) =>
+            `<tr><td>${escapeHtml(key)}</td><td class="value">${escapeHtml(value)}</td></tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>SEO Report: ${escapeHtml(report.url)}</title>
+    <style>${PRINT_STYLES}</style>
+</head>
+<body>
+    <h1>SEO Report: ${escapeHtml(report.url)}</h1>
+    <p class="meta">Analyzed ${escapeHtml(report.analyzedAt)}</p>
+    <p><span class="score">${report.score}/100</span><br>
+        ${countSummary(report)}</p>
+    <h2>Categories</h2>
+    <table><tbody>${categoryRows}</tbody></table>
+    <h2>Findings</h2>
+    <table>
+        <thead><tr><th>Status</th><th>Category</th><th>Finding</th></tr></thead>
+        <tbody>${findingRows}</tbody>
+    </table>
+    <h2>Meta Tags</h2>
+    <table><tbody>${tagRows}</tbody></table>
+</body>
+</html>
+`;
+    }
+
+    const FORMATS = {
+        json: { extension: 'json', mimeType: 'application/json', serialize: toJson },
+        csv: { extension: 'csv', mimeType: 'text/csv', serialize: toCsv },
+        markdown: { extension: 'md', mimeType: 'text/markdown', serialize: toMarkdown },
+        html: { extension: 'html', mimeType: 'text/html', serialize: toHtml }
+    };
+
+    // e.g. seo-report-example.com-2024-05-01T12-30.csv
+    function reportFilename(report, format) {
+        let host = 'page';
+        try {
+            host = new URL(report.url).hostname || host;
+        } catch (_) {
+            // Keep the generic name for unparsable URLs
+        }
+        const stamp = report.analyzedAt.slice(0, 16).replace(/:/g, '-');
+        return `seo-report-${host}-${stamp}.${FORMATS[format].extension}`;
+    }
+
+    function exportReport(report, format) {
+        const definition = FORMATS[format];
+        if (!definition) {
+            throw new TypeError(`Unknown export format "${format}"`);
+        }
+        return {
+            filename: reportFilename(report, format),
+            mimeType: definition.mimeType,
+            content: definition.serialize(report)
+        };
+    }
+
+    return { FORMATS, buildReport, toJson, toCsv, toMarkdown, toHtml, exportReport };
+}));
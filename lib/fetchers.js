@@ -0,0 +1,228 @@
+// Pluggable backends for retrieving a page's HTML.
+//
+// Each backend turns a URL (plus the user's fetch settings) into { html, url },
+// adding { response } with HTTP status, headers and redirects when it knows them.
+// Failures surface as FetchError so callers can say which backend failed and why.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOFetchers = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Limit content size to prevent DoS (1MB)
+    const MAX_CONTENT_LENGTH = 1048576;
+
+    const DEFAULT_SETTINGS = {
+        backend: 'allorigins',
+        proxyUrl: '',
+        proxyFormat: 'json',
+        proxyField: 'contents',
+        html: ''
+    };
+
+    // status is the HTTP status the backend answered with (413 when the page
+    // is too large to analyze), or 0 when it gave none
+    class FetchError extends Error {
+        constructor(backend, reason, status = 0) {
+            super(`${backend.name} failed: ${reason}`);
+            this.name = 'FetchError';
+            this.backend = backend.id;
+            this.reason = reason;
+            this.status = status;
+        }
+    }
+
+    // Rejections from fetch() itself carry no status; in browsers they are
+    // almost always DNS, connection or CORS failures.
+    async function request(backend, fetchImpl, requestUrl, unreachableReason, readErrorBody = false) {
+        let response;
+        try {
+            response = await fetchImpl(requestUrl);
+        } catch (_) {
+            throw new FetchError(backend, unreachableReason);
+        }
+        if (!response.ok) {
+            let detail = '';
+            if (readErrorBody) {
+                // The bundled proxy explains failures as { error: "..." }
+                try {
+                    const data = await response.json();
+                    if (typeof data.error === 'string') {
+                        detail = ` (${data.error.slice(0, 200)})`;
+                    }
+                } catch (_) {
+                    // Not JSON, keep the status only
+                }
+            }
+            throw new FetchError(backend, `server responded with HTTP ${response.status}${detail}`, response.status);
+        }
+        return response;
+    }
+
+    async function readJson(backend, response) {
+        try {
+            return await response.json();
+        } catch (_) {
+            throw new FetchError(backend, 'response was not valid JSON');
+        }
+    }
+
+    function readField(data, fieldPath) {
+        return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+    }
+
+    // Response details reported by server/proxy.js alongside the page body
+    function readResponseDetails(data) {
+        return {
+            finalUrl: typeof data.finalUrl === 'string' ? data.finalUrl : '',
+            status: Number(data.status) || 0,
+            statusText: typeof data.statusText === 'string' ? data.statusText : '',
+            headers: data.headers && typeof data.headers === 'object' ? data.headers : {},
+            redirects: Array.isArray(data.redirects) ? data.redirects : [],
+            contentType: typeof data.contentType === 'string' ? data.contentType : '',
+            charset: typeof data.charset === 'string' ? data.charset : '',
+            charsetSource: typeof data.charsetSource === 'string' ? data.charsetSource : '',
+            timing: data.timing && typeof data.timing === 'object' ? data.timing : {}
+        };
+    }
+
+    function buildProxyUrl(template, url) {
+        if (template.includes('{url}')) {
+            return template.split('{url}').join(encodeURIComponent(url));
+        }
+        const separator = template.includes('?') ? '&' : '?';
+        return `${template}${separator}url=${encodeURIComponent(url)}`;
+    }
+
+    const BACKENDS = [
+        {
+            id: 'allorigins',
+            name: 'AllOrigins public proxy',
+            description: 'Third-party CORS proxy. The service can see and modify all fetched content.',
+            network: true,
+            async fetch(url, settings, fetchImpl) {
+                const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`;
+                const response = await request(this, fetchImpl, proxyUrl, 'could not reach api.allorigins.win');
+                const data = await readJson(this, response);
+
+                // AllOrigins answers 200 even when the page does not; the page's own
+                // status is in status.http_code
+                const status = data.status && Number(data.status.http_code);
+                if (status >= 400) {
+                    throw new FetchError(this, `page responded with HTTP ${status}`, status);
+                }
+
+                // Validate proxy response structure
+                if (typeof data.contents !== 'string') {
+                    throw new FetchError(this, 'response has no "contents" field');
+                }
+                return { html: data.contents, url };
+            }
+        },
+        {
+            id: 'proxy',
+            name: 'Self-hosted proxy',
+            description: 'Your own proxy, such as server/proxy.js. Use {url} in the proxy URL to place the encoded target, otherwise ?url= is appended.',
+            network: true,
+            async fetch(url, settings, fetchImpl) {
+                if (!settings.proxyUrl) {
+                    throw new FetchError(this, 'no proxy URL is configured');
+                }
+
+                let proxyUrl;
+                try {
+                    proxyUrl = new URL(buildProxyUrl(settings.proxyUrl, url)).href;
+                } catch (_) {
+                    throw new FetchError(this, `proxy URL "${settings.proxyUrl}" is not a valid URL`);
+                }
+
+                const host = new URL(proxyUrl).host;
+                const response = await request(this, fetchImpl, proxyUrl, `could not reach proxy at ${host}`, true);
+
+                if (settings.proxyFormat === 'text') {
+                    return { html: await response.text(), url };
+                }
+
+                if (settings.proxyFormat === 'seo-proxy') {
+                    const data = await readJson(this, response);
+                    if (typeof data.contents !== 'string') {
+                        throw new FetchError(this, 'response has no "contents" field');
+                    }
+                    return { html: data.contents, url, response: readResponseDetails(data) };
+                }
+
+                const field = settings.proxyField || DEFAULT_SETTINGS.proxyField;
+                const data = await readJson(this, response);
+                const html = readField(data, field);
+                if (typeof html !== 'string') {
+                    throw new FetchError(this, `response has no string "${field}" field`);
+                }
+                return { html, url };
+            }
+        },
+        {
+            id: 'direct',
+            name: 'Direct fetch',
+            description: 'Fetches the page straight from your browser. Works for same-origin or CORS-enabled pages only.',
+            network: true,
+            async fetch(url, settings, fetchImpl) {
+                const response = await request(this, fetchImpl, url,
+                    'network error or the page does not allow cross-origin requests (CORS)');
+                return { html: await response.text(), url };
+            }
+        },
+        {
+            id: 'paste',
+            name: 'Pasted HTML',
+            description: 'Analyzes HTML you paste below. The URL is only used for previews and URL-based checks.',
+            network: false,
+            async fetch(url, settings) {
+                if (!settings.html || !settings.html.trim()) {
+                    throw new FetchError(this, 'no HTML was pasted');
+                }
+                return { html: settings.html, url };
+            }
+        }
+    ];
+
+    function getBackend(id) {
+        return BACKENDS.find(backend => backend.id === id);
+    }
+
+    // Only the bundled proxy reports status, headers, redirects and timing;
+    // with any other settings the HTTP checks are skipped
+    function reportsResponse(settings = {}) {
+        const resolvedSettings = { ...DEFAULT_SETTINGS, ...settings };
+        return resolvedSettings.backend === 'proxy' && resolvedSettings.proxyFormat === 'seo-proxy';
+    }
+
+    async function fetchPage(url, settings = {}, fetchImpl = (...args) => fetch(...args)) {
+        const resolvedSettings = { ...DEFAULT_SETTINGS, ...settings };
+        const backend = getBackend(resolvedSettings.backend);
+        if (!backend) {
+            throw new Error(`Unknown fetch backend "${resolvedSettings.backend}"`);
+        }
+
+        let page;
+        try {
+            page = await backend.fetch(url, resolvedSettings, fetchImpl);
+        } catch (error) {
+            if (error instanceof FetchError) {
+                throw error;
+            }
+            // Unexpected failures are reported generically to avoid leaking details
+            throw new FetchError(backend, 'unexpected error while reading the response');
+        }
+
+        if (page.html.length > MAX_CONTENT_LENGTH) {
+            throw new FetchError(backend, 'content is larger than the 1MB analysis limit', 413);
+        }
+
+        return { ...page, backend: backend.id };
+    }
+
+    return { BACKENDS, DEFAULT_SETTINGS, MAX_CONTENT_LENGTH, FetchError, getBackend, reportsResponse, fetchPage };
+}));
@@ -0,0 +1,354 @@
+// Technical <head> audit: robots meta directives, canonical correctness,
+// charset declarations, repeated title/description/canonical tags, head tags
+// that ended up in <body> and favicon links.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOHead = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Meta names that carry robots directives: the generic one and crawler-specific ones
+    const ROBOTS_NAMES = ['robots', 'googlebot', 'googlebot-news', 'bingbot', 'slurp', 'yandex', 'baiduspider', 'duckduckbot'];
+
+    const DIRECTIVES = ['all', 'index', 'follow', 'noindex', 'nofollow', 'none', 'noarchive', 'nocache', 'nosnippet',
+        'noimageindex', 'notranslate', 'indexifembedded', 'noodp', 'noydir'];
+    const VALUE_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+    // Snippets shorter than this rarely describe the page
+    const MIN_SNIPPET_LENGTH = 50;
+
+    // Browsers only look for a charset declaration this far into the document
+    const CHARSET_SCAN_BYTES = 1024;
+
+    // Link types allowed in <body>; any other <link> there is ignored
+    const BODY_OK_LINKS = ['dns-prefetch', 'modulepreload', 'pingback', 'preconnect', 'prefetch', 'preload', 'prerender', 'stylesheet'];
+
+    function byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    function relTokens(element) {
+        return (element.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    // '<meta name="description">' style label for an element
+    function describe(element) {
+        const attribute = ['name', 'property', 'http-equiv', 'charset', 'rel'].find(name => element.hasAttribute(name));
+        return attribute
+            ? `<${element.localName} ${attribute}="${element.getAttribute(attribute)}">`
+            : `<${element.localName}>`;
+    }
+
+    function isHeadElement(element) {
+        if (element.closest('svg')) {
+            return false;
+        }
+        if (element.localName === 'link') {
+            return !element.hasAttribute('itemprop') && !relTokens(element).every(rel => BODY_OK_LINKS.includes(rel));
+        }
+        // Microdata uses <meta itemprop> inside the body
+        return !(element.localName === 'meta' && element.hasAttribute('itemprop'));
+    }
+
+    // { titles, descriptions, canonicals, charsets, charsetOffset, robots, icons, inBody }
+    // where charsetOffset is the byte offset of the first charset declaration
+    // (-1 without one) and inBody lists head tags found inside <body>
+    function extractHead(doc, html) {
+        const titles = Array.from(doc.querySelectorAll('title'))
+            .filter(title => !title.closest('svg'))
+            .map(title => title.textContent.trim());
+        const descriptions = Array.from(doc.querySelectorAll('meta[name]'))
+            .filter(meta => meta.getAttribute('name').trim().toLowerCase() === 'description')
+            .map(meta => (meta.getAttribute('content') || '').trim());
+        const canonicals = Array.from(doc.querySelectorAll('link[rel][href]'))
+            .filter(link => relTokens(link).includes('canonical'))
+            .map(link => link.getAttribute('href').trim());
+
+        const charsets = [];
+        doc.querySelectorAll('meta[charset], meta[http-equiv]').forEach(meta => {
+            if (meta.hasAttribute('charset')) {
+                charsets.push({ value: meta.getAttribute('charset').trim(), source: '<meta charset>' });
+                return;
+            }
+            const match = /charset\s*=\s*["']?([^;"'\s]+)/i.exec(meta.getAttribute('content') || '');
+            if (meta.getAttribute('http-equiv').toLowerCase() === 'content-type' && match) {
+                charsets.push({ value: match[1], source: '<meta http-equiv="Content-Type">' });
+            }
+        });
+        const declaration = /<meta\b[^>]*\bcharset\s*=/i.exec(html);
+
+        const robots = Array.from(doc.querySelectorAll('meta[name][content]'))
+            .filter(meta => ROBOTS_NAMES.includes(meta.getAttribute('name').trim().toLowerCase()))
+            .map(meta => ({ name: meta.getAttribute('name').trim().toLowerCase(), content: meta.getAttribute('content') }));
+
+        const icons = Array.from(doc.querySelectorAll('link[rel][href]'))
+            .filter(link => relTokens(link).includes('icon'))
+            .map(link => ({ href: link.getAttribute('href').trim(), sizes: link.getAttribute('sizes') || '', type: link.getAttribute('type') || '' }));
+
+        const inBody = doc.body
+            ? Array.from(doc.body.querySelectorAll('meta, title, link')).filter(isHeadElement).map(describe)
+            : [];
+
+        return {
+            titles,
+            descriptions,
+            canonicals,
+            charsets,
+            charsetOffset: declaration ? byteLength(html.slice(0, declaration.index)) : -1,
+            robots,
+            icons,
+            inBody
+        };
+    }
+
+    // [{ agent, name, value }] from a robots content value. Directives may be
+    // scoped to a crawler ("googlebot: noindex"); agent is '' otherwise.
+    function parseRobots(content) {
+        const directives = [];
+        let agent = '';
+        (content || '').split(',').forEach(part => {
+            let text = part.trim();
+            const scoped = /^([\w-]+)\s*:\s*(.*)$/.exec(text);
+            if (scoped && !VALUE_DIRECTIVES.includes(scoped[1].toLowerCase())) {
+                agent = scoped[1].toLowerCase();
+                text = scoped[2];
+            }
+            const [name, ...value] = text.split(':');
+            if (name.trim()) {
+                directives.push({ agent, name: name.trim().toLowerCase(), value: value.join(':').trim() });
+            }
+        });
+        return directives;
+    }
+
+    // Problems with robots meta tags ([{ name, content }]), as
+    // { problem, severity, message } where problem is 'noindex', 'nofollow',
+    // 'snippet', 'image-preview', 'video-preview', 'noimageindex',
+    // 'unavailable-after', 'invalid-value' or 'unknown-directive'
+    function checkRobots(robots, now = new Date()) {
+        const problems = [];
+        robots.forEach(tag => {
+            parseRobots(tag.content).forEach(({ agent, name, value }) => {
+                const label = `<meta name="${tag.name}"> ${agent ? `${agent}: ` : ''}${value ? `${name}:${value}` : name}`;
+                const push = (problem, severity, message) => problems.push({ problem, severity, message: `${label} ${message}` });
+
+                if (name === 'noindex' || name === 'none') {
+                    push('noindex', 'error', name === 'none'
+                        ? 'keeps this page out of search results and stops crawlers from following its links.'
+                        : 'keeps this page out of search results.');
+                } else if (name === 'nofollow') {
+                    push('nofollow', 'warning', 'tells crawlers not to follow the links on this page.');
+                } else if (name === 'nosnippet') {
+                    push('snippet', 'warning', 'hides the text snippet under this page in search results.');
+                } else if (name === 'noimageindex') {
+                    push('noimageindex', 'warning', 'keeps the images on this page out of image search.');
+                } else if (name === 'max-snippet') {
+                    const length = Number(value);
+                    if (!/^-?\d+$/.test(value)) {
+                        push('invalid-value', 'warning', 'needs a number of characters, or -1 for no limit.');
+                    } else if (length === 0) {
+                        push('snippet', 'warning', 'hides the text snippet under this page in search results.');
+                    } else if (length > 0 && length < MIN_SNIPPET_LENGTH) {
+                        push('snippet', 'warning', `limits the search result snippet to ${length} characters.`);
+                    }
+                } else if (name === 'max-image-preview') {
+                    if (!['none', 'standard', 'large'].includes(value.toLowerCase())) {
+                        push('invalid-value', 'warning', 'must be none, standard or large.');
+                    } else if (value.toLowerCase() === 'none') {
+                        push('image-preview', 'warning', 'hides image previews for this page, including large images in Discover.');
+                    }
+                } else if (name === 'max-video-preview') {
+                    if (!/^-?\d+$/.test(value)) {
+                        push('invalid-value', 'warning', 'needs a number of seconds, or -1 for no limit.');
+                    } else if (Number(value) === 0) {
+                        push('video-preview', 'warning', 'hides video previews for this page.');
+                    }
+                } else if (name === 'unavailable_after') {
+                    const date = Date.parse(value);
+                    if (Number.isNaN(date)) {
+                        push('invalid-value', 'warning', 'needs a date such as 2025-12-31.');
+                    } else if (date <= now.getTime()) {
+                        push('unavailable-after', 'error', 'has passed, so this page is dropped from search results.');
+                    } else {
+                        push('unavailable-after', 'warning', 'drops this page from search results on that date.');
+                    }
+                } else if (!DIRECTIVES.includes(name)) {
+                    push('unknown-directive', 'warning', 'is not a robots directive and is ignored.');
+                }
+            });
+        });
+        return problems;
+    }
+
+    function sameHost(a, b) {
+        return a.hostname.replace(/^www\./, '') === b.hostname.replace(/^www\./, '');
+    }
+
+    function withoutHash(url) {
+        return url.href.replace(/#.*$/, '');
+    }
+
+    // Problems with a canonical URL, as { problem, severity, message } where
+    // problem is 'invalid', 'relative', 'fragment', 'cross-domain',
+    // 'protocol', 'other-page' or 'og-url'. pageUrl is the analyzed (final) URL.
+    function checkCanonical(canonical, pageUrl, ogUrl) {
+        const problems = [];
+        let page = null;
+        let target;
+        try {
+            page = new URL(pageUrl);
+        } catch (_) {
+            // Pasted or local HTML without a usable URL; only the canonical itself is checked
+        }
+        try {
+            target = new URL(canonical, page || undefined);
+        } catch (_) {
+            return [{ problem: 'invalid', severity: 'error', message: `Canonical "${canonical}" is not a valid URL, so search engines ignore it.` }];
+        }
+
+        if (!/^https?:\/\//i.test(canonical)) {
+            problems.push({
+                problem: 'relative',
+                severity: 'warning',
+                message: `Canonical "${canonical}" is relative. Use the absolute URL ${target.href} so copies of the page on other hosts point back here.`
+            });
+        }
+        if (target.hash) {
+            problems.push({
+                problem: 'fragment',
+                severity: 'warning',
+                message: `Canonical ${target.href} contains a #fragment, which search engines drop.`
+            });
+        }
+
+        if (page && /^https?:$/.test(page.protocol)) {
+            if (!sameHost(target, page)) {
+                problems.push({
+                    problem: 'cross-domain',
+                    severity: 'warning',
+                    message: `Canonical points to another domain (${target.hostname}), so this page's ranking goes to that site. Make sure that is intended.`
+                });
+            } else if (withoutHash(target) !== withoutHash(page)) {
+                if (target.protocol !== page.protocol && withoutHash(target).replace(/^https?:/, '') === withoutHash(page).replace(/^https?:/, '')) {
+                    problems.push({
+                        problem: 'protocol',
+                        severity: 'warning',
+                        message: `Canonical uses ${target.protocol.replace(':', '')} but the page is served over ${page.protocol.replace(':', '')}.`
+                    });
+                } else {
+                    problems.push({
+                        problem: 'other-page',
+                        severity: 'warning',
+                        message: `Canonical points to ${target.href}, not the analyzed URL ${page.href}, so this page is unlikely to be indexed itself.`
+                    });
+                }
+            }
+        }
+
+        if (ogUrl) {
+            try {
+                const og = new URL(ogUrl, page || undefined);
+                if (withoutHash(og) !== withoutHash(target)) {
+                    problems.push({
+                        problem: 'og-url',
+                        severity: 'warning',
+                        message: `og:url ${og.href} differs from the canonical ${target.href}, so shares and search results count toward different URLs.`
+                    });
+                }
+            } catch (_) {
+                // An unparseable og:url is reported by the Open Graph checks
+            }
+        }
+
+        return problems;
+    }
+
+    // Problems with the charset declaration, as { problem, severity, message }
+    // where problem is 'missing', 'multiple', 'not-utf8' or 'late'.
+    // headerCharset is the Content-Type header's charset when it is known.
+    function checkCharset(head, headerCharset) {
+        const problems = [];
+        const values = head.charsets.map(charset => charset.value.toLowerCase());
+        if (values.length === 0) {
+            if (!headerCharset) {
+                problems.push({
+                    problem: 'missing',
+                    severity: 'warning',
+                    message: 'No <meta charset> declaration, so browsers have to guess the encoding. Add <meta charset="utf-8"> at the top of <head>.'
+                });
+            }
+            return problems;
+        }
+
+        if (values.length > 1) {
+            problems.push({
+                problem: 'multiple',
+                severity: 'warning',
+                message: `The charset is declared ${values.length} times (${head.charsets.map(charset => `${charset.source} ${charset.value}`).join(', ')}); only the first counts.`
+            });
+        }
+        if (!['utf-8', 'utf8'].includes(values[0])) {
+            problems.push({
+                problem: 'not-utf8',
+                severity: 'warning',
+                message: `The page declares charset "${head.charsets[0].value}". HTML documents should be encoded as UTF-8.`
+            });
+        }
+        if (head.charsetOffset > CHARSET_SCAN_BYTES) {
+            problems.push({
+                problem: 'late',
+                severity: 'warning',
+                message: `The charset is declared ${head.charsetOffset} bytes into the document. Browsers only look in the first ${CHARSET_SCAN_BYTES}, so put it first in <head>.`
+            });
+        }
+        return problems;
+    }
+
+    // Problems with repeated head tags, as { problem, severity, message } where
+    // problem is 'title', 'description' or 'canonical'
+    function checkDuplicates(head) {
+        const problems = [];
+        const quoted = (values) => values.map(value => `"${value.length > 60 ? `${value.slice(0, 59)}…` : value}"`).join(', ');
+        if (head.titles.length > 1) {
+            problems.push({
+                problem: 'title',
+                severity: 'warning',
+                message: `The page has ${head.titles.length} <title> tags (${quoted(head.titles)}). Browsers and search engines use only one.`
+            });
+        }
+        if (head.descriptions.length > 1) {
+            problems.push({
+                problem: 'description',
+                severity: 'warning',
+                message: `The page has ${head.descriptions.length} meta descriptions (${quoted(head.descriptions)}). Search engines may pick any of them.`
+            });
+        }
+        if (new Set(head.canonicals).size > 1) {
+            problems.push({
+                problem: 'canonical',
+                severity: 'error',
+                message: `The page declares ${head.canonicals.length} different canonicals (${quoted(head.canonicals)}). Google ignores them all when they conflict.`
+            });
+        } else if (head.canonicals.length > 1) {
+            problems.push({
+                problem: 'canonical',
+                severity: 'warning',
+                message: `The canonical ${head.canonicals[0]} is declared ${head.canonicals.length} times. Keep one.`
+            });
+        }
+        return problems;
+    }
+
+    return {
+        ROBOTS_NAMES,
+        extractHead,
+        parseRobots,
+        checkRobots,
+        checkCanonical,
+        checkCharset,
+        checkDuplicates
+    };
+}));
@@ -0,0 +1,183 @@
+// Analysis history: an IndexedDB store of past single-page analyses and the
+// before/after comparison between two of them.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules'));
+    } else {
+        root.SEOHistory = factory(root.SEORules);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEORules) {
+    'use strict';
+
+    const DB_NAME = 'seoAnalyzer';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'analyses';
+    const MAX_ENTRIES = 500;
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Records are { id, url, analyzedAt (ISO string), metaTags, analysis, profile }
+    // where profile is the scoring profile id, missing on records saved before
+    // profiles were recorded
+    class HistoryStore {
+        constructor(indexedDB = typeof self !== 'undefined' ? self.indexedDB : undefined, dbName = DB_NAME) {
+            this.indexedDB = indexedDB;
+            this.dbName = dbName;
+            this.db = null;
+        }
+
+        async open() {
+            if (this.db) {
+                return this.db;
+            }
+            if (!this.indexedDB) {
+                throw new Error('IndexedDB is not available');
+            }
+
+            const request = this.indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('url', 'url');
+                store.createIndex('analyzedAt', 'analyzedAt');
+            };
+            this.db = await promisify(request);
+            return this.db;
+        }
+
+        async transaction(mode, callback) {
+            const db = await this.open();
+            const tx = db.transaction(STORE_NAME, mode);
+            const done = new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+            const result = await callback(tx.objectStore(STORE_NAME));
+            await done;
+            return result;
+        }
+
+        // Adds a record and drops the oldest ones beyond MAX_ENTRIES
+        async add({ url, analyzedAt, metaTags, analysis, profile }) {
+            const record = { url, analyzedAt: analyzedAt.toISOString(), metaTags, analysis, profile };
+            return this.transaction('readwrite', async (store) => {
+                const id = await promisify(store.add(record));
+                const keys = await promisify(store.getAllKeys());
+                keys.slice(0, Math.max(0, keys.length - MAX_ENTRIES)).forEach(key => store.delete(key));
+                return id;
+            });
+        }
+
+        // Newest first, optionally only for one URL
+        async list(url) {
+            const records = await this.transaction('readonly', store => promisify(
+                url ? store.index('url').getAll(url) : store.getAll()
+            ));
+            return records.sort((a, b) => b.analyzedAt.localeCompare(a.analyzedAt) || b.id - a.id);
+        }
+
+        async get(id) {
+            return this.transaction('readonly', store => promisify(store.get(id)));
+        }
+
+        async delete(id) {
+            return this.transaction('readwrite', store => promisify(store.delete(id)));
+        }
+
+        async clear() {
+            return this.transaction('readwrite', store => promisify(store.clear()));
+        }
+    }
+
+    // Findings keyed by rule id, numbered when a rule reports more than once
+    function findingsByKey(items) {
+        const counts = {};
+        const findings = new Map();
+        items.forEach(item => {
+            counts[item.id] = (counts[item.id] || 0) + 1;
+            findings.set(counts[item.id] > 1 ? `${item.id}#${counts[item.id]}` : item.id, item);
+        });
+        return findings;
+    }
+
+    // Single-valued tags compared value by value
+    const META_FIELDS = [
+        'title', 'description', 'keywords', 'canonical', 'robots', 'viewport', 'charset',
+        'ogTitle', 'ogDescription', 'ogImage', 'ogUrl', 'ogType', 'ogSiteName',
+        'twitterCard', 'twitterTitle', 'twitterDescription', 'twitterImage', 'twitterSite',
+        'author', 'language'
+    ];
+
+    // Structured sections are compared by size rather than dumped in full.
+    // Each returns '' when the section is missing, as in analyses saved
+    // before it was extracted.
+    const count = (list) => (Array.isArray(list) ? String(list.length) : '');
+    const META_SUMMARIES = {
+        wordCount: (metaTags) => (metaTags.content ? String(metaTags.content.wordCount) : ''),
+        headings: (metaTags) => (metaTags.content ? count(metaTags.content.headings) : ''),
+        structuredData: (metaTags) => count(metaTags.structuredData),
+        images: (metaTags) => count(metaTags.images),
+        links: (metaTags) => count(metaTags.links),
+        hreflang: (metaTags) => count(metaTags.hreflang)
+    };
+
+    // before and after are history records (or anything with metaTags and analysis).
+    // metaTags lists the META_FIELDS values and META_SUMMARIES counts that changed.
+    // profiles.changed is true when the two were graded with different scoring
+    // profiles, so score changes may come from the weights rather than the page.
+    function compareAnalyses(before, after, categories) {
+        const percentage = (analysis, id) => SEORules.categoryPercentage(analysis.categoryScores[id] || { maxScore: 0 });
+        const delta = (from, to) => (from === null || to === null ? null : to - from);
+
+        const beforeFindings = findingsByKey(before.analysis.items);
+        const afterFindings = findingsByKey(after.analysis.items);
+        const findings = [];
+        new Set([...beforeFindings.keys(), ...afterFindings.keys()]).forEach(key => {
+            const from = beforeFindings.get(key);
+            const to = afterFindings.get(key);
+            if (from && to && from.type === to.type) {
+                return;
+            }
+            findings.push({
+                id: (to || from).id,
+                title: (to || from).title,
+                before: from ? from.type : null,
+                after: to ? to.type : null,
+                description: (to || from).description
+            });
+        });
+
+        const metaTags = [];
+        const compareValue = (key, value) => {
+            const from = value(before.metaTags);
+            const to = value(after.metaTags);
+            if (from !== to) {
+                metaTags.push({ key, before: from, after: to });
+            }
+        };
+        META_FIELDS.forEach(key => compareValue(key, tags => tags[key] || ''));
+        Object.keys(META_SUMMARIES).forEach(key => compareValue(key, META_SUMMARIES[key]));
+
+        const profiles = { before: before.profile || null, after: after.profile || null };
+        profiles.changed = Boolean(profiles.before && profiles.after && profiles.before !== profiles.after);
+
+        return {
+            profiles,
+            score: { before: before.analysis.score, after: after.analysis.score, delta: after.analysis.score - before.analysis.score },
+            categories: categories.map(category => {
+                const from = percentage(before.analysis, category.id);
+                const to = percentage(after.analysis, category.id);
+                return { id: category.id, name: category.name, before: from, after: to, delta: delta(from, to) };
+            }),
+            findings,
+            metaTags
+        };
+    }
+
+    return { MAX_ENTRIES, HistoryStore, compareAnalyses };
+}));
@@ -0,0 +1,206 @@
+// Hreflang helpers: <link rel="alternate" hreflang> extraction, language and
+// region code validation and the optional return link check.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOHreflang = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Fetching more alternates than this would take minutes through a proxy
+    const MAX_ALTERNATE_CHECKS = 20;
+
+    // ISO 639-1 language codes
+    const LANGUAGES = new Set((
+        'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+        'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+        'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+        'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+        'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+        'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+    ).split(' '));
+
+    // ISO 3166-1 alpha-2 region codes
+    const REGIONS = new Set((
+        'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR ' +
+        'BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ ' +
+        'EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW ' +
+        'GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY ' +
+        'KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV ' +
+        'MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY ' +
+        'QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG ' +
+        'TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+    ).split(' '));
+
+    // Country codes commonly used where the language code was meant
+    const LANGUAGE_FIXES = {
+        jp: 'ja', cn: 'zh', gr: 'el', dk: 'da', se: 'sv', cz: 'cs', kr: 'ko', ua: 'uk', iw: 'he', in: 'id'
+    };
+
+    // Region codes that look right but are not ISO 3166-1
+    const REGION_FIXES = { UK: 'GB' };
+
+    function isLanguageCode(code) {
+        return LANGUAGES.has(code.toLowerCase());
+    }
+
+    // Every <link> with an hreflang whose rel includes "alternate":
+    // [{ hreflang, href }]
+    function extractAlternates(doc) {
+        return Array.from(doc.querySelectorAll('link[hreflang]'))
+            .filter(link => (link.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('alternate'))
+            .map(link => ({
+                hreflang: link.getAttribute('hreflang').trim(),
+                href: (link.getAttribute('href') || '').trim()
+            }));
+    }
+
+    // { valid, language, script, region, error, suggestion } for an hreflang
+    // value: "x-default" or language[-Script][-REGION]. suggestion is the
+    // corrected value when the mistake is a common one.
+    function parseHreflang(value) {
+        if (value.toLowerCase() === 'x-default') {
+            return { valid: true, language: 'x-default', script: '', region: '', error: '', suggestion: '' };
+        }
+
+        const parts = value.split(/[-_]/);
+        const language = parts[0].toLowerCase();
+        let script = '';
+        let region = '';
+        if (parts.length === 3) {
+            [, script, region] = parts;
+        } else if (parts.length === 2 && parts[1].length === 4) {
+            script = parts[1];
+        } else if (parts.length === 2) {
+            region = parts[1];
+        }
+        region = region.toUpperCase();
+        const result = { valid: false, language, script, region, error: '', suggestion: '' };
+
+        const fixedLanguage = LANGUAGE_FIXES[language] || language;
+        const fixedRegion = REGION_FIXES[region] || region;
+        const suggestion = [fixedLanguage, script && script[0].toUpperCase() + script.slice(1).toLowerCase(), fixedRegion]
+            .filter(Boolean)
+            .join('-');
+
+        if (!value || parts.length > 3 || parts.some(part => !part)) {
+            result.error = 'is not in the language-REGION format';
+        } else if (value.includes('_')) {
+            result.error = 'uses an underscore instead of a hyphen';
+        } else if (!LANGUAGES.has(language)) {
+            result.error = REGIONS.has(language.toUpperCase())
+                ? `starts with "${parts[0]}", which is a region code rather than an ISO 639-1 language code`
+                : `"${parts[0]}" is not an ISO 639-1 language code`;
+        } else if (script && !/^[a-z]{4}$/i.test(script)) {
+            result.error = `"${script}" is not an ISO 15924 script code`;
+        } else if (region && !REGIONS.has(region)) {
+            result.error = `"${parts[parts.length - 1]}" is not an ISO 3166-1 alpha-2 region code`;
+        } else {
+            result.valid = true;
+            return result;
+        }
+
+        if (parts.length <= 3 && suggestion !== value && LANGUAGES.has(fixedLanguage) &&
+            (!fixedRegion || REGIONS.has(fixedRegion))) {
+            result.suggestion = suggestion;
+        }
+        return result;
+    }
+
+    // Absolute URL of an alternate without its fragment, or '' when it cannot be resolved
+    function resolveAlternate(href, pageUrl) {
+        try {
+            const url = new URL(href, pageUrl);
+            url.hash = '';
+            return url.href;
+        } catch (_) {
+            return '';
+        }
+    }
+
+    // URLs that identify the page itself: its address, the final URL after
+    // redirects and the canonical URL
+    function selfUrls(metaTags, pageUrl) {
+        const urls = [pageUrl];
+        if (metaTags.http && metaTags.http.finalUrl) {
+            urls.push(metaTags.http.finalUrl);
+        }
+        if (metaTags.canonical) {
+            urls.push(metaTags.canonical);
+        }
+        return urls.map(url => resolveAlternate(url, pageUrl)).filter(Boolean);
+    }
+
+    // Whether a <html lang> value agrees with an hreflang value. Regions are
+    // only compared when both name one.
+    function languageMatches(hreflang, lang) {
+        const expected = parseHreflang(hreflang);
+        const actual = parseHreflang(lang.replace(/_/g, '-'));
+        if (expected.language === 'x-default') {
+            return true;
+        }
+        return expected.language === actual.language &&
+            (!expected.region || !actual.region || expected.region === actual.region);
+    }
+
+    // Fetches up to MAX_ALTERNATE_CHECKS alternates one at a time and checks
+    // that each links back to the page and declares a matching language.
+    // load(url) resolves to { alternates, language } for the fetched page and
+    // rejects when it cannot be fetched, with error.notChecked set when the URL
+    // was deliberately not fetched. urls are the page's own URLs (see
+    // selfUrls()); the first is used to resolve relative hrefs.
+    // Returns { total, results: [{ url, hreflang: [...], returnLink, language, languageMatches, error }],
+    // skipped: [{ url, hreflang: [...], reason }] }.
+    async function checkAlternates(alternates, urls, load) {
+        const pageUrl = urls[0];
+        const targets = [];
+        alternates.forEach(alternate => {
+            const url = resolveAlternate(alternate.href, pageUrl);
+            if (!url || !/^https?:/.test(url) || urls.includes(url)) {
+                return;
+            }
+            const existing = targets.find(target => target.url === url);
+            if (existing) {
+                existing.hreflang.push(alternate.hreflang);
+            } else {
+                targets.push({ url, hreflang: [alternate.hreflang] });
+            }
+        });
+
+        const results = [];
+        const skipped = [];
+        for (const target of targets.slice(0, MAX_ALTERNATE_CHECKS)) {
+            try {
+                const page = await load(target.url);
+                results.push({
+                    ...target,
+                    returnLink: page.alternates.some(alternate => urls.includes(resolveAlternate(alternate.href, target.url))),
+                    language: page.language,
+                    languageMatches: Boolean(page.language) &&
+                        target.hreflang.every(hreflang => languageMatches(hreflang, page.language)),
+                    error: ''
+                });
+            } catch (error) {
+                if (error.notChecked) {
+                    skipped.push({ ...target, reason: error.message });
+                } else {
+                    results.push({ ...target, returnLink: false, language: '', languageMatches: false, error: error.message });
+                }
+            }
+        }
+        return { total: targets.length, results, skipped };
+    }
+
+    return {
+        MAX_ALTERNATE_CHECKS,
+        isLanguageCode,
+        extractAlternates,
+        parseHreflang,
+        resolveAlternate,
+        selfUrls,
+        languageMatches,
+        checkAlternates
+    };
+}));
@@ -0,0 +1,206 @@
+// Image SEO helpers: <img> extraction, social preview image specifications and
+// pixel size sniffing from PNG, GIF, JPEG and WebP headers.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOImages = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Minimum and recommended sizes published by Facebook and X/Twitter. Twitter
+    // specs are keyed by twitter:card value.
+    const SOCIAL_IMAGE_SPECS = {
+        facebook: {
+            name: 'Facebook (Open Graph)',
+            minWidth: 200, minHeight: 200,
+            recommendedWidth: 1200, recommendedHeight: 630,
+            ratio: 1.91
+        },
+        twitter: {
+            summary_large_image: {
+                name: 'Twitter summary_large_image card',
+                minWidth: 300, minHeight: 157,
+                recommendedWidth: 1200, recommendedHeight: 600,
+                maxWidth: 4096, maxHeight: 4096,
+                ratio: 2
+            },
+            summary: {
+                name: 'Twitter summary card',
+                minWidth: 144, minHeight: 144,
+                recommendedWidth: 144, recommendedHeight: 144,
+                maxWidth: 4096, maxHeight: 4096,
+                ratio: 1
+            }
+        }
+    };
+
+    // Aspect ratios within this fraction of the target are not cropped noticeably
+    const RATIO_TOLERANCE = 0.1;
+
+    function extractImages(doc) {
+        return Array.from(doc.querySelectorAll('body img')).map(img => ({
+            src: img.getAttribute('src') || '',
+            alt: img.hasAttribute('alt') ? img.getAttribute('alt').trim() : null,
+            width: img.getAttribute('width') || '',
+            height: img.getAttribute('height') || '',
+            loading: (img.getAttribute('loading') || '').toLowerCase(),
+            srcset: img.getAttribute('srcset') || '',
+            inPicture: Boolean(img.parentElement && img.parentElement.localName === 'picture' &&
+                img.parentElement.querySelector('source[srcset]')),
+            decorative: img.getAttribute('role') === 'presentation' || img.getAttribute('aria-hidden') === 'true'
+        }));
+    }
+
+    // Social images to load, deduplicated: [{ url, sources: ['og:image', ...] }].
+    // Only http(s) URLs are included; other schemes cannot be fetched by crawlers.
+    function socialImageUrls(metaTags, baseUrl) {
+        const images = [];
+        [['og:image', metaTags.ogImage], ['twitter:image', metaTags.twitterImage]].forEach(([source, value]) => {
+            let url;
+            try {
+                url = new URL(value, baseUrl);
+            } catch (_) {
+                return;
+            }
+            if (!value || !['http:', 'https:'].includes(url.protocol)) {
+                return;
+            }
+            url = url.href;
+            const existing = images.find(image => image.url === url);
+            if (existing) {
+                existing.sources.push(source);
+            } else {
+                images.push({ url, sources: [source] });
+            }
+        });
+        return images;
+    }
+
+    // Specs a social image is shown under. Twitter falls back to og:image when
+    // there is no twitter:image.
+    function socialImageSpecs(image, metaTags) {
+        const specs = [];
+        if (image.sources.includes('og:image')) {
+            specs.push(SOCIAL_IMAGE_SPECS.facebook);
+        }
+        const twitterSpec = Object.prototype.hasOwnProperty.call(SOCIAL_IMAGE_SPECS.twitter, metaTags.twitterCard)
+            ? SOCIAL_IMAGE_SPECS.twitter[metaTags.twitterCard]
+            : null;
+        if (twitterSpec && (image.sources.includes('twitter:image') || !metaTags.twitterImage)) {
+            specs.push(twitterSpec);
+        }
+        return specs;
+    }
+
+    // Problems with a loaded image for one spec, as { problem, severity, message }
+    // where problem is 'too-small', 'small', 'too-large' or 'aspect-ratio'
+    function checkSocialImage(image, spec) {
+        const problems = [];
+        const { width, height } = image;
+
+        if (width < spec.minWidth || height < spec.minHeight) {
+            problems.push({
+                problem: 'too-small',
+                severity: 'error',
+                message: `${width}×${height}px is below the ${spec.name} minimum of ${spec.minWidth}×${spec.minHeight}px.`
+            });
+        } else if (width < spec.recommendedWidth || height < spec.recommendedHeight) {
+            problems.push({
+                problem: 'small',
+                severity: 'warning',
+                message: `${width}×${height}px is smaller than the recommended ${spec.recommendedWidth}×${spec.recommendedHeight}px for ${spec.name} and may look blurry.`
+            });
+        }
+        if (spec.maxWidth && (width > spec.maxWidth || height > spec.maxHeight)) {
+            problems.push({
+                problem: 'too-large',
+                severity: 'error',
+                message: `${width}×${height}px exceeds the ${spec.name} maximum of ${spec.maxWidth}×${spec.maxHeight}px.`
+            });
+        }
+
+        const ratio = width / height;
+        if (height > 0 && Math.abs(ratio - spec.ratio) / spec.ratio > RATIO_TOLERANCE) {
+            problems.push({
+                problem: 'aspect-ratio',
+                severity: 'warning',
+                message: `Aspect ratio ${ratio.toFixed(2)}:1 will be cropped to ${spec.ratio}:1 for ${spec.name}.`
+            });
+        }
+
+        return problems;
+    }
+
+    function readUint16(bytes, offset, littleEndian) {
+        return littleEndian
+            ? bytes[offset] | (bytes[offset + 1] << 8)
+            : (bytes[offset] << 8) | bytes[offset + 1];
+    }
+
+    function readUint24LE(bytes, offset) {
+        return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    }
+
+    function readUint32BE(bytes, offset) {
+        return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+    }
+
+    function ascii(bytes, offset, length) {
+        return String.fromCharCode(...bytes.slice(offset, offset + length));
+    }
+
+    // { width, height } from the first bytes of an image, or null for
+    // unrecognized formats and truncated headers
+    function imageDimensions(bytes) {
+        if (bytes.length >= 24 && readUint32BE(bytes, 0) === 0x89504e47 && ascii(bytes, 12, 4) === 'IHDR') {
+            return { width: readUint32BE(bytes, 16), height: readUint32BE(bytes, 20) };
+        }
+
+        if (bytes.length >= 10 && /^GIF8[79]a$/.test(ascii(bytes, 0, 6))) {
+            return { width: readUint16(bytes, 6, true), height: readUint16(bytes, 8, true) };
+        }
+
+        if (bytes.length >= 30 && ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+            const chunk = ascii(bytes, 12, 4);
+            if (chunk === 'VP8X') {
+                return { width: readUint24LE(bytes, 24) + 1, height: readUint24LE(bytes, 27) + 1 };
+            }
+            if (chunk === 'VP8 ') {
+                return { width: readUint16(bytes, 26, true) & 0x3fff, height: readUint16(bytes, 28, true) & 0x3fff };
+            }
+            if (chunk === 'VP8L') {
+                const bits = bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24);
+                return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+            }
+            return null;
+        }
+
+        if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+            // Walk the JPEG segments up to the first start-of-frame marker
+            let offset = 2;
+            while (offset + 9 < bytes.length) {
+                if (bytes[offset] !== 0xff) {
+                    return null;
+                }
+                const marker = bytes[offset + 1];
+                if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                    return { width: readUint16(bytes, offset + 7, false), height: readUint16(bytes, offset + 5, false) };
+                }
+                offset += 2 + readUint16(bytes, offset + 2, false);
+            }
+        }
+
+        return null;
+    }
+
+    return {
+        SOCIAL_IMAGE_SPECS,
+        extractImages,
+        socialImageUrls,
+        socialImageSpecs,
+        checkSocialImage,
+        imageDimensions
+    };
+}));
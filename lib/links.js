@@ -0,0 +1,155 @@
+// Link analysis: anchor extraction, internal/external classification, anchor
+// text and rel checks, and the optional broken internal link pass.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOLinks = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Checking more links than this would take minutes through a proxy
+    const MAX_LINK_CHECKS = 25;
+
+    // HTTP 413 from the fetch path: the page exists but exceeds the analysis limit
+    const TOO_LARGE_STATUS = 413;
+
+    // Anchor text that says nothing about the target page
+    const GENERIC_ANCHOR_TEXT = [
+        'click here', 'click', 'here', 'this', 'link', 'this link', 'read more', 'more', 'learn more',
+        'more info', 'more information', 'details', 'continue', 'go', 'this page', 'website'
+    ];
+
+    // Link text as search engines see it: visible text, else image alt text,
+    // else aria-label or title
+    function anchorText(anchor) {
+        const text = anchor.textContent.replace(/\s+/g, ' ').trim();
+        if (text) {
+            return text;
+        }
+        const alt = Array.from(anchor.querySelectorAll('img[alt]'))
+            .map(img => img.getAttribute('alt').trim())
+            .filter(Boolean)
+            .join(' ');
+        return alt || (anchor.getAttribute('aria-label') || anchor.getAttribute('title') || '').trim();
+    }
+
+    function extractLinks(doc) {
+        return Array.from(doc.querySelectorAll('body a[href]')).map(anchor => ({
+            href: anchor.getAttribute('href').trim(),
+            text: anchorText(anchor),
+            rel: (anchor.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean),
+            target: (anchor.getAttribute('target') || '').toLowerCase()
+        }));
+    }
+
+    function siteHost(hostname) {
+        return hostname.toLowerCase().replace(/^www\./, '');
+    }
+
+    // 'internal' or 'external' by hostname ("www." is ignored), 'javascript'
+    // for javascript: URLs and 'other' for mailto:, tel: and similar
+    function classifyLink(link, pageUrl) {
+        if (/^javascript:/i.test(link.href)) {
+            return 'javascript';
+        }
+        let url;
+        try {
+            url = new URL(link.href, pageUrl);
+        } catch (_) {
+            return 'other';
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'other';
+        }
+        let pageHost = '';
+        try {
+            pageHost = siteHost(new URL(pageUrl).hostname);
+        } catch (_) {
+            // Without a page URL every absolute link counts as external
+        }
+        return siteHost(url.hostname) === pageHost ? 'internal' : 'external';
+    }
+
+    function isGenericAnchorText(text) {
+        const normalized = text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+        return GENERIC_ANCHOR_TEXT.includes(normalized);
+    }
+
+    // target="_blank" pages can reach window.opener unless noopener (or
+    // noreferrer, which implies it) is set
+    function isUnsafeBlankTarget(link) {
+        return link.target === '_blank' && !link.rel.includes('noopener') && !link.rel.includes('noreferrer');
+    }
+
+    function summarizeLinks(links, pageUrl) {
+        const summary = { total: links.length, internal: 0, external: 0, javascript: 0, other: 0, nofollow: 0, sponsored: 0, ugc: 0 };
+        links.forEach(link => {
+            summary[classifyLink(link, pageUrl)]++;
+            ['nofollow', 'sponsored', 'ugc'].forEach(value => {
+                if (link.rel.includes(value)) {
+                    summary[value]++;
+                }
+            });
+        });
+        return summary;
+    }
+
+    // Unique internal page URLs without fragments, excluding the page itself
+    function internalLinkUrls(links, pageUrl) {
+        const self = new URL(pageUrl);
+        self.hash = '';
+        const urls = [];
+        links.filter(link => classifyLink(link, pageUrl) === 'internal').forEach(link => {
+            const url = new URL(link.href, pageUrl);
+            url.hash = '';
+            if (url.href !== self.href && !urls.includes(url.href)) {
+                urls.push(url.href);
+            }
+        });
+        return urls;
+    }
+
+    // Checks up to MAX_LINK_CHECKS internal links one at a time. check(url)
+    // resolves to { status } (0 when the fetch path does not report it) and
+    // rejects when the URL cannot be fetched, with error.status set to
+    // TOO_LARGE_STATUS when the page was served but is too large to analyze,
+    // or error.notChecked set when the URL was deliberately not fetched.
+    // Returns { total, results: [{ url, ok, status, error }], skipped: [{ url, reason }] }
+    // where ok is null when the link was fetched without a status to judge it by.
+    async function checkLinks(links, pageUrl, check) {
+        const urls = internalLinkUrls(links, pageUrl);
+        const results = [];
+        const skipped = [];
+        for (const url of urls.slice(0, MAX_LINK_CHECKS)) {
+            try {
+                const { status } = await check(url);
+                results.push({ url, ok: status ? status < 400 : null, status, error: '' });
+            } catch (error) {
+                if (error.notChecked) {
+                    skipped.push({ url, reason: error.message });
+                } else if (error.status === TOO_LARGE_STATUS) {
+                    // Too large to analyze still means the link works
+                    results.push({ url, ok: true, status: 0, error: '' });
+                } else {
+                    results.push({ url, ok: false, status: 0, error: error.message });
+                }
+            }
+        }
+        return { total: urls.length, results, skipped };
+    }
+
+    return {
+        MAX_LINK_CHECKS,
+        TOO_LARGE_STATUS,
+        GENERIC_ANCHOR_TEXT,
+        extractLinks,
+        classifyLink,
+        isGenericAnchorText,
+        isUnsafeBlankTarget,
+        summarizeLinks,
+        internalLinkUrls,
+        checkLinks
+    };
+}));
@@ -0,0 +1,171 @@
+// Mobile-friendliness helpers: viewport meta parsing and grading, and static
+// mobile signals (fixed-width inline styles, plugins, theme color and icons).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOMobile = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const VIEWPORT_KEYS = ['width', 'height', 'initial-scale', 'minimum-scale', 'maximum-scale', 'user-scalable', 'viewport-fit', 'interactive-widget', 'shrink-to-fit'];
+
+    // WCAG 1.4.4 asks for text to be resizable to 200%
+    const MIN_MAXIMUM_SCALE = 2;
+
+    // Inline widths above this overflow the screen of most phones
+    const MAX_FIXED_WIDTH = 480;
+
+    // Plugin content types that still render without a plugin
+    const NATIVE_EMBED_TYPES = /^(image\/|text\/html|application\/pdf)/i;
+    const NATIVE_EMBED_FILES = /\.(svg|png|jpe?g|gif|webp|pdf|html?)(?:[?#]|$)/i;
+
+    // { properties: { key: value }, separator } from a viewport content value.
+    // Keys are lowercased; separator is ';' when semicolons were used instead of commas.
+    function parseViewport(content) {
+        const separator = content.includes(';') && !content.includes(',') ? ';' : ',';
+        const properties = {};
+        content.split(/[,;]/).forEach(part => {
+            const [key, ...value] = part.split('=');
+            if (key.trim()) {
+                properties[key.trim().toLowerCase()] = value.join('=').trim();
+            }
+        });
+        return { properties, separator };
+    }
+
+    // Problems with a viewport content value, as { problem, severity, message }
+    // where problem is 'no-device-width', 'fixed-width', 'zoom-disabled',
+    // 'zoom-limited', 'initial-scale', 'syntax' or 'unknown-key'
+    function checkViewport(content) {
+        const { properties, separator } = parseViewport(content);
+        const problems = [];
+        const width = properties.width;
+        const initialScale = properties['initial-scale'];
+
+        if (width === undefined && initialScale === undefined) {
+            problems.push({
+                problem: 'no-device-width',
+                severity: 'error',
+                message: 'Neither width=device-width nor initial-scale is set, so mobile browsers render the page at desktop width.'
+            });
+        } else if (width === undefined) {
+            problems.push({
+                problem: 'no-device-width',
+                severity: 'warning',
+                message: 'width=device-width is missing. initial-scale alone is not handled consistently by all browsers.'
+            });
+        } else if (width.toLowerCase() !== 'device-width') {
+            problems.push({
+                problem: 'fixed-width',
+                severity: 'error',
+                message: `width=${width} fixes the layout width. Use width=device-width.`
+            });
+        }
+
+        if (initialScale !== undefined && Number(initialScale) !== 1) {
+            problems.push({
+                problem: 'initial-scale',
+                severity: 'warning',
+                message: `initial-scale=${initialScale} opens the page zoomed. Use initial-scale=1.`
+            });
+        }
+
+        const userScalable = (properties['user-scalable'] || '').toLowerCase();
+        const maximumScale = Number(properties['maximum-scale']);
+        if (['no', '0'].includes(userScalable)) {
+            problems.push({
+                problem: 'zoom-disabled',
+                severity: 'error',
+                message: `user-scalable=${properties['user-scalable']} stops visitors from zooming in to read the page.`
+            });
+        } else if (properties['maximum-scale'] !== undefined && maximumScale < MIN_MAXIMUM_SCALE) {
+            problems.push({
+                problem: 'zoom-limited',
+                severity: 'warning',
+                message: `maximum-scale=${properties['maximum-scale']} limits zooming below ${MIN_MAXIMUM_SCALE * 100}%.`
+            });
+        }
+
+        if (separator === ';') {
+            problems.push({
+                problem: 'syntax',
+                severity: 'warning',
+                message: 'Properties are separated with semicolons. Use commas.'
+            });
+        }
+        const unknown = Object.keys(properties).filter(key => !VIEWPORT_KEYS.includes(key));
+        if (unknown.length > 0) {
+            problems.push({
+                problem: 'unknown-key',
+                severity: 'warning',
+                message: `Unknown viewport ${unknown.length === 1 ? 'property' : 'properties'}: ${unknown.join(', ')}.`
+            });
+        }
+
+        return problems;
+    }
+
+    function describe(element) {
+        const src = element.getAttribute('src') || element.getAttribute('data') || element.getAttribute('id') || '';
+        return src ? `<${element.localName}> ${src}` : `<${element.localName}>`;
+    }
+
+    // Elements whose inline style sets a width or min-width wider than a phone
+    function fixedWidthElements(doc) {
+        const elements = [];
+        doc.querySelectorAll('body [style]').forEach(element => {
+            const style = element.getAttribute('style');
+            const pattern = /(?:^|;)\s*(min-width|width)\s*:\s*(\d+(?:\.\d+)?)px/gi;
+            let match;
+            while ((match = pattern.exec(style)) !== null) {
+                const width = Number(match[2]);
+                if (width > MAX_FIXED_WIDTH) {
+                    elements.push({ element: `<${element.localName}>`, property: match[1].toLowerCase(), width });
+                    break;
+                }
+            }
+        });
+        return elements;
+    }
+
+    // <embed>, <object> and <applet> content that needs a browser plugin
+    function pluginElements(doc) {
+        return Array.from(doc.querySelectorAll('body embed, body object, body applet'))
+            .filter(element => {
+                // Nested <object> fallbacks are reported through their parent
+                if (element.parentElement && element.parentElement.closest('object')) {
+                    return false;
+                }
+                const type = element.getAttribute('type');
+                return type
+                    ? !NATIVE_EMBED_TYPES.test(type)
+                    : !NATIVE_EMBED_FILES.test(element.getAttribute('src') || element.getAttribute('data') || '');
+            })
+            .map(describe);
+    }
+
+    // { themeColor, appleTouchIcon, manifest, plugins, fixedWidth }
+    function extractMobileSignals(doc) {
+        const link = (rel) => Array.from(doc.querySelectorAll('link[rel][href]'))
+            .find(element => element.getAttribute('rel').toLowerCase().split(/\s+/).includes(rel));
+        const appleTouchIcon = link('apple-touch-icon') || link('apple-touch-icon-precomposed');
+        const manifest = link('manifest');
+
+        return {
+            themeColor: doc.querySelector('meta[name="theme-color"]')?.getAttribute('content') || '',
+            appleTouchIcon: appleTouchIcon ? appleTouchIcon.getAttribute('href') : '',
+            manifest: manifest ? manifest.getAttribute('href') : '',
+            plugins: pluginElements(doc),
+            fixedWidth: fixedWidthElements(doc)
+        };
+    }
+
+    return {
+        MAX_FIXED_WIDTH,
+        parseViewport,
+        checkViewport,
+        extractMobileSignals
+    };
+}));
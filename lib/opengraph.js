@@ -0,0 +1,492 @@
+// Open Graph and Twitter Card parsing: keeps every og:, fb:, twitter: and
+// object type (article:, product:, ...) meta tag in document order, groups
+// structured properties such as og:image:width under their image and checks
+// the result against the Open Graph protocol and the Twitter Card types.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOOpenGraph = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PREFIXES = ['og', 'fb', 'article', 'book', 'profile', 'music', 'video', 'product', 'twitter'];
+
+    // Properties that start a new object; their own sub-properties (og:image:width)
+    // describe the most recent one
+    const STRUCTURED = ['og:image', 'og:video', 'og:audio', 'twitter:image', 'twitter:player'];
+
+    // Sub-properties that repeat the object's URL (twitter:image:src is a legacy alias)
+    const URL_KEYS = ['url', 'src'];
+
+    // Crawlers use the first value of these and ignore the rest
+    const SINGLE_VALUED = [
+        'og:title', 'og:type', 'og:url', 'og:description', 'og:site_name', 'og:locale', 'og:determiner', 'fb:app_id',
+        'twitter:card', 'twitter:site', 'twitter:creator', 'twitter:title', 'twitter:description'
+    ];
+
+    const REQUIRED_PROPERTIES = ['og:title', 'og:type', 'og:image', 'og:url'];
+
+    // Object types of the Open Graph protocol and Facebook's product types, with
+    // the namespace of their properties and the properties platforms expect
+    const OBJECT_TYPES = {
+        website: { namespace: null, expected: [] },
+        article: { namespace: 'article', expected: ['article:published_time'] },
+        book: { namespace: 'book', expected: [] },
+        profile: { namespace: 'profile', expected: [] },
+        'music.song': { namespace: 'music', expected: [] },
+        'music.album': { namespace: 'music', expected: [] },
+        'music.playlist': { namespace: 'music', expected: [] },
+        'music.radio_station': { namespace: 'music', expected: [] },
+        'video.movie': { namespace: 'video', expected: [] },
+        'video.episode': { namespace: 'video', expected: ['video:series'] },
+        'video.tv_show': { namespace: 'video', expected: [] },
+        'video.other': { namespace: 'video', expected: [] },
+        product: { namespace: 'product', expected: ['product:price:amount', 'product:price:currency'] },
+        'product.item': { namespace: 'product', expected: ['product:price:amount', 'product:price:currency'] },
+        'product.group': { namespace: 'product', expected: [] }
+    };
+
+    const TYPE_NAMESPACES = ['article', 'book', 'profile', 'music', 'video', 'product'];
+
+    const DATE_PROPERTIES = ['article:published_time', 'article:modified_time', 'article:expiration_time',
+        'book:release_date', 'music:release_date', 'video:release_date'];
+    const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+    const TWITTER_CARDS = ['summary', 'summary_large_image', 'app', 'player'];
+    const TWITTER_HANDLE = /^@\w{1,15}$/;
+
+    const LOCALE = /^[a-z]{2,3}_[A-Z]{2}$/;
+
+    function isSocialProperty(property) {
+        return PREFIXES.includes(property.split(':')[0]) && property.includes(':');
+    }
+
+    // [{ property, content, attribute }] for every Open Graph and Twitter meta
+    // tag with content, including those written with name= instead of property=
+    function extractSocialTags(doc) {
+        const tags = [];
+        doc.querySelectorAll('meta[property], meta[name]').forEach(meta => {
+            const content = (meta.getAttribute('content') || '').trim();
+            const attribute = ['property', 'name']
+                .find(name => meta.hasAttribute(name) && isSocialProperty(meta.getAttribute(name).trim().toLowerCase()));
+            if (attribute && content) {
+                tags.push({ property: meta.getAttribute(attribute).trim().toLowerCase(), content, attribute });
+            }
+        });
+        return tags;
+    }
+
+    // Tags equivalent to the flat metaTags fields, for analyses saved before
+    // the full tag list was kept
+    function tagsFromFields(metaTags) {
+        const fields = [
+            ['og:title', 'ogTitle'], ['og:description', 'ogDescription'], ['og:image', 'ogImage'], ['og:url', 'ogUrl'],
+            ['og:type', 'ogType'], ['og:site_name', 'ogSiteName'], ['twitter:card', 'twitterCard'],
+            ['twitter:title', 'twitterTitle'], ['twitter:description', 'twitterDescription'],
+            ['twitter:image', 'twitterImage'], ['twitter:site', 'twitterSite']
+        ];
+        return fields
+            .filter(([, key]) => metaTags[key])
+            .map(([property, key]) => ({
+                property,
+                content: metaTags[key],
+                attribute: property.startsWith('twitter:') ? 'name' : 'property'
+            }));
+    }
+
+    // { values, objects, orphans } where values holds every value of plain
+    // properties ({ 'og:locale:alternate': ['de_DE', 'fr_FR'] }), objects the
+    // structured ones ({ 'og:image': [{ url, width, height, alt }] }) and
+    // orphans the sub-properties that came before any object to describe
+    function parseSocialTags(tags) {
+        const values = {};
+        const objects = {};
+        const orphans = [];
+
+        tags.forEach(({ property, content }) => {
+            if (STRUCTURED.includes(property)) {
+                (objects[property] = objects[property] || []).push({ url: content });
+                return;
+            }
+
+            const root = STRUCTURED.find(candidate => property.startsWith(`${candidate}:`));
+            if (!root) {
+                (values[property] = values[property] || []).push(content);
+                return;
+            }
+
+            const key = property.slice(root.length + 1);
+            const list = objects[root] = objects[root] || [];
+            const current = list[list.length - 1];
+            if (URL_KEYS.includes(key)) {
+                // og:image:url may start an image as well as repeat og:image
+                if (current && !current.urlSet) {
+                    current.urlSet = true;
+                } else {
+                    list.push({ url: content, urlSet: true });
+                }
+            } else if (current) {
+                current[key] = current[key] === undefined ? content : current[key];
+            } else {
+                orphans.push(property);
+            }
+        });
+
+        Object.values(objects).forEach(list => list.forEach(object => delete object.urlSet));
+        return { values, objects, orphans };
+    }
+
+    // First value of a property, or the URL of the first structured object
+    function firstValue(social, property) {
+        if (STRUCTURED.includes(property)) {
+            const object = (social.objects[property] || [])[0];
+            return object ? object.url : '';
+        }
+        return (social.values[property] || [])[0] || '';
+    }
+
+    // Tags with the first value of property replaced. An empty value removes it,
+    // with its structured properties.
+    function setTag(tags, property, value, attribute = 'property') {
+        const index = tags.findIndex(tag => tag.property === property);
+        if (index === -1) {
+            return value ? [...tags, { property, content: value, attribute }] : tags;
+        }
+        if (value) {
+            return tags.map((tag, position) => (position === index ? { ...tag, content: value } : tag));
+        }
+        let end = index + 1;
+        while (end < tags.length && tags[end].property.startsWith(`${property}:`)) {
+            end++;
+        }
+        return [...tags.slice(0, index), ...tags.slice(end)];
+    }
+
+    // { value, relative, href } where href is the URL resolved against the page
+    function resolveUrl(value, pageUrl) {
+        let relative = false;
+        try {
+            new URL(value);
+        } catch (_) {
+            relative = true;
+        }
+        try {
+            return { value, relative, href: new URL(value, pageUrl).href };
+        } catch (_) {
+            return { value, relative, href: '' };
+        }
+    }
+
+    // { required, recommended } lists of the basic properties that are missing
+    function missingProperties(social) {
+        return {
+            required: REQUIRED_PROPERTIES.filter(property => !firstValue(social, property)),
+            recommended: firstValue(social, 'og:description') ? [] : ['og:description']
+        };
+    }
+
+    // Problems with og:type and the properties of its namespace, as
+    // { problem, severity, message } where problem is 'unknown-type',
+    // 'missing-property', 'type-mismatch', 'invalid-date', 'invalid-price' or
+    // 'invalid-currency'
+    function checkType(social) {
+        const type = firstValue(social, 'og:type');
+        const problems = [];
+        const definition = OBJECT_TYPES[type.toLowerCase()];
+
+        // Custom app types are namespaced like "books.quotes" or "myapp:recipe"
+        if (!definition && !type.includes(':')) {
+            problems.push({
+                problem: 'unknown-type',
+                severity: 'warning',
+                message: `og:type "${type}" is not an Open Graph object type. Crawlers treat the page as "website".`
+            });
+        }
+
+        if (definition) {
+            definition.expected
+                .filter(property => !firstValue(social, property))
+                .forEach(property => problems.push({
+                    problem: 'missing-property',
+                    severity: 'warning',
+                    message: `og:type "${type}" pages should set ${property}.`
+                }));
+        }
+
+        const namespace = definition ? definition.namespace : null;
+        const foreign = Object.keys(social.values)
+            .filter(property => TYPE_NAMESPACES.includes(property.split(':')[0]) && property.split(':')[0] !== namespace);
+        if (foreign.length > 0 && !type.includes(':')) {
+            problems.push({
+                problem: 'type-mismatch',
+                severity: 'warning',
+                message: `${foreign.join(', ')} ${foreign.length === 1 ? 'does' : 'do'} not apply to og:type "${type}" and ${foreign.length === 1 ? 'is' : 'are'} ignored.`
+            });
+        }
+
+        DATE_PROPERTIES.forEach(property => (social.values[property] || [])
+            .filter(value => !ISO_DATE.test(value) || Number.isNaN(Date.parse(value)))
+            .forEach(value => problems.push({
+                problem: 'invalid-date',
+                severity: 'warning',
+                message: `${property} "${value}" is not an ISO 8601 date such as 2024-05-01T09:00:00Z.`
+            })));
+
+        (social.values['product:price:amount'] || [])
+            .filter(value => !/^\d+(?:\.\d+)?$/.test(value))
+            .forEach(value => problems.push({
+                problem: 'invalid-price',
+                severity: 'warning',
+                message: `product:price:amount "${value}" must be a number such as 19.99, without a currency symbol.`
+            }));
+        (social.values['product:price:currency'] || [])
+            .filter(value => !/^[A-Z]{3}$/.test(value))
+            .forEach(value => problems.push({
+                problem: 'invalid-currency',
+                severity: 'warning',
+                message: `product:price:currency "${value}" must be an ISO 4217 code such as USD.`
+            }));
+
+        return problems;
+    }
+
+    // Problems with how the tags are written, as { problem, severity, message }
+    // where problem is 'name-attribute', 'duplicate', 'orphan', 'locale',
+    // 'app-id' or 'relative-url'
+    function checkMarkup(tags, social, pageUrl) {
+        const problems = [];
+        const openGraphTags = tags.filter(tag => !tag.property.startsWith('twitter:'));
+
+        const named = [...new Set(openGraphTags.filter(tag => tag.attribute === 'name').map(tag => tag.property))];
+        if (named.length > 0) {
+            problems.push({
+                problem: 'name-attribute',
+                severity: 'warning',
+                message: `${named.join(', ')} ${named.length === 1 ? 'uses' : 'use'} name= instead of property=. Facebook accepts it, but other Open Graph parsers only read property=.`
+            });
+        }
+
+        SINGLE_VALUED
+            .filter(property => new Set(social.values[property] || []).size > 1)
+            .forEach(property => problems.push({
+                problem: 'duplicate',
+                severity: 'warning',
+                message: `${property} is set ${social.values[property].length} times with different values; crawlers use the first, "${social.values[property][0]}".`
+            }));
+
+        [...new Set(social.orphans)].forEach(property => problems.push({
+            problem: 'orphan',
+            severity: 'warning',
+            message: `${property} comes before any ${property.split(':').slice(0, 2).join(':')}, so it describes nothing. Put it after the tag it belongs to.`
+        }));
+
+        [...(social.values['og:locale'] || []).slice(0, 1), ...(social.values['og:locale:alternate'] || [])]
+            .filter(locale => !LOCALE.test(locale))
+            .forEach(locale => problems.push({
+                problem: 'locale',
+                severity: 'warning',
+                message: `Locale "${locale}" should be language_TERRITORY, such as en_US.`
+            }));
+
+        const appId = firstValue(social, 'fb:app_id');
+        if (appId && !/^\d+$/.test(appId)) {
+            problems.push({
+                problem: 'app-id',
+                severity: 'warning',
+                message: `fb:app_id "${appId}" must be the numeric id of a Facebook app.`
+            });
+        }
+
+        const url = resolveUrl(firstValue(social, 'og:url'), pageUrl);
+        if (url.value && url.relative) {
+            problems.push({
+                problem: 'relative-url',
+                severity: 'error',
+                message: `og:url "${url.value}" is relative. It must be the absolute canonical URL${url.href ? `, such as ${url.href}` : ''}.`
+            });
+        }
+
+        return problems;
+    }
+
+    // Problems with each og:image, as { problem, severity, message } where
+    // problem is 'relative-url', 'scheme', 'insecure-url', 'image-type',
+    // 'missing-alt', 'missing-dimensions', 'invalid-dimensions' or
+    // 'dimension-mismatch'. loadedImages are metaTags.socialImages, to compare
+    // declared sizes with the real ones.
+    function checkImages(social, pageUrl, loadedImages = []) {
+        const problems = [];
+        const images = social.objects['og:image'] || [];
+
+        images.forEach((image, index) => {
+            const label = images.length > 1 ? `og:image ${index + 1}` : 'og:image';
+            const url = resolveUrl(image.url, pageUrl);
+
+            if (url.relative) {
+                problems.push({
+                    problem: 'relative-url',
+                    severity: 'error',
+                    message: `${label} "${image.url}" is relative. Crawlers do not resolve it against the page; use the absolute URL${url.href ? ` ${url.href}` : ''}.`
+                });
+            } else if (!/^https?:$/.test(new URL(url.href).protocol)) {
+                problems.push({
+                    problem: 'scheme',
+                    severity: 'error',
+                    message: `${label} "${image.url.slice(0, 60)}" is not an http(s) URL, so crawlers cannot fetch it.`
+                });
+            }
+            if (image.secure_url && !/^https:\/\//i.test(image.secure_url)) {
+                problems.push({
+                    problem: 'insecure-url',
+                    severity: 'warning',
+                    message: `${label} secure_url "${image.secure_url}" must be an https URL.`
+                });
+            }
+            if (image.type && !/^image\/[\w.+-]+$/i.test(image.type)) {
+                problems.push({
+                    problem: 'image-type',
+                    severity: 'warning',
+                    message: `${label} type "${image.type}" is not an image MIME type such as image/jpeg.`
+                });
+            }
+            if (!image.alt) {
+                problems.push({
+                    problem: 'missing-alt',
+                    severity: 'warning',
+                    message: `${label} has no og:image:alt describing it for screen reader users.`
+                });
+            }
+
+            if (image.width === undefined || image.height === undefined) {
+                problems.push({
+                    problem: 'missing-dimensions',
+                    severity: 'warning',
+                    message: `${label} has no og:image:width and og:image:height, so Facebook cannot show it on the first share until it has downloaded it.`
+                });
+                return;
+            }
+            const width = Number(image.width);
+            const height = Number(image.height);
+            if (!/^\d+$/.test(image.width) || !/^\d+$/.test(image.height) || width === 0 || height === 0) {
+                problems.push({
+                    problem: 'invalid-dimensions',
+                    severity: 'warning',
+                    message: `${label} size "${image.width}×${image.height}" must be whole numbers of pixels.`
+                });
+                return;
+            }
+            const loaded = loadedImages.find(candidate => candidate.url === url.href && candidate.status === 'loaded');
+            if (loaded && (loaded.width !== width || loaded.height !== height)) {
+                problems.push({
+                    problem: 'dimension-mismatch',
+                    severity: 'warning',
+                    message: `${label} declares ${width}×${height}px but is ${loaded.width}×${loaded.height}px.`
+                });
+            }
+        });
+
+        return problems;
+    }
+
+    // Problems with the Twitter Card, as { problem, severity, message } where
+    // problem is 'unknown-card', 'missing-title', 'missing-image',
+    // 'missing-player', 'missing-app', 'handle', 'relative-url' or 'missing-alt'.
+    // Twitter falls back to the Open Graph title, description and image.
+    function checkTwitterCard(social, pageUrl) {
+        const problems = [];
+        const card = firstValue(social, 'twitter:card').toLowerCase();
+        const image = firstValue(social, 'twitter:image') || firstValue(social, 'og:image');
+
+        if (!TWITTER_CARDS.includes(card)) {
+            problems.push({
+                problem: 'unknown-card',
+                severity: 'error',
+                message: `twitter:card "${card}" is not a card type (${TWITTER_CARDS.join(', ')}). Twitter shows no card.`
+            });
+        }
+        if (!firstValue(social, 'twitter:title') && !firstValue(social, 'og:title')) {
+            problems.push({
+                problem: 'missing-title',
+                severity: 'error',
+                message: 'Neither twitter:title nor og:title is set, and every card needs a title.'
+            });
+        }
+        if (card === 'summary_large_image' && !image) {
+            problems.push({
+                problem: 'missing-image',
+                severity: 'error',
+                message: 'summary_large_image cards need twitter:image or og:image; without one the card has no image.'
+            });
+        }
+        if (card === 'player') {
+            const player = (social.objects['twitter:player'] || [])[0];
+            const missing = [
+                ['twitter:player', player],
+                ['twitter:player:width', player && player.width],
+                ['twitter:player:height', player && player.height],
+                ['twitter:image', image]
+            ].filter(([, value]) => !value).map(([property]) => property);
+            if (missing.length > 0) {
+                problems.push({
+                    problem: 'missing-player',
+                    severity: 'error',
+                    message: `Player cards need ${missing.join(', ')}.`
+                });
+            }
+        }
+        if (card === 'app' && !['twitter:app:id:iphone', 'twitter:app:id:ipad', 'twitter:app:id:googleplay'].some(property => firstValue(social, property))) {
+            problems.push({
+                problem: 'missing-app',
+                severity: 'error',
+                message: 'App cards need twitter:app:id:iphone, twitter:app:id:ipad or twitter:app:id:googleplay.'
+            });
+        }
+
+        ['twitter:site', 'twitter:creator']
+            .filter(property => firstValue(social, property) && !TWITTER_HANDLE.test(firstValue(social, property)))
+            .forEach(property => problems.push({
+                problem: 'handle',
+                severity: 'warning',
+                message: `${property} "${firstValue(social, property)}" should be an @username.`
+            }));
+
+        const twitterImage = (social.objects['twitter:image'] || [])[0];
+        const twitterImageUrl = twitterImage ? resolveUrl(twitterImage.url, pageUrl) : null;
+        if (twitterImageUrl && twitterImageUrl.relative) {
+            problems.push({
+                problem: 'relative-url',
+                severity: 'error',
+                message: `twitter:image "${twitterImage.url}" is relative. Crawlers do not resolve it against the page; use the absolute URL${twitterImageUrl.href ? ` ${twitterImageUrl.href}` : ''}.`
+            });
+        }
+        if (twitterImage && !twitterImage.alt) {
+            problems.push({
+                problem: 'missing-alt',
+                severity: 'warning',
+                message: 'twitter:image has no twitter:image:alt describing it for screen reader users.'
+            });
+        }
+
+        return problems;
+    }
+
+    return {
+        REQUIRED_PROPERTIES,
+        OBJECT_TYPES,
+        TWITTER_CARDS,
+        isSocialProperty,
+        extractSocialTags,
+        tagsFromFields,
+        parseSocialTags,
+        firstValue,
+        setTag,
+        resolveUrl,
+        missingProperties,
+        checkType,
+        checkMarkup,
+        checkImages,
+        checkTwitterCard
+    };
+}));
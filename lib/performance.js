@@ -0,0 +1,193 @@
+// Static performance audit of the fetched HTML: document size, render-blocking
+// resources, inline weight, resource hints, third-party origins and request counts.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fetchers'));
+    } else {
+        root.SEOPerformance = factory(root.SEOFetchers);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEOFetchers) {
+    'use strict';
+
+    // Largest document the fetch backends accept
+    const MAX_DOCUMENT_SIZE = SEOFetchers.MAX_CONTENT_LENGTH;
+
+    // Script types browsers execute; anything else (JSON-LD, templates) is data
+    const JAVASCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module', 'text/ecmascript', 'application/ecmascript'];
+
+    function byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    function isJavaScript(script) {
+        return JAVASCRIPT_TYPES.includes((script.getAttribute('type') || '').trim().toLowerCase());
+    }
+
+    function relTokens(element) {
+        return (element.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    // Stylesheets only block rendering for media that match the screen
+    function isBlockingMedia(media) {
+        return !media || /^\s*(all|screen)\s*$/i.test(media);
+    }
+
+    // Resources the browser requests while loading the page: [{ url, type }]
+    function requestedResources(doc) {
+        const resources = [];
+        const add = (selector, attribute, type) => {
+            doc.querySelectorAll(selector).forEach(element => {
+                const url = (element.getAttribute(attribute) || '').trim();
+                if (url && !/^(data|blob|javascript):/i.test(url)) {
+                    resources.push({ url, type });
+                }
+            });
+        };
+        doc.querySelectorAll('script[src]').forEach(script => {
+            if (isJavaScript(script)) {
+                resources.push({ url: script.getAttribute('src').trim(), type: 'script' });
+            }
+        });
+        doc.querySelectorAll('link[href]').forEach(link => {
+            const rel = relTokens(link);
+            if (rel.includes('stylesheet')) {
+                resources.push({ url: link.getAttribute('href').trim(), type: 'stylesheet' });
+            } else if (rel.includes('preload') || rel.includes('icon')) {
+                resources.push({ url: link.getAttribute('href').trim(), type: rel.includes('icon') ? 'icon' : 'preload' });
+            }
+        });
+        add('body img[src]', 'src', 'image');
+        add('body iframe[src]', 'src', 'iframe');
+        add('body video[src], body audio[src], body video > source[src], body audio > source[src]', 'src', 'media');
+        add('body video[poster]', 'poster', 'image');
+        add('body embed[src]', 'src', 'embed');
+        add('body object[data]', 'data', 'embed');
+        return resources;
+    }
+
+    // Size, blocking resources, inline weight, hints and requested resources of
+    // a parsed page. html is the source the document was parsed from.
+    function extractPerformance(doc, html) {
+        const head = doc.head;
+        const headElements = (selector) => (head ? Array.from(head.querySelectorAll(selector)) : []);
+
+        const blockingScripts = headElements('script[src]')
+            .filter(script => isJavaScript(script) && !script.hasAttribute('async') && !script.hasAttribute('defer') &&
+                (script.getAttribute('type') || '').toLowerCase() !== 'module')
+            .map(script => script.getAttribute('src').trim());
+        const blockingStylesheets = headElements('link[href]')
+            .filter(link => relTokens(link).includes('stylesheet') && !relTokens(link).includes('alternate') &&
+                isBlockingMedia(link.getAttribute('media')) && !link.hasAttribute('disabled'))
+            .map(link => link.getAttribute('href').trim());
+
+        const inlineScriptBytes = Array.from(doc.querySelectorAll('script:not([src])'))
+            .filter(isJavaScript)
+            .reduce((sum, script) => sum + byteLength(script.textContent), 0);
+        const inlineStyleBytes = Array.from(doc.querySelectorAll('style'))
+            .reduce((sum, style) => sum + byteLength(style.textContent), 0);
+
+        const hints = { preconnect: [], dnsPrefetch: [], preload: [] };
+        doc.querySelectorAll('link[href]').forEach(link => {
+            const rel = relTokens(link);
+            const href = link.getAttribute('href').trim();
+            if (rel.includes('preconnect')) {
+                hints.preconnect.push(href);
+            }
+            if (rel.includes('dns-prefetch')) {
+                hints.dnsPrefetch.push(href);
+            }
+            if (rel.includes('preload') || rel.includes('modulepreload')) {
+                hints.preload.push(href);
+            }
+        });
+
+        // The first image is the likeliest Largest Contentful Paint element
+        const firstImage = doc.querySelector('body img[src]');
+
+        return {
+            documentBytes: byteLength(html),
+            blockingScripts,
+            blockingStylesheets,
+            inlineScriptBytes,
+            inlineStyleBytes,
+            hints,
+            firstImage: firstImage
+                ? { src: firstImage.getAttribute('src').trim(), fetchPriority: (firstImage.getAttribute('fetchpriority') || '').toLowerCase() }
+                : null,
+            resources: requestedResources(doc)
+        };
+    }
+
+    function absoluteUrl(url, pageUrl) {
+        try {
+            return new URL(url, pageUrl).href;
+        } catch (_) {
+            return '';
+        }
+    }
+
+    function hostOf(url, pageUrl) {
+        try {
+            const parsed = new URL(url, pageUrl);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.hostname.toLowerCase().replace(/^www\./, '') : '';
+        } catch (_) {
+            return '';
+        }
+    }
+
+    function originOf(url, pageUrl) {
+        try {
+            const parsed = new URL(url, pageUrl);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.origin : '';
+        } catch (_) {
+            return '';
+        }
+    }
+
+    // Origins other than the page's own ("www." is ignored) that resources load from
+    function thirdPartyOrigins(urls, pageUrl) {
+        const pageHost = hostOf(pageUrl, pageUrl);
+        const origins = [];
+        urls.forEach(url => {
+            const origin = originOf(url, pageUrl);
+            if (origin && hostOf(url, pageUrl) !== pageHost && !origins.includes(origin)) {
+                origins.push(origin);
+            }
+        });
+        return origins;
+    }
+
+    // Third-party origins on the critical path (render-blocking resources)
+    // that have no preconnect or dns-prefetch hint
+    function missingPreconnects(performance, pageUrl) {
+        const hinted = [...performance.hints.preconnect, ...performance.hints.dnsPrefetch].map(url => originOf(url, pageUrl));
+        return thirdPartyOrigins([...performance.blockingScripts, ...performance.blockingStylesheets], pageUrl)
+            .filter(origin => !hinted.includes(origin));
+    }
+
+    // Whether the first image is preloaded or fetched with high priority
+    function isFirstImagePrioritized(performance, pageUrl) {
+        const { firstImage, hints } = performance;
+        if (!firstImage) {
+            return true;
+        }
+        const src = absoluteUrl(firstImage.src, pageUrl);
+        return firstImage.fetchPriority === 'high' || hints.preload.some(href => absoluteUrl(href, pageUrl) === src);
+    }
+
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+        }
+        return bytes >= 1024 ? `${Math.round(bytes / 1024)}KB` : `${bytes}B`;
+    }
+
+    return {
+        MAX_DOCUMENT_SIZE,
+        extractPerformance,
+        thirdPartyOrigins,
+        missingPreconnects,
+        isFirstImagePrioritized,
+        formatBytes
+    };
+}));
@@ -0,0 +1,290 @@
+// Link preview registry: how each social platform and messenger renders a
+// shared link, modeled as tag fallback chains, an image layout and crop, and
+// the number of characters shown before text is cut off.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOPreviews = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LAYOUTS = ['large', 'thumbnail', 'player'];
+
+    const ELLIPSIS = '…';
+
+    // Twitter card types; anything else renders as a summary card
+    const TWITTER_CARDS = ['summary', 'summary_large_image', 'app', 'player'];
+
+    function hostname(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (_) {
+            return '';
+        }
+    }
+
+    function twitterCard(metaTags) {
+        const card = (metaTags.twitterCard || '').trim().toLowerCase();
+        return TWITTER_CARDS.includes(card) ? card : 'summary';
+    }
+
+    // Slack and Discord show a large image only for summary_large_image cards
+    function unfurlLayout(metaTags) {
+        return twitterCard(metaTags) === 'summary_large_image' ? 'large' : 'thumbnail';
+    }
+
+    // Fallback chains list metaTags paths (e.g. 'mobile.themeColor') or
+    // functions of (metaTags, url), tried in order; a null chain is a field the
+    // platform does not show. crop holds the image aspect ratio per layout and
+    // limits the characters shown before the ellipsis.
+    const PLATFORMS = [
+        {
+            id: 'facebook',
+            name: 'Facebook',
+            icon: 'fab fa-facebook',
+            title: ['ogTitle', 'title'],
+            description: ['ogDescription', 'description'],
+            image: ['ogImage'],
+            siteName: null,
+            showDomain: true,
+            crop: { large: 1.91 },
+            limits: { title: 88, description: 110 }
+        },
+        {
+            id: 'twitter',
+            name: 'Twitter',
+            icon: 'fab fa-twitter',
+            title: ['twitterTitle', 'ogTitle', 'title'],
+            description: ['twitterDescription', 'ogDescription', 'description'],
+            image: ['twitterImage', 'ogImage'],
+            siteName: null,
+            showDomain: true,
+            crop: { large: 2, thumbnail: 1, player: 16 / 9 },
+            limits: { title: 70, description: 200 },
+            layout(metaTags) {
+                return { summary_large_image: 'large', player: 'player' }[twitterCard(metaTags)] || 'thumbnail';
+            },
+            notes(metaTags) {
+                const card = (metaTags.twitterCard || '').trim();
+                if (!card) {
+                    return ['No twitter:card tag, so Twitter falls back to a summary card.'];
+                }
+                if (!TWITTER_CARDS.includes(card.toLowerCase())) {
+                    return [`Unknown card type "${card}" renders as a summary card.`];
+                }
+                if (card.toLowerCase() === 'app') {
+                    return ['App cards show the app store listing from the twitter:app tags; shown here as a summary card.'];
+                }
+                return [`Rendered as a ${card.toLowerCase()} card.`];
+            }
+        },
+        {
+            id: 'linkedin',
+            name: 'LinkedIn',
+            icon: 'fab fa-linkedin',
+            title: ['ogTitle', 'title'],
+            description: null,
+            image: ['ogImage'],
+            siteName: null,
+            showDomain: true,
+            crop: { large: 1.91 },
+            limits: { title: 70 }
+        },
+        {
+            id: 'slack',
+            name: 'Slack',
+            icon: 'fab fa-slack',
+            title: ['ogTitle', 'twitterTitle', 'title'],
+            description: ['ogDescription', 'twitterDescription', 'description'],
+            image: ['ogImage', 'twitterImage'],
+            siteName: ['ogSiteName', (metaTags, url) => hostname(url)],
+            showDomain: false,
+            crop: { large: 1.91, thumbnail: 1 },
+            limits: { title: 150, description: 300 },
+            layout: unfurlLayout
+        },
+        {
+            id: 'discord',
+            name: 'Discord',
+            icon: 'fab fa-discord',
+            title: ['ogTitle', 'twitterTitle', 'title'],
+            description: ['ogDescription', 'twitterDescription', 'description'],
+            image: ['ogImage', 'twitterImage'],
+            siteName: ['ogSiteName'],
+            showDomain: false,
+            // The embed's side bar takes the page's theme color
+            accent: ['mobile.themeColor'],
+            crop: { large: 1.91, thumbnail: 1 },
+            limits: { title: 256, description: 350 },
+            layout: unfurlLayout
+        },
+        {
+            id: 'whatsapp',
+            name: 'WhatsApp',
+            icon: 'fab fa-whatsapp',
+            title: ['ogTitle', 'title'],
+            description: ['ogDescription', 'description'],
+            image: ['ogImage'],
+            siteName: null,
+            showDomain: true,
+            crop: { thumbnail: 1 },
+            limits: { title: 65, description: 80 },
+            layout: () => 'thumbnail'
+        },
+        {
+            id: 'imessage',
+            name: 'iMessage',
+            icon: 'fab fa-apple',
+            title: ['ogTitle', 'title'],
+            description: null,
+            // Without og:image Messages shows the site icon beside the title
+            image: ['ogImage', 'mobile.appleTouchIcon', 'favicon'],
+            siteName: null,
+            showDomain: true,
+            crop: { large: 1.91, thumbnail: 1 },
+            limits: { title: 80 },
+            layout: (metaTags) => (metaTags.ogImage ? 'large' : 'thumbnail')
+        },
+        {
+            id: 'pinterest',
+            name: 'Pinterest Rich Pin',
+            icon: 'fab fa-pinterest',
+            title: ['ogTitle', 'title'],
+            description: ['ogDescription', 'description'],
+            image: ['ogImage'],
+            siteName: ['ogSiteName', (metaTags, url) => hostname(url)],
+            showDomain: false,
+            crop: { large: 2 / 3 },
+            limits: { title: 100, description: 500 },
+            notes(metaTags) {
+                const type = (metaTags.ogType || '').trim().toLowerCase();
+                return ['article', 'product', 'recipe'].includes(type)
+                    ? []
+                    : ['Rich Pins need og:type article, product or recipe; this page saves as a plain Pin.'];
+            }
+        }
+    ];
+
+    function getPlatform(id) {
+        return PLATFORMS.find(platform => platform.id === id);
+    }
+
+    function isChain(chain) {
+        return Array.isArray(chain) && chain.every(step => typeof step === 'string' || typeof step === 'function');
+    }
+
+    // Adds a platform, or replaces the one with the same id
+    function registerPlatform(platform) {
+        if (!platform || typeof platform.id !== 'string' || !platform.id) {
+            throw new TypeError('Preview platform must have a non-empty string id');
+        }
+        if (typeof platform.name !== 'string' || !platform.name) {
+            throw new TypeError(`Preview platform "${platform.id}" must have a name`);
+        }
+        ['title', 'image'].forEach(field => {
+            if (!isChain(platform[field])) {
+                throw new TypeError(`Preview platform "${platform.id}" ${field} must be a fallback chain`);
+            }
+        });
+        ['description', 'siteName', 'accent'].forEach(field => {
+            if (platform[field] != null && !isChain(platform[field])) {
+                throw new TypeError(`Preview platform "${platform.id}" ${field} must be a fallback chain or null`);
+            }
+        });
+        if (!platform.crop || !Object.keys(platform.crop).every(layout => LAYOUTS.includes(layout))) {
+            throw new TypeError(`Preview platform "${platform.id}" crop layouts must be one of: ${LAYOUTS.join(', ')}`);
+        }
+
+        const index = PLATFORMS.findIndex(existing => existing.id === platform.id);
+        if (index === -1) {
+            PLATFORMS.push(platform);
+        } else {
+            PLATFORMS[index] = platform;
+        }
+        return platform;
+    }
+
+    function tagValue(metaTags, path) {
+        const value = path.split('.').reduce((object, key) => (object ? object[key] : undefined), metaTags);
+        return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    // First non-empty value along a fallback chain, or '' for a null chain
+    function resolve(chain, metaTags, url) {
+        for (const step of chain || []) {
+            const value = typeof step === 'function' ? step(metaTags, url) : tagValue(metaTags, step);
+            if (value) {
+                return value;
+            }
+        }
+        return '';
+    }
+
+    // Cuts text at the last word that fits the limit and appends an ellipsis
+    function clip(text, limit) {
+        if (!limit || text.length <= limit) {
+            return { text, truncated: false };
+        }
+        let visible = text.slice(0, limit - 1);
+        if (text.charAt(limit - 1) !== ' ' && visible.lastIndexOf(' ') > 0) {
+            visible = visible.slice(0, visible.lastIndexOf(' '));
+        }
+        return { text: visible.replace(/[\s,;:|\-–—]+$/, '') + ELLIPSIS, truncated: true };
+    }
+
+    // Hex, rgb()/hsl() and named colors only, so the value is safe to put in a style
+    function cssColor(value) {
+        return /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%]+\)|[a-z]+)$/i.test(value) ? value : '';
+    }
+
+    // Everything a platform's preview shows for a page:
+    // { id, name, icon, layout, aspectRatio, title, description, image,
+    //   siteName, domain, accent, notes }
+    function buildPreview(platform, metaTags, url) {
+        const layout = platform.layout ? platform.layout(metaTags, url) : 'large';
+        const domain = hostname(url);
+        const notes = platform.notes ? platform.notes(metaTags, url) : [];
+        const limits = platform.limits || {};
+
+        // Platforms show the bare URL when a page has no title at all
+        const title = clip(resolve(platform.title, metaTags, url) || domain, limits.title);
+        const description = clip(resolve(platform.description, metaTags, url), limits.description);
+        if (title.truncated) {
+            notes.push(`Title cut off after ${limits.title} characters.`);
+        }
+        if (description.truncated) {
+            notes.push(`Description cut off after ${limits.description} characters.`);
+        }
+
+        return {
+            id: platform.id,
+            name: platform.name,
+            icon: platform.icon,
+            layout,
+            aspectRatio: platform.crop[layout] || platform.crop.large || 1,
+            title: title.text,
+            description: description.text,
+            image: resolve(platform.image, metaTags, url),
+            siteName: resolve(platform.siteName, metaTags, url),
+            domain: platform.showDomain ? domain : '',
+            accent: cssColor(resolve(platform.accent, metaTags, url)),
+            notes
+        };
+    }
+
+    function buildPreviews(metaTags, url) {
+        return PLATFORMS.map(platform => buildPreview(platform, metaTags, url));
+    }
+
+    return {
+        LAYOUTS,
+        PLATFORMS,
+        getPlatform,
+        registerPlatform,
+        twitterCard,
+        buildPreview,
+        buildPreviews
+    };
+}));
@@ -0,0 +1,170 @@
+// Scoring profiles: named rule weights, disabled rules, thresholds and status
+// bands applied to a RuleEngine. Built-in presets cover common kinds of site;
+// user profiles are plain JSON so they can be exported, edited and shared.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules'));
+    } else {
+        root.SEOProfiles = factory(root.SEORules);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEORules) {
+    'use strict';
+
+    const FIELDS = ['name', 'description', 'weights', 'disabled', 'thresholds', 'bands'];
+
+    // Profiles are { id, name, description, builtIn, weights: { ruleId: weight },
+    // disabled: [ruleId], thresholds: { id: value }, bands: { bandId: minimum } };
+    // anything a profile leaves out keeps the engine default
+    const PRESETS = [
+        {
+            id: 'default',
+            name: 'Default',
+            description: 'Balanced weights for most sites.',
+            builtIn: true,
+            weights: {},
+            disabled: [],
+            thresholds: {},
+            bands: {}
+        },
+        {
+            id: 'ecommerce',
+            name: 'E-commerce',
+            description: 'Product pages: structured data and images count most, short copy is fine.',
+            builtIn: true,
+            weights: {
+                'structured-data': 30,
+                'social-images': 15,
+                'open-graph-images': 15,
+                'image-alt': 15,
+                'image-dimensions': 10,
+                'responsive-images': 10
+            },
+            disabled: ['readability'],
+            thresholds: {
+                wordCount: [150, 50]
+            },
+            bands: {}
+        },
+        {
+            id: 'blog',
+            name: 'Blog',
+            description: 'Articles: long, readable, well-structured text that shares well.',
+            builtIn: true,
+            weights: {
+                'word-count': 15,
+                'readability': 15,
+                'heading-structure': 15,
+                'open-graph': 20,
+                'structured-data': 5
+            },
+            disabled: [],
+            thresholds: {
+                wordCount: [800, 300]
+            },
+            bands: {}
+        },
+        {
+            id: 'strict',
+            name: 'Strict',
+            description: 'Tighter limits and status bands for sites that already score well.',
+            builtIn: true,
+            weights: {},
+            disabled: [],
+            thresholds: {
+                titleWidth: [350, 560],
+                descriptionWidth: [700, 880],
+                readability: [70, 50],
+                responseTimeMs: [500, 1000],
+                documentBytes: [50 * 1024, 200 * 1024],
+                thirdPartyOrigins: [3, 6],
+                resourceCount: [30, 60]
+            },
+            bands: { excellent: 95, good: 85, warning: 70 }
+        }
+    ];
+
+    function getPreset(id) {
+        return PRESETS.find(preset => preset.id === id);
+    }
+
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    // Resets the engine to its defaults, then applies the profile's changes
+    function applyProfile(engine, profile) {
+        engine.reset();
+        Object.keys(profile.weights).forEach(id => engine.setWeight(id, profile.weights[id]));
+        profile.disabled.forEach(id => engine.disable(id));
+        Object.keys(profile.thresholds).forEach(id => engine.setThreshold(id, profile.thresholds[id]));
+        engine.setBands(profile.bands);
+        return engine;
+    }
+
+    // Checks imported data against the engine's rules and returns a clean
+    // user profile; throws with the first problem found
+    function normalizeProfile(data, engine) {
+        if (!isObject(data)) {
+            throw new TypeError('Profile must be a JSON object');
+        }
+        const unknown = Object.keys(data).filter(key => !FIELDS.includes(key) && key !== 'id' && key !== 'builtIn');
+        if (unknown.length > 0) {
+            throw new TypeError(`Unknown profile field "${unknown[0]}"; expected ${FIELDS.join(', ')}`);
+        }
+        if (typeof data.name !== 'string' || !data.name.trim()) {
+            throw new TypeError('Profile must have a name');
+        }
+        ['weights', 'thresholds', 'bands'].forEach(field => {
+            if (data[field] !== undefined && !isObject(data[field])) {
+                throw new TypeError(`Profile ${field} must be an object`);
+            }
+        });
+        if (data.disabled !== undefined && !(Array.isArray(data.disabled) && data.disabled.every(id => typeof id === 'string'))) {
+            throw new TypeError('Profile disabled must be a list of rule ids');
+        }
+
+        const name = data.name.trim();
+        const profile = {
+            id: `custom:${name.toLowerCase()}`,
+            name,
+            description: typeof data.description === 'string' ? data.description : '',
+            builtIn: false,
+            weights: { ...data.weights },
+            disabled: [...(data.disabled || [])],
+            thresholds: { ...data.thresholds },
+            bands: { ...data.bands }
+        };
+
+        // The engine's own checks validate rule ids and values; a scratch
+        // engine keeps the one in use untouched
+        const scratch = new SEORules.RuleEngine([...engine.declared.values()], engine.categories);
+        applyProfile(scratch, profile);
+        return profile;
+    }
+
+    function parseProfile(json, engine) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new SyntaxError(`Profile is not valid JSON: ${error.message}`);
+        }
+        return normalizeProfile(data, engine);
+    }
+
+    // Ids and the built-in flag are assigned on import, so they are left out
+    function serializeProfile(profile) {
+        const data = {};
+        FIELDS.forEach(field => {
+            data[field] = profile[field];
+        });
+        return JSON.stringify(data, null, 2);
+    }
+
+    return {
+        PRESETS,
+        getPreset,
+        applyProfile,
+        normalizeProfile,
+        parseProfile,
+        serializeProfile
+    };
+}));
@@ -0,0 +1,1851 @@
+// Declarative SEO rule registry.
+//
+// Every check declares its id, category, weight, severity and evaluator. The
+// engine derives item lists, pass/warning/error counters, category scores and
+// the overall score from those declarations, so rules can be added, disabled
+// or re-weighted without touching any scoring code. Numeric thresholds and the
+// category status bands live on the engine too, so a scoring profile can tune
+// them per site.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schema'), require('./content'), require('./images'), require('./links'), require('./hreflang'),
+            require('./accessibility'), require('./mobile'), require('./performance'), require('./serp'), require('./opengraph'),
+            require('./head'));
+    } else {
+        root.SEORules = factory(root.SEOSchema, root.SEOContent, root.SEOImages, root.SEOLinks, root.SEOHreflang,
+            root.SEOAccessibility, root.SEOMobile, root.SEOPerformance, root.SEOSerp, root.SEOOpenGraph,
+            root.SEOHead);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEOSchema, SEOContent, SEOImages, SEOLinks, SEOHreflang, SEOAccessibility, SEOMobile, SEOPerformance, SEOSerp, SEOOpenGraph, SEOHead) {
+    'use strict';
+
+    const SEVERITIES = ['warning', 'error'];
+
+    const CATEGORIES = [
+        { id: 'basicSeo', name: 'Basic SEO' },
+        { id: 'socialMedia', name: 'Social Media' },
+        { id: 'technicalSeo', name: 'Technical SEO' },
+        { id: 'contentQuality', name: 'Content Quality' },
+        { id: 'accessibility', name: 'Accessibility' },
+        { id: 'performance', name: 'Performance' },
+        { id: 'internationalization', name: 'Internationalization' }
+    ];
+
+    // Default thresholds rules grade against, by id. Width ranges are
+    // [minimum, maximum] pixels in desktop results; the other pairs are
+    // [full credit at, half credit at]
+    const THRESHOLDS = {
+        titleWidth: [SEOSerp.MIN_WIDTHS.title, SEOSerp.SERP_MODES.desktop.title.maxWidth],
+        descriptionWidth: [SEOSerp.MIN_WIDTHS.description, SEOSerp.SERP_MODES.desktop.description.maxWidth],
+        wordCount: [300, 100],
+        readability: [60, 30],
+        keywordDensity: 3,
+        responseTimeMs: [800, 1800],
+        documentBytes: [100 * 1024, 500 * 1024],
+        inlineBytes: [50 * 1024, 150 * 1024],
+        thirdPartyOrigins: [5, 10],
+        resourceCount: [50, 100]
+    };
+
+    // Category status by percentage, highest band first; the last band
+    // catches everything below the others
+    const STATUS_BANDS = [
+        { id: 'excellent', label: 'Excellent', min: 90 },
+        { id: 'good', label: 'Good', min: 70 },
+        { id: 'warning', label: 'Needs Work', min: 50 },
+        { id: 'poor', label: 'Poor', min: 0 }
+    ];
+
+    // The first few images are assumed to be above the fold
+    const ABOVE_FOLD_IMAGES = 3;
+    const VECTOR_IMAGE = /\.svg(?:[?#]|$)|^data:image\/svg/i;
+
+    // Up to three values for finding descriptions
+    function sampleList(values) {
+        const sample = values.slice(0, 3).map(value => (value.length > 60 ? `${value.slice(0, 59)}…` : value));
+        return sample.join(', ') + (values.length > 3 ? ` and ${values.length - 3} more` : '');
+    }
+
+    // "1 image", "3 images"; pluralWord for words that do not just take an s,
+    // or to make a verb agree ("1 link uses", "2 links use")
+    function plural(count, word, pluralWord = `${word}s`) {
+        return `${count} ${count === 1 ? word : pluralWord}`;
+    }
+
+    // "All 3 images have" or, for a single one, "The image has"
+    function allOf(count, word, pluralWord = `${word}s`) {
+        return count === 1 ? `The ${word}` : `All ${count} ${pluralWord}`;
+    }
+
+    // " 2 links were not checked (reason)." for URLs a link or alternate check
+    // skipped; analyses saved before skipping existed have no list
+    function notCheckedNote(skipped = [], word) {
+        if (skipped.length === 0) {
+            return '';
+        }
+        const reasons = Array.from(new Set(skipped.map(entry => entry.reason)));
+        return ` ${plural(skipped.length, word)} ${skipped.length === 1 ? 'was' : 'were'} not checked (${reasons.join('; ')}).`;
+    }
+
+    function imageList(images) {
+        return sampleList(images.map(image => image.src || '(no src)'));
+    }
+
+    function linkList(links) {
+        return sampleList(links.map(link => link.href));
+    }
+
+    // Full credit up to the first limit, half up to the second, none beyond
+    function limitCredit(value, limits) {
+        if (value <= limits[0]) {
+            return 1;
+        }
+        return value <= limits[1] ? 0.5 : 0;
+    }
+
+    // Grades a title or description by its rendered width in Google results:
+    // cut off on desktop, too short to use the space, or a fit (noting when
+    // mobile results still cut it). limits is the [minimum, maximum] width,
+    // which a profile may set tighter than Google's own cut-off.
+    function snippetWidthResult(value, field, label, limits) {
+        const desktop = SEOSerp.fitSnippet(value, field, 'desktop');
+        const mobile = SEOSerp.fitSnippet(value, field, 'mobile');
+        const length = value.replace(/\s+/g, ' ').trim().length;
+        const size = `${label} is ${desktop.width}px wide (${plural(length, 'character')})`;
+        const [minWidth, maxWidth] = limits;
+        if (desktop.truncated) {
+            return {
+                passed: false,
+                credit: 0.5,
+                title: `${label} Cut Off in Search Results`,
+                description: `${size}. Google truncates it at ${desktop.maxWidth}px on desktop, showing "${desktop.text}". ` +
+                    `Keep the important words in the first ${plural(desktop.visibleLength, 'character')}.`
+            };
+        }
+        if (desktop.width > maxWidth) {
+            return {
+                passed: false,
+                credit: 0.5,
+                title: `Long ${label}`,
+                description: `${size}. Keep it within ${maxWidth}px.`
+            };
+        }
+        if (desktop.width < minWidth) {
+            return {
+                passed: false,
+                credit: 0.5,
+                title: `Short ${label}`,
+                description: `${size}. Google shows up to ${desktop.maxWidth}px on desktop; use more of it to describe the page.`
+            };
+        }
+        const note = mobile.truncated ? ` Mobile results cut it after ${plural(mobile.visibleLength, 'character')}.` : '';
+        return { passed: true, description: `${size} and fits Google's ${desktop.maxWidth}px desktop limit.${note}` };
+    }
+
+    // Open Graph and Twitter tags; analyses saved before the full tag list was
+    // kept only have the flat fields
+    function socialTags(metaTags) {
+        return metaTags.socialTags || SEOOpenGraph.tagsFromFields(metaTags);
+    }
+
+    const socialModel = (metaTags) => SEOOpenGraph.parseSocialTags(socialTags(metaTags));
+
+    // Maps { problem, severity, message } findings to results; errors earn
+    // nothing and warnings half
+    function problemResults(problems, titles) {
+        return problems.map(problem => ({
+            passed: false,
+            severity: problem.severity,
+            credit: problem.severity === 'error' ? 0 : 0.5,
+            title: titles[problem.problem],
+            description: problem.message
+        }));
+    }
+
+    const hasPerformance = (metaTags) => Boolean(metaTags.performance);
+    const hasHead = (metaTags) => Boolean(metaTags.head);
+    const hasHreflang = (metaTags) => Boolean(metaTags.hreflang && metaTags.hreflang.length > 0);
+
+    // An evaluator receives the parsed meta tags and a context object
+    // ({ url, keyword, thresholds }) and returns { passed, description } plus optional overrides:
+    //   title    - item title (defaults to the rule title)
+    //   severity - 'warning' or 'error' for this failure (defaults to the rule severity)
+    //   credit   - fraction of the weight earned by a failed check (defaults to 0)
+    // An evaluator may also return a non-empty array of results to report several
+    // findings; the rule then earns its weight times the average credit.
+    // A rule may also declare applies(metaTags, context); when it returns false the
+    // rule is skipped and its weight is left out of the category maximum.
+    const DEFAULT_RULES = [
+        {
+            id: 'title-length',
+            category: 'basicSeo',
+            title: 'Title Tag Length',
+            weight: 15,
+            severity: 'warning',
+            evaluate(metaTags, context) {
+                if (!metaTags.title.trim()) {
+                    return {
+                        passed: false,
+                        severity: 'error',
+                        title: 'Missing Title Tag',
+                        description: 'Title tag is missing. This is crucial for SEO.'
+                    };
+                }
+                return snippetWidthResult(metaTags.title, 'title', 'Title', context.thresholds.titleWidth);
+            }
+        },
+        {
+            id: 'meta-description-length',
+            category: 'basicSeo',
+            title: 'Meta Description Length',
+            weight: 15,
+            severity: 'warning',
+            evaluate(metaTags, context) {
+                if (!metaTags.description.trim()) {
+                    return {
+                        passed: false,
+                        severity: 'error',
+                        title: 'Missing Meta Description',
+                        description: 'Meta description is missing. This affects click-through rates.'
+                    };
+                }
+                return snippetWidthResult(metaTags.description, 'description', 'Description', context.thresholds.descriptionWidth);
+            }
+        },
+        {
+            id: 'open-graph',
+            category: 'socialMedia',
+            title: 'Open Graph Tags',
+            weight: 15,
+            severity: 'warning',
+            evaluate(metaTags) {
+                const { required, recommended } = SEOOpenGraph.missingProperties(socialModel(metaTags));
+                if (required.length === 0 && recommended.length === 0) {
+                    return { passed: true, description: 'og:title, og:type, og:image, og:url and og:description are present for social media sharing.' };
+                }
+                if (required.length === SEOOpenGraph.REQUIRED_PROPERTIES.length && recommended.length > 0) {
+                    return { passed: false, description: 'Missing Open Graph tags. These improve social media sharing appearance.' };
+                }
+
+                const results = [];
+                if (required.length > 0) {
+                    results.push({
+                        passed: false,
+                        credit: 1 - required.length / SEOOpenGraph.REQUIRED_PROPERTIES.length,
+                        title: 'Missing Open Graph Tags',
+                        description: `Missing ${required.join(', ')}. Every Open Graph page needs og:title, og:type, og:image and og:url to share properly.`
+                    });
+                }
+                if (recommended.length > 0) {
+                    results.push({
+                        passed: false,
+                        credit: 0.5,
+                        title: 'Missing og:description',
+                        description: 'og:description is missing. Platforms fall back to the meta description or show none.'
+                    });
+                }
+                return results;
+            }
+        },
+        {
+            id: 'open-graph-type',
+            category: 'socialMedia',
+            title: 'Open Graph Type',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(SEOOpenGraph.firstValue(socialModel(metaTags), 'og:type')),
+            evaluate(metaTags) {
+                const social = socialModel(metaTags);
+                const problems = SEOOpenGraph.checkType(social);
+                if (problems.length === 0) {
+                    return { passed: true, description: `og:type "${SEOOpenGraph.firstValue(social, 'og:type')}" is valid and its properties are complete.` };
+                }
+                return problemResults(problems, {
+                    'unknown-type': 'Unknown og:type',
+                    'missing-property': 'Incomplete Open Graph Object',
+                    'type-mismatch': 'Properties Do Not Match og:type',
+                    'invalid-date': 'Invalid Open Graph Date',
+                    'invalid-price': 'Invalid Product Price',
+                    'invalid-currency': 'Invalid Product Currency'
+                });
+            }
+        },
+        {
+            id: 'open-graph-markup',
+            category: 'socialMedia',
+            title: 'Open Graph Markup',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => socialTags(metaTags).some(tag => !tag.property.startsWith('twitter:')),
+            evaluate(metaTags, context) {
+                const tags = socialTags(metaTags);
+                const problems = SEOOpenGraph.checkMarkup(tags, SEOOpenGraph.parseSocialTags(tags), context.url);
+                if (problems.length === 0) {
+                    return { passed: true, description: 'Open Graph tags use property=, are not repeated and have valid values.' };
+                }
+                return problemResults(problems, {
+                    'name-attribute': 'Open Graph Tags Use name=',
+                    duplicate: 'Repeated Open Graph Tag',
+                    orphan: 'Misplaced Structured Property',
+                    locale: 'Invalid og:locale',
+                    'app-id': 'Invalid fb:app_id',
+                    'relative-url': 'Relative og:url'
+                });
+            }
+        },
+        {
+            id: 'open-graph-images',
+            category: 'socialMedia',
+            title: 'Open Graph Image Tags',
+            weight: 10,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(SEOOpenGraph.firstValue(socialModel(metaTags), 'og:image')),
+            evaluate(metaTags, context) {
+                const social = socialModel(metaTags);
+                const problems = SEOOpenGraph.checkImages(social, context.url, metaTags.socialImages || []);
+                if (problems.length === 0) {
+                    const count = social.objects['og:image'].length;
+                    return { passed: true, description: `${count === 1 ? 'og:image uses' : `All ${count} og:image tags use`} an absolute URL with alt text, width and height.` };
+                }
+                return problemResults(problems, {
+                    'relative-url': 'Relative og:image URL',
+                    scheme: 'Unfetchable og:image URL',
+                    'insecure-url': 'Insecure og:image:secure_url',
+                    'image-type': 'Invalid og:image:type',
+                    'missing-alt': 'Missing og:image:alt',
+                    'missing-dimensions': 'Missing og:image Dimensions',
+                    'invalid-dimensions': 'Invalid og:image Dimensions',
+                    'dimension-mismatch': 'Wrong og:image Dimensions'
+                });
+            }
+        },
+        {
+            id: 'twitter-card',
+            category: 'socialMedia',
+            title: 'Twitter Card',
+            weight: 10,
+            severity: 'warning',
+            evaluate(metaTags, context) {
+                const social = socialModel(metaTags);
+                const card = SEOOpenGraph.firstValue(social, 'twitter:card');
+                if (!card) {
+                    return { passed: false, description: 'Twitter Card meta tag is missing.' };
+                }
+
+                const problems = SEOOpenGraph.checkTwitterCard(social, context.url);
+                if (problems.length === 0) {
+                    return { passed: true, description: `twitter:card "${card}" has everything its card type needs.` };
+                }
+                return problemResults(problems, {
+                    'unknown-card': 'Unknown Twitter Card Type',
+                    'missing-title': 'Twitter Card Without Title',
+                    'missing-image': 'Twitter Card Without Image',
+                    'missing-player': 'Incomplete Player Card',
+                    'missing-app': 'Incomplete App Card',
+                    handle: 'Invalid Twitter Handle',
+                    'relative-url': 'Relative twitter:image URL',
+                    'missing-alt': 'Missing twitter:image:alt'
+                });
+            }
+        },
+        {
+            id: 'social-images',
+            category: 'socialMedia',
+            title: 'Social Preview Images',
+            weight: 10,
+            severity: 'warning',
+            // Only known once the images have been loaded (see SEOCore.loadSocialImages)
+            applies: (metaTags) => Boolean(metaTags.socialImages && metaTags.socialImages.length > 0),
+            evaluate(metaTags) {
+                const titles = {
+                    'too-small': 'Undersized Preview Image',
+                    small: 'Low-Resolution Preview Image',
+                    'too-large': 'Oversized Preview Image',
+                    'aspect-ratio': 'Preview Image Will Be Cropped'
+                };
+
+                return metaTags.socialImages.flatMap(image => {
+                    const tags = image.sources.join(' and ');
+                    if (image.status === 'failed') {
+                        return [{
+                            passed: false,
+                            severity: 'error',
+                            title: 'Broken Preview Image',
+                            description: `${tags} ${image.url} could not be loaded (${image.error}). Shares will show no image.`
+                        }];
+                    }
+                    if (image.status === 'unknown-size') {
+                        return [{ passed: true, description: `${image.url} (${tags}) loaded, but its size could not be read, so it was not checked against the platform requirements.` }];
+                    }
+
+                    const specs = SEOImages.socialImageSpecs(image, metaTags);
+                    const problems = specs.flatMap(spec => SEOImages.checkSocialImage(image, spec));
+                    if (problems.length === 0) {
+                        const names = specs.length ? ` and meets the ${specs.map(spec => spec.name).join(' and ')} requirements` : '';
+                        return [{ passed: true, description: `${tags} is ${image.width}×${image.height}px${names}.` }];
+                    }
+                    return problems.map(problem => ({
+                        passed: false,
+                        severity: problem.severity,
+                        credit: problem.severity === 'error' ? 0 : 0.5,
+                        title: titles[problem.problem],
+                        description: `${tags}: ${problem.message}`
+                    }));
+                });
+            }
+        },
+        {
+            id: 'canonical-url',
+            category: 'technicalSeo',
+            title: 'Canonical URL',
+            weight: 10,
+            severity: 'warning',
+            evaluate(metaTags, context) {
+                if (!metaTags.canonical) {
+                    return { passed: false, description: 'Canonical URL is missing. Consider adding it to prevent duplicate content issues.' };
+                }
+
+                // Redirected pages are compared with the URL they ended up at
+                const pageUrl = metaTags.http && metaTags.http.finalUrl ? metaTags.http.finalUrl : context.url;
+                const problems = SEOHead.checkCanonical(metaTags.canonical, pageUrl, metaTags.ogUrl);
+                if (problems.length === 0) {
+                    return { passed: true, description: `Canonical URL ${metaTags.canonical} points to this page, helping prevent duplicate content issues.` };
+                }
+                return problemResults(problems, {
+                    invalid: 'Invalid Canonical URL',
+                    relative: 'Relative Canonical URL',
+                    fragment: 'Canonical URL With Fragment',
+                    'cross-domain': 'Cross-Domain Canonical',
+                    protocol: 'Canonical Protocol Mismatch',
+                    'other-page': 'Canonical Points Elsewhere',
+                    'og-url': 'og:url Differs From Canonical'
+                });
+            }
+        },
+        {
+            id: 'robots-meta',
+            category: 'technicalSeo',
+            title: 'Robots Meta Tag',
+            weight: 10,
+            severity: 'error',
+            applies: hasHead,
+            evaluate(metaTags) {
+                const { robots } = metaTags.head;
+                if (robots.length === 0) {
+                    return { passed: true, description: 'No robots meta tag restricts indexing.' };
+                }
+                const problems = SEOHead.checkRobots(robots);
+                if (problems.length === 0) {
+                    return { passed: true, description: `${robots.map(tag => `<meta name="${tag.name}" content="${tag.content}">`).join(', ')} allows indexing.` };
+                }
+                return problemResults(problems, {
+                    noindex: 'Page Blocked From Search Results',
+                    nofollow: 'Links Not Followed',
+                    snippet: 'Search Snippet Restricted',
+                    'image-preview': 'Image Previews Disabled',
+                    'video-preview': 'Video Previews Disabled',
+                    noimageindex: 'Images Not Indexed',
+                    'unavailable-after': 'Page Expires From Search Results',
+                    'invalid-value': 'Invalid Robots Directive Value',
+                    'unknown-directive': 'Unknown Robots Directive'
+                });
+            }
+        },
+        {
+            id: 'charset',
+            category: 'technicalSeo',
+            title: 'Character Encoding',
+            weight: 5,
+            severity: 'warning',
+            applies: hasHead,
+            evaluate(metaTags) {
+                const headerCharset = metaTags.http && metaTags.http.charsetSource === 'header' ? metaTags.http.charset : '';
+                const problems = SEOHead.checkCharset(metaTags.head, headerCharset);
+                if (problems.length === 0) {
+                    const [charset] = metaTags.head.charsets;
+                    return {
+                        passed: true,
+                        description: charset
+                            ? `The page declares ${charset.source} ${charset.value} at the top of the document.`
+                            : `The Content-Type header declares charset ${headerCharset}.`
+                    };
+                }
+                return problemResults(problems, {
+                    missing: 'Missing Charset Declaration',
+                    multiple: 'Multiple Charset Declarations',
+                    'not-utf8': 'Non-UTF-8 Charset',
+                    late: 'Charset Declared Too Late'
+                });
+            }
+        },
+        {
+            id: 'duplicate-head-tags',
+            category: 'technicalSeo',
+            title: 'Duplicate Head Tags',
+            weight: 5,
+            severity: 'warning',
+            applies: hasHead,
+            evaluate(metaTags) {
+                const problems = SEOHead.checkDuplicates(metaTags.head);
+                if (problems.length === 0) {
+                    return { passed: true, description: 'The title, meta description and canonical are each declared at most once.' };
+                }
+                return problemResults(problems, {
+                    title: 'Multiple Title Tags',
+                    description: 'Multiple Meta Descriptions',
+                    canonical: 'Multiple Canonical Tags'
+                });
+            }
+        },
+        {
+            id: 'head-tags-in-body',
+            category: 'technicalSeo',
+            title: 'Head Tags in Body',
+            weight: 5,
+            severity: 'warning',
+            applies: hasHead,
+            evaluate(metaTags) {
+                const { inBody } = metaTags.head;
+                if (inBody.length === 0) {
+                    return { passed: true, description: 'All meta, title and link tags are inside <head>.' };
+                }
+                return {
+                    passed: false,
+                    description: `${sampleList(inBody)} ${inBody.length === 1 ? 'is' : 'are'} inside <body>, where search engines ignore ${inBody.length === 1 ? 'it' : 'them'}. ` +
+                        'An element such as <div>, <img> or text placed in <head> ends the head early, so check what comes before them.'
+                };
+            }
+        },
+        {
+            id: 'favicon',
+            category: 'technicalSeo',
+            title: 'Favicon',
+            weight: 5,
+            severity: 'warning',
+            applies: hasHead,
+            evaluate(metaTags) {
+                const { icons } = metaTags.head;
+                if (icons.length === 0) {
+                    return {
+                        passed: false,
+                        description: 'No <link rel="icon">. Browsers and search results fall back to /favicon.ico and show a generic icon when it is missing.'
+                    };
+                }
+                return { passed: true, description: `Favicon declared: ${sampleList(icons.map(icon => icon.href))}.` };
+            }
+        },
+        {
+            id: 'viewport',
+            category: 'technicalSeo',
+            title: 'Mobile Viewport',
+            weight: 10,
+            severity: 'error',
+            evaluate(metaTags) {
+                if (!metaTags.viewport) {
+                    return {
+                        passed: false,
+                        title: 'Missing Viewport Tag',
+                        description: 'Viewport meta tag is missing. This affects mobile usability.'
+                    };
+                }
+
+                const titles = {
+                    'no-device-width': 'Viewport Width Not Set',
+                    'fixed-width': 'Fixed Viewport Width',
+                    'zoom-disabled': 'Zoom Disabled',
+                    'zoom-limited': 'Zoom Limited',
+                    'initial-scale': 'Viewport Initial Scale',
+                    syntax: 'Viewport Syntax',
+                    'unknown-key': 'Unknown Viewport Property'
+                };
+                const problems = SEOMobile.checkViewport(metaTags.viewport);
+                if (problems.length === 0) {
+                    return { passed: true, description: `Viewport "${metaTags.viewport}" adapts to the device width and allows zooming.` };
+                }
+                return problems.map(problem => ({
+                    passed: false,
+                    severity: problem.severity,
+                    credit: problem.severity === 'error' ? 0 : 0.5,
+                    title: titles[problem.problem],
+                    description: problem.message
+                }));
+            }
+        },
+        {
+            id: 'fixed-width-layout',
+            category: 'technicalSeo',
+            title: 'Fixed-Width Layout',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.mobile),
+            evaluate(metaTags) {
+                const { fixedWidth } = metaTags.mobile;
+                if (fixedWidth.length === 0) {
+                    return { passed: true, description: `No inline styles set widths over ${SEOMobile.MAX_FIXED_WIDTH}px.` };
+                }
+                return {
+                    passed: false,
+                    description: `${plural(fixedWidth.length, 'element has', 'elements have')} inline widths wider than a phone screen, causing horizontal scrolling: ` +
+                        `${sampleList(fixedWidth.map(element => `${element.element} ${element.property}: ${element.width}px`))}. Use max-width or relative units.`
+                };
+            }
+        },
+        {
+            id: 'plugins',
+            category: 'technicalSeo',
+            title: 'Browser Plugins',
+            weight: 5,
+            severity: 'error',
+            applies: (metaTags) => Boolean(metaTags.mobile),
+            evaluate(metaTags) {
+                const { plugins } = metaTags.mobile;
+                if (plugins.length === 0) {
+                    return { passed: true, description: 'No <embed>, <object> or <applet> plugin content.' };
+                }
+                return {
+                    passed: false,
+                    title: 'Plugin Content',
+                    description: `${plural(plugins.length, 'element needs', 'elements need')} browser plugins that mobile browsers do not support: ${sampleList(plugins)}. Use HTML video, audio or images instead.`
+                };
+            }
+        },
+        {
+            id: 'mobile-metadata',
+            category: 'technicalSeo',
+            title: 'Mobile Metadata',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.mobile),
+            evaluate(metaTags) {
+                const { themeColor, appleTouchIcon, manifest } = metaTags.mobile;
+                const check = (value, title, present, missing) => (value
+                    ? { passed: true, title, description: present }
+                    : { passed: false, title: `Missing ${title}`, description: missing });
+                return [
+                    check(themeColor, 'Theme Color', `<meta name="theme-color"> is "${themeColor}".`,
+                        'No <meta name="theme-color">. Mobile browsers tint their toolbar with it.'),
+                    check(appleTouchIcon, 'Apple Touch Icon', `Apple touch icon: ${appleTouchIcon}.`,
+                        'No <link rel="apple-touch-icon">. iOS uses it when the page is added to the home screen.'),
+                    check(manifest, 'Web App Manifest', `Web app manifest: ${manifest}.`,
+                        'No <link rel="manifest">. Android uses it for the home screen icon and name.')
+                ];
+            }
+        },
+        {
+            id: 'language',
+            category: 'contentQuality',
+            title: 'Language Declaration',
+            weight: 5,
+            severity: 'warning',
+            evaluate(metaTags) {
+                if (metaTags.language) {
+                    return { passed: true, description: `Language is declared as "${metaTags.language}".` };
+                }
+                return { passed: false, description: 'HTML lang attribute is missing. This helps search engines understand content language.' };
+            }
+        },
+        {
+            id: 'heading-structure',
+            category: 'contentQuality',
+            title: 'Heading Structure',
+            weight: 10,
+            severity: 'warning',
+            // Analyses saved before the content audit have no body text or headings
+            applies: (metaTags) => Boolean(metaTags.content),
+            evaluate(metaTags) {
+                const { headings } = metaTags.content;
+                const h1s = headings.filter(heading => heading.level === 1);
+                const results = [];
+
+                if (h1s.length === 0) {
+                    results.push({ passed: false, severity: 'error', title: 'Missing H1 Heading', description: 'The page has no <h1>. Add one that states the main topic.' });
+                } else if (h1s.length > 1) {
+                    results.push({ passed: false, credit: 0.5, title: 'Multiple H1 Headings', description: `The page has ${h1s.length} <h1> headings. Use a single H1 for the main topic.` });
+                } else {
+                    results.push({ passed: true, title: 'H1 Heading', description: `Single H1: "${h1s[0].text}".` });
+                }
+
+                // Skipped levels are reported by the heading-order accessibility rule
+                if (headings.length === 0) {
+                    results.push({ passed: false, title: 'Heading Hierarchy', description: 'No headings found. Structure the content with H1-H6 headings.' });
+                } else {
+                    results.push({ passed: true, title: 'Heading Hierarchy', description: `${plural(headings.length, 'heading structures', 'headings structure')} the content.` });
+                }
+
+                if (h1s.length > 0 && metaTags.title) {
+                    const significant = text => new Set(SEOContent.words(text).filter(word => word.length > 2));
+                    const titleWords = significant(metaTags.title);
+                    const h1Words = significant(h1s[0].text);
+                    const shared = [...h1Words].filter(word => titleWords.has(word));
+                    if (shared.length === 0) {
+                        results.push({ passed: false, title: 'H1 and Title Mismatch', description: 'The H1 and the title share no words. Both should describe the same topic.' });
+                    } else {
+                        results.push({ passed: true, title: 'H1 and Title', description: `The H1 and the title share ${plural(shared.length, 'word')}, such as "${shared[0]}".` });
+                    }
+                }
+
+                return results;
+            }
+        },
+        {
+            id: 'word-count',
+            category: 'contentQuality',
+            title: 'Word Count',
+            weight: 10,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.content),
+            evaluate(metaTags, context) {
+                const { wordCount } = metaTags.content;
+                const [target, minimum] = context.thresholds.wordCount;
+                if (wordCount >= target) {
+                    return { passed: true, description: `The page has ${wordCount} words of body text.` };
+                }
+                return {
+                    passed: false,
+                    credit: wordCount >= minimum ? 0.5 : 0,
+                    title: 'Thin Content',
+                    description: `The page has only ${wordCount} words of body text. Aim for at least ${target}.`
+                };
+            }
+        },
+        {
+            id: 'readability',
+            category: 'contentQuality',
+            title: 'Readability',
+            weight: 5,
+            severity: 'warning',
+            // Needs a supported declared language and enough text to be meaningful
+            applies: (metaTags) => Boolean(metaTags.content && SEOContent.readabilityFormula(metaTags.language)) &&
+                metaTags.content.wordCount >= 100,
+            evaluate(metaTags, context) {
+                const result = SEOContent.readability(metaTags.content.text, metaTags.language);
+                const summary = `${result.formula} score is ${result.score} (${Math.round(result.words / result.sentences)} words per sentence)`;
+                const [target, minimum] = context.thresholds.readability;
+                if (result.score >= target) {
+                    return { passed: true, description: `${summary}. Easy to read.` };
+                }
+                return {
+                    passed: false,
+                    credit: result.score >= minimum ? 0.5 : 0,
+                    description: `${summary}. ${result.score >= minimum ? 'Fairly difficult' : 'Very difficult'} to read; aim for ${target} or more with shorter sentences and simpler words.`
+                };
+            }
+        },
+        {
+            id: 'target-keyword',
+            category: 'contentQuality',
+            title: 'Target Keyword',
+            weight: 10,
+            severity: 'warning',
+            applies: (metaTags, context) => Boolean(metaTags.content && context.keyword && SEOContent.words(context.keyword).length > 0),
+            evaluate(metaTags, context) {
+                const usage = SEOContent.keywordUsage(context.keyword, metaTags, context.url);
+                const density = Math.round(usage.density * 100) / 100;
+                const placement = (found, where, label) => (found
+                    ? { passed: true, title: `Keyword in ${label}`, description: `"${usage.phrase}" appears in ${where}.` }
+                    : { passed: false, title: `Keyword Missing from ${label}`, description: `"${usage.phrase}" does not appear in ${where}.` });
+
+                let densityResult;
+                if (usage.occurrences === 0) {
+                    densityResult = { passed: false, title: 'Keyword Density', description: `"${usage.phrase}" does not appear in the body text.` };
+                } else if (density > context.thresholds.keywordDensity) {
+                    densityResult = { passed: false, credit: 0.5, title: 'Keyword Stuffing', description: `"${usage.phrase}" makes up ${density}% of the body text (${plural(usage.occurrences, 'time')}). Keep it under ${context.thresholds.keywordDensity}%.` };
+                } else {
+                    densityResult = { passed: true, title: 'Keyword Density', description: `"${usage.phrase}" appears ${plural(usage.occurrences, 'time')}, ${density}% of the body text.` };
+                }
+
+                return [
+                    densityResult,
+                    placement(usage.inTitle, 'the title', 'Title'),
+                    placement(usage.inDescription, 'the meta description', 'Meta Description'),
+                    placement(usage.inH1, 'the H1 heading', 'H1'),
+                    placement(usage.inUrl, 'the URL path', 'URL')
+                ];
+            }
+        },
+        {
+            id: 'image-alt',
+            category: 'accessibility',
+            title: 'Image Alt Text',
+            weight: 10,
+            severity: 'warning',
+            applies: (metaTags) => (metaTags.images || []).some(image => !image.decorative),
+            evaluate(metaTags) {
+                // Images hidden from assistive technology are not described
+                const images = metaTags.images.filter(image => !image.decorative);
+                const missing = images.filter(image => image.alt === null);
+                const empty = images.filter(image => image.alt === '');
+                const results = [];
+
+                if (missing.length > 0) {
+                    results.push({
+                        passed: false,
+                        credit: 1 - missing.length / images.length,
+                        title: 'Missing Alt Text',
+                        description: `${missing.length} of ${plural(images.length, 'image')} ${missing.length === 1 ? 'has' : 'have'} no alt attribute: ${imageList(missing)}.`
+                    });
+                }
+                if (empty.length > 0) {
+                    results.push({
+                        passed: false,
+                        credit: 0.5,
+                        title: 'Empty Alt Text',
+                        description: `${plural(empty.length, 'image has', 'images have')} an empty alt attribute (${imageList(empty)}). That is right for purely decorative images; describe the rest for image search and screen readers.`
+                    });
+                }
+
+                if (results.length === 0) {
+                    return { passed: true, description: `${allOf(images.length, 'image has', 'images have')} alt text.` };
+                }
+                return results;
+            }
+        },
+        {
+            id: 'anchor-text',
+            category: 'contentQuality',
+            title: 'Link Anchor Text',
+            weight: 5,
+            severity: 'warning',
+            // Links without any text are reported by the accessible-names rule
+            applies: (metaTags) => (metaTags.links || []).some(link => link.text && !/^javascript:/i.test(link.href)),
+            evaluate(metaTags) {
+                const links = metaTags.links.filter(link => link.text && !/^javascript:/i.test(link.href));
+                const generic = links.filter(link => SEOLinks.isGenericAnchorText(link.text));
+
+                if (generic.length === 0) {
+                    return { passed: true, description: `${allOf(links.length, 'link has', 'links have')} descriptive anchor text.` };
+                }
+                const texts = [...new Set(generic.map(link => `"${link.text}"`))].join(', ');
+                return {
+                    passed: false,
+                    credit: 0.5,
+                    title: 'Generic Anchor Text',
+                    description: `${plural(generic.length, 'link uses', 'links use')} text like ${texts} that does not describe the target: ${linkList(generic)}.`
+                };
+            }
+        },
+        {
+            id: 'form-labels',
+            category: 'accessibility',
+            title: 'Form Labels',
+            weight: 10,
+            severity: 'error',
+            applies: (metaTags) => Boolean(metaTags.accessibility && metaTags.accessibility.controls.length > 0),
+            evaluate(metaTags) {
+                const { controls } = metaTags.accessibility;
+                const unlabeled = controls.filter(control => !control.name);
+                if (unlabeled.length === 0) {
+                    return { passed: true, description: `${allOf(controls.length, 'form control has', 'form controls have')} a label.` };
+                }
+                return {
+                    passed: false,
+                    credit: 1 - unlabeled.length / controls.length,
+                    title: 'Unlabeled Form Controls',
+                    description: `${unlabeled.length} of ${plural(controls.length, 'form control')} ${unlabeled.length === 1 ? 'has' : 'have'} no <label>, aria-label or aria-labelledby: ` +
+                        `${sampleList(unlabeled.map(control => control.element))}. Placeholders are not a substitute.`
+                };
+            }
+        },
+        {
+            id: 'accessible-names',
+            category: 'accessibility',
+            title: 'Button and Link Names',
+            weight: 10,
+            severity: 'error',
+            applies: (metaTags) => Boolean(metaTags.accessibility &&
+                metaTags.accessibility.buttons.length + metaTags.accessibility.links.length > 0),
+            evaluate(metaTags) {
+                const { buttons, links } = metaTags.accessibility;
+                const results = [];
+                [['Buttons', 'button', buttons], ['Links', 'link', links]].forEach(([label, noun, elements]) => {
+                    if (elements.length === 0) {
+                        return;
+                    }
+                    const unnamed = elements.filter(element => !element.name);
+                    if (unnamed.length === 0) {
+                        results.push({ passed: true, title: `${label} Named`, description: `${allOf(elements.length, `${noun} has`, `${noun}s have`)} an accessible name.` });
+                        return;
+                    }
+                    results.push({
+                        passed: false,
+                        credit: 1 - unnamed.length / elements.length,
+                        title: `${label} Without Names`,
+                        description: `${unnamed.length} of ${plural(elements.length, noun)} ${unnamed.length === 1 ? 'has' : 'have'} no text, image alt, aria-label or title, ` +
+                            `so screen readers cannot announce them: ${sampleList(unnamed.map(element => element.element))}.`
+                    });
+                });
+                return results;
+            }
+        },
+        {
+            id: 'landmarks',
+            category: 'accessibility',
+            title: 'Landmark Regions',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.accessibility),
+            evaluate(metaTags) {
+                const { landmarks } = metaTags.accessibility;
+                if (landmarks.main === 0) {
+                    return {
+                        passed: false,
+                        title: 'Missing Main Landmark',
+                        description: 'The page has no <main> element or role="main". Wrap the primary content in <main> so keyboard and screen reader users can jump to it.'
+                    };
+                }
+                if (landmarks.main > 1) {
+                    return {
+                        passed: false,
+                        credit: 0.5,
+                        title: 'Multiple Main Landmarks',
+                        description: `The page has ${landmarks.main} visible main landmarks. Use a single <main>.`
+                    };
+                }
+                const found = Object.keys(SEOAccessibility.LANDMARKS).filter(role => landmarks[role] > 0);
+                return { passed: true, description: `Landmarks found: ${found.join(', ')}.` };
+            }
+        },
+        {
+            id: 'duplicate-ids',
+            category: 'accessibility',
+            title: 'Unique IDs',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.accessibility),
+            evaluate(metaTags) {
+                const { duplicateIds } = metaTags.accessibility;
+                if (duplicateIds.length === 0) {
+                    return { passed: true, description: 'Every id attribute is unique.' };
+                }
+                return {
+                    passed: false,
+                    title: 'Duplicate IDs',
+                    description: `${plural(duplicateIds.length, 'id value is', 'id values are')} used more than once: ` +
+                        `${sampleList(duplicateIds.map(duplicate => `"${duplicate.id}" (${duplicate.count}×)`))}. ` +
+                        'Labels and aria-labelledby references to them may point at the wrong element.'
+                };
+            }
+        },
+        {
+            id: 'lang-valid',
+            category: 'accessibility',
+            title: 'Valid Language Tag',
+            weight: 5,
+            severity: 'error',
+            // A missing lang attribute is reported by the language rule
+            applies: (metaTags) => Boolean(metaTags.language),
+            evaluate(metaTags) {
+                const error = SEOAccessibility.languageTagError(metaTags.language);
+                if (!error) {
+                    return { passed: true, description: `<html lang="${metaTags.language}"> is a valid language tag for screen reader pronunciation.` };
+                }
+                return {
+                    passed: false,
+                    description: `<html lang="${metaTags.language}"> ${error}. Screen readers may pronounce the page in the wrong language.`
+                };
+            }
+        },
+        {
+            id: 'heading-order',
+            category: 'accessibility',
+            title: 'Heading Order',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.content && metaTags.content.headings.length > 0),
+            evaluate(metaTags) {
+                const { headings } = metaTags.content;
+                const skips = [];
+                headings.forEach((heading, index) => {
+                    const previous = index > 0 ? headings[index - 1].level : 0;
+                    if (heading.level > previous + 1) {
+                        skips.push(`H${previous || '–'} → H${heading.level} ("${heading.text}")`);
+                    }
+                });
+                if (skips.length === 0) {
+                    return { passed: true, description: `${plural(headings.length, 'heading')} in order without skipped levels.` };
+                }
+                return {
+                    passed: false,
+                    credit: 0.5,
+                    title: 'Skipped Heading Levels',
+                    description: `Heading levels should not skip, since screen reader users navigate by them: ${sampleList(skips)}.`
+                };
+            }
+        },
+        {
+            id: 'structured-data',
+            category: 'technicalSeo',
+            title: 'Structured Data',
+            weight: 10,
+            severity: 'warning',
+            evaluate(metaTags) {
+                const jsonLd = metaTags.structuredData;
+                // Microdata and RDFa items in other vocabularies get no @context and are not scored
+                const schemaItems = (items, syntax) => (items || [])
+                    .map((data, index) => ({ data, label: `${syntax} item ${index + 1}` }))
+                    .filter(item => item.data['@context']);
+                const microdata = schemaItems(metaTags.microdata, 'Microdata');
+                const rdfa = schemaItems(metaTags.rdfa, 'RDFa');
+                const parseErrors = metaTags.structuredDataErrors || [];
+                const blocks = [...jsonLd, ...microdata.map(item => item.data), ...rdfa.map(item => item.data)];
+                if (blocks.length === 0 && parseErrors.length === 0) {
+                    return { passed: false, description: 'No structured data found. Consider adding Schema.org markup for rich snippets.' };
+                }
+
+                const results = parseErrors.map(error => ({
+                    passed: false,
+                    severity: 'error',
+                    title: 'Invalid JSON-LD',
+                    description: `JSON-LD block ${error.index + 1} could not be parsed (${error.message}): ${error.snippet}`
+                }));
+
+                // Number JSON-LD blocks by their position among all JSON-LD scripts, parse failures included
+                const failed = parseErrors.map(error => error.index);
+                const labels = [];
+                for (let index = 0; labels.length < jsonLd.length; index++) {
+                    if (!failed.includes(index)) {
+                        labels.push(`JSON-LD block ${index + 1}`);
+                    }
+                }
+                labels.push(...microdata.map(item => item.label), ...rdfa.map(item => item.label));
+
+                const { types, findings } = SEOSchema.validateStructuredData(blocks, labels);
+                findings.forEach(finding => {
+                    const required = finding.severity === 'error';
+                    results.push({
+                        passed: false,
+                        severity: finding.severity,
+                        credit: required ? 0 : 0.5,
+                        title: `${finding.type ? `${finding.type}: ` : ''}Missing ${required ? 'Required' : 'Recommended'} ${finding.property}`,
+                        description: `${finding.message} (${finding.path})`
+                    });
+                });
+
+                if (results.length === 0) {
+                    const syntaxes = [['JSON-LD', jsonLd], ['Microdata', microdata], ['RDFa', rdfa]]
+                        .filter(([, items]) => items.length > 0)
+                        .map(([name, items]) => `${items.length} ${name}`)
+                        .join(', ');
+                    const typeList = types.length > 0 ? ` describing ${types.join(', ')}` : '';
+                    return { passed: true, description: `Found valid structured data (${syntaxes})${typeList}. Great for rich snippets!` };
+                }
+                return results;
+            }
+        },
+        {
+            id: 'image-dimensions',
+            category: 'technicalSeo',
+            title: 'Image Dimensions',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.images && metaTags.images.length > 0),
+            evaluate(metaTags) {
+                const { images } = metaTags;
+                const unsized = images.filter(image => !image.width || !image.height);
+                if (unsized.length === 0) {
+                    return { passed: true, description: `${allOf(images.length, 'image declares', 'images declare')} width and height.` };
+                }
+                return {
+                    passed: false,
+                    credit: 1 - unsized.length / images.length,
+                    description: `${unsized.length} of ${plural(images.length, 'image')} ${unsized.length === 1 ? 'lacks' : 'lack'} width and height attributes, which causes layout shifts while they load: ${imageList(unsized)}.`
+                };
+            }
+        },
+        {
+            id: 'image-lazy-loading',
+            category: 'technicalSeo',
+            title: 'Image Lazy Loading',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.images && metaTags.images.length > 0),
+            evaluate(metaTags) {
+                const { images } = metaTags;
+                const results = [];
+
+                if (images[0].loading === 'lazy') {
+                    results.push({
+                        passed: false,
+                        credit: 0.5,
+                        title: 'Lazy-Loaded Hero Image',
+                        description: `The first image (${imageList(images.slice(0, 1))}) is lazy-loaded. If it is above the fold this delays Largest Contentful Paint.`
+                    });
+                }
+                const eager = images.slice(ABOVE_FOLD_IMAGES).filter(image => image.loading !== 'lazy');
+                if (eager.length > 0) {
+                    results.push({
+                        passed: false,
+                        credit: 0.5,
+                        description: `${plural(eager.length, 'image')} after the first ${ABOVE_FOLD_IMAGES} ${eager.length === 1 ? 'loads' : 'load'} eagerly. Add loading="lazy" to offscreen images: ${imageList(eager)}.`
+                    });
+                }
+
+                if (results.length === 0) {
+                    return { passed: true, description: 'Offscreen images are lazy-loaded and the first image loads eagerly.' };
+                }
+                return results;
+            }
+        },
+        {
+            id: 'responsive-images',
+            category: 'technicalSeo',
+            title: 'Responsive Images',
+            weight: 5,
+            severity: 'warning',
+            // Vector images scale without alternative sources
+            applies: (metaTags) => (metaTags.images || []).some(image => !VECTOR_IMAGE.test(image.src)),
+            evaluate(metaTags) {
+                const images = metaTags.images.filter(image => !VECTOR_IMAGE.test(image.src));
+                const fixed = images.filter(image => !image.srcset && !image.inPicture);
+                if (fixed.length === 0) {
+                    return { passed: true, description: `${allOf(images.length, 'raster image offers', 'raster images offer')} srcset or <picture> sources.` };
+                }
+                return {
+                    passed: false,
+                    credit: fixed.length < images.length ? 0.5 : 0,
+                    description: `${fixed.length} of ${plural(images.length, 'raster image')} ${fixed.length === 1 ? 'has' : 'have'} no srcset, so small screens download full-size files: ${imageList(fixed)}.`
+                };
+            }
+        },
+        {
+            id: 'javascript-links',
+            category: 'technicalSeo',
+            title: 'JavaScript Links',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.links && metaTags.links.length > 0),
+            evaluate(metaTags) {
+                const scripted = metaTags.links.filter(link => /^javascript:/i.test(link.href));
+                if (scripted.length === 0) {
+                    return { passed: true, description: 'No links use javascript: URLs.' };
+                }
+                return {
+                    passed: false,
+                    description: `${plural(scripted.length, 'link uses', 'links use')} javascript: URLs, which crawlers cannot follow. Use real URLs or buttons instead.`
+                };
+            }
+        },
+        {
+            id: 'target-blank-noopener',
+            category: 'technicalSeo',
+            title: 'target="_blank" Links',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => (metaTags.links || []).some(link => link.target === '_blank'),
+            evaluate(metaTags) {
+                const unsafe = metaTags.links.filter(SEOLinks.isUnsafeBlankTarget);
+                if (unsafe.length === 0) {
+                    return { passed: true, description: 'All links that open a new tab set rel="noopener" or "noreferrer".' };
+                }
+                return {
+                    passed: false,
+                    credit: 0.5,
+                    description: `${plural(unsafe.length, 'link opens', 'links open')} a new tab without rel="noopener", giving the opened page access to this one: ${linkList(unsafe)}.`
+                };
+            }
+        },
+        {
+            id: 'broken-links',
+            category: 'technicalSeo',
+            title: 'Broken Internal Links',
+            weight: 10,
+            severity: 'error',
+            // Only run when the link check was requested (see SEOCore.analyzePage)
+            // and at least one link could be judged; backends that report no
+            // HTTP status leave every result unknown
+            applies: (metaTags) => Boolean(metaTags.linkCheck && metaTags.linkCheck.results.some(result => result.ok !== null)),
+            evaluate(metaTags) {
+                const { total, results, skipped } = metaTags.linkCheck;
+                const judged = results.filter(result => result.ok !== null);
+                const unknown = results.length - judged.length;
+                const notes = (unknown > 0 ? ` The status of ${plural(unknown, 'more link')} could not be read.` : '') +
+                    notCheckedNote(skipped, 'more link') +
+                    (results.length < total ? ` Only ${results.length} of ${plural(total, 'link')} ${results.length === 1 ? 'was' : 'were'} checked.` : '');
+                const broken = judged.filter(result => !result.ok);
+                if (broken.length === 0) {
+                    return { passed: true, description: `${allOf(judged.length, 'checked internal link responds', 'checked internal links respond')}.${notes}` };
+                }
+                // One finding per broken link; together they earn the share of links that work
+                return broken.map(result => ({
+                    passed: false,
+                    credit: 1 - broken.length / judged.length,
+                    title: 'Broken Internal Link',
+                    description: `${result.url} ${result.status ? `returned HTTP ${result.status}` : `could not be fetched (${result.error})`}. ${broken.length} of ${plural(judged.length, 'checked internal link')} ${broken.length === 1 ? 'is' : 'are'} broken.${notes}`
+                }));
+            }
+        },
+        {
+            id: 'http-status',
+            category: 'technicalSeo',
+            title: 'HTTP Status',
+            weight: 10,
+            severity: 'error',
+            applies: (metaTags) => Boolean(metaTags.http),
+            evaluate(metaTags) {
+                const { status, statusText } = metaTags.http;
+                const label = `${status} ${statusText}`.trim();
+                if (status >= 200 && status < 300) {
+                    return { passed: true, description: `Page responded with HTTP ${label}.` };
+                }
+                return {
+                    passed: false,
+                    description: `Page responded with HTTP ${label}. Search engines will not index pages that return errors.`
+                };
+            }
+        },
+        {
+            id: 'x-robots-tag',
+            category: 'technicalSeo',
+            title: 'X-Robots-Tag Header',
+            weight: 10,
+            severity: 'error',
+            applies: (metaTags) => Boolean(metaTags.http),
+            evaluate(metaTags) {
+                const header = metaTags.http.headers['x-robots-tag'];
+                if (!header) {
+                    return { passed: true, description: 'No X-Robots-Tag header restricts indexing.' };
+                }
+
+                // Directives may be scoped to a crawler, e.g. "googlebot: noindex"
+                const directives = header.toLowerCase().split(',')
+                    .map(directive => directive.trim().replace(/^[\w-]+:\s*(?=\S)/, ''));
+                if (directives.includes('noindex') || directives.includes('none')) {
+                    return { passed: false, description: `X-Robots-Tag "${header}" blocks this page from search results.` };
+                }
+                if (directives.includes('nofollow')) {
+                    return {
+                        passed: false,
+                        severity: 'warning',
+                        credit: 0.5,
+                        description: `X-Robots-Tag "${header}" tells crawlers not to follow links on this page.`
+                    };
+                }
+                return { passed: true, description: `X-Robots-Tag "${header}" allows indexing.` };
+            }
+        },
+        {
+            id: 'redirect-chain',
+            category: 'technicalSeo',
+            title: 'Redirects',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.http),
+            evaluate(metaTags) {
+                const { redirects, finalUrl } = metaTags.http;
+                if (redirects.length === 0) {
+                    return { passed: true, description: 'URL resolves without redirects.' };
+                }
+
+                const hops = redirects.map(hop => `${hop.status} ${hop.url}`).join(' → ');
+                const temporary = redirects.filter(hop => ![301, 308].includes(hop.status));
+                if (redirects.length > 1) {
+                    return {
+                        passed: false,
+                        credit: 0.5,
+                        description: `Redirect chain of ${redirects.length} hops (${hops} → ${finalUrl}). Link directly to the final URL.`
+                    };
+                }
+                if (temporary.length > 0) {
+                    return {
+                        passed: false,
+                        credit: 0.5,
+                        description: `Temporary redirect (${hops} → ${finalUrl}). Use a 301 or 308 if the move is permanent.`
+                    };
+                }
+                return { passed: true, description: `Permanently redirects to ${finalUrl}.` };
+            }
+        },
+        {
+            id: 'content-type-charset',
+            category: 'technicalSeo',
+            title: 'Content-Type Charset',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.http),
+            evaluate(metaTags) {
+                const { contentType, charset, charsetSource } = metaTags.http;
+                if (contentType && !/^(text\/html|application\/xhtml\+xml)/i.test(contentType)) {
+                    return { passed: false, description: `Content-Type is "${contentType}" instead of text/html.` };
+                }
+                if (charsetSource !== 'header') {
+                    return {
+                        passed: false,
+                        credit: 0.5,
+                        description: charset
+                            ? `Charset "${charset}" is only declared in the HTML. Add it to the Content-Type header.`
+                            : 'No charset declared in the Content-Type header or the HTML.'
+                    };
+                }
+                if (!['utf-8', 'utf8'].includes(charset)) {
+                    return { passed: false, credit: 0.5, description: `Content-Type charset is "${charset}". UTF-8 is recommended.` };
+                }
+                return { passed: true, description: `Served as "${contentType}".` };
+            }
+        },
+        {
+            id: 'server-response-time',
+            category: 'technicalSeo',
+            title: 'Server Response Time',
+            weight: 5,
+            severity: 'warning',
+            applies: (metaTags) => Boolean(metaTags.http && metaTags.http.timing.ttfbMs >= 0),
+            evaluate(metaTags, context) {
+                const { ttfbMs, totalMs } = metaTags.http.timing;
+                const limits = context.thresholds.responseTimeMs;
+                if (ttfbMs <= limits[0]) {
+                    return { passed: true, description: `Time to first byte was ${ttfbMs}ms (${totalMs}ms total).` };
+                }
+                return {
+                    passed: false,
+                    credit: ttfbMs <= limits[1] ? 0.5 : 0,
+                    description: `Time to first byte was ${ttfbMs}ms (${totalMs}ms total). Aim for under ${limits[0]}ms.`
+                };
+            }
+        },
+        {
+            id: 'document-size',
+            category: 'performance',
+            title: 'Document Size',
+            weight: 10,
+            severity: 'warning',
+            applies: hasPerformance,
+            evaluate(metaTags, context) {
+                const bytes = metaTags.performance.documentBytes;
+                const size = `The HTML document is ${SEOPerformance.formatBytes(bytes)}`;
+                const credit = limitCredit(bytes, context.thresholds.documentBytes);
+                if (credit === 1) {
+                    return { passed: true, description: `${size}.` };
+                }
+                return {
+                    passed: false,
+                    credit,
+                    severity: credit ? 'warning' : 'error',
+                    title: 'Large HTML Document',
+                    description: `${size} (analysis stops at ${SEOPerformance.formatBytes(SEOPerformance.MAX_DOCUMENT_SIZE)}). ` +
+                        `Keep it under ${SEOPerformance.formatBytes(context.thresholds.documentBytes[0])} by moving inline data, SVG and repeated markup out of the page.`
+                };
+            }
+        },
+        {
+            id: 'render-blocking-resources',
+            category: 'performance',
+            title: 'Render-Blocking Resources',
+            weight: 15,
+            severity: 'warning',
+            applies: hasPerformance,
+            evaluate(metaTags) {
+                const { blockingScripts, blockingStylesheets } = metaTags.performance;
+                const results = [];
+                if (blockingScripts.length > 0) {
+                    results.push({
+                        passed: false,
+                        credit: blockingScripts.length <= 2 ? 0.5 : 0,
+                        title: 'Render-Blocking Scripts',
+                        description: `${plural(blockingScripts.length, 'script')} in <head> ${blockingScripts.length === 1 ? 'loads' : 'load'} without async or defer: ${sampleList(blockingScripts)}. ` +
+                            'Add defer (or async for independent scripts) so the page can render first.'
+                    });
+                }
+                if (blockingStylesheets.length > 2) {
+                    results.push({
+                        passed: false,
+                        credit: blockingStylesheets.length <= 4 ? 0.5 : 0,
+                        title: 'Many Render-Blocking Stylesheets',
+                        description: `${blockingStylesheets.length} stylesheets in <head> block rendering: ${sampleList(blockingStylesheets)}. ` +
+                            'Combine them and inline the CSS needed for the first screen.'
+                    });
+                }
+                if (results.length === 0) {
+                    return { passed: true, description: `No render-blocking scripts and ${plural(blockingStylesheets.length, 'stylesheet')} in <head>.` };
+                }
+                return results;
+            }
+        },
+        {
+            id: 'inline-weight',
+            category: 'performance',
+            title: 'Inline Script and Style Weight',
+            weight: 5,
+            severity: 'warning',
+            applies: hasPerformance,
+            evaluate(metaTags, context) {
+                const { inlineScriptBytes, inlineStyleBytes } = metaTags.performance;
+                const sizes = `Inline scripts are ${SEOPerformance.formatBytes(inlineScriptBytes)} and inline styles ${SEOPerformance.formatBytes(inlineStyleBytes)}`;
+                const credit = limitCredit(inlineScriptBytes + inlineStyleBytes, context.thresholds.inlineBytes);
+                if (credit === 1) {
+                    return { passed: true, description: `${sizes}.` };
+                }
+                return {
+                    passed: false,
+                    credit,
+                    title: 'Heavy Inline Code',
+                    description: `${sizes}. Inline code is downloaded again with every page; move large blocks into cacheable files.`
+                };
+            }
+        },
+        {
+            id: 'resource-hints',
+            category: 'performance',
+            title: 'Resource Hints',
+            weight: 5,
+            severity: 'warning',
+            applies: hasPerformance,
+            evaluate(metaTags, context) {
+                const { performance } = metaTags;
+                const results = [];
+                const missing = SEOPerformance.missingPreconnects(performance, context.url);
+                if (missing.length > 0) {
+                    results.push({
+                        passed: false,
+                        title: 'Missing Preconnect Hints',
+                        description: `Render-blocking resources load from ${sampleList(missing)} without a preconnect. ` +
+                            'Add <link rel="preconnect"> so the connection starts before they are requested.'
+                    });
+                } else {
+                    results.push({ passed: true, title: 'Preconnect Hints', description: 'Every third-party origin on the critical path is preconnected.' });
+                }
+                if (performance.firstImage) {
+                    if (SEOPerformance.isFirstImagePrioritized(performance, context.url)) {
+                        results.push({ passed: true, title: 'Hero Image Priority', description: `The first image (${performance.firstImage.src}) is preloaded or fetched with high priority.` });
+                    } else {
+                        results.push({
+                            passed: false,
+                            credit: 0.5,
+                            title: 'Hero Image Not Preloaded',
+                            description: `The first image (${sampleList([performance.firstImage.src])}) is likely the largest element on screen. ` +
+                                'Add fetchpriority="high" or <link rel="preload" as="image"> so it loads sooner.'
+                        });
+                    }
+                }
+                return results;
+            }
+        },
+        {
+            id: 'third-party-origins',
+            category: 'performance',
+            title: 'Third-Party Origins',
+            weight: 5,
+            severity: 'warning',
+            applies: hasPerformance,
+            evaluate(metaTags, context) {
+                const origins = SEOPerformance.thirdPartyOrigins(metaTags.performance.resources.map(resource => resource.url), context.url);
+                const credit = limitCredit(origins.length, context.thresholds.thirdPartyOrigins);
+                if (credit === 1) {
+                    return { passed: true, description: `Resources load from ${plural(origins.length, 'third-party origin')}${origins.length ? `: ${sampleList(origins)}` : ''}.` };
+                }
+                return {
+                    passed: false,
+                    credit,
+                    title: 'Many Third-Party Origins',
+                    description: `Resources load from ${origins.length} third-party origins (${sampleList(origins)}). ` +
+                        `Each needs its own DNS lookup and connection; self-host or remove what you can to get down to ${context.thresholds.thirdPartyOrigins[0]}.`
+                };
+            }
+        },
+        {
+            id: 'resource-count',
+            category: 'performance',
+            title: 'Requested Resources',
+            weight: 5,
+            severity: 'warning',
+            applies: hasPerformance,
+            evaluate(metaTags, context) {
+                const { resources } = metaTags.performance;
+                const counts = {};
+                resources.forEach(resource => {
+                    counts[resource.type] = (counts[resource.type] || 0) + 1;
+                });
+                const breakdown = Object.entries(counts).map(([type, count]) => plural(count, type)).join(', ');
+                const summary = `The HTML requests ${plural(resources.length, 'resource')}${breakdown ? ` (${breakdown})` : ''}`;
+                const credit = limitCredit(resources.length, context.thresholds.resourceCount);
+                if (credit === 1) {
+                    return { passed: true, description: `${summary}.` };
+                }
+                return {
+                    passed: false,
+                    credit,
+                    title: 'Too Many Requests',
+                    description: `${summary}. Aim for ${context.thresholds.resourceCount[0]} or fewer by bundling scripts and styles and lazy-loading images below the fold.`
+                };
+            }
+        },
+        {
+            id: 'hreflang-codes',
+            category: 'internationalization',
+            title: 'Hreflang Codes',
+            weight: 10,
+            severity: 'error',
+            applies: hasHreflang,
+            evaluate(metaTags, context) {
+                const { hreflang } = metaTags;
+                const findings = [];
+                hreflang.forEach(alternate => {
+                    const parsed = SEOHreflang.parseHreflang(alternate.hreflang);
+                    if (!parsed.valid) {
+                        findings.push({
+                            title: 'Invalid Hreflang Code',
+                            description: `hreflang="${alternate.hreflang}" ${parsed.error}.` +
+                                (parsed.suggestion ? ` Use "${parsed.suggestion}".` : '') +
+                                ' Search engines ignore this alternate.'
+                        });
+                    }
+                });
+
+                // The same code pointing at different URLs leaves search engines to pick one
+                const urlsByCode = new Map();
+                hreflang.forEach(alternate => {
+                    const code = alternate.hreflang.toLowerCase();
+                    const url = SEOHreflang.resolveAlternate(alternate.href, context.url);
+                    urlsByCode.set(code, [...new Set([...(urlsByCode.get(code) || []), url])]);
+                });
+                urlsByCode.forEach((urls, code) => {
+                    if (urls.length > 1) {
+                        findings.push({
+                            title: 'Conflicting Hreflang Entries',
+                            description: `hreflang="${code}" points at ${urls.length} different URLs: ${sampleList(urls)}.`
+                        });
+                    }
+                });
+
+                if (findings.length === 0) {
+                    return { passed: true, description: `${allOf(hreflang.length, 'hreflang value is a valid, unique language code', 'hreflang values are valid, unique language codes')}.` };
+                }
+                return findings.map(finding => ({
+                    passed: false,
+                    credit: Math.max(0, 1 - findings.length / hreflang.length),
+                    ...finding
+                }));
+            }
+        },
+        {
+            id: 'hreflang-x-default',
+            category: 'internationalization',
+            title: 'Hreflang x-default',
+            weight: 5,
+            severity: 'warning',
+            applies: hasHreflang,
+            evaluate(metaTags) {
+                if (metaTags.hreflang.some(alternate => alternate.hreflang.toLowerCase() === 'x-default')) {
+                    return { passed: true, description: 'An x-default alternate is declared for visitors whose language has no version.' };
+                }
+                return {
+                    passed: false,
+                    description: 'No x-default alternate. Add one to tell search engines which page to show visitors whose language has no version.'
+                };
+            }
+        },
+        {
+            id: 'hreflang-self-reference',
+            category: 'internationalization',
+            title: 'Hreflang Self-Reference',
+            weight: 10,
+            severity: 'warning',
+            applies: hasHreflang,
+            evaluate(metaTags, context) {
+                const urls = SEOHreflang.selfUrls(metaTags, context.url);
+                const self = metaTags.hreflang.filter(alternate =>
+                    alternate.hreflang.toLowerCase() !== 'x-default' &&
+                    urls.includes(SEOHreflang.resolveAlternate(alternate.href, context.url)));
+                if (self.length === 0) {
+                    return {
+                        passed: false,
+                        title: 'Missing Self-Referencing Hreflang',
+                        description: 'The hreflang alternates do not include this page. Each page in the set should list itself as well.'
+                    };
+                }
+
+                const codes = self.map(alternate => alternate.hreflang).join(', ');
+                if (metaTags.language && !self.some(alternate => SEOHreflang.languageMatches(alternate.hreflang, metaTags.language))) {
+                    return {
+                        passed: false,
+                        credit: 0.5,
+                        title: 'Hreflang Does Not Match Page Language',
+                        description: `This page lists itself as hreflang "${codes}" but declares <html lang="${metaTags.language}">.`
+                    };
+                }
+                return { passed: true, description: `This page lists itself as hreflang "${codes}".` };
+            }
+        },
+        {
+            id: 'hreflang-urls',
+            category: 'internationalization',
+            title: 'Hreflang URLs',
+            weight: 5,
+            severity: 'warning',
+            applies: hasHreflang,
+            evaluate(metaTags) {
+                const relative = metaTags.hreflang.filter(alternate => !/^https?:\/\//i.test(alternate.href));
+                if (relative.length === 0) {
+                    return { passed: true, description: 'All hreflang alternates use absolute URLs.' };
+                }
+                return {
+                    passed: false,
+                    credit: 0.5,
+                    description: `${plural(relative.length, 'hreflang alternate does', 'hreflang alternates do')} not use an absolute URL: ` +
+                        `${sampleList(relative.map(alternate => `${alternate.hreflang} → ${alternate.href || '(empty)'}`))}. Search engines expect fully qualified URLs.`
+                };
+            }
+        },
+        {
+            id: 'hreflang-return-links',
+            category: 'internationalization',
+            title: 'Hreflang Return Links',
+            weight: 15,
+            severity: 'error',
+            // Only run when the alternates were fetched (see SEOCore.analyzePage)
+            applies: (metaTags) => Boolean(metaTags.hreflangCheck && metaTags.hreflangCheck.results.length > 0),
+            evaluate(metaTags) {
+                const { total, results, skipped } = metaTags.hreflangCheck;
+                const checked = notCheckedNote(skipped, 'more alternate') + (results.length < total
+                    ? ` Only ${results.length} of ${plural(total, 'alternate')} ${results.length === 1 ? 'was' : 'were'} checked.`
+                    : '');
+                const findings = [];
+                let credit = 0;
+                results.forEach(result => {
+                    const codes = result.hreflang.join(', ');
+                    if (result.error) {
+                        findings.push({
+                            title: 'Unreachable Hreflang Alternate',
+                            description: `${result.url} (${codes}) could not be fetched (${result.error}).`
+                        });
+                        return;
+                    }
+                    if (!result.returnLink) {
+                        findings.push({
+                            title: 'Missing Hreflang Return Link',
+                            description: `${result.url} (${codes}) does not link back to this page, so search engines ignore the pair.`
+                        });
+                        return;
+                    }
+                    if (!result.languageMatches) {
+                        credit += 0.5;
+                        findings.push({
+                            severity: 'warning',
+                            title: 'Alternate Language Mismatch',
+                            description: result.language
+                                ? `${result.url} is listed as hreflang "${codes}" but declares <html lang="${result.language}">.`
+                                : `${result.url} is listed as hreflang "${codes}" but has no <html lang> attribute.`
+                        });
+                        return;
+                    }
+                    credit += 1;
+                });
+
+                if (findings.length === 0) {
+                    return { passed: true, description: `${allOf(results.length, 'checked alternate links back and declares a matching language', 'checked alternates link back and declare matching languages')}.${checked}` };
+                }
+                // Together the findings earn the share of alternates that are set up correctly
+                return findings.map(finding => ({ passed: false, credit: credit / results.length, ...finding }));
+            }
+        }
+    ];
+
+    // Percentage earned in a category, or null when no rule in it applied
+    function categoryPercentage(categoryScore) {
+        if (!categoryScore || !categoryScore.maxScore) {
+            return null;
+        }
+        return Math.round((categoryScore.score / categoryScore.maxScore) * 100);
+    }
+
+    const isPercentage = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+    function copyThresholds(thresholds) {
+        const copy = {};
+        Object.keys(thresholds).forEach(id => {
+            copy[id] = Array.isArray(thresholds[id]) ? [...thresholds[id]] : thresholds[id];
+        });
+        return copy;
+    }
+
+    class RuleEngine {
+        constructor(rules = DEFAULT_RULES, categories = CATEGORIES) {
+            this.categories = categories.map(category => ({ ...category }));
+            this.rules = new Map();
+            // Rules as registered, so reset() can undo weight and enabled changes
+            this.declared = new Map();
+            this.thresholds = copyThresholds(THRESHOLDS);
+            this.bands = STATUS_BANDS.map(band => ({ ...band }));
+            rules.forEach(rule => this.register(rule));
+        }
+
+        register(rule) {
+            if (!rule || typeof rule.id !== 'string' || !rule.id) {
+                throw new TypeError('Rule must have a non-empty string id');
+            }
+            if (!this.categories.some(category => category.id === rule.category)) {
+                throw new TypeError(`Rule "${rule.id}" has unknown category "${rule.category}"`);
+            }
+            if (typeof rule.weight !== 'number' || rule.weight < 0) {
+                throw new TypeError(`Rule "${rule.id}" must have a non-negative weight`);
+            }
+            if (!SEVERITIES.includes(rule.severity)) {
+                throw new TypeError(`Rule "${rule.id}" severity must be one of: ${SEVERITIES.join(', ')}`);
+            }
+            if (typeof rule.evaluate !== 'function') {
+                throw new TypeError(`Rule "${rule.id}" must have an evaluate function`);
+            }
+            if (rule.applies !== undefined && typeof rule.applies !== 'function') {
+                throw new TypeError(`Rule "${rule.id}" applies must be a function`);
+            }
+
+            this.rules.set(rule.id, { enabled: true, ...rule });
+            this.declared.set(rule.id, rule);
+            return this;
+        }
+
+        unregister(id) {
+            this.rules.delete(id);
+            this.declared.delete(id);
+            return this;
+        }
+
+        getRule(id) {
+            return this.rules.get(id);
+        }
+
+        enable(id) {
+            this.requireRule(id).enabled = true;
+            return this;
+        }
+
+        disable(id) {
+            this.requireRule(id).enabled = false;
+            return this;
+        }
+
+        setWeight(id, weight) {
+            if (typeof weight !== 'number' || weight < 0) {
+                throw new TypeError(`Weight for rule "${id}" must be a non-negative number`);
+            }
+            this.requireRule(id).weight = weight;
+            return this;
+        }
+
+        // A threshold is a number or a pair of numbers, matching its default
+        setThreshold(id, value) {
+            if (!(id in THRESHOLDS)) {
+                throw new Error(`Unknown threshold "${id}"`);
+            }
+            const valid = Array.isArray(THRESHOLDS[id])
+                ? Array.isArray(value) && value.length === 2 && value.every(Number.isFinite)
+                : Number.isFinite(value);
+            if (!valid) {
+                throw new TypeError(`Threshold "${id}" must be ${Array.isArray(THRESHOLDS[id]) ? 'a pair of numbers' : 'a number'}`);
+            }
+            this.thresholds[id] = Array.isArray(value) ? [...value] : value;
+            return this;
+        }
+
+        // Minimum percentages for the excellent, good and warning statuses,
+        // e.g. { excellent: 90, good: 70, warning: 50 }; missing ones are kept
+        setBands(minimums) {
+            const bands = this.bands.map(band => ({ ...band, min: band.id in minimums ? minimums[band.id] : band.min }));
+            Object.keys(minimums).forEach(id => {
+                if (!bands.some(band => band.id === id) || id === bands[bands.length - 1].id) {
+                    throw new Error(`Unknown status band "${id}"`);
+                }
+                if (!isPercentage(minimums[id])) {
+                    throw new TypeError(`Status band "${id}" must be a percentage between 0 and 100`);
+                }
+            });
+            if (bands.some((band, index) => index > 0 && band.min > bands[index - 1].min)) {
+                throw new RangeError(`Status bands must not increase: ${bands.map(band => `${band.id} ${band.min}`).join(', ')}`);
+            }
+            this.bands = bands;
+            return this;
+        }
+
+        // The band a category percentage falls in, or null when nothing applied
+        status(percentage) {
+            if (percentage === null) {
+                return null;
+            }
+            return this.bands.find(band => percentage >= band.min) || this.bands[this.bands.length - 1];
+        }
+
+        // Back to the declared weights with every rule enabled, and the
+        // default thresholds and bands
+        reset() {
+            this.rules.forEach((rule, id) => {
+                rule.enabled = true;
+                rule.weight = this.declared.get(id).weight;
+            });
+            this.thresholds = copyThresholds(THRESHOLDS);
+            this.bands = STATUS_BANDS.map(band => ({ ...band }));
+            return this;
+        }
+
+        requireRule(id) {
+            const rule = this.rules.get(id);
+            if (!rule) {
+                throw new Error(`Unknown rule "${id}"`);
+            }
+            return rule;
+        }
+
+        // Runs a single rule and returns its analysis items plus the points it earned.
+        evaluateRule(rule, metaTags, context = {}) {
+            const evaluated = rule.evaluate(metaTags, { ...context, thresholds: this.thresholds });
+            const results = Array.isArray(evaluated) ? evaluated : [evaluated];
+            if (results.length === 0) {
+                throw new TypeError(`Rule "${rule.id}" returned no results`);
+            }
+
+            let credit = 0;
+            const items = results.map(result => {
+                credit += result.passed ? 1 : Math.min(1, Math.max(0, result.credit || 0));
+                return {
+                    id: rule.id,
+                    category: rule.category,
+                    type: result.passed ? 'passed' : (result.severity || rule.severity),
+                    title: result.title || rule.title,
+                    description: result.description
+                };
+            });
+
+            return { items, points: rule.weight * (credit / results.length) };
+        }
+
+        run(metaTags, context = {}) {
+            const items = [];
+            const counts = { passed: 0, warning: 0, error: 0 };
+            const categoryScores = {};
+            let score = 0;
+            let maxScore = 0;
+
+            this.categories.forEach(category => {
+                categoryScores[category.id] = { score: 0, maxScore: 0, items: [] };
+            });
+
+            this.rules.forEach(rule => {
+                if (!rule.enabled || (rule.applies && !rule.applies(metaTags, context))) {
+                    return;
+                }
+
+                const result = this.evaluateRule(rule, metaTags, context);
+                const categoryScore = categoryScores[rule.category];
+
+                result.items.forEach(item => {
+                    items.push(item);
+                    categoryScore.items.push(item);
+                    counts[item.type]++;
+                });
+                categoryScore.score += result.points;
+                categoryScore.maxScore += rule.weight;
+                score += result.points;
+                maxScore += rule.weight;
+            });
+
+            return {
+                score: maxScore ? Math.round((score / maxScore) * 100) : 0,
+                passed: counts.passed,
+                warnings: counts.warning,
+                errors: counts.error,
+                items,
+                categoryScores
+            };
+        }
+    }
+
+    return { CATEGORIES, DEFAULT_RULES, THRESHOLDS, STATUS_BANDS, RuleEngine, categoryPercentage, plural };
+}));
@@ -0,0 +1,393 @@
+// Schema.org structured data: Microdata and RDFa extraction into the same
+// entity shape as JSON-LD, and validation of those entities.
+//
+// Validation walks every entity in the blocks (top-level arrays, @graph and
+// nested objects) and checks the common rich result types for the properties
+// search engines require or recommend.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOSchema = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // A required entry that is an array is satisfied by any one of its paths.
+    // Dotted paths look inside nested values (e.g. a ListItem's item.name).
+    const SCHEMA_TYPES = {
+        Article: {
+            required: ['headline'],
+            recommended: ['image', 'datePublished', 'dateModified', 'author']
+        },
+        Product: {
+            required: ['name', ['offers', 'review', 'aggregateRating']],
+            recommended: ['image', 'description', 'brand', 'sku']
+        },
+        Offer: {
+            required: [['price', 'priceSpecification'], 'priceCurrency'],
+            recommended: ['availability', 'url']
+        },
+        AggregateOffer: {
+            required: ['lowPrice', 'priceCurrency'],
+            recommended: ['highPrice', 'offerCount']
+        },
+        Organization: {
+            required: ['name'],
+            recommended: ['url', 'logo']
+        },
+        BreadcrumbList: {
+            required: ['itemListElement'],
+            recommended: []
+        },
+        ListItem: {
+            required: ['position', ['name', 'item.name']],
+            recommended: ['item']
+        },
+        FAQPage: {
+            required: ['mainEntity'],
+            recommended: []
+        },
+        Question: {
+            required: ['name', 'acceptedAnswer'],
+            recommended: []
+        },
+        Answer: {
+            required: ['text'],
+            recommended: []
+        },
+        LocalBusiness: {
+            required: ['name', 'address'],
+            recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification', 'priceRange', 'image']
+        },
+        Event: {
+            required: ['name', 'startDate', 'location'],
+            recommended: ['description', 'endDate', 'image', 'offers', 'organizer', 'eventStatus']
+        },
+        Recipe: {
+            required: ['name', 'image'],
+            recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'totalTime', 'recipeYield']
+        }
+    };
+
+    // Subtypes validated with their parent type's properties
+    const TYPE_ALIASES = {
+        NewsArticle: 'Article',
+        BlogPosting: 'Article',
+        TechArticle: 'Article',
+        Corporation: 'Organization',
+        NGO: 'Organization',
+        Restaurant: 'LocalBusiness',
+        Store: 'LocalBusiness',
+        MedicalBusiness: 'LocalBusiness',
+        ProfessionalService: 'LocalBusiness'
+    };
+
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    function typesOf(entity) {
+        const types = Array.isArray(entity['@type']) ? entity['@type'] : [entity['@type']];
+        // Accept full IRIs such as "https://schema.org/Product"
+        return types
+            .filter(type => typeof type === 'string')
+            .map(type => type.replace(/^https?:\/\/schema\.org\//, ''));
+    }
+
+    function isEmpty(value) {
+        return value === undefined || value === null ||
+            (typeof value === 'string' && value.trim() === '') ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    function hasPath(entity, path) {
+        const value = path.split('.').reduce((current, key) => {
+            if (Array.isArray(current)) {
+                current = current[0];
+            }
+            return current && typeof current === 'object' ? current[key] : undefined;
+        }, entity);
+        return !isEmpty(value);
+    }
+
+    function isEntity(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Flattens the blocks into { entity, path } records, where path
+    // reads like "block 1 > @graph[0] > offers".
+    function collectEntities(blocks, labels = defaultLabels(blocks)) {
+        const entities = [];
+
+        function visit(value, path) {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => visit(item, `${path}[${index}]`));
+                return;
+            }
+            if (!isEntity(value)) {
+                return;
+            }
+
+            if (value['@type'] !== undefined) {
+                entities.push({ entity: value, path });
+            }
+            Object.keys(value).forEach(key => {
+                if (key === '@graph') {
+                    visit(value[key], `${path} > @graph`);
+                } else if (key !== '@context') {
+                    visit(value[key], `${path} > ${key}`);
+                }
+            });
+        }
+
+        blocks.forEach((block, index) => visit(block, labels[index]));
+        return entities;
+    }
+
+    function defaultLabels(blocks) {
+        return blocks.map((_, index) => `block ${index + 1}`);
+    }
+
+    function describePath(paths) {
+        return paths.map(path => `"${path}"`).join(' or ');
+    }
+
+    function hasSchemaContext(block) {
+        const contexts = Array.isArray(block['@context']) ? block['@context'] : [block['@context']];
+        return contexts.some(context => typeof context === 'string' && /^https?:\/\/schema\.org\/?$/.test(context));
+    }
+
+    // Returns { types, findings } where each finding is
+    // { severity: 'error'|'warning', type, property, path, message }.
+    // labels name each block in the paths (defaults to "block 1", "block 2", ...).
+    function validateStructuredData(blocks, labels = defaultLabels(blocks)) {
+        const findings = [];
+        const types = new Set();
+
+        blocks.forEach((block, index) => {
+            const roots = Array.isArray(block) ? block : [block];
+            roots.filter(isEntity).forEach(entity => {
+                if (!hasSchemaContext(entity)) {
+                    findings.push({
+                        severity: 'warning',
+                        type: '',
+                        property: '@context',
+                        path: labels[index],
+                        message: 'Missing or non-Schema.org "@context". Use "https://schema.org".'
+                    });
+                }
+                if (entity['@type'] === undefined && entity['@graph'] === undefined) {
+                    findings.push({
+                        severity: 'error',
+                        type: '',
+                        property: '@type',
+                        path: labels[index],
+                        message: 'Block has no "@type" or "@graph", so search engines cannot tell what it describes.'
+                    });
+                }
+            });
+        });
+
+        collectEntities(blocks, labels).forEach(({ entity, path }) => {
+            typesOf(entity).forEach(type => {
+                types.add(type);
+                const schemaType = hasOwn(TYPE_ALIASES, type) ? TYPE_ALIASES[type] : type;
+                if (!hasOwn(SCHEMA_TYPES, schemaType)) {
+                    return;
+                }
+                const definition = SCHEMA_TYPES[schemaType];
+
+                definition.required.forEach(required => {
+                    const paths = Array.isArray(required) ? required : [required];
+                    if (!paths.some(property => hasPath(entity, property))) {
+                        findings.push({
+                            severity: 'error',
+                            type,
+                            property: paths[0],
+                            path,
+                            message: `${type} is missing required property ${describePath(paths)}.`
+                        });
+                    }
+                });
+
+                definition.recommended.forEach(property => {
+                    if (!hasPath(entity, property)) {
+                        findings.push({
+                            severity: 'warning',
+                            type,
+                            property,
+                            path,
+                            message: `${type} is missing recommended property "${property}".`
+                        });
+                    }
+                });
+            });
+        });
+
+        return { types: Array.from(types), findings };
+    }
+
+    const SCHEMA_ORG = /^https?:\/\/schema\.org\/?/;
+
+    // Adds a property value, turning repeated properties into arrays
+    function addValue(entity, name, value) {
+        if (!hasOwn(entity, name)) {
+            entity[name] = value;
+        } else if (Array.isArray(entity[name])) {
+            entity[name].push(value);
+        } else {
+            entity[name] = [entity[name], value];
+        }
+    }
+
+    function singleOrList(values) {
+        return values.length === 1 ? values[0] : values;
+    }
+
+    // The text value of a property element per the Microdata/RDFa value rules
+    function elementValue(element) {
+        const attribute = {
+            meta: 'content',
+            a: 'href', area: 'href', link: 'href',
+            img: 'src', audio: 'src', video: 'src', source: 'src', iframe: 'src', embed: 'src', track: 'src',
+            object: 'data',
+            data: 'value', meter: 'value',
+            time: 'datetime'
+        }[element.localName];
+
+        if (attribute && element.hasAttribute(attribute)) {
+            return element.getAttribute(attribute).trim();
+        }
+        return element.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    function microdataItem(element, doc, visited) {
+        const entity = {};
+        const types = (element.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean);
+
+        if (types.length > 0 && types.every(type => SCHEMA_ORG.test(type))) {
+            if (!element.hasAttribute('itemprop')) {
+                entity['@context'] = 'https://schema.org';
+            }
+            entity['@type'] = singleOrList(types.map(type => type.replace(SCHEMA_ORG, '')));
+        } else if (types.length > 0) {
+            entity['@type'] = singleOrList(types);
+        }
+        if (element.hasAttribute('itemid')) {
+            entity['@id'] = element.getAttribute('itemid');
+        }
+
+        // Properties come from descendants outside nested items, plus itemref targets
+        const roots = [element];
+        (element.getAttribute('itemref') || '').split(/\s+/).filter(Boolean).forEach(id => {
+            const referenced = doc.getElementById(id);
+            if (referenced) {
+                roots.push(referenced);
+            }
+        });
+
+        visited.add(element);
+        const collect = (node, isRoot) => {
+            if (!isRoot && node.hasAttribute('itemprop')) {
+                const value = node.hasAttribute('itemscope')
+                    ? (visited.has(node) ? {} : microdataItem(node, doc, visited))
+                    : elementValue(node);
+                node.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+                    addValue(entity, name.replace(SCHEMA_ORG, ''), value);
+                });
+            }
+            if (isRoot || !node.hasAttribute('itemscope')) {
+                Array.from(node.children).forEach(child => collect(child, false));
+            }
+        };
+        roots.forEach(rootElement => collect(rootElement, rootElement === element));
+
+        return entity;
+    }
+
+    // Top-level Microdata items (itemscope elements that are not a property value)
+    function extractMicrodata(doc) {
+        const visited = new Set();
+        return Array.from(doc.querySelectorAll('[itemscope]'))
+            .filter(element => !element.hasAttribute('itemprop'))
+            .map(element => microdataItem(element, doc, visited));
+    }
+
+    // Expands an RDFa term or CURIE to a Schema.org local name where possible,
+    // otherwise to a full IRI
+    function rdfaTerm(term, vocab, prefixes) {
+        const curie = /^([\w-]*):(?!\/\/)(.+)$/.exec(term);
+        let iri = term;
+        if (curie && hasOwn(prefixes, curie[1])) {
+            iri = prefixes[curie[1]] + curie[2];
+        } else if (!curie && !/^https?:/.test(term) && vocab) {
+            iri = vocab + term;
+        }
+        return SCHEMA_ORG.test(iri) ? iri.replace(SCHEMA_ORG, '') : iri;
+    }
+
+    function parsePrefixes(value, inherited) {
+        const prefixes = { ...inherited };
+        const tokens = value.trim().split(/\s+/);
+        for (let i = 0; i + 1 < tokens.length; i += 2) {
+            prefixes[tokens[i].replace(/:$/, '')] = tokens[i + 1];
+        }
+        return prefixes;
+    }
+
+    // RDFa Lite: typeof starts an entity, property adds to the nearest one and
+    // property together with typeof nests the new entity as the value
+    function extractRdfa(doc) {
+        const entities = [];
+
+        const walk = (element, current, vocab, prefixes) => {
+            if (element.hasAttribute('vocab')) {
+                vocab = element.getAttribute('vocab').trim();
+            }
+            if (element.hasAttribute('prefix')) {
+                prefixes = parsePrefixes(element.getAttribute('prefix'), prefixes);
+            }
+
+            const properties = (element.getAttribute('property') || '').split(/\s+/).filter(Boolean)
+                .map(property => rdfaTerm(property, vocab, prefixes));
+            let next = current;
+
+            if (element.hasAttribute('typeof')) {
+                const entity = {};
+                const types = element.getAttribute('typeof').split(/\s+/).filter(Boolean)
+                    .map(type => rdfaTerm(type, vocab, prefixes));
+                const nested = Boolean(current && properties.length > 0);
+                if (!nested && types.some(type => !/^https?:/.test(type))) {
+                    entity['@context'] = 'https://schema.org';
+                }
+                if (types.length > 0) {
+                    entity['@type'] = singleOrList(types);
+                }
+                const id = element.getAttribute('resource') || element.getAttribute('about');
+                if (id) {
+                    entity['@id'] = id;
+                }
+
+                if (nested) {
+                    properties.forEach(property => addValue(current, property, entity));
+                } else {
+                    entities.push(entity);
+                }
+                next = entity;
+            } else if (current && properties.length > 0) {
+                const value = element.hasAttribute('content')
+                    ? element.getAttribute('content').trim()
+                    : element.getAttribute('resource') || elementValue(element);
+                properties.forEach(property => addValue(current, property, value));
+            }
+
+            Array.from(element.children).forEach(child => walk(child, next, vocab, prefixes));
+        };
+
+        if (doc.documentElement) {
+            walk(doc.documentElement, null, '', { schema: 'https://schema.org/' });
+        }
+        return entities;
+    }
+
+    return { SCHEMA_TYPES, TYPE_ALIASES, extractMicrodata, extractRdfa, collectEntities, validateStructuredData };
+}));
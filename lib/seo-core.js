@@ -0,0 +1,297 @@
+// Environment-independent analysis core shared by the browser UI and the CLI.
+//
+// Subclasses supply parseDocument() and parseXml() where the global DOMParser
+// is unavailable (with releaseDocument() to free what they parse), and
+// loadImage() where the global Image is. checkLink() and
+// fetchAlternate() are supplied by subclasses that can fetch pages, for the
+// optional broken link and hreflang return link checks.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rules'), require('./schema'), require('./content'), require('./images'), require('./links'), require('./hreflang'),
+            require('./accessibility'), require('./mobile'), require('./performance'), require('./serp'), require('./opengraph'),
+            require('./head'));
+    } else {
+        root.SEOCore = factory(root.SEORules, root.SEOSchema, root.SEOContent, root.SEOImages, root.SEOLinks, root.SEOHreflang,
+            root.SEOAccessibility, root.SEOMobile, root.SEOPerformance, root.SEOSerp, root.SEOOpenGraph,
+            root.SEOHead);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEORules, SEOSchema, SEOContent, SEOImages, SEOLinks, SEOHreflang, SEOAccessibility, SEOMobile, SEOPerformance, SEOSerp, SEOOpenGraph, SEOHead) {
+    'use strict';
+
+    const IMAGE_TIMEOUT = 10000;
+
+    class SEOCore {
+        constructor(options = {}) {
+            this.ruleEngine = options.ruleEngine || new SEORules.RuleEngine();
+        }
+
+        normalizeUrl(url) {
+            // Remove any leading/trailing whitespace
+            url = url.trim();
+
+            // If URL doesn't start with http:// or https://, add https://
+            if (!url.match(/^https?:\/\//i)) {
+                url = 'https://' + url;
+            }
+
+            return url;
+        }
+
+        isValidUrl(string) {
+            try {
+                const url = new URL(string);
+                // Ensure it's http or https protocol
+                return url.protocol === 'http:' || url.protocol === 'https:';
+            } catch (_) {
+                return false;
+            }
+        }
+
+        isPrivateUrl(string) {
+            try {
+                const url = new URL(string);
+                // IPv6 literals are reported in brackets (e.g. "[::1]")
+                const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+                // Block localhost, loopback and unspecified addresses
+                if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname === '0.0.0.0' ||
+                    /^127\./.test(hostname) || hostname === '::1' || hostname === '::') {
+                    return true;
+                }
+
+                // Block private IPv4 ranges (10.x, 172.16-31.x, 192.168.x, 169.254.x)
+                const privateIpPattern = /^(10\.|172\.(1[6-9]|2[0-9]|3[01])\.|192\.168\.|169\.254\.)/;
+                if (privateIpPattern.test(hostname)) {
+                    return true;
+                }
+
+                // Block IPv6 unique local (fc00::/7), link-local (fe80::/10) and IPv4-mapped addresses
+                if (hostname.includes(':') &&
+                    (hostname.startsWith('fc') || hostname.startsWith('fd') || hostname.startsWith('fe80') || hostname.startsWith('::ffff:'))) {
+                    return true;
+                }
+
+                return false;
+            } catch (_) {
+                return false;
+            }
+        }
+
+        parseDocument(html) {
+            const parser = new DOMParser();
+            return parser.parseFromString(html, 'text/html');
+        }
+
+        parseXml(xml) {
+            const parser = new DOMParser();
+            return parser.parseFromString(xml, 'application/xml');
+        }
+
+        // Called once everything has been read from a parsed document; subclasses
+        // whose documents hold resources (jsdom windows) free them here
+        releaseDocument() {}
+
+        parseMetaTags(html) {
+            const doc = this.parseDocument(html);
+            try {
+                return this.extractMetaTags(doc, html);
+            } finally {
+                this.releaseDocument(doc);
+            }
+        }
+
+        extractMetaTags(doc, html) {
+            const socialTags = SEOOpenGraph.extractSocialTags(doc);
+            const social = SEOOpenGraph.parseSocialTags(socialTags);
+            const first = (property) => SEOOpenGraph.firstValue(social, property);
+
+            const metaTags = {
+                title: doc.querySelector('title')?.textContent || '',
+                description: doc.querySelector('meta[name="description"]')?.getAttribute('content') || '',
+                keywords: doc.querySelector('meta[name="keywords"]')?.getAttribute('content') || '',
+                canonical: doc.querySelector('link[rel="canonical"]')?.getAttribute('href') || '',
+                robots: doc.querySelector('meta[name="robots"]')?.getAttribute('content') || '',
+                viewport: doc.querySelector('meta[name="viewport"]')?.getAttribute('content') || '',
+                charset: doc.querySelector('meta[charset]')?.getAttribute('charset') || 
+                        doc.querySelector('meta[http-equiv="Content-Type"]')?.getAttribute('content') || '',
+
+                // First value of the main Open Graph tags
+                ogTitle: first('og:title'),
+                ogDescription: first('og:description'),
+                ogImage: first('og:image'),
+                ogUrl: first('og:url'),
+                ogType: first('og:type'),
+                ogSiteName: first('og:site_name'),
+
+                // First value of the main Twitter Card tags
+                twitterCard: first('twitter:card'),
+                twitterTitle: first('twitter:title'),
+                twitterDescription: first('twitter:description'),
+                twitterImage: first('twitter:image'),
+                twitterSite: first('twitter:site'),
+
+                // Every Open Graph, object type and Twitter tag in document order
+                socialTags,
+
+                // Additional SEO tags
+                author: doc.querySelector('meta[name="author"]')?.getAttribute('content') || '',
+                language: doc.documentElement.getAttribute('lang') || '',
+                favicon: SEOSerp.extractFavicon(doc),
+
+                // Schema.org structured data in each syntax
+                ...this.extractStructuredData(doc),
+                microdata: SEOSchema.extractMicrodata(doc),
+                rdfa: SEOSchema.extractRdfa(doc),
+
+                // Body text and headings
+                content: SEOContent.extractContent(doc),
+
+                // <img> and <a href> elements in the body
+                images: SEOImages.extractImages(doc),
+                links: SEOLinks.extractLinks(doc),
+
+                // <link rel="alternate" hreflang> tags
+                hreflang: SEOHreflang.extractAlternates(doc),
+
+                // Accessible names, landmarks and duplicate ids
+                accessibility: SEOAccessibility.extractAccessibility(doc),
+
+                // Theme color, icons, plugins and fixed-width inline styles
+                mobile: SEOMobile.extractMobileSignals(doc),
+
+                // Document size, render-blocking resources and requests
+                performance: SEOPerformance.extractPerformance(doc, html),
+
+                // Repeated and misplaced head tags, robots directives, charsets and icons
+                head: SEOHead.extractHead(doc, html)
+            };
+
+            return metaTags;
+        }
+
+        // Parsed JSON-LD blocks, plus { index, message, snippet } for each block
+        // that is not valid JSON so the structured data rule can report it
+        extractStructuredData(doc) {
+            const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+            const structuredData = [];
+            const structuredDataErrors = [];
+
+            scripts.forEach((script, index) => {
+                const text = script.textContent.trim();
+                try {
+                    structuredData.push(JSON.parse(text));
+                } catch (e) {
+                    structuredDataErrors.push({ index, message: e.message, snippet: this.jsonErrorSnippet(text, e) });
+                }
+            });
+
+            return { structuredData, structuredDataErrors };
+        }
+
+        // Up to 80 characters around the position the parser reported, or the
+        // start of the block when it gives none. V8 reports "position N",
+        // Firefox "line L column C".
+        jsonErrorSnippet(text, error) {
+            let position = 0;
+            const offset = /position (\d+)/.exec(error.message);
+            const lineColumn = /line (\d+) column (\d+)/.exec(error.message);
+            if (offset) {
+                position = Number(offset[1]);
+            } else if (lineColumn) {
+                const lines = text.split('\n').slice(0, Number(lineColumn[1]) - 1);
+                position = lines.reduce((sum, line) => sum + line.length + 1, 0) + Number(lineColumn[2]) - 1;
+            }
+            const start = Math.max(0, position - 40);
+            const end = Math.min(text.length, start + 80);
+            const snippet = text.slice(start, end).replace(/\s+/g, ' ');
+            return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+        }
+
+        // options.keyword is the target phrase for the keyword checks
+        analyzeSEO(metaTags, url, options = {}) {
+            return this.ruleEngine.run(metaTags, { url, keyword: options.keyword || '' });
+        }
+
+        // Resolves to the image's { width, height } in pixels, or null when it
+        // loads but reports no size (SVG without width and height), and rejects
+        // when it cannot be loaded
+        loadImage(url) {
+            return new Promise((resolve, reject) => {
+                const image = new Image();
+                const timer = setTimeout(() => {
+                    image.src = '';
+                    reject(new Error('timed out'));
+                }, IMAGE_TIMEOUT);
+                image.onload = () => {
+                    clearTimeout(timer);
+                    resolve(image.naturalWidth && image.naturalHeight
+                        ? { width: image.naturalWidth, height: image.naturalHeight }
+                        : null);
+                };
+                image.onerror = () => {
+                    clearTimeout(timer);
+                    reject(new Error('not found or not an image'));
+                };
+                image.src = url;
+            });
+        }
+
+        // og:image and twitter:image with their real pixel size:
+        // [{ url, sources, status: 'loaded' | 'unknown-size' | 'failed', width, height, error }]
+        async loadSocialImages(metaTags, baseUrl) {
+            return Promise.all(SEOImages.socialImageUrls(metaTags, baseUrl).map(image => this.loadSocialImage(image)));
+        }
+
+        // One entry of SEOImages.socialImageUrls() with its status and size
+        async loadSocialImage(image) {
+            try {
+                const size = await this.loadImage(image.url);
+                if (!size) {
+                    return { ...image, status: 'unknown-size' };
+                }
+                return { ...image, status: 'loaded', width: size.width, height: size.height };
+            } catch (e) {
+                return { ...image, status: 'failed', error: e.message };
+            }
+        }
+
+        // Hreflang alternates and <html lang> of a page fetched through fetchAlternate()
+        async loadAlternate(url) {
+            const page = await this.fetchAlternate(url);
+            if (page.response && page.response.status >= 400) {
+                throw new Error(`HTTP ${page.response.status}`);
+            }
+            const doc = this.parseDocument(page.html);
+            try {
+                return {
+                    alternates: SEOHreflang.extractAlternates(doc),
+                    language: doc.documentElement.getAttribute('lang') || ''
+                };
+            } finally {
+                this.releaseDocument(doc);
+            }
+        }
+
+        // Parses and analyzes a page returned by a fetch backend. HTTP details
+        // are only known when the backend reports them (see server/proxy.js).
+        // options.checkLinks fetches internal links through checkLink() and
+        // reports the broken ones; options.checkHreflang fetches each hreflang
+        // alternate and checks that it links back.
+        async analyzePage(page, options = {}) {
+            const metaTags = this.parseMetaTags(page.html);
+            metaTags.http = page.response || null;
+            metaTags.socialImages = await this.loadSocialImages(metaTags, page.url);
+            metaTags.linkCheck = options.checkLinks && this.isValidUrl(page.url)
+                ? await SEOLinks.checkLinks(metaTags.links, page.url, url => this.checkLink(url))
+                : null;
+            metaTags.hreflangCheck = options.checkHreflang && this.isValidUrl(page.url) && metaTags.hreflang.length > 0
+                ? await SEOHreflang.checkAlternates(metaTags.hreflang, SEOHreflang.selfUrls(metaTags, page.url),
+                    url => this.loadAlternate(url))
+                : null;
+
+            return { metaTags, analysis: this.analyzeSEO(metaTags, page.url, options) };
+        }
+    }
+
+    return SEOCore;
+}));
@@ -0,0 +1,180 @@
+// Google result snippet simulation: measures titles and descriptions in pixels
+// of the SERP font (Arial), truncates them the way Google does for desktop and
+// mobile results and builds the breadcrumb URL, site name and favicon lines.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOSerp = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Font size and the width Google shows before truncating, in CSS pixels.
+    // Mobile titles wrap onto two lines; mobile descriptions are shorter.
+    const SERP_MODES = {
+        desktop: {
+            name: 'Desktop',
+            title: { fontSize: 20, maxWidth: 600 },
+            description: { fontSize: 14, maxWidth: 920 }
+        },
+        mobile: {
+            name: 'Mobile',
+            title: { fontSize: 20, maxWidth: 920 },
+            description: { fontSize: 14, maxWidth: 680 }
+        }
+    };
+
+    // Below these desktop widths a title or description leaves space unused
+    const MIN_WIDTHS = { title: 300, description: 600 };
+
+    const ELLIPSIS = ' ...';
+
+    // Arial advance widths in 1/1000 em for printable ASCII (32-126)
+    const ASCII_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+
+    const PUNCTUATION_WIDTHS = {
+        '…': 1000, '–': 556, '—': 1000, '‘': 222, '’': 222, '“': 333, '”': 333,
+        '•': 350, '·': 278, '©': 737, '®': 737, '™': 1000, '›': 333, '»': 556
+    };
+
+    // CJK, Hangul, fullwidth forms and emoji take a full em
+    const WIDE = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]|[\uD800-\uDBFF][\uDC00-\uDFFF]/;
+
+    // Unknown characters get the width of a lowercase letter
+    const DEFAULT_WIDTH = 556;
+
+    function charWidth(char) {
+        const code = char.charCodeAt(0);
+        if (char.length === 1 && code >= 32 && code <= 126) {
+            return ASCII_WIDTHS[code - 32];
+        }
+        if (PUNCTUATION_WIDTHS[char]) {
+            return PUNCTUATION_WIDTHS[char];
+        }
+        if (WIDE.test(char)) {
+            return 1000;
+        }
+        // Accented letters are as wide as their base letter
+        const base = char.normalize('NFD').charAt(0);
+        return base !== char && base.charCodeAt(0) >= 32 && base.charCodeAt(0) <= 126
+            ? ASCII_WIDTHS[base.charCodeAt(0) - 32]
+            : DEFAULT_WIDTH;
+    }
+
+    function normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Rendered width of text in pixels at the given font size
+    function textWidth(text, fontSize) {
+        return Math.round(Array.from(text).reduce((sum, char) => sum + charWidth(char), 0) * fontSize / 1000);
+    }
+
+    // { text, width, truncated, visibleLength } where text is what Google shows:
+    // the whole text when it fits, otherwise the words that fit followed by " ..."
+    function truncate(value, fontSize, maxWidth) {
+        const text = normalize(value);
+        const width = textWidth(text, fontSize);
+        if (width <= maxWidth) {
+            return { text, width, truncated: false, visibleLength: text.length };
+        }
+
+        const budget = (maxWidth - textWidth(ELLIPSIS, fontSize)) * 1000 / fontSize;
+        const chars = Array.from(text);
+        let used = 0;
+        let end = 0;
+        while (end < chars.length && used + charWidth(chars[end]) <= budget) {
+            used += charWidth(chars[end]);
+            end++;
+        }
+
+        let visible = chars.slice(0, end).join('');
+        // Cut at the last word boundary unless a single word fills the line
+        if (end < chars.length && chars[end] !== ' ' && visible.lastIndexOf(' ') > 0) {
+            visible = visible.slice(0, visible.lastIndexOf(' '));
+        }
+        visible = visible.replace(/[\s,;:|\-–—]+$/, '');
+        return { text: visible + ELLIPSIS, width, truncated: true, visibleLength: visible.length };
+    }
+
+    // field is 'title' or 'description'; mode is a SERP_MODES key
+    function fitSnippet(value, field, mode = 'desktop') {
+        const { fontSize, maxWidth } = SERP_MODES[mode][field];
+        return { ...truncate(value, fontSize, maxWidth), maxWidth };
+    }
+
+    // "https://example.com › blog › post" with the query and fragment dropped
+    function breadcrumb(url) {
+        try {
+            const parsed = new URL(url);
+            const segments = parsed.pathname.split('/').filter(Boolean).map(segment => {
+                try {
+                    return decodeURIComponent(segment);
+                } catch (_) {
+                    return segment;
+                }
+            });
+            return [`${parsed.protocol}//${parsed.host}`, ...segments].join(' › ');
+        } catch (_) {
+            return url;
+        }
+    }
+
+    function siteName(metaTags, url) {
+        if (metaTags.ogSiteName) {
+            return normalize(metaTags.ogSiteName);
+        }
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (_) {
+            return '';
+        }
+    }
+
+    // href of the page's icon link, or '' when it relies on /favicon.ico
+    function extractFavicon(doc) {
+        const icon = Array.from(doc.querySelectorAll('link[rel][href]'))
+            .find(link => link.getAttribute('rel').toLowerCase().split(/\s+/).includes('icon'));
+        return icon ? icon.getAttribute('href').trim() : '';
+    }
+
+    // Favicon URL Google would show, falling back to /favicon.ico
+    function faviconUrl(metaTags, url) {
+        try {
+            return new URL(metaTags.favicon || '/favicon.ico', url).href;
+        } catch (_) {
+            return '';
+        }
+    }
+
+    // Everything the Google result preview shows for a page in the given mode
+    function buildSnippet(metaTags, url, mode = 'desktop') {
+        return {
+            mode,
+            siteName: siteName(metaTags, url),
+            breadcrumb: breadcrumb(url),
+            favicon: faviconUrl(metaTags, url),
+            title: fitSnippet(metaTags.title || '', 'title', mode),
+            description: fitSnippet(metaTags.description || '', 'description', mode)
+        };
+    }
+
+    return {
+        SERP_MODES,
+        MIN_WIDTHS,
+        textWidth,
+        truncate,
+        fitSnippet,
+        breadcrumb,
+        extractFavicon,
+        buildSnippet
+    };
+}));
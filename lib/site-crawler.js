@@ -0,0 +1,311 @@
+// Site discovery through robots.txt and XML sitemaps, plus the site-level
+// audit that cross-checks sitemap entries against robots rules and the
+// analyzed pages' robots meta tags and canonicals.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SEOSite = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_SITEMAPS = 20;
+    const MAX_SITEMAP_URLS = 5000;
+
+    // Groups consecutive User-agent lines with the Allow/Disallow rules that
+    // follow them. Sitemap lines are global regardless of where they appear.
+    function parseRobotsTxt(text) {
+        const groups = [];
+        const sitemaps = [];
+        let group = null;
+        let lastWasAgent = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) {
+                return;
+            }
+
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (field === 'user-agent') {
+                if (!group || !lastWasAgent) {
+                    group = { userAgents: [], rules: [] };
+                    groups.push(group);
+                }
+                group.userAgents.push(value.toLowerCase());
+                lastWasAgent = true;
+                return;
+            }
+
+            lastWasAgent = false;
+            if (field === 'sitemap' && value) {
+                sitemaps.push(value);
+            } else if ((field === 'allow' || field === 'disallow') && group) {
+                // An empty Disallow allows everything and adds no rule
+                if (value) {
+                    group.rules.push({ type: field, path: value });
+                }
+            }
+        });
+
+        return { groups, sitemaps };
+    }
+
+    function patternToRegExp(pattern) {
+        const anchored = pattern.endsWith('$');
+        const body = (anchored ? pattern.slice(0, -1) : pattern)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${body}${anchored ? '$' : ''}`);
+    }
+
+    // Rules for the named crawler, falling back to the "*" groups
+    function rulesFor(robots, userAgent) {
+        const agent = userAgent.toLowerCase();
+        const specific = robots.groups.filter(group => group.userAgents.includes(agent));
+        const groups = specific.length > 0
+            ? specific
+            : robots.groups.filter(group => group.userAgents.includes('*'));
+        return groups.flatMap(group => group.rules);
+    }
+
+    // Google's precedence: the longest matching path wins, Allow wins ties
+    function isAllowedByRobots(robots, url, userAgent = '*') {
+        if (!robots) {
+            return true;
+        }
+
+        const { pathname, search } = new URL(url);
+        const path = pathname + search;
+        let best = null;
+
+        rulesFor(robots, userAgent).forEach(rule => {
+            if (!patternToRegExp(rule.path).test(path)) {
+                return;
+            }
+            if (!best || rule.path.length > best.path.length ||
+                (rule.path.length === best.path.length && rule.type === 'allow')) {
+                best = rule;
+            }
+        });
+
+        return !best || best.type === 'allow';
+    }
+
+    function childText(element, name) {
+        const child = element.getElementsByTagNameNS('*', name)[0];
+        return child ? child.textContent.trim() : '';
+    }
+
+    // Reads a <urlset> or <sitemapindex> document parsed as XML
+    function parseSitemap(doc) {
+        const rootElement = doc.documentElement;
+        if (!rootElement || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('not valid XML');
+        }
+
+        if (rootElement.localName === 'sitemapindex') {
+            const sitemaps = Array.from(rootElement.getElementsByTagNameNS('*', 'sitemap'))
+                .map(element => childText(element, 'loc'))
+                .filter(Boolean);
+            return { type: 'index', sitemaps, urls: [] };
+        }
+
+        if (rootElement.localName === 'urlset') {
+            const urls = Array.from(rootElement.getElementsByTagNameNS('*', 'url'))
+                .map(element => ({ loc: childText(element, 'loc'), lastmod: childText(element, 'lastmod') }))
+                .filter(entry => entry.loc);
+            return { type: 'urlset', sitemaps: [], urls };
+        }
+
+        throw new Error(`unexpected <${rootElement.localName}> root element`);
+    }
+
+    function resolveUrl(url, base) {
+        try {
+            return new URL(url, base).href;
+        } catch (_) {
+            return '';
+        }
+    }
+
+    class SiteCrawler {
+        // fetchText(url) resolves to the response body; parseXml(text) returns a Document
+        constructor(options) {
+            this.fetchText = options.fetchText;
+            this.parseXml = options.parseXml;
+            this.onProgress = options.onProgress || (() => {});
+        }
+
+        async discover(siteUrl) {
+            const origin = new URL(siteUrl).origin;
+            const robotsUrl = `${origin}/robots.txt`;
+            const result = { origin, robotsUrl, robots: null, robotsError: '', sitemaps: [], urls: [] };
+
+            this.onProgress(`Fetching ${robotsUrl}`);
+            try {
+                result.robots = parseRobotsTxt(await this.fetchText(robotsUrl));
+            } catch (error) {
+                result.robotsError = error.message;
+            }
+
+            const queue = result.robots && result.robots.sitemaps.length > 0
+                ? result.robots.sitemaps.map(url => resolveUrl(url, origin)).filter(Boolean)
+                : [`${origin}/sitemap.xml`];
+            const seenSitemaps = new Set();
+            const seenUrls = new Set();
+
+            while (queue.length > 0 && seenSitemaps.size < MAX_SITEMAPS) {
+                const sitemapUrl = queue.shift();
+                if (seenSitemaps.has(sitemapUrl)) {
+                    continue;
+                }
+                seenSitemaps.add(sitemapUrl);
+
+                const sitemap = { url: sitemapUrl, type: '', urlCount: 0, error: '' };
+                result.sitemaps.push(sitemap);
+                this.onProgress(`Reading sitemap ${sitemapUrl}`);
+
+                if (/\.gz$/i.test(new URL(sitemapUrl).pathname)) {
+                    sitemap.error = 'gzip-compressed sitemaps are not supported';
+                    continue;
+                }
+
+                try {
+                    const parsed = parseSitemap(this.parseXml(await this.fetchText(sitemapUrl)));
+                    sitemap.type = parsed.type;
+                    queue.push(...parsed.sitemaps.map(url => resolveUrl(url, sitemapUrl)).filter(Boolean));
+
+                    parsed.urls.forEach(entry => {
+                        if (!seenUrls.has(entry.loc) && result.urls.length < MAX_SITEMAP_URLS) {
+                            seenUrls.add(entry.loc);
+                            result.urls.push({ ...entry, sitemap: sitemapUrl });
+                        }
+                    });
+                    sitemap.urlCount = parsed.urls.length;
+                } catch (error) {
+                    sitemap.error = error.message;
+                }
+            }
+
+            return result;
+        }
+    }
+
+    function hasNoindex(metaTags) {
+        const directives = [metaTags.robots, metaTags.http && metaTags.http.headers['x-robots-tag']]
+            .filter(Boolean)
+            .join(',')
+            .toLowerCase()
+            .split(',')
+            .map(directive => directive.trim().replace(/^[\w-]+:\s*(?=\S)/, ''));
+        return directives.includes('noindex') || directives.includes('none');
+    }
+
+    function stripHash(url) {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    }
+
+    // Findings for the site as a whole. pages are the analyzed sitemap entries
+    // as { url, metaTags }; discovery is the result of SiteCrawler.discover().
+    function auditSite(discovery, pages, userAgent = '*') {
+        const findings = [];
+
+        if (!discovery.robots) {
+            findings.push({
+                type: 'warning',
+                title: 'robots.txt Not Found',
+                description: `Could not read ${discovery.robotsUrl}${discovery.robotsError ? ` (${discovery.robotsError})` : ''}.`
+            });
+        } else if (discovery.robots.sitemaps.length === 0) {
+            findings.push({
+                type: 'warning',
+                title: 'No Sitemap in robots.txt',
+                description: 'robots.txt does not list any Sitemap. Add a "Sitemap:" line so crawlers can find it.'
+            });
+        }
+
+        discovery.sitemaps.filter(sitemap => sitemap.error).forEach(sitemap => {
+            findings.push({
+                type: 'error',
+                title: 'Unreadable Sitemap',
+                url: sitemap.url,
+                description: `Sitemap could not be read: ${sitemap.error}.`
+            });
+        });
+
+        if (discovery.urls.length === 0) {
+            findings.push({
+                type: 'error',
+                title: 'No Sitemap URLs',
+                description: 'No page URLs were found in any sitemap.'
+            });
+        }
+
+        discovery.urls.forEach(entry => {
+            let allowed;
+            try {
+                allowed = isAllowedByRobots(discovery.robots, entry.loc, userAgent);
+            } catch (_) {
+                findings.push({ type: 'error', title: 'Invalid Sitemap URL', url: entry.loc, description: `"${entry.loc}" is not a valid URL.` });
+                return;
+            }
+            if (!allowed) {
+                findings.push({
+                    type: 'error',
+                    title: 'Sitemap URL Blocked by robots.txt',
+                    url: entry.loc,
+                    description: 'This URL is listed in the sitemap but disallowed by robots.txt, so it cannot be crawled.'
+                });
+            }
+        });
+
+        pages.forEach(({ url, metaTags }) => {
+            if (hasNoindex(metaTags)) {
+                findings.push({
+                    type: 'error',
+                    title: 'Noindex Page in Sitemap',
+                    url,
+                    description: 'This page is in the sitemap but marked noindex. Remove it from the sitemap or allow indexing.'
+                });
+            }
+
+            if (metaTags.canonical) {
+                let canonical;
+                try {
+                    canonical = stripHash(new URL(metaTags.canonical, url).href);
+                } catch (_) {
+                    return;
+                }
+                if (canonical !== stripHash(url)) {
+                    findings.push({
+                        type: 'warning',
+                        title: 'Sitemap URL Canonicalized Elsewhere',
+                        url,
+                        description: `Canonical points to ${canonical}. Sitemaps should only list canonical URLs.`
+                    });
+                }
+            }
+        });
+
+        return findings;
+    }
+
+    return {
+        MAX_SITEMAPS,
+        MAX_SITEMAP_URLS,
+        parseRobotsTxt,
+        isAllowedByRobots,
+        parseSitemap,
+        SiteCrawler,
+        hasNoindex,
+        auditSite
+    };
+}));
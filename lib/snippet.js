@@ -0,0 +1,71 @@
+// Editable meta tags for the what-if editor and the <head> snippet generator.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./serp'));
+    } else {
+        root.SEOSnippet = factory(root.SEOSerp);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SEOSerp) {
+    'use strict';
+
+    // Tags the editor exposes, in snippet order. serp tags are measured in
+    // pixels like Google results; range is a recommended length in characters
+    // ([min, max]; min 0 means only a maximum applies).
+    const EDITABLE_TAGS = [
+        { key: 'title', label: 'Title', element: 'title', serp: 'title' },
+        { key: 'description', label: 'Meta Description', attribute: 'name', name: 'description', serp: 'description', multiline: true },
+        { key: 'ogTitle', label: 'og:title', attribute: 'property', name: 'og:title', range: [0, 90] },
+        { key: 'ogDescription', label: 'og:description', attribute: 'property', name: 'og:description', range: [0, 200], multiline: true },
+        { key: 'ogImage', label: 'og:image', attribute: 'property', name: 'og:image' },
+        { key: 'ogUrl', label: 'og:url', attribute: 'property', name: 'og:url' },
+        { key: 'ogType', label: 'og:type', attribute: 'property', name: 'og:type' },
+        { key: 'ogSiteName', label: 'og:site_name', attribute: 'property', name: 'og:site_name' },
+        { key: 'twitterCard', label: 'twitter:card', attribute: 'name', name: 'twitter:card', options: ['', 'summary', 'summary_large_image', 'app', 'player'] },
+        { key: 'twitterTitle', label: 'twitter:title', attribute: 'name', name: 'twitter:title', range: [0, 70] },
+        { key: 'twitterDescription', label: 'twitter:description', attribute: 'name', name: 'twitter:description', range: [0, 200], multiline: true },
+        { key: 'twitterImage', label: 'twitter:image', attribute: 'name', name: 'twitter:image' },
+        { key: 'twitterSite', label: 'twitter:site', attribute: 'name', name: 'twitter:site' }
+    ];
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // 'ok', 'short' or 'long' against a tag's desktop result width or
+    // recommended range; '' without either
+    function lengthStatus(tag, value) {
+        if (tag.serp) {
+            const fit = SEOSerp.fitSnippet(value, tag.serp);
+            if (fit.truncated) {
+                return 'long';
+            }
+            return fit.width < SEOSerp.MIN_WIDTHS[tag.serp] ? 'short' : 'ok';
+        }
+        if (!tag.range) {
+            return '';
+        }
+        const [min, max] = tag.range;
+        if (value.length > max) {
+            return 'long';
+        }
+        return value.length < min ? 'short' : 'ok';
+    }
+
+    // Ready-to-paste <head> markup for the editable tags that have a value.
+    // Line breaks are collapsed since the tags are single-line attributes.
+    function headSnippet(metaTags) {
+        return EDITABLE_TAGS
+            .map(tag => [tag, (metaTags[tag.key] || '').replace(/\s+/g, ' ').trim()])
+            .filter(([, value]) => value)
+            .map(([tag, value]) => (tag.element === 'title'
+                ? `<title>${escapeHtml(value)}</title>`
+                : `<meta ${tag.attribute}="${tag.name}" content="${escapeHtml(value)}">`))
+            .join('\n');
+    }
+
+    return { EDITABLE_TAGS, lengthStatus, headSnippet };
+}));
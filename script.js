@@ -1,22 +1,97 @@
-class SEOAnalyzer {
+const FETCH_SETTINGS_KEY = 'seoAnalyzer.fetchSettings';
+
+// Icon and blurb for each category card; categories registered without an
+// entry get a generic card
+const CATEGORY_CARDS = {
+    basicSeo: { icon: 'fas fa-search', description: 'Title, description, and core elements' },
+    socialMedia: { icon: 'fas fa-share-alt', description: 'Open Graph and Twitter Cards' },
+    technicalSeo: { icon: 'fas fa-cogs', description: 'Viewport, canonical, structured data' },
+    contentQuality: { icon: 'fas fa-file-alt', description: 'Headings, word count, and readability' },
+    accessibility: { icon: 'fas fa-universal-access', description: 'Alt text, labels, names, and landmarks' },
+    performance: { icon: 'fas fa-tachometer-alt', description: 'Page weight, blocking resources, and requests' },
+    internationalization: { icon: 'fas fa-globe', description: 'Hreflang alternates and return links' }
+};
+
+class SEOAnalyzer extends SEOCore {
     constructor() {
+        super();
         this.urlInput = document.getElementById('urlInput');
+        this.keywordInput = document.getElementById('keywordInput');
+        this.checkLinksInput = document.getElementById('checkLinksInput');
+        this.checkHreflangInput = document.getElementById('checkHreflangInput');
         this.analyzeBtn = document.getElementById('analyzeBtn');
         this.loading = document.getElementById('loading');
         this.resultsContainer = document.getElementById('resultsContainer');
         this.errorMessage = document.getElementById('errorMessage');
+        this.fetchBackendSelect = document.getElementById('fetchBackend');
+        this.proxySettings = document.getElementById('proxySettings');
+        this.proxyUrlInput = document.getElementById('proxyUrl');
+        this.proxyFormatSelect = document.getElementById('proxyFormat');
+        this.proxyFieldInput = document.getElementById('proxyField');
+        this.pasteHtmlInput = document.getElementById('pasteHtml');
         this.lastAnalyzeTime = 0;
         this.minAnalyzeInterval = 2000;
+        this.currentResult = null;
+        // Device the Google preview simulates, and the result it shows
+        this.serpMode = 'desktop';
+        this.renderedResult = null;
         
+        this.initializeFetchSettings();
+        this.initializeModeTabs();
+        this.initializeSerpModes();
         this.initializeEventListeners();
+        this.renderCategoryCards();
+        this.renderPreviewCards();
+        this.batchView = new BatchView(this);
+        this.siteView = new SiteView(this, this.batchView);
+        this.exportView = new ExportView(this);
+        this.historyView = new HistoryView(this);
+        this.metaEditorView = new MetaEditorView(this);
+        this.compareView = new CompareView(this);
+        this.profileView = new ProfileView(this);
     }
 
     initializeEventListeners() {
         this.analyzeBtn.addEventListener('click', () => this.analyzeWebsite());
-        this.urlInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.analyzeWebsite();
-            }
+        [this.urlInput, this.keywordInput].forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.analyzeWebsite();
+                }
+            });
+        });
+    }
+
+    initializeModeTabs() {
+        const tabs = document.querySelectorAll('.mode-tab');
+        const panels = document.querySelectorAll('.mode-panel');
+
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                tabs.forEach(other => {
+                    other.classList.toggle('active', other === tab);
+                    other.setAttribute('aria-selected', String(other === tab));
+                });
+                panels.forEach(panel => {
+                    panel.style.display = panel.dataset.mode === tab.dataset.mode ? 'block' : 'none';
+                });
+            });
+        });
+    }
+
+    initializeSerpModes() {
+        const buttons = document.querySelectorAll('.serp-mode');
+        buttons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.serpMode = button.dataset.serpMode;
+                buttons.forEach(other => {
+                    other.classList.toggle('active', other === button);
+                    other.setAttribute('aria-pressed', String(other === button));
+                });
+                if (this.renderedResult) {
+                    this.displayGooglePreview(this.renderedResult.metaTags, this.renderedResult.url);
+                }
+            });
         });
     }
 
@@ -42,7 +117,8 @@ class SEOAnalyzer {
             return;
         }
 
-        if (this.isPrivateUrl(url)) {
+        const backend = SEOFetchers.getBackend(this.fetchBackendSelect.value);
+        if (backend.network && this.isPrivateUrl(url)) {
             this.showError('Cannot analyze private or local network addresses');
             return;
         }
@@ -56,386 +132,149 @@ class SEOAnalyzer {
         this.hideError();
 
         try {
-            const htmlContent = await this.fetchWebsiteContent(url);
-            const metaTags = this.parseMetaTags(htmlContent);
-            const analysis = this.analyzeSEO(metaTags, url);
+            const page = await this.fetchWebsiteContent(url);
+            const { metaTags, analysis } = await this.analyzePage(page, {
+                keyword: this.keywordInput.value.trim(),
+                // Pasted HTML has no fetch path to check links or alternates through
+                checkLinks: this.checkLinksInput.checked && backend.network,
+                checkHreflang: this.checkHreflangInput.checked && backend.network
+            });
             
             this.displayResults(metaTags, analysis, url);
+            this.historyView.record(this.currentResult);
         } catch (error) {
-            // Error details omitted to prevent information leakage
-            this.showError('Unable to analyze the website. Please check the URL and try again.');
+            if (error instanceof SEOFetchers.FetchError) {
+                // Backend errors carry only our own reason strings, never raw responses
+                this.showError(error.message);
+            } else {
+                // Error details omitted to prevent information leakage
+                this.showError('Unable to analyze the website. Please check the URL and try again.');
+            }
         } finally {
             this.hideLoading();
         }
     }
 
-    normalizeUrl(url) {
-        // Remove any leading/trailing whitespace
-        url = url.trim();
-        
-        // If URL doesn't start with http:// or https://, add https://
-        if (!url.match(/^https?:\/\//i)) {
-            url = 'https://' + url;
-        }
-        
-        return url;
+    async fetchWebsiteContent(url) {
+        return SEOFetchers.fetchPage(url, this.getFetchSettings());
     }
 
-    isValidUrl(string) {
-        try {
-            const url = new URL(string);
-            // Ensure it's http or https protocol
-            return url.protocol === 'http:' || url.protocol === 'https:';
-        } catch (_) {
-            return false;
+    // Pages an analysis links to are fetched like the page itself: never from
+    // private addresses, and no sooner than the rate limit allows
+    async fetchLinkedPage(url) {
+        if (this.isPrivateUrl(url)) {
+            throw Object.assign(new Error('private or local network address'), { notChecked: true });
         }
+        const limiter = new SEOBatch.RateLimiter(this.minAnalyzeInterval, this.lastAnalyzeTime);
+        await limiter.wait();
+        this.lastAnalyzeTime = limiter.lastStart;
+        return this.fetchWebsiteContent(url);
     }
 
-    isPrivateUrl(string) {
+    // Links are checked through the selected fetch backend, like the page itself
+    async checkLink(url) {
         try {
-            const url = new URL(string);
-            const hostname = url.hostname.toLowerCase();
-            
-            // Block localhost and loopback
-            if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '::1' || hostname.endsWith('.localhost')) {
-                return true;
-            }
-            
-            // Block private IPv4 ranges (10.x, 172.16-31.x, 192.168.x, 169.254.x)
-            const privateIpPattern = /^(10\.|172\.(1[6-9]|2[0-9]|3[01])\.|192\.168\.|169\.254\.)/;
-            if (privateIpPattern.test(hostname)) {
-                return true;
-            }
-            
-            // Block IPv6 unique local (fc00::/7) and link-local (fe80::/10)
-            if (hostname.startsWith('fc') || hostname.startsWith('fd') || hostname.startsWith('fe80')) {
-                return true;
-            }
-            
-            return false;
-        } catch (_) {
-            return false;
+            const page = await this.fetchLinkedPage(url);
+            return { status: page.response ? page.response.status : 0 };
+        } catch (error) {
+            // Keep the status so SEOLinks.checkLinks() can tell pages that are only too large
+            throw error instanceof SEOFetchers.FetchError ? Object.assign(new Error(error.reason), { status: error.status }) : error;
         }
     }
 
-    async fetchWebsiteContent(url) {
-        // Uses a CORS proxy to fetch cross-origin content.
-        // NOTE: The proxy service can see and modify all fetched content.
-        // For production use, consider running your own proxy server.
-        const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`;
-        
-        const response = await fetch(proxyUrl);
-        if (!response.ok) {
-            throw new Error('Failed to fetch website content');
-        }
-        
-        const data = await response.json();
-        
-        // Validate proxy response structure
-        if (typeof data.contents !== 'string') {
-            throw new Error('Invalid response from proxy service');
-        }
-        
-        // Limit content size to prevent DoS (1MB)
-        if (data.contents.length > 1048576) {
-            throw new Error('Website content too large to analyze');
+    async fetchAlternate(url) {
+        try {
+            return await this.fetchLinkedPage(url);
+        } catch (error) {
+            throw error instanceof SEOFetchers.FetchError ? new Error(error.reason) : error;
         }
-        
-        return data.contents;
     }
 
-    parseMetaTags(html) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        
-        const metaTags = {
-            title: doc.querySelector('title')?.textContent || '',
-            description: doc.querySelector('meta[name="description"]')?.getAttribute('content') || '',
-            keywords: doc.querySelector('meta[name="keywords"]')?.getAttribute('content') || '',
-            canonical: doc.querySelector('link[rel="canonical"]')?.getAttribute('href') || '',
-            robots: doc.querySelector('meta[name="robots"]')?.getAttribute('content') || '',
-            viewport: doc.querySelector('meta[name="viewport"]')?.getAttribute('content') || '',
-            charset: doc.querySelector('meta[charset]')?.getAttribute('charset') || 
-                    doc.querySelector('meta[http-equiv="Content-Type"]')?.getAttribute('content') || '',
-            
-            // Open Graph tags
-            ogTitle: doc.querySelector('meta[property="og:title"]')?.getAttribute('content') || '',
-            ogDescription: doc.querySelector('meta[property="og:description"]')?.getAttribute('content') || '',
-            ogImage: doc.querySelector('meta[property="og:image"]')?.getAttribute('content') || '',
-            ogUrl: doc.querySelector('meta[property="og:url"]')?.getAttribute('content') || '',
-            ogType: doc.querySelector('meta[property="og:type"]')?.getAttribute('content') || '',
-            ogSiteName: doc.querySelector('meta[property="og:site_name"]')?.getAttribute('content') || '',
-            
-            // Twitter Card tags
-            twitterCard: doc.querySelector('meta[name="twitter:card"]')?.getAttribute('content') || '',
-            twitterTitle: doc.querySelector('meta[name="twitter:title"]')?.getAttribute('content') || '',
-            twitterDescription: doc.querySelector('meta[name="twitter:description"]')?.getAttribute('content') || '',
-            twitterImage: doc.querySelector('meta[name="twitter:image"]')?.getAttribute('content') || '',
-            twitterSite: doc.querySelector('meta[name="twitter:site"]')?.getAttribute('content') || '',
-            
-            // Additional SEO tags
-            author: doc.querySelector('meta[name="author"]')?.getAttribute('content') || '',
-            language: doc.documentElement.getAttribute('lang') || '',
-            
-            // Schema.org structured data
-            structuredData: this.extractStructuredData(doc)
-        };
+    initializeFetchSettings() {
+        SEOFetchers.BACKENDS.forEach(backend => {
+            const option = document.createElement('option');
+            option.value = backend.id;
+            option.textContent = backend.id === SEOFetchers.DEFAULT_SETTINGS.backend
+                ? `${backend.name} (default)`
+                : backend.name;
+            this.fetchBackendSelect.appendChild(option);
+        });
 
-        return metaTags;
+        const settings = this.loadFetchSettings();
+        this.fetchBackendSelect.value = settings.backend;
+        this.proxyUrlInput.value = settings.proxyUrl;
+        this.proxyFormatSelect.value = settings.proxyFormat;
+        this.proxyFieldInput.value = settings.proxyField;
+        this.updateFetchSettingsVisibility();
+
+        [this.fetchBackendSelect, this.proxyUrlInput, this.proxyFormatSelect, this.proxyFieldInput].forEach(element => {
+            element.addEventListener('change', () => {
+                this.saveFetchSettings();
+                this.updateFetchSettingsVisibility();
+            });
+        });
     }
 
-    extractStructuredData(doc) {
-        const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
-        const structuredData = [];
-        
-        scripts.forEach(script => {
-            try {
-                const data = JSON.parse(script.textContent);
-                structuredData.push(data);
-            } catch (e) {
-                // Invalid JSON, skip
-            }
-        });
-        
-        return structuredData;
-    }
-
-    analyzeSEO(metaTags, url) {
-        const analysis = [];
-        let score = 0;
-        let passed = 0;
-        let warnings = 0;
-        let errors = 0;
-
-        // Category scores
-        const categoryScores = {
-            basicSeo: { score: 0, maxScore: 30, items: [] },
-            socialMedia: { score: 0, maxScore: 25, items: [] },
-            technicalSeo: { score: 0, maxScore: 30, items: [] },
-            contentQuality: { score: 0, maxScore: 15, items: [] }
+    getFetchSettings() {
+        return {
+            backend: this.fetchBackendSelect.value,
+            proxyUrl: this.proxyUrlInput.value.trim(),
+            proxyFormat: this.proxyFormatSelect.value,
+            proxyField: this.proxyFieldInput.value.trim(),
+            html: this.pasteHtmlInput.value
         };
+    }
 
-        // Title analysis (Basic SEO)
-        if (metaTags.title) {
-            if (metaTags.title.length >= 30 && metaTags.title.length <= 60) {
-                const item = {
-                    type: 'passed',
-                    title: 'Title Tag Length',
-                    description: `Perfect! Title is ${metaTags.title.length} characters (30-60 recommended).`
-                };
-                analysis.push(item);
-                categoryScores.basicSeo.items.push(item);
-                categoryScores.basicSeo.score += 15;
-                score += 15;
-                passed++;
-            } else if (metaTags.title.length > 0) {
-                const item = {
-                    type: 'warning',
-                    title: 'Title Tag Length',
-                    description: `Title is ${metaTags.title.length} characters. Recommended: 30-60 characters.`
-                };
-                analysis.push(item);
-                categoryScores.basicSeo.items.push(item);
-                categoryScores.basicSeo.score += 8;
-                score += 8;
-                warnings++;
-            }
-        } else {
-            const item = {
-                type: 'error',
-                title: 'Missing Title Tag',
-                description: 'Title tag is missing. This is crucial for SEO.'
-            };
-            analysis.push(item);
-            categoryScores.basicSeo.items.push(item);
-            errors++;
-        }
-
-        // Meta description analysis (Basic SEO)
-        if (metaTags.description) {
-            if (metaTags.description.length >= 120 && metaTags.description.length <= 160) {
-                const item = {
-                    type: 'passed',
-                    title: 'Meta Description Length',
-                    description: `Perfect! Description is ${metaTags.description.length} characters (120-160 recommended).`
-                };
-                analysis.push(item);
-                categoryScores.basicSeo.items.push(item);
-                categoryScores.basicSeo.score += 15;
-                score += 15;
-                passed++;
-            } else if (metaTags.description.length > 0) {
-                const item = {
-                    type: 'warning',
-                    title: 'Meta Description Length',
-                    description: `Description is ${metaTags.description.length} characters. Recommended: 120-160 characters.`
-                };
-                analysis.push(item);
-                categoryScores.basicSeo.items.push(item);
-                categoryScores.basicSeo.score += 8;
-                score += 8;
-                warnings++;
-            }
-        } else {
-            const item = {
-                type: 'error',
-                title: 'Missing Meta Description',
-                description: 'Meta description is missing. This affects click-through rates.'
-            };
-            analysis.push(item);
-            categoryScores.basicSeo.items.push(item);
-            errors++;
-        }
-
-        // Open Graph analysis (Social Media)
-        if (metaTags.ogTitle && metaTags.ogDescription) {
-            const item = {
-                type: 'passed',
-                title: 'Open Graph Tags',
-                description: 'Open Graph title and description are present for social media sharing.'
-            };
-            analysis.push(item);
-            categoryScores.socialMedia.items.push(item);
-            categoryScores.socialMedia.score += 15;
-            score += 10;
-            passed++;
-        } else {
-            const item = {
-                type: 'warning',
-                title: 'Open Graph Tags',
-                description: 'Missing Open Graph tags. These improve social media sharing appearance.'
-            };
-            analysis.push(item);
-            categoryScores.socialMedia.items.push(item);
-            warnings++;
-        }
-
-        // Twitter Card analysis (Social Media)
-        if (metaTags.twitterCard) {
-            const item = {
-                type: 'passed',
-                title: 'Twitter Card',
-                description: 'Twitter Card meta tag is present.'
-            };
-            analysis.push(item);
-            categoryScores.socialMedia.items.push(item);
-            categoryScores.socialMedia.score += 10;
-            score += 5;
-            passed++;
-        } else {
-            const item = {
-                type: 'warning',
-                title: 'Twitter Card',
-                description: 'Twitter Card meta tag is missing.'
-            };
-            analysis.push(item);
-            categoryScores.socialMedia.items.push(item);
-            warnings++;
+    loadFetchSettings() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(FETCH_SETTINGS_KEY)) || {};
+        } catch (_) {
+            // Storage unavailable or corrupted, fall back to defaults
         }
 
-        // Canonical URL analysis (Technical SEO)
-        if (metaTags.canonical) {
-            const item = {
-                type: 'passed',
-                title: 'Canonical URL',
-                description: 'Canonical URL is specified, helping prevent duplicate content issues.'
-            };
-            analysis.push(item);
-            categoryScores.technicalSeo.items.push(item);
-            categoryScores.technicalSeo.score += 10;
-            score += 10;
-            passed++;
-        } else {
-            const item = {
-                type: 'warning',
-                title: 'Canonical URL',
-                description: 'Canonical URL is missing. Consider adding it to prevent duplicate content issues.'
-            };
-            analysis.push(item);
-            categoryScores.technicalSeo.items.push(item);
-            warnings++;
+        const settings = { ...SEOFetchers.DEFAULT_SETTINGS, ...stored };
+        if (!SEOFetchers.getBackend(settings.backend)) {
+            settings.backend = SEOFetchers.DEFAULT_SETTINGS.backend;
         }
+        return settings;
+    }
 
-        // Viewport meta tag analysis (Technical SEO)
-        if (metaTags.viewport) {
-            const item = {
-                type: 'passed',
-                title: 'Mobile Viewport',
-                description: 'Viewport meta tag is present for mobile optimization.'
-            };
-            analysis.push(item);
-            categoryScores.technicalSeo.items.push(item);
-            categoryScores.technicalSeo.score += 10;
-            score += 5;
-            passed++;
-        } else {
-            const item = {
-                type: 'error',
-                title: 'Missing Viewport Tag',
-                description: 'Viewport meta tag is missing. This affects mobile usability.'
-            };
-            analysis.push(item);
-            categoryScores.technicalSeo.items.push(item);
-            errors++;
+    saveFetchSettings() {
+        // Pasted HTML is deliberately not persisted
+        const { html, ...settings } = this.getFetchSettings();
+        try {
+            localStorage.setItem(FETCH_SETTINGS_KEY, JSON.stringify(settings));
+        } catch (_) {
+            // Storage unavailable (e.g. private browsing); settings last for this session only
         }
+    }
 
-        // Language attribute analysis (Content Quality)
-        if (metaTags.language) {
-            const item = {
-                type: 'passed',
-                title: 'Language Declaration',
-                description: `Language is declared as "${metaTags.language}".`
-            };
-            analysis.push(item);
-            categoryScores.contentQuality.items.push(item);
-            categoryScores.contentQuality.score += 5;
-            score += 5;
-            passed++;
-        } else {
-            const item = {
-                type: 'warning',
-                title: 'Language Declaration',
-                description: 'HTML lang attribute is missing. This helps search engines understand content language.'
-            };
-            analysis.push(item);
-            categoryScores.contentQuality.items.push(item);
-            warnings++;
-        }
+    updateFetchSettingsVisibility() {
+        const backend = SEOFetchers.getBackend(this.fetchBackendSelect.value);
+        this.proxySettings.style.display = backend.id === 'proxy' ? 'flex' : 'none';
+        this.proxyFieldInput.style.display = this.proxyFormatSelect.value === 'json' ? 'block' : 'none';
+        this.pasteHtmlInput.style.display = backend.id === 'paste' ? 'block' : 'none';
+        document.getElementById('fetchBackendHint').textContent = backend.description;
+        document.getElementById('fetchHttpNotice').style.display =
+            SEOFetchers.reportsResponse(this.getFetchSettings()) ? 'none' : 'block';
+    }
 
-        // Structured data analysis (Technical SEO)
-        if (metaTags.structuredData.length > 0) {
-            const item = {
-                type: 'passed',
-                title: 'Structured Data',
-                description: `Found ${metaTags.structuredData.length} structured data block(s). Great for rich snippets!`
-            };
-            analysis.push(item);
-            categoryScores.technicalSeo.items.push(item);
-            categoryScores.technicalSeo.score += 10;
-            score += 10;
-            passed++;
-        } else {
-            const item = {
-                type: 'warning',
-                title: 'Structured Data',
-                description: 'No structured data found. Consider adding Schema.org markup for rich snippets.'
-            };
-            analysis.push(item);
-            categoryScores.technicalSeo.items.push(item);
-            warnings++;
-        }
+    // profile is the id of the scoring profile the analysis was graded with,
+    // or null when unknown (history saved before profiles were recorded)
+    displayResults(metaTags, analysis, url, analyzedAt = new Date(), profile = this.profileView.active.id) {
+        // Kept for the export buttons, history and the meta tag editor
+        this.currentResult = { url, metaTags, analysis, analyzedAt, profile };
+        this.metaEditorView.load(this.currentResult);
 
-        return {
-            score: Math.min(100, score),
-            passed,
-            warnings,
-            errors,
-            items: analysis,
-            categoryScores
-        };
+        this.renderResults(metaTags, analysis, url);
     }
 
-    displayResults(metaTags, analysis, url) {
+    // Renders a result without making it the current one, so the meta tag
+    // editor can show what-if versions
+    renderResults(metaTags, analysis, url) {
+        this.renderedResult = { metaTags, url };
+
         // Update score overview
         document.getElementById('seoScore').textContent = analysis.score;
         document.getElementById('passedCount').textContent = analysis.passed;
@@ -447,52 +286,9 @@ class SEOAnalyzer {
         const scoreDeg = (analysis.score / 100) * 360;
         scoreCircle.style.setProperty('--score-deg', `${scoreDeg}deg`);
 
-        // Update Google preview
-        const domain = new URL(url).hostname;
-        document.getElementById('googleUrl').textContent = url;
-        document.getElementById('googleTitle').textContent = metaTags.title || 'No title';
-        document.getElementById('googleDescription').textContent = metaTags.description || 'No description available';
-
-        // Update Facebook preview
-        document.getElementById('facebookTitle').textContent = metaTags.ogTitle || metaTags.title || 'No title';
-        document.getElementById('facebookDescription').textContent = metaTags.ogDescription || metaTags.description || 'No description';
-        document.getElementById('facebookUrl').textContent = domain;
-        
-        const facebookImage = document.getElementById('facebookImage');
-        facebookImage.replaceChildren();
-        if (metaTags.ogImage) {
-            const img = document.createElement('img');
-            img.src = metaTags.ogImage;
-            img.alt = 'Preview';
-            img.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
-            img.onerror = () => img.remove();
-            facebookImage.appendChild(img);
-        } else {
-            const icon = document.createElement('i');
-            icon.className = 'fas fa-image';
-            facebookImage.appendChild(icon);
-        }
-
-        // Update Twitter preview
-        document.getElementById('twitterTitle').textContent = metaTags.twitterTitle || metaTags.ogTitle || metaTags.title || 'No title';
-        document.getElementById('twitterDescription').textContent = metaTags.twitterDescription || metaTags.ogDescription || metaTags.description || 'No description';
-        document.getElementById('twitterUrl').textContent = domain;
-        
-        const twitterImage = document.getElementById('twitterImage');
-        twitterImage.replaceChildren();
-        if (metaTags.twitterImage || metaTags.ogImage) {
-            const imageUrl = metaTags.twitterImage || metaTags.ogImage;
-            const img = document.createElement('img');
-            img.src = imageUrl;
-            img.alt = 'Preview';
-            img.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
-            img.onerror = () => img.remove();
-            twitterImage.appendChild(img);
-        } else {
-            const icon = document.createElement('i');
-            icon.className = 'fas fa-image';
-            twitterImage.appendChild(icon);
-        }
+        // Update the Google and social link previews
+        this.displayGooglePreview(metaTags, url);
+        this.displaySocialPreviews(metaTags, url);
 
         // Update analysis results
         const analysisGrid = document.getElementById('analysisGrid');
@@ -502,22 +298,9 @@ class SEOAnalyzer {
             const analysisItem = document.createElement('div');
             analysisItem.className = `analysis-item ${item.type}`;
             
-            let icon = '';
-            switch (item.type) {
-                case 'passed':
-                    icon = 'fas fa-check-circle';
-                    break;
-                case 'warning':
-                    icon = 'fas fa-exclamation-triangle';
-                    break;
-                case 'error':
-                    icon = 'fas fa-times-circle';
-                    break;
-            }
-            
             analysisItem.innerHTML = `
                 <div class="analysis-icon">
-                    <i class="${icon}"></i>
+                    <i class="${this.iconForType(item.type)}"></i>
                 </div>
                 <div class="analysis-content">
                     <h4>${this.escapeHtml(item.title)}</h4>
@@ -532,52 +315,216 @@ class SEOAnalyzer {
         this.displayCategorySummaries(analysis.categoryScores);
 
         // Update meta tags details
-        this.displayMetaTags(metaTags);
+        this.displayMetaTags(metaTags, url);
 
         // Show results
         this.resultsContainer.style.display = 'block';
     }
 
-    displayCategorySummaries(categoryScores) {
-        const categories = [
-            { id: 'basicSeo', name: 'Basic SEO', data: categoryScores.basicSeo },
-            { id: 'socialMedia', name: 'Social Media', data: categoryScores.socialMedia },
-            { id: 'technicalSeo', name: 'Technical SEO', data: categoryScores.technicalSeo },
-            { id: 'contentQuality', name: 'Content Quality', data: categoryScores.contentQuality }
-        ];
+    // Text and images of the Google preview and of each registered social
+    // platform's link preview. The Google title and description are truncated
+    // for the selected device.
+    previewContent(metaTags, url) {
+        const snippet = SEOSerp.buildSnippet(metaTags, url, this.serpMode);
+        return {
+            google: {
+                url: snippet.breadcrumb,
+                siteName: snippet.siteName,
+                favicon: snippet.favicon,
+                title: snippet.title.text || 'No title',
+                description: snippet.description.text || 'No description available',
+                snippet
+            },
+            social: SEOPreviews.buildPreviews(metaTags, url)
+        };
+    }
+
+    displayGooglePreview(metaTags, url) {
+        const { google } = this.previewContent(metaTags, url);
+        const { title, description } = google.snippet;
+        document.getElementById('googlePreview').className = `google-preview ${this.serpMode}`;
+        document.getElementById('googleSiteName').textContent = google.siteName;
+        document.getElementById('googleUrl').textContent = google.url;
+        document.getElementById('googleTitle').textContent = google.title;
+        document.getElementById('googleDescription').textContent = google.description;
+        this.displayFavicon(document.getElementById('googleFavicon'), google.favicon);
+
+        const width = (label, fit) => (fit.width
+            ? `<span class="${fit.truncated ? 'truncated' : ''}">${label} ${fit.width}px of ${fit.maxWidth}px${fit.truncated ? ' (cut off)' : ''}</span>`
+            : '');
+        document.getElementById('googleWidths').innerHTML = [width('Title', title), width('Description', description)]
+            .filter(Boolean).join(' · ');
+    }
+
+    // One preview card per registered platform, after the Google card
+    renderPreviewCards() {
+        const grid = document.getElementById('previewsGrid');
+        grid.querySelectorAll('.social-card').forEach(card => card.remove());
+        this.previewSlots = new Map();
+
+        SEOPreviews.PLATFORMS.forEach(platform => {
+            const card = document.createElement('div');
+            card.className = 'preview-card social-card';
+            card.innerHTML = `
+                <h3><i class="${this.escapeHtml(platform.icon || 'fas fa-share-alt')}"></i> ${this.escapeHtml(platform.name)} Preview</h3>
+                <div class="social-slot"></div>
+            `;
+            grid.appendChild(card);
+            this.previewSlots.set(platform.id, card.querySelector('.social-slot'));
+        });
+    }
+
+    displaySocialPreviews(metaTags, url) {
+        SEOPreviews.buildPreviews(metaTags, url).forEach(preview => {
+            const slot = this.previewSlots.get(preview.id);
+            if (!slot) {
+                return;
+            }
+            slot.innerHTML = this.renderSocialPreview(preview);
+            this.displayPreviewImage(slot.querySelector('[data-preview-image]'), preview.image, url);
+        });
+    }
+
+    // Markup of a platform's link preview; the image container is filled by
+    // displayPreviewImage and cropped to the platform's aspect ratio
+    renderSocialPreview(preview) {
+        const escape = (text) => this.escapeHtml(text);
+        const line = (className, text) => (text ? `<div class="${className}">${escape(text)}</div>` : '');
+        const accent = preview.accent ? ` style="border-left-color: ${preview.accent}"` : '';
+        const notes = preview.notes.length
+            ? `<ul class="preview-notes">${preview.notes.map(note => `<li>${escape(note)}</li>`).join('')}</ul>`
+            : '';
+
+        return `
+            <div class="social-preview ${escape(preview.id)} ${escape(preview.layout)}"${accent}>
+                <div class="social-image" data-preview-image="${escape(preview.id)}" style="aspect-ratio: ${Number(preview.aspectRatio)}"></div>
+                <div class="social-content">
+                    ${line('social-site', preview.siteName)}
+                    ${line('social-title', preview.title)}
+                    ${line('social-description', preview.description)}
+                    ${line('social-domain', preview.domain)}
+                </div>
+            </div>
+            ${notes}
+        `;
+    }
 
-        categories.forEach(category => {
-            const percentage = Math.round((category.data.score / category.data.maxScore) * 100);
+    // Missing favicons fall back to the generic globe, as in search results
+    displayFavicon(container, faviconUrl) {
+        const globe = '<i class="fas fa-globe"></i>';
+        container.innerHTML = globe;
+        if (!faviconUrl) {
+            return;
+        }
+        const img = document.createElement('img');
+        img.src = faviconUrl;
+        img.alt = '';
+        img.onerror = () => {
+            container.innerHTML = globe;
+        };
+        container.replaceChildren(img);
+    }
+
+    // Broken images stay visible as a placeholder; the social-images rule
+    // reports them as findings
+    displayPreviewImage(container, imageUrl, pageUrl) {
+        container.replaceChildren();
+        if (!imageUrl) {
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-image';
+            container.appendChild(icon);
+            return;
+        }
+
+        const img = document.createElement('img');
+        try {
+            img.src = new URL(imageUrl, pageUrl).href;
+        } catch (_) {
+            img.src = imageUrl;
+        }
+        img.alt = 'Preview';
+        img.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
+        img.onerror = () => {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'preview-image-broken';
+            placeholder.innerHTML = '<i class="fas fa-exclamation-triangle"></i><span>Image failed to load</span>';
+            img.replaceWith(placeholder);
+        };
+        container.appendChild(img);
+    }
+
+    iconForType(type) {
+        switch (type) {
+            case 'passed':
+                return 'fas fa-check-circle';
+            case 'warning':
+                return 'fas fa-exclamation-triangle';
+            case 'error':
+                return 'fas fa-times-circle';
+            default:
+                return '';
+        }
+    }
+
+    // One card per rule engine category, so custom categories get a card too
+    renderCategoryCards() {
+        const grid = document.getElementById('categoriesGrid');
+        grid.replaceChildren();
+
+        this.ruleEngine.categories.forEach(category => {
+            const display = CATEGORY_CARDS[category.id] || { icon: 'fas fa-list-check', description: '' };
+            const iconClass = category.id.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+            const card = document.createElement('div');
+            card.className = 'category-card';
+            card.innerHTML = `
+                <div class="category-header">
+                    <div class="category-icon ${this.escapeHtml(iconClass)}">
+                        <i class="${display.icon}"></i>
+                    </div>
+                    <div class="category-info">
+                        <h3>${this.escapeHtml(category.name)}</h3>
+                        <p>${this.escapeHtml(display.description)}</p>
+                    </div>
+                </div>
+                <div class="category-score">
+                    <div class="category-score-circle" id="${this.escapeHtml(category.id)}Score">
+                        <span class="category-score-value">0</span>
+                    </div>
+                    <div class="category-status" id="${this.escapeHtml(category.id)}Status">Not analyzed</div>
+                </div>
+            `;
+            grid.appendChild(card);
+        });
+    }
+
+    displayCategorySummaries(categoryScores) {
+        this.ruleEngine.categories.forEach(category => {
+            const percentage = SEORules.categoryPercentage(categoryScores[category.id]);
             const scoreElement = document.getElementById(`${category.id}Score`);
             const statusElement = document.getElementById(`${category.id}Status`);
+            if (!scoreElement || !statusElement) {
+                return;
+            }
             const cardElement = scoreElement.closest('.category-card');
 
             // Update score circle
             const scoreValue = scoreElement.querySelector('.category-score-value');
-            scoreValue.textContent = percentage;
+            scoreValue.textContent = percentage === null ? '–' : percentage;
 
-            // Determine status and styling
+            // Determine status and styling from the scoring profile's bands
             let status, statusClass, circleClass, cardClass;
-            if (percentage >= 90) {
-                status = 'Excellent';
-                statusClass = 'excellent';
-                circleClass = 'excellent';
-                cardClass = 'excellent';
-            } else if (percentage >= 70) {
-                status = 'Good';
-                statusClass = 'good';
-                circleClass = 'good';
-                cardClass = 'good';
-            } else if (percentage >= 50) {
-                status = 'Needs Work';
-                statusClass = 'warning';
-                circleClass = 'warning';
-                cardClass = 'warning';
+            const band = this.ruleEngine.status(percentage);
+            if (!band) {
+                // No rule in the category applied, e.g. a page without hreflang tags
+                status = 'Not applicable';
+                statusClass = 'not-analyzed';
+                circleClass = '';
+                cardClass = '';
             } else {
-                status = 'Poor';
-                statusClass = 'poor';
-                circleClass = 'poor';
-                cardClass = 'poor';
+                status = band.label;
+                statusClass = band.id;
+                circleClass = band.id;
+                cardClass = band.id;
             }
 
             // Update status text and styling
@@ -585,18 +532,23 @@ class SEOAnalyzer {
             statusElement.className = `category-status ${statusClass}`;
 
             // Update score circle styling
-            scoreElement.className = `category-score-circle ${circleClass}`;
-            const scoreDeg = (percentage / 100) * 360;
+            scoreElement.className = `category-score-circle ${circleClass}`.trim();
+            const scoreDeg = ((percentage || 0) / 100) * 360;
             scoreElement.style.setProperty('--category-score-deg', `${scoreDeg}deg`);
 
             // Update card styling
-            cardElement.className = `category-card ${cardClass}`;
+            cardElement.className = `category-card ${cardClass}`.trim();
         });
     }
 
-    displayMetaTags(metaTags) {
-        const container = document.getElementById('metaTagsContainer');
-        container.innerHTML = '';
+    // Meta tag values shown under Meta Tags Details, as [{ title, tags: { name: value } }]
+    metaTagGroups(metaTags, url) {
+        // Every Open Graph and Twitter tag, with repeated values on separate lines
+        const socialTags = metaTags.socialTags || SEOOpenGraph.tagsFromFields(metaTags);
+        const socialValues = (filter) => socialTags.filter(filter).reduce((values, tag) => {
+            values[tag.property] = values[tag.property] ? `${values[tag.property]}\n${tag.content}` : tag.content;
+            return values;
+        }, {});
 
         const tagGroups = [
             {
@@ -609,34 +561,167 @@ class SEOAnalyzer {
                     'Robots': metaTags.robots,
                     'Viewport': metaTags.viewport,
                     'Charset': metaTags.charset,
+                    'Favicon': metaTags.favicon,
                     'Language': metaTags.language,
                     'Author': metaTags.author
                 }
             },
             {
                 title: 'Open Graph Tags',
-                tags: {
-                    'og:title': metaTags.ogTitle,
-                    'og:description': metaTags.ogDescription,
-                    'og:image': metaTags.ogImage,
-                    'og:url': metaTags.ogUrl,
-                    'og:type': metaTags.ogType,
-                    'og:site_name': metaTags.ogSiteName
-                }
+                tags: socialValues(tag => !tag.property.startsWith('twitter:'))
             },
             {
                 title: 'Twitter Card Tags',
+                tags: socialValues(tag => tag.property.startsWith('twitter:'))
+            }
+        ];
+
+        // Add body content details; analyses saved before the content audit have none
+        if (metaTags.content) {
+            const { content } = metaTags;
+            const readability = SEOContent.readability(content.text, metaTags.language);
+            tagGroups.push({
+                title: 'Content',
                 tags: {
-                    'twitter:card': metaTags.twitterCard,
-                    'twitter:title': metaTags.twitterTitle,
-                    'twitter:description': metaTags.twitterDescription,
-                    'twitter:image': metaTags.twitterImage,
-                    'twitter:site': metaTags.twitterSite
+                    'Word Count': String(content.wordCount),
+                    'Readability': readability ? `${readability.score} (${readability.formula})` : '',
+                    'Headings': content.headings.map(heading => `${'  '.repeat(heading.level - 1)}H${heading.level} ${heading.text}`).join('\n')
                 }
+            });
+        }
+
+        // Add image details; analyses saved before the image audit have none
+        const images = metaTags.images || [];
+        const socialImages = metaTags.socialImages || [];
+        const imageCount = (filter) => (images.length ? String(images.filter(filter).length) : '');
+        tagGroups.push({
+            title: 'Images',
+            tags: {
+                'Images': String(images.length),
+                'Missing Alt Text': imageCount(image => image.alt === null && !image.decorative),
+                'Missing Dimensions': imageCount(image => !image.width || !image.height),
+                'Lazy-Loaded': imageCount(image => image.loading === 'lazy'),
+                'With srcset': imageCount(image => image.srcset || image.inPicture),
+                'Social Images': socialImages.map(image => `${image.sources.join(', ')}: ${{
+                    loaded: `${image.width}×${image.height}px`,
+                    'unknown-size': 'unknown size'
+                }[image.status] || `failed to load (${image.error})`} ${image.url}`).join('\n')
             }
-        ];
+        });
+
+        // Add mobile signals; analyses saved before the mobile checks have none
+        if (metaTags.mobile) {
+            const { mobile } = metaTags;
+            const viewport = metaTags.viewport ? SEOMobile.parseViewport(metaTags.viewport).properties : {};
+            tagGroups.push({
+                title: 'Mobile',
+                tags: {
+                    'Viewport Properties': Object.entries(viewport).map(([key, value]) => `${key} = ${value}`).join('\n'),
+                    'Theme Color': mobile.themeColor,
+                    'Apple Touch Icon': mobile.appleTouchIcon,
+                    'Manifest': mobile.manifest,
+                    'Plugins': mobile.plugins.join('\n'),
+                    'Fixed-Width Elements': mobile.fixedWidth.map(element => `${element.element} ${element.property}: ${element.width}px`).join('\n')
+                }
+            });
+        }
+
+        if (metaTags.performance) {
+            const { performance } = metaTags;
+            tagGroups.push({
+                title: 'Performance',
+                tags: {
+                    'Document Size': SEOPerformance.formatBytes(performance.documentBytes),
+                    'Blocking Scripts': performance.blockingScripts.join('\n'),
+                    'Blocking Stylesheets': performance.blockingStylesheets.join('\n'),
+                    'Inline Scripts': SEOPerformance.formatBytes(performance.inlineScriptBytes),
+                    'Inline Styles': SEOPerformance.formatBytes(performance.inlineStyleBytes),
+                    'Preconnect': [...performance.hints.preconnect, ...performance.hints.dnsPrefetch].join('\n'),
+                    'Preload': performance.hints.preload.join('\n'),
+                    'Third-Party Origins': SEOPerformance.thirdPartyOrigins(performance.resources.map(resource => resource.url), url).join('\n'),
+                    'Requested Resources': String(performance.resources.length)
+                }
+            });
+        }
+
+        // Add link counts; analyses saved before the link audit have no links
+        if (metaTags.links) {
+            const links = SEOLinks.summarizeLinks(metaTags.links, url);
+            const linkResults = metaTags.linkCheck ? metaTags.linkCheck.results : [];
+            const brokenLinks = linkResults.filter(result => result.ok === false);
+            const unknownLinks = linkResults.filter(result => result.ok === null);
+            const skippedLinks = metaTags.linkCheck ? metaTags.linkCheck.skipped || [] : [];
+            tagGroups.push({
+                title: 'Links',
+                tags: {
+                    'Links': String(links.total),
+                    'Internal': String(links.internal),
+                    'External': String(links.external),
+                    'rel="nofollow"': String(links.nofollow),
+                    'rel="sponsored"': String(links.sponsored),
+                    'rel="ugc"': String(links.ugc),
+                    'javascript: Links': links.javascript ? String(links.javascript) : '',
+                    'Checked Internal Links': metaTags.linkCheck
+                        ? `${linkResults.length} of ${metaTags.linkCheck.total}, ${brokenLinks.length} broken` +
+                            (unknownLinks.length ? `, ${unknownLinks.length} status unknown` : '') +
+                            (skippedLinks.length ? `, ${skippedLinks.length} not checked` : '')
+                        : '',
+                    'Broken Links': brokenLinks.map(result => `${result.url} (${result.status ? `HTTP ${result.status}` : result.error})`).join('\n'),
+                    'Not Checked': skippedLinks.map(entry => `${entry.url} (${entry.reason})`).join('\n')
+                }
+            });
+        }
+
+        // Add hreflang alternates and, when fetched, whether each links back
+        if (metaTags.hreflang && metaTags.hreflang.length > 0) {
+            const { hreflangCheck } = metaTags;
+            tagGroups.push({
+                title: 'Hreflang',
+                tags: {
+                    'Alternates': metaTags.hreflang.map(alternate => `${alternate.hreflang}: ${alternate.href}`).join('\n'),
+                    'Checked Alternates': hreflangCheck
+                        ? `${hreflangCheck.results.length} of ${hreflangCheck.total}, ` +
+                            `${hreflangCheck.results.filter(result => result.returnLink).length} link back` +
+                            (hreflangCheck.skipped && hreflangCheck.skipped.length ? `, ${hreflangCheck.skipped.length} not checked` : '')
+                        : '',
+                    'Return Links': hreflangCheck
+                        ? hreflangCheck.results.map(result => `${result.url}: ${result.error
+                            ? `could not be fetched (${result.error})`
+                            : `${result.returnLink ? 'links back' : 'no return link'}, lang="${result.language}"`}`)
+                            .concat((hreflangCheck.skipped || []).map(entry => `${entry.url}: not checked (${entry.reason})`)).join('\n')
+                        : ''
+                }
+            });
+        }
 
-        tagGroups.forEach(group => {
+        // Add HTTP response details when the fetch backend reported them
+        if (metaTags.http) {
+            const { http } = metaTags;
+            tagGroups.push({
+                title: 'HTTP Response',
+                tags: {
+                    'Status': `${http.status} ${http.statusText}`.trim(),
+                    'Final URL': http.finalUrl,
+                    'Redirect Chain': http.redirects.length
+                        ? http.redirects.map(hop => `${hop.url} (${hop.status})`).concat(http.finalUrl).join(' → ')
+                        : '',
+                    'Content-Type': http.contentType,
+                    'X-Robots-Tag': http.headers['x-robots-tag'],
+                    'Response Time': http.timing.totalMs !== undefined
+                        ? `${http.timing.ttfbMs}ms to first byte, ${http.timing.totalMs}ms total`
+                        : ''
+                }
+            });
+        }
+
+        return tagGroups;
+    }
+
+    displayMetaTags(metaTags, url) {
+        const container = document.getElementById('metaTagsContainer');
+        container.innerHTML = '';
+
+        this.metaTagGroups(metaTags, url).forEach(group => {
             const groupElement = document.createElement('div');
             groupElement.innerHTML = `<h3 style="margin: 20px 0 15px 0; color: #333;">${group.title}</h3>`;
             
@@ -645,7 +730,7 @@ class SEOAnalyzer {
                     const tagElement = document.createElement('div');
                     tagElement.className = 'meta-tag';
                     tagElement.innerHTML = `
-                        <div class="meta-tag-name">${name}</div>
+                        <div class="meta-tag-name">${this.escapeHtml(name)}</div>
                         <div class="meta-tag-content">${this.escapeHtml(content)}</div>
                     `;
                     groupElement.appendChild(tagElement);
@@ -655,17 +740,32 @@ class SEOAnalyzer {
             container.appendChild(groupElement);
         });
 
-        // Add structured data if present
-        if (metaTags.structuredData.length > 0) {
+        // Add structured data if present, labeled like the structured data findings
+        const structuredData = [];
+        const jsonLdErrors = metaTags.structuredDataErrors || [];
+        const jsonLdBlocks = [...metaTags.structuredData];
+        for (let index = 0; index < metaTags.structuredData.length + jsonLdErrors.length; index++) {
+            const error = jsonLdErrors.find(parseError => parseError.index === index);
+            structuredData.push(error
+                ? { label: `JSON-LD block ${index + 1} (invalid)`, content: `${error.message}\n${error.snippet}` }
+                : { label: `JSON-LD block ${index + 1}`, content: JSON.stringify(jsonLdBlocks.shift(), null, 2) });
+        }
+        [['Microdata', metaTags.microdata], ['RDFa', metaTags.rdfa]].forEach(([syntax, items]) => {
+            (items || []).forEach((data, index) => {
+                structuredData.push({ label: `${syntax} item ${index + 1}`, content: JSON.stringify(data, null, 2) });
+            });
+        });
+
+        if (structuredData.length > 0) {
             const structuredDataElement = document.createElement('div');
             structuredDataElement.innerHTML = `<h3 style="margin: 20px 0 15px 0; color: #333;">Structured Data</h3>`;
             
-            metaTags.structuredData.forEach((data, index) => {
+            structuredData.forEach(({ label, content }) => {
                 const dataElement = document.createElement('div');
                 dataElement.className = 'meta-tag';
                 dataElement.innerHTML = `
-                    <div class="meta-tag-name">JSON-LD Schema ${index + 1}</div>
-                    <div class="meta-tag-content">${this.escapeHtml(JSON.stringify(data, null, 2))}</div>
+                    <div class="meta-tag-name">${label}</div>
+                    <div class="meta-tag-content">${this.escapeHtml(content)}</div>
                 `;
                 structuredDataElement.appendChild(dataElement);
             });
@@ -0,0 +1,292 @@
+// Server-side page retrieval for the bundled proxy and the CLI.
+//
+// Unlike a browser fetch, this follows redirects by hand so every hop's status
+// and location are recorded, and it keeps the response status, headers,
+// charset and timing that the analyzer cannot see through a CORS proxy.
+'use strict';
+
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const zlib = require('zlib');
+const { performance } = require('perf_hooks');
+const SEOCore = require('../lib/seo-core');
+const { MAX_CONTENT_LENGTH } = require('../lib/fetchers');
+
+const MAX_REDIRECTS = 10;
+const DEFAULT_TIMEOUT = 15000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; SEOMetaTagsAnalyzer/1.0)';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Headers that identify the proxy's own session are never passed back
+const HIDDEN_HEADERS = ['set-cookie'];
+
+const core = new SEOCore();
+
+class PageFetchError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'PageFetchError';
+        this.statusCode = statusCode;
+    }
+}
+
+function formatHost(address) {
+    return net.isIPv6(address) ? `[${address}]` : address;
+}
+
+// Checks the URL itself and every address its hostname resolves to, so a
+// public name pointing at a private address is rejected as well. Returns the
+// checked addresses so the request connects to them rather than resolving the
+// name again (which a rebinding DNS server could answer differently), or null
+// for an IP address URL.
+async function assertPublicUrl(url) {
+    if (core.isPrivateUrl(url)) {
+        throw new PageFetchError('Cannot fetch private or local network addresses', 403);
+    }
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+        return null;
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(hostname, { all: true });
+    } catch (_) {
+        throw new PageFetchError(`Could not resolve host ${hostname}`, 502);
+    }
+
+    if (addresses.some(({ address }) => core.isPrivateUrl(`http://${formatHost(address)}/`))) {
+        throw new PageFetchError('Cannot fetch private or local network addresses', 403);
+    }
+    return addresses;
+}
+
+// A dns.lookup() replacement for net.connect() that only answers with the
+// given addresses
+function pinnedLookup(addresses) {
+    return (hostname, options, callback) => {
+        const matching = options.family ? addresses.filter(({ family }) => family === options.family) : addresses;
+        if (matching.length === 0) {
+            callback(Object.assign(new Error(`No IPv${options.family} address for ${hostname}`), { code: 'ENOTFOUND' }));
+        } else if (options.all) {
+            callback(null, matching);
+        } else {
+            callback(null, matching[0].address, matching[0].family);
+        }
+    };
+}
+
+const DECODERS = {
+    gzip: () => zlib.createGunzip(),
+    'x-gzip': () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    br: () => zlib.createBrotliDecompress()
+};
+
+// One GET request without following redirects, resolving to
+// { status, statusText, headers, body, discard() } where body is a stream of
+// the decoded bytes (null for 204 and 304) and discard() drops the
+// connection. addresses pins the connection to already checked addresses;
+// without them the hostname is resolved as usual.
+function request(url, { headers, signal, addresses }) {
+    const transport = url.startsWith('https:') ? https : http;
+    // A fresh agent per request, so no pooled connection skips the address check
+    const agent = new transport.Agent({ lookup: addresses ? pinnedLookup(addresses) : undefined });
+
+    return new Promise((resolve, reject) => {
+        const req = transport.get(url, {
+            agent,
+            headers: { ...headers, 'Accept-Encoding': Object.keys(DECODERS).join(', ') },
+            signal
+        }, (res) => {
+            try {
+                if (res.statusCode < 200 || res.statusCode > 599) {
+                    throw new RangeError(`Unexpected status code ${res.statusCode}`);
+                }
+                const responseHeaders = new Headers();
+                for (let i = 0; i < res.rawHeaders.length; i += 2) {
+                    responseHeaders.append(res.rawHeaders[i], res.rawHeaders[i + 1]);
+                }
+
+                // Bodies of 204 and 304 responses are empty by definition
+                let body = null;
+                if (![204, 304].includes(res.statusCode)) {
+                    const decoder = DECODERS[(res.headers['content-encoding'] || '').trim().toLowerCase()];
+                    body = decoder ? res.pipe(decoder()) : res;
+                    if (decoder) {
+                        res.on('error', error => body.destroy(error));
+                    }
+                }
+                resolve({
+                    status: res.statusCode,
+                    statusText: res.statusMessage || '',
+                    headers: responseHeaders,
+                    body,
+                    // Node streams rather than Readable.toWeb(), whose cancel()
+                    // throws on Node 18 once the response has ended
+                    discard: () => {
+                        res.destroy();
+                        if (body && body !== res) {
+                            body.destroy();
+                        }
+                    }
+                });
+            } catch (error) {
+                // Malformed header values or a status code outside 200-599
+                res.destroy();
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function headersToObject(headers) {
+    const result = {};
+    headers.forEach((value, name) => {
+        if (!HIDDEN_HEADERS.includes(name)) {
+            result[name] = value;
+        }
+    });
+    return result;
+}
+
+function parseCharset(contentType) {
+    const match = /charset\s*=\s*["']?([^;"'\s]+)/i.exec(contentType || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+// Falls back to a <meta charset> declaration in the first 1024 bytes, as browsers do
+function sniffCharset(bytes) {
+    const head = Buffer.from(bytes.subarray(0, 1024)).toString('latin1');
+    const match = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head);
+    return match ? match[1].toLowerCase() : '';
+}
+
+function decode(bytes, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(bytes);
+    } catch (_) {
+        // Unknown charset label
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+async function readBody(response, limit) {
+    const chunks = [];
+    let size = 0;
+
+    if (!response.body) {
+        return new Uint8Array(0);
+    }
+
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > limit) {
+            response.discard();
+            throw new PageFetchError('Website content too large to analyze', 413);
+        }
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks, size);
+}
+
+async function fetchPageDetails(url, options = {}) {
+    const { allowPrivate = false, timeout = DEFAULT_TIMEOUT, maxRedirects = MAX_REDIRECTS } = options;
+
+    if (!core.isValidUrl(url)) {
+        throw new PageFetchError('Please provide a valid http or https URL', 400);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const startedAt = performance.now();
+    const redirects = [];
+    let currentUrl = new URL(url).href;
+
+    try {
+        for (;;) {
+            const addresses = allowPrivate ? null : await assertPublicUrl(currentUrl);
+
+            const hopStartedAt = performance.now();
+            let response;
+            try {
+                response = await request(currentUrl, {
+                    signal: controller.signal,
+                    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8' },
+                    addresses
+                });
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    throw new PageFetchError(`Timed out after ${timeout}ms`, 504);
+                }
+                throw new PageFetchError(`Could not connect to ${new URL(currentUrl).host}`, 502);
+            }
+            const headersAt = performance.now();
+
+            const location = response.headers.get('location');
+            if (REDIRECT_STATUSES.includes(response.status) && location) {
+                const nextUrl = new URL(location, currentUrl).href;
+                redirects.push({
+                    url: currentUrl,
+                    status: response.status,
+                    location: nextUrl,
+                    durationMs: Math.round(headersAt - hopStartedAt)
+                });
+                response.discard();
+
+                if (redirects.length > maxRedirects) {
+                    throw new PageFetchError(`Too many redirects (more than ${maxRedirects})`, 502);
+                }
+                if (!core.isValidUrl(nextUrl)) {
+                    throw new PageFetchError('Redirected to a non-http(s) URL', 502);
+                }
+                currentUrl = nextUrl;
+                continue;
+            }
+
+            let bytes;
+            try {
+                bytes = await readBody(response, MAX_CONTENT_LENGTH);
+            } catch (error) {
+                if (error instanceof PageFetchError) {
+                    throw error;
+                }
+                throw controller.signal.aborted
+                    ? new PageFetchError(`Timed out after ${timeout}ms`, 504)
+                    : new PageFetchError('Connection closed while reading the response', 502);
+            }
+            const finishedAt = performance.now();
+            const contentType = response.headers.get('content-type') || '';
+            const headerCharset = parseCharset(contentType);
+            const charset = headerCharset || sniffCharset(bytes);
+
+            return {
+                url,
+                finalUrl: currentUrl,
+                status: response.status,
+                statusText: response.statusText,
+                headers: headersToObject(response.headers),
+                redirects,
+                contentType,
+                charset,
+                charsetSource: headerCharset ? 'header' : (charset ? 'meta' : ''),
+                timing: {
+                    totalMs: Math.round(finishedAt - startedAt),
+                    redirectMs: Math.round(hopStartedAt - startedAt),
+                    ttfbMs: Math.round(headersAt - hopStartedAt),
+                    downloadMs: Math.round(finishedAt - headersAt)
+                },
+                contents: decode(bytes, charset)
+            };
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = { PageFetchError, fetchPageDetails, parseCharset };
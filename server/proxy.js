@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// Minimal local proxy for the analyzer page.
+//
+//   GET /fetch?url=https://example.com/
+//
+// Responds with JSON holding the page body ("contents", as the public proxy
+// does) plus the HTTP status, headers, redirect chain, charset and timing.
+// Point the "Self-hosted proxy" backend at /fetch with the "SEO proxy"
+// response format to feed those details into the technical checks.
+'use strict';
+
+const http = require('http');
+const { fetchPageDetails, PageFetchError } = require('./fetch-page');
+
+const DEFAULTS = { port: 8787, host: '127.0.0.1', allowOrigin: '*' };
+
+const USAGE = `Usage: node server/proxy.js [--port <n>] [--host <address>] [--allow-origin <origin>]
+
+Options:
+  --port <n>               Port to listen on (default ${DEFAULTS.port})
+  --host <address>         Address to bind (default ${DEFAULTS.host})
+  --allow-origin <origin>  Access-Control-Allow-Origin value (default "${DEFAULTS.allowOrigin}")
+  -h, --help               Show this help`;
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--port':
+                options.port = Number(value);
+                if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+                    throw new Error('--port must be an integer between 0 and 65535');
+                }
+                i++;
+                break;
+            case '--host':
+            case '--allow-origin':
+                if (!value) {
+                    throw new Error(`Missing value for ${arg}`);
+                }
+                options[arg === '--host' ? 'host' : 'allowOrigin'] = value;
+                i++;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function sendJson(res, statusCode, body, allowOrigin) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': allowOrigin,
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function createProxyServer(options = {}) {
+    const { allowOrigin = DEFAULTS.allowOrigin, fetchOptions = {} } = options;
+
+    return http.createServer(async (req, res) => {
+        const requestUrl = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': allowOrigin,
+                'Access-Control-Allow-Methods': 'GET, OPTIONS'
+            });
+            res.end();
+            return;
+        }
+
+        if (requestUrl.pathname !== '/fetch') {
+            sendJson(res, 404, { error: 'Not found. Use GET /fetch?url=<page URL>' }, allowOrigin);
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' }, allowOrigin);
+            return;
+        }
+
+        const target = requestUrl.searchParams.get('url');
+        if (!target) {
+            sendJson(res, 400, { error: 'Missing "url" query parameter' }, allowOrigin);
+            return;
+        }
+
+        try {
+            sendJson(res, 200, await fetchPageDetails(target, fetchOptions), allowOrigin);
+        } catch (error) {
+            if (error instanceof PageFetchError) {
+                sendJson(res, error.statusCode, { error: error.message }, allowOrigin);
+            } else {
+                // Error details omitted to prevent information leakage
+                sendJson(res, 500, { error: 'Unexpected error while fetching the page' }, allowOrigin);
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const server = createProxyServer(options);
+    server.listen(options.port, options.host, () => {
+        const { port } = server.address();
+        console.log(`SEO proxy listening on http://${options.host}:${port}/fetch?url=<page URL>`);
+    });
+}
+
+module.exports = { createProxyServer };
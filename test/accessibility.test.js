@@ -0,0 +1,39 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOAccessibility = require('../lib/accessibility');
+const { parse } = require('./helpers');
+
+describe('SEOAccessibility.extractAccessibility', () => {
+    it('names controls, buttons and links and counts landmarks', () => {
+        const doc = parse(`<body>
+            <header>Site</header>
+            <main>
+                <article><header>Post header</header></article>
+                <label for="q">Search</label><input id="q">
+                <input id="r"><input type="hidden" name="token">
+                <button></button><button aria-label="Close"></button>
+                <a href="/x"></a><a href="/y">Go</a><a href="/z" hidden>Hidden</a>
+                <div id="a"></div><span id="a"></span>
+            </main>
+        </body>`);
+        assert.deepEqual(SEOAccessibility.extractAccessibility(doc), {
+            controls: [{ element: 'input[id=q]', name: 'Search' }, { element: 'input[id=r]', name: '' }],
+            buttons: [{ element: 'button', name: '' }, { element: 'button', name: 'Close' }],
+            links: [{ element: 'a[href=/x]', name: '' }, { element: 'a[href=/y]', name: 'Go' }],
+            // The <header> inside <article> is not a banner
+            landmarks: { main: 1, navigation: 0, banner: 1, contentinfo: 0, complementary: 0, search: 0 },
+            duplicateIds: [{ id: 'a', count: 2 }]
+        });
+    });
+});
+
+describe('SEOAccessibility.languageTagError', () => {
+    it('explains invalid lang values', () => {
+        assert.equal(SEOAccessibility.languageTagError('en-US'), '');
+        assert.equal(SEOAccessibility.languageTagError('en_US'), 'uses an underscore instead of a hyphen');
+        assert.equal(SEOAccessibility.languageTagError('xx'), '"xx" is not an ISO 639-1 language code');
+        assert.equal(SEOAccessibility.languageTagError('english'), 'is not a valid BCP 47 language tag');
+    });
+});
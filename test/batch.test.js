@@ -0,0 +1,62 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOBatch = require('../lib/batch');
+
+const INTERVAL = 40;
+
+describe('SEOBatch.parseUrlList', () => {
+    it('reads one URL per line or the first URL-like cell of CSV rows', () => {
+        assert.deepEqual(SEOBatch.parseUrlList('url,title\n"https://example.com/a",A\nexample.com/b\thttps://other.example\n\nhttps://example.com/a'), [
+            'https://example.com/a',
+            'example.com/b'
+        ]);
+    });
+});
+
+describe('SEOBatch.RateLimiter', () => {
+    it('spaces starts at least minInterval apart', async () => {
+        const limiter = new SEOBatch.RateLimiter(INTERVAL);
+        const starts = [];
+        for (let i = 0; i < 3; i++) {
+            await limiter.wait();
+            starts.push(Date.now());
+        }
+        // Timers may fire a millisecond early
+        assert.ok(starts[1] - starts[0] >= INTERVAL - 1, `${starts[1] - starts[0]}ms`);
+        assert.ok(starts[2] - starts[1] >= INTERVAL - 1, `${starts[2] - starts[1]}ms`);
+    });
+
+    it('waits out an interval started before it was created', async () => {
+        const before = Date.now();
+        await new SEOBatch.RateLimiter(INTERVAL, before).wait();
+        assert.ok(Date.now() - before >= INTERVAL - 1);
+    });
+});
+
+describe('SEOBatch.BatchQueue', () => {
+    it('runs the worker over every input and records failures', async () => {
+        const queue = new SEOBatch.BatchQueue(async (input) => {
+            if (input === 'bad') {
+                throw new Error('nope');
+            }
+            return input.toUpperCase();
+        }).add(['a', 'bad', 'c']);
+        const entries = await queue.run();
+        assert.deepEqual(entries.map(entry => [entry.status, entry.result]), [['done', 'A'], ['failed', null], ['done', 'C']]);
+        assert.equal(entries[1].error.message, 'nope');
+        assert.equal(queue.running, false);
+    });
+
+    it('leaves the remaining inputs pending when cancelled', async () => {
+        const seen = [];
+        const queue = new SEOBatch.BatchQueue(async (input) => {
+            seen.push(input);
+            queue.cancel();
+        }, { minInterval: INTERVAL }).add(['a', 'b', 'c']);
+        const entries = await queue.run();
+        assert.deepEqual(seen, ['a']);
+        assert.deepEqual(entries.map(entry => entry.status), ['done', 'pending', 'pending']);
+    });
+});
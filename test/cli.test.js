@@ -0,0 +1,44 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'seo-analyze.js');
+const fixturePath = (name) => path.join(__dirname, 'fixtures', name);
+
+// Runs the CLI offline: social images are not downloaded
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, '--no-image-check', ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+describe('seo-analyze', () => {
+    it('exits with 0 when every page is analyzed', () => {
+        const result = run('--format', 'json', fixturePath('article.html'), fixturePath('problems.html'));
+        assert.equal(result.status, 0, result.stderr);
+        const report = JSON.parse(result.stdout);
+        assert.deepEqual(report.pages.map(page => path.basename(page.source)), ['article.html', 'problems.html']);
+        assert.equal(report.pages[0].score, 100);
+    });
+
+    it('exits with 1 when a page scores below --min-score', () => {
+        const passing = run('--min-score', '90', fixturePath('article.html'));
+        assert.equal(passing.status, 0, passing.stderr);
+
+        const result = run('--min-score', '90', fixturePath('article.html'), fixturePath('problems.html'));
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /Below minimum score: .*problems\.html scored \d+ \(minimum 90\)/);
+    });
+
+    it('exits with 2 on bad arguments and unreadable inputs', () => {
+        assert.equal(run('--min-score', '101', fixturePath('article.html')).status, 2);
+        assert.equal(run('--format', 'xml', fixturePath('article.html')).status, 2);
+
+        const unknown = run('--nope', fixturePath('article.html'));
+        assert.equal(unknown.status, 2);
+        assert.match(unknown.stderr, /Unknown option: --nope/);
+
+        assert.equal(run(fixturePath('missing.html')).status, 2);
+    });
+});
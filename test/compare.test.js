@@ -0,0 +1,32 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOCompare = require('../lib/compare');
+
+const CATEGORIES = [{ id: 'basicSeo', name: 'Basic SEO' }, { id: 'performance', name: 'Performance' }];
+
+const analysis = (score, basicSeo, performance) => ({
+    score,
+    categoryScores: {
+        basicSeo: { score: basicSeo, maxScore: 10 },
+        ...(performance === undefined ? {} : { performance: { score: performance, maxScore: 10 } })
+    }
+});
+
+describe('SEOCompare.compareScores', () => {
+    it('marks the competitors that outscore your page', () => {
+        const rows = SEOCompare.compareScores([analysis(80, 8, 5), analysis(90, 6, 5), null, analysis(70, 9)], CATEGORIES);
+        assert.deepEqual(rows.map(row => [row.id, row.values, row.ahead, row.behind]), [
+            ['score', [80, 90, null, 70], [false, true, false, false], true],
+            ['basicSeo', [80, 60, null, 90], [false, false, false, true], true],
+            ['performance', [50, 50, null, null], [false, false, false, false], false]
+        ]);
+    });
+
+    it('is never behind when your page could not be graded', () => {
+        const rows = SEOCompare.compareScores([analysis(80, 8), analysis(90, 9, 9)], CATEGORIES);
+        assert.deepEqual(rows[2].values, [null, 90]);
+        assert.equal(rows[2].behind, false);
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOContent = require('../lib/content');
+const { parse } = require('./helpers');
+
+const PAGE = `<html><body>
+    <h1>Blue widgets</h1>
+    <script>var hidden = 'not counted';</script>
+    <p>The cat sat on the mat. It was a sunny day.</p>
+    <h2>More</h2>
+    <p>Blue widgets are great, blue widgets!</p>
+</body></html>`;
+
+describe('SEOContent.extractContent', () => {
+    it('keeps visible text with block boundaries and lists headings', () => {
+        const content = SEOContent.extractContent(parse(PAGE));
+        assert.equal(content.text, 'Blue widgets\nThe cat sat on the mat. It was a sunny day.\nMore\nBlue widgets are great, blue widgets!');
+        assert.equal(content.wordCount, 20);
+        assert.deepEqual(content.headings, [{ level: 1, text: 'Blue widgets' }, { level: 2, text: 'More' }]);
+    });
+});
+
+describe('SEOContent.words', () => {
+    it('lowercases words and keeps letters outside ASCII', () => {
+        assert.deepEqual(SEOContent.words('Blue-green widgets, naïve café!'), ['blue', 'green', 'widgets', 'naïve', 'café']);
+        assert.deepEqual(SEOContent.words('It\'s'), ['it\'s']);
+    });
+});
+
+describe('SEOContent.readability', () => {
+    it('picks the formula from the primary language subtag', () => {
+        assert.equal(SEOContent.readabilityFormula('en-GB').name, 'Flesch Reading Ease');
+        assert.equal(SEOContent.readabilityFormula('de').name, 'Amstad');
+        assert.equal(SEOContent.readabilityFormula('ja'), null);
+    });
+
+    it('scores simple text as easy and returns null without a formula or words', () => {
+        const result = SEOContent.readability('The cat sat on the mat. It was a sunny day.', 'en');
+        assert.equal(result.sentences, 2);
+        assert.equal(result.words, 11);
+        assert.ok(result.score >= 90);
+        assert.equal(SEOContent.readability('', 'en'), null);
+        assert.equal(SEOContent.readability('Some text.', 'ja'), null);
+    });
+
+    it('keeps scores between 0 and 100', () => {
+        const hard = 'Incomprehensibilities notwithstanding, institutionalization characteristically necessitates interdisciplinary reconceptualization.';
+        assert.equal(SEOContent.readability(hard, 'en').score, 0);
+    });
+});
+
+describe('SEOContent.keywordUsage', () => {
+    it('reports the density and where the phrase appears', () => {
+        const content = SEOContent.extractContent(parse(PAGE));
+        const usage = SEOContent.keywordUsage('Blue Widgets', { title: 'Blue widgets guide', description: 'All about cats', content }, 'https://example.com/widgets/blue');
+        assert.deepEqual(usage, {
+            phrase: 'blue widgets',
+            occurrences: 3,
+            density: 30,
+            inTitle: true,
+            inDescription: false,
+            inH1: true,
+            inUrl: true
+        });
+    });
+});
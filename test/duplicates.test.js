@@ -0,0 +1,41 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEODuplicates = require('../lib/duplicates');
+
+const page = (path, title, extra = {}) => ({ url: `https://example.com/${path}`, metaTags: { title, ...extra } });
+
+describe('SEODuplicates.findDuplicates', () => {
+    const pages = [
+        page('a', 'Blue widgets for sale | Acme'),
+        page('b', 'Blue widget for sale | Acme'),
+        page('c', 'Red widgets for sale | Acme'),
+        page('d', 'BLUE  widgets for sale - Acme'),
+        page('e', '')
+    ];
+    const titleGroups = (options) => SEODuplicates.findDuplicates(pages, options).titles
+        .map(group => [group.match, group.pages.map(entry => entry.url.slice(-1))]);
+
+    it('clusters titles at or above the similarity threshold', () => {
+        // a and d differ only in case, spacing and punctuation; b is one letter off
+        assert.deepEqual(titleGroups(), [['near', ['a', 'b', 'd']]]);
+    });
+
+    it('keeps pages apart below a stricter threshold', () => {
+        assert.deepEqual(titleGroups({ threshold: 0.99 }), [['exact', ['a', 'd']]]);
+    });
+
+    it('joins less similar titles under a looser threshold', () => {
+        assert.deepEqual(titleGroups({ threshold: 0.7 }), [['near', ['a', 'b', 'c', 'd']]]);
+    });
+
+    it('groups pages that declare the same canonical target', () => {
+        const { canonicals } = SEODuplicates.findDuplicates([
+            page('a', 'A', { canonical: '/main' }),
+            page('b', 'B', { canonical: 'https://example.com/main' }),
+            page('c', 'C', { canonical: '/other' })
+        ]);
+        assert.deepEqual(canonicals.map(group => [group.value, group.pages.length]), [['https://example.com/main', 2]]);
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOExport = require('../lib/export');
+
+// A report as buildReport() returns it, with page text chosen to break formats
+function report(findings) {
+    return {
+        url: 'https://example.com/a_b',
+        analyzedAt: '2024-05-01T12:30:00.000Z',
+        score: 50,
+        passed: 0,
+        warnings: 1,
+        errors: 1,
+        categories: [{ id: 'basicSeo', name: 'Basic SEO', percentage: 50, score: 5, maxScore: 10 }],
+        findings,
+        metaTags: {}
+    };
+}
+
+describe('SEOExport.toMarkdown', () => {
+    it('escapes page text in the heading and findings', () => {
+        const markdown = SEOExport.toMarkdown(report([{
+            id: 'title-length',
+            category: 'Basic SEO',
+            status: 'error',
+            title: 'Long Title',
+            description: 'Title "*Buy* [now](https://evil.example) <b>|</b>"\nis too long.'
+        }]));
+        const lines = markdown.split('\n');
+        assert.equal(lines[0], '# SEO Report: https://example.com/a\\_b');
+        assert.match(markdown, /\(0 passed, 1 warning, 1 error\)/);
+        assert.ok(lines.includes(
+            '- ❌ **Long Title** (Basic SEO): Title "\\*Buy\\* \\[now\\](https://evil.example) \\<b\\>\\|\\</b\\>" is too long.'
+        ));
+    });
+});
+
+describe('SEOExport.toCsv', () => {
+    it('keeps spreadsheets from evaluating page text as formulas', () => {
+        const csv = SEOExport.toCsv(report([
+            { id: 'title-length', category: 'Basic SEO', status: 'warning', title: '=HYPERLINK("https://evil.example")', description: '+1' },
+            { id: 'meta-description-length', category: 'Basic SEO', status: 'error', title: '@SUM(A1)', description: '-2' }
+        ]));
+        const rows = csv.split('\r\n');
+        assert.equal(rows[1], 'https://example.com/a_b,2024-05-01T12:30:00.000Z,50,Basic SEO,title-length,Warning,' +
+            '"\'=HYPERLINK(""https://evil.example"")",\'+1');
+        assert.equal(rows[2], 'https://example.com/a_b,2024-05-01T12:30:00.000Z,50,Basic SEO,meta-description-length,Error,\'@SUM(A1),\'-2');
+    });
+
+    it('quotes cells with commas, quotes and line breaks', () => {
+        const csv = SEOExport.toCsv(report([
+            { id: 'title-length', category: 'Basic SEO', status: 'passed', title: 'Title', description: 'Says "hi", then\nleaves' }
+        ]));
+        assert.equal(csv.split('\r\n')[0], 'URL,Analyzed At,Overall Score,Category,Rule,Status,Finding,Details');
+        assert.ok(csv.endsWith(',Passed,Title,"Says ""hi"", then\nleaves"\r\n'));
+    });
+});
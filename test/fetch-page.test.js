@@ -0,0 +1,71 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const zlib = require('zlib');
+const { fetchPageDetails, PageFetchError } = require('../server/fetch-page');
+
+const PAGE = '<html><head><title>Local</title></head><body>Hello</body></html>';
+
+describe('fetchPageDetails', () => {
+    let server;
+    let origin;
+    const requests = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            if (req.url === '/old') {
+                res.writeHead(301, { Location: '/page' });
+                res.end();
+            } else if (req.url === '/page' && /gzip/.test(req.headers['accept-encoding'] || '')) {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Encoding': 'gzip' });
+                res.end(zlib.gzipSync(PAGE));
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('follows redirects and decodes compressed bodies', async () => {
+        const details = await fetchPageDetails(`${origin}/old`, { allowPrivate: true });
+        assert.equal(details.status, 200);
+        assert.equal(details.finalUrl, `${origin}/page`);
+        assert.deepEqual(details.redirects.map(({ url, status, location }) => ({ url, status, location })), [
+            { url: `${origin}/old`, status: 301, location: `${origin}/page` }
+        ]);
+        assert.equal(details.charset, 'utf-8');
+        assert.equal(details.charsetSource, 'header');
+        assert.equal(details.contents, PAGE);
+    });
+
+    it('rejects private addresses unless allowed', async () => {
+        await assert.rejects(fetchPageDetails(`${origin}/page`), (error) => error instanceof PageFetchError && error.statusCode === 403);
+    });
+
+    it('connects to the address it checked, not a second DNS answer', async (t) => {
+        // The check sees a public address; a rebinding server would answer
+        // the connection's own lookup with the local one
+        t.mock.method(dns.promises, 'lookup', async () => [{ address: '192.0.2.1', family: 4 }]);
+        t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+            const done = typeof options === 'function' ? options : callback;
+            if (options && options.all) {
+                done(null, [{ address: '127.0.0.1', family: 4 }]);
+            } else {
+                done(null, '127.0.0.1', 4);
+            }
+        });
+
+        requests.length = 0;
+        const port = server.address().port;
+        await assert.rejects(fetchPageDetails(`http://rebind.example:${port}/page`, { timeout: 1000 }), PageFetchError);
+        assert.deepEqual(requests, []);
+    });
+});
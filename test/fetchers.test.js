@@ -0,0 +1,40 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOFetchers = require('../lib/fetchers');
+
+// A fetch() stand-in answering every request with the given JSON body
+const respondWith = (body, status = 200) => async () => new Response(JSON.stringify(body), { status });
+
+describe('SEOFetchers.fetchPage', () => {
+    it('reads the page through AllOrigins', async () => {
+        const page = await SEOFetchers.fetchPage('https://example.com/', {},
+            respondWith({ contents: '<title>Hi</title>', status: { http_code: 200 } }));
+        assert.deepEqual(page, { html: '<title>Hi</title>', url: 'https://example.com/', backend: 'allorigins' });
+    });
+
+    it('fails with the page status when AllOrigins wraps an HTTP error', async () => {
+        await assert.rejects(
+            SEOFetchers.fetchPage('https://example.com/robots.txt', {},
+                respondWith({ contents: 'Not Found', status: { http_code: 404 } })),
+            { name: 'FetchError', backend: 'allorigins', reason: 'page responded with HTTP 404', status: 404 }
+        );
+    });
+
+    it('names the proxy backend and status when the proxy fails', async () => {
+        await assert.rejects(
+            SEOFetchers.fetchPage('https://example.com/', { backend: 'proxy', proxyUrl: 'https://proxy.example/fetch' },
+                respondWith({ error: 'upstream timed out' }, 502)),
+            { message: 'Self-hosted proxy failed: server responded with HTTP 502 (upstream timed out)', status: 502 }
+        );
+    });
+});
+
+describe('SEOFetchers.reportsResponse', () => {
+    it('is true only for the bundled proxy format', () => {
+        assert.equal(SEOFetchers.reportsResponse(), false);
+        assert.equal(SEOFetchers.reportsResponse({ backend: 'proxy', proxyFormat: 'json' }), false);
+        assert.equal(SEOFetchers.reportsResponse({ backend: 'proxy', proxyFormat: 'seo-proxy' }), true);
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOHead = require('../lib/head');
+const { parse } = require('./helpers');
+
+const PAGE_URL = 'https://example.com/post';
+
+describe('SEOHead.extractHead', () => {
+    it('collects head tags, including those parsed into <body>', () => {
+        const html = `<html><head>
+            <title>A</title>
+            <meta name="Description" content="D">
+            <link rel="canonical" href="/a">
+            <link rel="icon" href="/f.ico" sizes="32x32">
+            <meta name="googlebot" content="noindex">
+        </head><body>
+            <title>B</title>
+            <meta charset="utf-8">
+            <link rel="stylesheet" href="s.css">
+            <link rel="canonical" href="/b">
+        </body></html>`;
+        const head = SEOHead.extractHead(parse(html), html);
+        assert.deepEqual(head.titles, ['A', 'B']);
+        assert.deepEqual(head.descriptions, ['D']);
+        assert.deepEqual(head.canonicals, ['/a', '/b']);
+        assert.deepEqual(head.charsets, [{ value: 'utf-8', source: '<meta charset>' }]);
+        assert.equal(head.charsetOffset, Buffer.byteLength(html.slice(0, html.indexOf('<meta charset'))));
+        assert.deepEqual(head.robots, [{ name: 'googlebot', content: 'noindex' }]);
+        assert.deepEqual(head.icons, [{ href: '/f.ico', sizes: '32x32', type: '' }]);
+        assert.deepEqual(head.inBody, ['<title>', '<meta charset="utf-8">', '<link rel="canonical">']);
+    });
+});
+
+describe('SEOHead robots', () => {
+    it('parses crawler-scoped directives and values', () => {
+        assert.deepEqual(SEOHead.parseRobots('noindex, googlebot: nofollow, max-snippet:20'), [
+            { agent: '', name: 'noindex', value: '' },
+            { agent: 'googlebot', name: 'nofollow', value: '' },
+            { agent: 'googlebot', name: 'max-snippet', value: '20' }
+        ]);
+    });
+
+    it('reports blocking, limiting and unknown directives', () => {
+        const problems = SEOHead.checkRobots([{
+            name: 'robots',
+            content: 'none, max-snippet:20, max-image-preview:huge, unavailable_after: 2020-01-01, nonsense'
+        }], new Date('2026-01-01'));
+        assert.deepEqual(problems.map(problem => [problem.problem, problem.severity]), [
+            ['noindex', 'error'],
+            ['snippet', 'warning'],
+            ['invalid-value', 'warning'],
+            ['unavailable-after', 'error'],
+            ['unknown-directive', 'warning']
+        ]);
+        assert.equal(problems[1].message, '<meta name="robots"> max-snippet:20 limits the search result snippet to 20 characters.');
+        assert.deepEqual(SEOHead.checkRobots([{ name: 'robots', content: 'index, follow, max-image-preview:large' }]), []);
+    });
+});
+
+describe('SEOHead.checkCanonical', () => {
+    const problems = (...args) => SEOHead.checkCanonical(...args).map(problem => problem.problem);
+
+    it('accepts a self-referencing absolute canonical', () => {
+        assert.deepEqual(SEOHead.checkCanonical('https://example.com/post', PAGE_URL), []);
+    });
+
+    it('reports relative, fragment, protocol, cross-domain and og:url problems', () => {
+        assert.deepEqual(problems('/post#top', PAGE_URL), ['relative', 'fragment']);
+        assert.deepEqual(problems('http://example.com/post', PAGE_URL, 'https://example.com/other'), ['protocol', 'og-url']);
+        assert.deepEqual(problems('https://other.example/post', PAGE_URL), ['cross-domain']);
+        assert.deepEqual(problems('https://example.com/other', PAGE_URL), ['other-page']);
+        assert.deepEqual(problems('https://exa mple.com/', PAGE_URL), ['invalid']);
+    });
+});
+
+describe('SEOHead.checkCharset', () => {
+    it('accepts a charset from the Content-Type header', () => {
+        assert.deepEqual(SEOHead.checkCharset({ charsets: [], charsetOffset: -1 }, 'utf-8'), []);
+        assert.deepEqual(SEOHead.checkCharset({ charsets: [], charsetOffset: -1 }).map(problem => problem.problem), ['missing']);
+    });
+
+    it('reports repeated, non-UTF-8 and late declarations', () => {
+        const head = {
+            charsets: [{ value: 'ISO-8859-1', source: '<meta charset>' }, { value: 'utf-8', source: '<meta charset>' }],
+            charsetOffset: 2000
+        };
+        assert.deepEqual(SEOHead.checkCharset(head).map(problem => problem.problem), ['multiple', 'not-utf8', 'late']);
+    });
+});
+
+describe('SEOHead.checkDuplicates', () => {
+    it('reports repeated titles, descriptions and canonicals', () => {
+        const problems = SEOHead.checkDuplicates({ titles: ['A', 'B'], descriptions: ['D'], canonicals: ['/a', '/a'] });
+        assert.deepEqual(problems.map(problem => [problem.problem, problem.severity]), [['title', 'warning'], ['canonical', 'warning']]);
+        assert.equal(SEOHead.checkDuplicates({ titles: ['A'], descriptions: [], canonicals: ['/a', '/b'] })[0].severity, 'error');
+    });
+});
@@ -0,0 +1,53 @@
+// Shared test helpers: jsdom in place of the browser's DOMParser, fixture
+// loading and an analyzer whose images "load" from a fixed size table.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SEOCore = require('../lib/seo-core');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function parse(html) {
+    return new JSDOM(html).window.document;
+}
+
+class FixtureAnalyzer extends SEOCore {
+    // imageSizes maps image URLs to { width, height }, or null for an image whose
+    // size cannot be read; other images fail to load
+    constructor(options = {}) {
+        super(options);
+        this.imageSizes = options.imageSizes || {};
+    }
+
+    parseDocument(html) {
+        return parse(html);
+    }
+
+    parseXml(xml) {
+        return new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+    }
+
+    async loadImage(url) {
+        if (!Object.prototype.hasOwnProperty.call(this.imageSizes, url)) {
+            throw new Error('not found or not an image');
+        }
+        return this.imageSizes[url];
+    }
+}
+
+// Analyzes a fixture page as if it had been fetched from url
+function analyzeFixture(name, url, options = {}) {
+    const analyzer = new FixtureAnalyzer(options);
+    return analyzer.analyzePage({ html: fixture(name), url }, options);
+}
+
+// Analysis items produced by one rule
+function itemsFor(analysis, ruleId) {
+    return analysis.items.filter(item => item.id === ruleId);
+}
+
+module.exports = { fixture, parse, FixtureAnalyzer, analyzeFixture, itemsFor };
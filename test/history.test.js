@@ -0,0 +1,61 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOHistory = require('../lib/history');
+const SEORules = require('../lib/rules');
+const { fixture, FixtureAnalyzer } = require('./helpers');
+
+const PAGE_URL = 'https://example.com/guides/blue-widgets';
+
+async function record(html) {
+    const analyzer = new FixtureAnalyzer();
+    const { metaTags, analysis } = await analyzer.analyzePage({ html, url: PAGE_URL });
+    return { url: PAGE_URL, metaTags, analysis };
+}
+
+describe('SEOHistory.compareAnalyses', () => {
+    it('diffs single-valued tags and summarizes structured sections', async () => {
+        const html = fixture('article.html');
+        const before = await record(html);
+        const after = await record(html
+            .replace('<title>', '<title>New: ')
+            .replace('</article>', '<p>Two more words.</p><img src="/extra.jpg" alt="Extra" width="10" height="10"></article>'));
+
+        const diff = SEOHistory.compareAnalyses(before, after, SEORules.CATEGORIES);
+        assert.deepEqual(diff.metaTags.map(tag => tag.key), ['title', 'wordCount', 'images']);
+        assert.match(diff.metaTags[0].after, /^New: /);
+        assert.equal(Number(diff.metaTags[1].after) - Number(diff.metaTags[1].before), 3);
+        assert.deepEqual(diff.metaTags[2], { key: 'images', before: '1', after: '2' });
+        assert.equal(diff.categories.length, SEORules.CATEGORIES.length);
+    });
+
+    it('compares records saved before structured sections were kept', async () => {
+        const after = await record(fixture('article.html'));
+        const before = { ...after, metaTags: { title: after.metaTags.title } };
+        const diff = SEOHistory.compareAnalyses(before, after, SEORules.CATEGORIES);
+        const wordCount = diff.metaTags.find(tag => tag.key === 'wordCount');
+        assert.deepEqual(wordCount, { key: 'wordCount', before: '', after: String(after.metaTags.content.wordCount) });
+        assert.ok(diff.metaTags.every(tag => tag.after.length < 200));
+    });
+
+    it('reports findings whose status changed', async () => {
+        const before = await record(fixture('article.html'));
+        const after = await record(fixture('article.html').replace(/<meta name="description"[^>]*>/, ''));
+        const diff = SEOHistory.compareAnalyses(before, after, SEORules.CATEGORIES);
+        assert.ok(diff.findings.some(finding => finding.id === 'meta-description-length' && finding.before === 'passed' && finding.after !== 'passed'));
+        assert.ok(diff.score.delta < 0);
+    });
+});
+
+describe('SEOHistory.compareAnalyses profiles', () => {
+    it('flags runs graded with different scoring profiles', async () => {
+        const run = await record(fixture('article.html'));
+        const compare = (before, after) => SEOHistory.compareAnalyses({ ...run, profile: before }, { ...run, profile: after }, SEORules.CATEGORIES).profiles;
+
+        assert.deepEqual(compare('default', 'blog'), { before: 'default', after: 'blog', changed: true });
+        assert.equal(compare('blog', 'blog').changed, false);
+        // Records saved before the profile was kept cannot be told apart
+        assert.deepEqual(compare(undefined, 'blog'), { before: null, after: 'blog', changed: false });
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOHreflang = require('../lib/hreflang');
+const { parse } = require('./helpers');
+
+describe('SEOHreflang.extractAlternates', () => {
+    it('reads <link rel="alternate" hreflang> only', () => {
+        const doc = parse(`<head>
+            <link rel="alternate" hreflang="de" href="/de/ ">
+            <link rel="Alternate stylesheet" hreflang="x-default" href="/">
+            <link rel="canonical" hreflang="fr" href="/fr/">
+        </head>`);
+        assert.deepEqual(SEOHreflang.extractAlternates(doc), [
+            { hreflang: 'de', href: '/de/' },
+            { hreflang: 'x-default', href: '/' }
+        ]);
+    });
+});
+
+describe('SEOHreflang.parseHreflang', () => {
+    const parsed = (value) => {
+        const { valid, error, suggestion } = SEOHreflang.parseHreflang(value);
+        return { valid, error, suggestion };
+    };
+
+    it('accepts language, script and region combinations and x-default', () => {
+        assert.deepEqual(SEOHreflang.parseHreflang('de-Latn-CH'), {
+            valid: true, language: 'de', script: 'Latn', region: 'CH', error: '', suggestion: ''
+        });
+        assert.equal(parsed('en-us').valid, true);
+        assert.equal(parsed('X-Default').valid, true);
+    });
+
+    it('explains common mistakes and suggests a fix', () => {
+        assert.deepEqual(parsed('en_GB'), { valid: false, error: 'uses an underscore instead of a hyphen', suggestion: 'en-GB' });
+        assert.deepEqual(parsed('en-UK'), { valid: false, error: '"UK" is not an ISO 3166-1 alpha-2 region code', suggestion: 'en-GB' });
+        assert.deepEqual(parsed('us'), {
+            valid: false,
+            error: 'starts with "us", which is a region code rather than an ISO 639-1 language code',
+            suggestion: ''
+        });
+        assert.deepEqual(parsed('en-'), { valid: false, error: 'is not in the language-REGION format', suggestion: 'en' });
+    });
+});
+
+describe('SEOHreflang.languageMatches', () => {
+    it('compares regions only when both name one', () => {
+        assert.equal(SEOHreflang.languageMatches('en-GB', 'en'), true);
+        assert.equal(SEOHreflang.languageMatches('en-GB', 'en_GB'), true);
+        assert.equal(SEOHreflang.languageMatches('en-GB', 'en-US'), false);
+        assert.equal(SEOHreflang.languageMatches('x-default', 'fr'), true);
+    });
+});
+
+describe('SEOHreflang.checkAlternates', () => {
+    it('checks return links and languages of the other alternates', async () => {
+        const urls = SEOHreflang.selfUrls({ http: { finalUrl: 'https://example.com/en/' }, canonical: '/en/#top' }, 'https://example.com/en');
+        assert.deepEqual(urls, ['https://example.com/en', 'https://example.com/en/', 'https://example.com/en/']);
+
+        const pages = {
+            'https://example.com/de/': { alternates: [{ hreflang: 'en', href: '/en/' }], language: 'de-DE' },
+            'https://example.com/fr/': { alternates: [], language: 'en' }
+        };
+        const result = await SEOHreflang.checkAlternates([
+            { hreflang: 'en', href: '/en/' },
+            { hreflang: 'de', href: '/de/' },
+            { hreflang: 'x-default', href: '/de/' },
+            { hreflang: 'fr', href: '/fr/' },
+            { hreflang: 'es', href: '/es/' }
+        ], urls, async (url) => {
+            if (!pages[url]) {
+                throw new Error('HTTP 404');
+            }
+            return pages[url];
+        });
+
+        assert.equal(result.total, 3);
+        assert.deepEqual(result.results.map(({ url, hreflang, returnLink, languageMatches, error }) => ({ url, hreflang, returnLink, languageMatches, error })), [
+            { url: 'https://example.com/de/', hreflang: ['de', 'x-default'], returnLink: true, languageMatches: true, error: '' },
+            { url: 'https://example.com/fr/', hreflang: ['fr'], returnLink: false, languageMatches: false, error: '' },
+            { url: 'https://example.com/es/', hreflang: ['es'], returnLink: false, languageMatches: false, error: 'HTTP 404' }
+        ]);
+    });
+
+    it('lists alternates the loader declined to fetch as not checked', async () => {
+        const result = await SEOHreflang.checkAlternates([
+            { hreflang: 'de', href: 'http://192.168.1.10/de/' }
+        ], ['https://example.com/en/'], async () => {
+            throw Object.assign(new Error('private or local network address'), { notChecked: true });
+        });
+        assert.deepEqual(result, {
+            total: 1,
+            results: [],
+            skipped: [{ url: 'http://192.168.1.10/de/', hreflang: ['de'], reason: 'private or local network address' }]
+        });
+    });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOImages = require('../lib/images');
+const { parse, FixtureAnalyzer } = require('./helpers');
+
+function png(width, height) {
+    const bytes = Buffer.alloc(24);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(bytes, 0);
+    bytes.writeUInt32BE(13, 8);
+    bytes.write('IHDR', 12, 'ascii');
+    bytes.writeUInt32BE(width, 16);
+    bytes.writeUInt32BE(height, 20);
+    return new Uint8Array(bytes);
+}
+
+function gif(width, height) {
+    const bytes = Buffer.alloc(10);
+    bytes.write('GIF89a', 0, 'ascii');
+    bytes.writeUInt16LE(width, 6);
+    bytes.writeUInt16LE(height, 8);
+    return new Uint8Array(bytes);
+}
+
+describe('SEOImages.extractImages', () => {
+    it('reads the attributes the image checks need', () => {
+        const doc = parse(`<body>
+            <img src="/a.jpg" width="10" height="10" loading="lazy">
+            <img src="b.svg" alt="" role="presentation">
+            <picture><source srcset="c.webp"><img src="c.jpg" alt="C"></picture>
+        </body>`);
+        assert.deepEqual(SEOImages.extractImages(doc), [
+            { src: '/a.jpg', alt: null, width: '10', height: '10', loading: 'lazy', srcset: '', inPicture: false, decorative: false },
+            { src: 'b.svg', alt: '', width: '', height: '', loading: '', srcset: '', inPicture: false, decorative: true },
+            { src: 'c.jpg', alt: 'C', width: '', height: '', loading: '', srcset: '', inPicture: true, decorative: false }
+        ]);
+    });
+});
+
+describe('SEOImages.socialImageUrls', () => {
+    it('resolves, deduplicates and labels og:image and twitter:image', () => {
+        const page = 'https://example.com/post';
+        assert.deepEqual(SEOImages.socialImageUrls({ ogImage: '/og.png', twitterImage: 'https://example.com/t.png' }, page), [
+            { url: 'https://example.com/og.png', sources: ['og:image'] },
+            { url: 'https://example.com/t.png', sources: ['twitter:image'] }
+        ]);
+        assert.deepEqual(SEOImages.socialImageUrls({ ogImage: '/og.png', twitterImage: 'https://example.com/og.png' }, page), [
+            { url: 'https://example.com/og.png', sources: ['og:image', 'twitter:image'] }
+        ]);
+        assert.deepEqual(SEOImages.socialImageUrls({ ogImage: 'data:image/png;base64,AAAA' }, page), []);
+    });
+});
+
+describe('SEOImages.socialImageSpecs', () => {
+    it('applies the Twitter card spec to og:image when there is no twitter:image', () => {
+        const specs = SEOImages.socialImageSpecs({ sources: ['og:image'] }, { twitterCard: 'summary' });
+        assert.deepEqual(specs.map(spec => spec.name), ['Facebook (Open Graph)', 'Twitter summary card']);
+
+        const withTwitterImage = SEOImages.socialImageSpecs({ sources: ['og:image'] }, { twitterCard: 'summary', twitterImage: 'https://example.com/t.png' });
+        assert.deepEqual(withTwitterImage.map(spec => spec.name), ['Facebook (Open Graph)']);
+    });
+});
+
+describe('SEOImages.checkSocialImage', () => {
+    const facebook = SEOImages.SOCIAL_IMAGE_SPECS.facebook;
+
+    it('accepts an image at the recommended size', () => {
+        assert.deepEqual(SEOImages.checkSocialImage({ width: 1200, height: 630 }, facebook), []);
+    });
+
+    it('reports small, too small and cropped images', () => {
+        const problems = (width, height) => SEOImages.checkSocialImage({ width, height }, facebook).map(problem => problem.problem);
+        assert.deepEqual(problems(600, 315), ['small']);
+        assert.deepEqual(problems(100, 100), ['too-small', 'aspect-ratio']);
+        assert.deepEqual(problems(1200, 1200), ['aspect-ratio']);
+    });
+});
+
+describe('SEOImages.imageDimensions', () => {
+    it('reads PNG and GIF headers', () => {
+        assert.deepEqual(SEOImages.imageDimensions(png(1200, 630)), { width: 1200, height: 630 });
+        assert.deepEqual(SEOImages.imageDimensions(gif(144, 144)), { width: 144, height: 144 });
+    });
+
+    it('returns null for truncated headers and unknown formats', () => {
+        assert.equal(SEOImages.imageDimensions(png(1200, 630).slice(0, 12)), null);
+        assert.equal(SEOImages.imageDimensions(new TextEncoder().encode('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), null);
+    });
+});
+
+describe('SEOCore.loadSocialImage', () => {
+    it('tells loaded, unknown-size and failed images apart', async () => {
+        const analyzer = new FixtureAnalyzer({ imageSizes: { 'https://example.com/a.png': { width: 1200, height: 630 }, 'https://example.com/b.svg': null } });
+        const load = (url) => analyzer.loadSocialImage({ url, sources: ['og:image'] });
+        assert.deepEqual(await load('https://example.com/a.png'), { url: 'https://example.com/a.png', sources: ['og:image'], status: 'loaded', width: 1200, height: 630 });
+        assert.equal((await load('https://example.com/b.svg')).status, 'unknown-size');
+        assert.equal((await load('https://example.com/c.png')).status, 'failed');
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOLinks = require('../lib/links');
+const { parse } = require('./helpers');
+
+const PAGE_URL = 'https://example.com/post';
+
+const LINKS = SEOLinks.extractLinks(parse(`<body>
+    <a href="/guide">Read the guide</a>
+    <a href="https://www.example.com/pricing"><img src="p.png" alt="Pricing"></a>
+    <a href="https://partner.example/" rel="nofollow sponsored" target="_blank">Partner</a>
+    <a href="javascript:void(0)">click here</a>
+    <a href="mailto:hello@example.com">Mail us</a>
+    <a href="/post#comments">Comments</a>
+</body>`));
+
+describe('SEOLinks.extractLinks', () => {
+    it('reads href, anchor text, rel tokens and target', () => {
+        assert.deepEqual(LINKS[1], { href: 'https://www.example.com/pricing', text: 'Pricing', rel: [], target: '' });
+        assert.deepEqual(LINKS[2], { href: 'https://partner.example/', text: 'Partner', rel: ['nofollow', 'sponsored'], target: '_blank' });
+    });
+});
+
+describe('SEOLinks.classifyLink', () => {
+    it('classifies by hostname, ignoring www.', () => {
+        assert.deepEqual(LINKS.map(link => SEOLinks.classifyLink(link, PAGE_URL)),
+            ['internal', 'internal', 'external', 'javascript', 'other', 'internal']);
+    });
+});
+
+describe('SEOLinks.summarizeLinks', () => {
+    it('counts link types and rel values', () => {
+        assert.deepEqual(SEOLinks.summarizeLinks(LINKS, PAGE_URL), {
+            total: 6, internal: 3, external: 1, javascript: 1, other: 1, nofollow: 1, sponsored: 1, ugc: 0
+        });
+    });
+});
+
+describe('SEOLinks anchor checks', () => {
+    it('flags generic anchor text and unsafe target="_blank" links', () => {
+        assert.equal(SEOLinks.isGenericAnchorText('Click Here!'), true);
+        assert.equal(SEOLinks.isGenericAnchorText('Read the guide'), false);
+        assert.equal(SEOLinks.isUnsafeBlankTarget(LINKS[2]), true);
+        assert.equal(SEOLinks.isUnsafeBlankTarget({ ...LINKS[2], rel: ['noreferrer'] }), false);
+    });
+});
+
+describe('SEOLinks.checkLinks', () => {
+    it('checks unique internal pages other than this one', async () => {
+        assert.deepEqual(SEOLinks.internalLinkUrls(LINKS, PAGE_URL), ['https://example.com/guide', 'https://www.example.com/pricing']);
+
+        const statuses = { 'https://example.com/guide': 200, 'https://www.example.com/pricing': 404 };
+        const result = await SEOLinks.checkLinks(LINKS, PAGE_URL, async (url) => ({ status: statuses[url] }));
+        assert.equal(result.total, 2);
+        assert.deepEqual(result.results.map(link => [link.url, link.ok, link.status]), [
+            ['https://example.com/guide', true, 200],
+            ['https://www.example.com/pricing', false, 404]
+        ]);
+    });
+
+    it('leaves links unjudged when the fetch path reports no status', async () => {
+        const result = await SEOLinks.checkLinks(LINKS, PAGE_URL, async () => ({ status: 0 }));
+        assert.deepEqual(result.results.map(link => link.ok), [null, null]);
+    });
+
+    it('counts pages that are only too large to analyze as working', async () => {
+        const result = await SEOLinks.checkLinks(LINKS.slice(0, 1), PAGE_URL, async () => {
+            throw Object.assign(new Error('content is larger than the 1MB analysis limit'), { status: SEOLinks.TOO_LARGE_STATUS });
+        });
+        assert.deepEqual(result.results, [{ url: 'https://example.com/guide', ok: true, status: 0, error: '' }]);
+    });
+
+    it('reports links that cannot be fetched', async () => {
+        const result = await SEOLinks.checkLinks(LINKS.slice(0, 1), PAGE_URL, async () => {
+            throw new Error('HTTP request failed');
+        });
+        assert.deepEqual(result.results, [{ url: 'https://example.com/guide', ok: false, status: 0, error: 'HTTP request failed' }]);
+    });
+
+    it('lists links the checker declined to fetch as not checked', async () => {
+        const result = await SEOLinks.checkLinks(LINKS, PAGE_URL, async (url) => {
+            if (url.includes('pricing')) {
+                throw Object.assign(new Error('private or local network address'), { notChecked: true });
+            }
+            return { status: 200 };
+        });
+        assert.deepEqual(result.results.map(link => link.url), ['https://example.com/guide']);
+        assert.deepEqual(result.skipped, [{ url: 'https://www.example.com/pricing', reason: 'private or local network address' }]);
+    });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOMobile = require('../lib/mobile');
+const { parse } = require('./helpers');
+
+describe('SEOMobile.parseViewport', () => {
+    it('lowercases keys and notes the separator', () => {
+        assert.deepEqual(SEOMobile.parseViewport('Width=device-width, initial-scale=1'), {
+            properties: { width: 'device-width', 'initial-scale': '1' },
+            separator: ','
+        });
+        assert.equal(SEOMobile.parseViewport('width=device-width; initial-scale=1').separator, ';');
+    });
+});
+
+describe('SEOMobile.checkViewport', () => {
+    const problems = (content) => SEOMobile.checkViewport(content).map(problem => [problem.problem, problem.severity]);
+
+    it('accepts the recommended viewport', () => {
+        assert.deepEqual(SEOMobile.checkViewport('width=device-width, initial-scale=1'), []);
+    });
+
+    it('reports fixed widths, disabled zoom and semicolons', () => {
+        assert.deepEqual(problems('width=1024; user-scalable=no'), [
+            ['fixed-width', 'error'], ['zoom-disabled', 'error'], ['syntax', 'warning']
+        ]);
+    });
+
+    it('warns about zoomed, zoom-limited and unknown properties', () => {
+        assert.deepEqual(problems('initial-scale=2, maximum-scale=1, foo=1'), [
+            ['no-device-width', 'warning'], ['initial-scale', 'warning'], ['zoom-limited', 'warning'], ['unknown-key', 'warning']
+        ]);
+        assert.deepEqual(problems(''), [['no-device-width', 'error']]);
+    });
+});
+
+describe('SEOMobile.extractMobileSignals', () => {
+    it('finds theme color, icons, plugins and wide inline widths', () => {
+        const doc = parse(`<html><head>
+            <meta name="theme-color" content="#fff">
+            <link rel="manifest" href="/m.json">
+            <link rel="apple-touch-icon-precomposed" href="/icon.png">
+        </head><body>
+            <div style="width: 1200px"></div>
+            <div style="max-width: 1200px"></div>
+            <embed src="movie.swf">
+            <embed src="diagram.svg">
+            <object type="application/x-shockwave-flash" data="a.swf"><embed src="a.swf"></object>
+        </body></html>`);
+        assert.deepEqual(SEOMobile.extractMobileSignals(doc), {
+            themeColor: '#fff',
+            appleTouchIcon: '/icon.png',
+            manifest: '/m.json',
+            plugins: ['<embed> movie.swf', '<object> a.swf'],
+            fixedWidth: [{ element: '<div>', property: 'width', width: 1200 }]
+        });
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOOpenGraph = require('../lib/opengraph');
+const { parse } = require('./helpers');
+
+const PAGE_URL = 'https://example.com/post';
+
+function social(html) {
+    const tags = SEOOpenGraph.extractSocialTags(parse(html));
+    return { tags, social: SEOOpenGraph.parseSocialTags(tags) };
+}
+
+describe('SEOOpenGraph.extractSocialTags', () => {
+    it('reads property= and name= tags with content', () => {
+        const { tags } = social(`<head>
+            <meta property="og:title" content=" Title ">
+            <meta name="og:type" content="article">
+            <meta name="twitter:card" content="summary">
+            <meta property="og:description" content="">
+            <meta name="description" content="Not social">
+        </head>`);
+        assert.deepEqual(tags, [
+            { property: 'og:title', content: 'Title', attribute: 'property' },
+            { property: 'og:type', content: 'article', attribute: 'name' },
+            { property: 'twitter:card', content: 'summary', attribute: 'name' }
+        ]);
+    });
+});
+
+describe('SEOOpenGraph.parseSocialTags', () => {
+    it('groups structured properties into objects', () => {
+        const parsed = SEOOpenGraph.parseSocialTags([
+            { property: 'og:image:width', content: '10' },
+            { property: 'og:image', content: '/a.png' },
+            { property: 'og:image:width', content: '1200' },
+            { property: 'og:image:url', content: '/a.png' },
+            { property: 'og:image:url', content: '/b.png' },
+            { property: 'og:locale:alternate', content: 'de_DE' },
+            { property: 'og:locale:alternate', content: 'fr_FR' }
+        ]);
+        assert.deepEqual(parsed, {
+            values: { 'og:locale:alternate': ['de_DE', 'fr_FR'] },
+            objects: { 'og:image': [{ url: '/a.png', width: '1200' }, { url: '/b.png' }] },
+            orphans: ['og:image:width']
+        });
+        assert.equal(SEOOpenGraph.firstValue(parsed, 'og:image'), '/a.png');
+        assert.equal(SEOOpenGraph.firstValue(parsed, 'og:title'), '');
+    });
+});
+
+describe('SEOOpenGraph.setTag', () => {
+    it('replaces the first value, or removes it with its structured properties', () => {
+        const tags = [
+            { property: 'og:image', content: '/a.png', attribute: 'property' },
+            { property: 'og:image:width', content: '10', attribute: 'property' },
+            { property: 'og:title', content: 'T', attribute: 'property' }
+        ];
+        assert.equal(SEOOpenGraph.setTag(tags, 'og:title', 'New')[2].content, 'New');
+        assert.deepEqual(SEOOpenGraph.setTag(tags, 'og:image', '').map(tag => tag.property), ['og:title']);
+        assert.deepEqual(SEOOpenGraph.setTag(tags, 'og:url', '/u').pop(), { property: 'og:url', content: '/u', attribute: 'property' });
+    });
+});
+
+describe('SEOOpenGraph checks', () => {
+    it('lists missing required properties', () => {
+        const { social: parsed } = social('<meta property="og:title" content="T">');
+        assert.deepEqual(SEOOpenGraph.missingProperties(parsed), {
+            required: ['og:type', 'og:image', 'og:url'],
+            recommended: ['og:description']
+        });
+    });
+
+    it('checks og:type namespaces, dates and prices', () => {
+        const { social: parsed } = social(`<head>
+            <meta property="og:type" content="article">
+            <meta property="article:published_time" content="May 1st">
+            <meta property="product:price:amount" content="$5">
+        </head>`);
+        assert.deepEqual(SEOOpenGraph.checkType(parsed).map(problem => problem.problem), [
+            'type-mismatch', 'invalid-date', 'invalid-price'
+        ]);
+        assert.deepEqual(SEOOpenGraph.checkType(social('<meta property="og:type" content="blog">').social).map(problem => problem.problem), ['unknown-type']);
+    });
+
+    it('checks how the tags are written', () => {
+        const { tags, social: parsed } = social(`<head>
+            <meta name="og:title" content="A">
+            <meta property="og:title" content="B">
+            <meta property="og:locale" content="en-US">
+            <meta property="fb:app_id" content="app">
+            <meta property="og:url" content="/post">
+        </head>`);
+        assert.deepEqual(SEOOpenGraph.checkMarkup(tags, parsed, PAGE_URL).map(problem => problem.problem), [
+            'name-attribute', 'duplicate', 'locale', 'app-id', 'relative-url'
+        ]);
+    });
+
+    it('checks og:image URLs, alt text and declared sizes', () => {
+        const { social: parsed } = social(`<head>
+            <meta property="og:image" content="https://example.com/a.png">
+            <meta property="og:image:alt" content="A">
+            <meta property="og:image:width" content="1200">
+            <meta property="og:image:height" content="630">
+            <meta property="og:image" content="/b.png">
+        </head>`);
+        const loaded = [{ url: 'https://example.com/a.png', status: 'loaded', width: 600, height: 315 }];
+        assert.deepEqual(SEOOpenGraph.checkImages(parsed, PAGE_URL, loaded).map(problem => [problem.problem, problem.message.split(' ').slice(0, 2).join(' ')]), [
+            ['dimension-mismatch', 'og:image 1'],
+            ['relative-url', 'og:image 2'],
+            ['missing-alt', 'og:image 2'],
+            ['missing-dimensions', 'og:image 2']
+        ]);
+    });
+
+    it('checks the Twitter card against its Open Graph fallbacks', () => {
+        const fallback = social(`<head>
+            <meta name="twitter:card" content="summary_large_image">
+            <meta property="og:title" content="T">
+            <meta property="og:image" content="https://example.com/a.png">
+        </head>`);
+        assert.deepEqual(SEOOpenGraph.checkTwitterCard(fallback.social, PAGE_URL), []);
+
+        const broken = social(`<head>
+            <meta name="twitter:card" content="large">
+            <meta name="twitter:site" content="example">
+        </head>`);
+        assert.deepEqual(SEOOpenGraph.checkTwitterCard(broken.social, PAGE_URL).map(problem => problem.problem), [
+            'unknown-card', 'missing-title', 'handle'
+        ]);
+    });
+});
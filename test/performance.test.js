@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOPerformance = require('../lib/performance');
+const { parse } = require('./helpers');
+
+const PAGE_URL = 'https://www.example.com/';
+
+const HTML = `<html><head>
+    <script src="https://cdn.example/a.js"></script>
+    <script src="/b.js" defer></script>
+    <script type="module" src="/c.js"></script>
+    <link rel="stylesheet" href="https://fonts.example/c.css">
+    <link rel="stylesheet" href="/print.css" media="print">
+    <link rel="preconnect" href="https://cdn.example">
+    <script>var a=1;</script>
+    <style>p{}</style>
+</head><body>
+    <img src="/hero.jpg">
+    <iframe src="https://video.example/embed"></iframe>
+</body></html>`;
+
+const PERFORMANCE = SEOPerformance.extractPerformance(parse(HTML), HTML);
+
+describe('SEOPerformance.extractPerformance', () => {
+    it('finds render-blocking resources, inline weight and hints', () => {
+        assert.equal(PERFORMANCE.documentBytes, Buffer.byteLength(HTML));
+        assert.deepEqual(PERFORMANCE.blockingScripts, ['https://cdn.example/a.js']);
+        assert.deepEqual(PERFORMANCE.blockingStylesheets, ['https://fonts.example/c.css']);
+        assert.equal(PERFORMANCE.inlineScriptBytes, 8);
+        assert.equal(PERFORMANCE.inlineStyleBytes, 3);
+        assert.deepEqual(PERFORMANCE.hints, { preconnect: ['https://cdn.example'], dnsPrefetch: [], preload: [] });
+        assert.deepEqual(PERFORMANCE.firstImage, { src: '/hero.jpg', fetchPriority: '' });
+        assert.deepEqual(PERFORMANCE.resources.map(resource => resource.type), [
+            'script', 'script', 'script', 'stylesheet', 'stylesheet', 'image', 'iframe'
+        ]);
+    });
+});
+
+describe('SEOPerformance third-party origins', () => {
+    it('lists origins other than the page, ignoring www.', () => {
+        const urls = [...PERFORMANCE.resources.map(resource => resource.url), 'https://example.com/logo.png'];
+        assert.deepEqual(SEOPerformance.thirdPartyOrigins(urls, PAGE_URL), [
+            'https://cdn.example', 'https://fonts.example', 'https://video.example'
+        ]);
+    });
+
+    it('reports blocking origins without a preconnect hint', () => {
+        assert.deepEqual(SEOPerformance.missingPreconnects(PERFORMANCE, PAGE_URL), ['https://fonts.example']);
+    });
+});
+
+describe('SEOPerformance.isFirstImagePrioritized', () => {
+    it('accepts fetchpriority="high" or a matching preload', () => {
+        assert.equal(SEOPerformance.isFirstImagePrioritized(PERFORMANCE, PAGE_URL), false);
+        assert.equal(SEOPerformance.isFirstImagePrioritized({ ...PERFORMANCE, firstImage: { src: '/hero.jpg', fetchPriority: 'high' } }, PAGE_URL), true);
+        const preloaded = { ...PERFORMANCE, hints: { ...PERFORMANCE.hints, preload: ['https://www.example.com/hero.jpg'] } };
+        assert.equal(SEOPerformance.isFirstImagePrioritized(preloaded, PAGE_URL), true);
+        assert.equal(SEOPerformance.isFirstImagePrioritized({ ...PERFORMANCE, firstImage: null }, PAGE_URL), true);
+    });
+});
+
+describe('SEOPerformance.formatBytes', () => {
+    it('uses B, KB and MB', () => {
+        assert.deepEqual([500, 2048, 3 * 1024 * 1024].map(SEOPerformance.formatBytes), ['500B', '2KB', '3.0MB']);
+    });
+});
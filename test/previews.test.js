@@ -0,0 +1,69 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOPreviews = require('../lib/previews');
+
+const PAGE_URL = 'https://www.example.com/post';
+
+describe('SEOPreviews.buildPreview', () => {
+    it('follows each fallback chain', () => {
+        const metaTags = { title: 'Page title', description: 'Page description', ogImage: 'https://example.com/og.png' };
+        const twitter = SEOPreviews.buildPreview(SEOPreviews.getPlatform('twitter'), { ...metaTags, twitterCard: 'summary_large_image' }, PAGE_URL);
+        assert.equal(twitter.title, 'Page title');
+        assert.equal(twitter.description, 'Page description');
+        assert.equal(twitter.image, 'https://example.com/og.png');
+        assert.equal(twitter.layout, 'large');
+        assert.equal(twitter.aspectRatio, 2);
+        assert.equal(twitter.domain, 'example.com');
+        assert.deepEqual(twitter.notes, ['Rendered as a summary_large_image card.']);
+
+        const summary = SEOPreviews.buildPreview(SEOPreviews.getPlatform('twitter'), metaTags, PAGE_URL);
+        assert.equal(summary.layout, 'thumbnail');
+        assert.deepEqual(summary.notes, ['No twitter:card tag, so Twitter falls back to a summary card.']);
+    });
+
+    it('shows the domain without a title and clips long text', () => {
+        const facebook = SEOPreviews.getPlatform('facebook');
+        assert.equal(SEOPreviews.buildPreview(facebook, {}, PAGE_URL).title, 'example.com');
+
+        const preview = SEOPreviews.buildPreview(facebook, { ogTitle: 'word '.repeat(30) }, PAGE_URL);
+        assert.ok(preview.title.length <= 88);
+        assert.ok(preview.title.endsWith('word…'));
+        assert.deepEqual(preview.notes, ['Title cut off after 88 characters.']);
+    });
+
+    it('builds one preview per platform', () => {
+        assert.deepEqual(SEOPreviews.buildPreviews({}, PAGE_URL).map(preview => preview.id), SEOPreviews.PLATFORMS.map(platform => platform.id));
+    });
+});
+
+describe('SEOPreviews.registerPlatform', () => {
+    const platform = {
+        id: 'test-network',
+        name: 'Test Network',
+        title: ['ogTitle', (metaTags) => metaTags.title.toUpperCase()],
+        image: ['ogImage'],
+        accent: ['themeColor'],
+        crop: { large: 1 }
+    };
+
+    it('validates platforms', () => {
+        assert.throws(() => SEOPreviews.registerPlatform({ ...platform, id: '' }), /non-empty string id/);
+        assert.throws(() => SEOPreviews.registerPlatform({ ...platform, title: 'ogTitle' }), /title must be a fallback chain/);
+        assert.throws(() => SEOPreviews.registerPlatform({ ...platform, siteName: 'x' }), /siteName must be a fallback chain or null/);
+        assert.throws(() => SEOPreviews.registerPlatform({ ...platform, crop: { square: 1 } }), /crop layouts must be one of/);
+    });
+
+    it('adds a platform that previews are then built for', () => {
+        SEOPreviews.registerPlatform(platform);
+        try {
+            const preview = SEOPreviews.buildPreviews({ title: 'hello', themeColor: 'red; display:none' }, PAGE_URL).pop();
+            assert.equal(preview.id, 'test-network');
+            assert.equal(preview.title, 'HELLO');
+            assert.equal(preview.accent, '');
+        } finally {
+            SEOPreviews.PLATFORMS.splice(SEOPreviews.PLATFORMS.indexOf(platform), 1);
+        }
+    });
+});
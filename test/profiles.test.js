@@ -0,0 +1,57 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEORules = require('../lib/rules');
+const SEOProfiles = require('../lib/profiles');
+
+describe('SEOProfiles presets', () => {
+    it('only name rules and thresholds the engine knows', () => {
+        SEOProfiles.PRESETS.forEach(preset => {
+            assert.doesNotThrow(() => SEOProfiles.applyProfile(new SEORules.RuleEngine(), preset), preset.id);
+        });
+    });
+
+    it('reset the engine before applying', () => {
+        const engine = new SEORules.RuleEngine();
+        SEOProfiles.applyProfile(engine, SEOProfiles.getPreset('ecommerce'));
+        assert.equal(engine.getRule('structured-data').weight, 30);
+        assert.equal(engine.getRule('readability').enabled, false);
+        assert.deepEqual(engine.thresholds.wordCount, [150, 50]);
+
+        SEOProfiles.applyProfile(engine, SEOProfiles.getPreset('strict'));
+        assert.equal(engine.getRule('structured-data').weight, 10);
+        assert.equal(engine.getRule('readability').enabled, true);
+        assert.deepEqual(engine.thresholds.wordCount, SEORules.THRESHOLDS.wordCount);
+        assert.equal(engine.status(90).id, 'good');
+    });
+});
+
+describe('SEOProfiles.parseProfile', () => {
+    const engine = new SEORules.RuleEngine();
+
+    it('round-trips an exported profile as a custom profile', () => {
+        const profile = SEOProfiles.parseProfile(SEOProfiles.serializeProfile(SEOProfiles.getPreset('blog')), engine);
+        assert.equal(profile.id, 'custom:blog');
+        assert.equal(profile.builtIn, false);
+        assert.deepEqual(profile.weights, SEOProfiles.getPreset('blog').weights);
+    });
+
+    it('fills in missing fields', () => {
+        assert.deepEqual(SEOProfiles.parseProfile('{"name": " Mine "}', engine), {
+            id: 'custom:mine', name: 'Mine', description: '', builtIn: false, weights: {}, disabled: [], thresholds: {}, bands: {}
+        });
+    });
+
+    it('rejects invalid profiles without touching the engine', () => {
+        assert.throws(() => SEOProfiles.parseProfile('{', engine), /not valid JSON/);
+        assert.throws(() => SEOProfiles.parseProfile('[]', engine), /must be a JSON object/);
+        assert.throws(() => SEOProfiles.parseProfile('{"name": "x", "rules": {}}', engine), /Unknown profile field "rules"/);
+        assert.throws(() => SEOProfiles.parseProfile('{"name": ""}', engine), /must have a name/);
+        assert.throws(() => SEOProfiles.parseProfile('{"name": "x", "disabled": "title-length"}', engine), /list of rule ids/);
+        assert.throws(() => SEOProfiles.parseProfile('{"name": "x", "weights": {"nope": 5}}', engine), /Unknown rule "nope"/);
+        assert.throws(() => SEOProfiles.parseProfile('{"name": "x", "thresholds": {"wordCount": 5}}', engine), /pair of numbers/);
+        assert.throws(() => SEOProfiles.parseProfile('{"name": "x", "weights": {"title-length": 50}, "bands": {"good": 95}}', engine), /must not increase/);
+        assert.equal(engine.getRule('title-length').weight, SEORules.DEFAULT_RULES.find(rule => rule.id === 'title-length').weight);
+    });
+});
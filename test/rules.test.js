@@ -0,0 +1,275 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEORules = require('../lib/rules');
+const { fixture, FixtureAnalyzer, analyzeFixture, itemsFor } = require('./helpers');
+
+const PAGE_URL = 'https://example.com/guides/blue-widgets';
+const IMAGE_SIZES = { 'https://example.com/img/blue-widget.jpg': { width: 1200, height: 630 } };
+
+const passing = (description) => ({ passed: true, description });
+const failing = (description, extra = {}) => ({ passed: false, description, ...extra });
+
+function rule(overrides = {}) {
+    return {
+        id: 'test-rule',
+        category: 'basicSeo',
+        title: 'Test Rule',
+        weight: 10,
+        severity: 'warning',
+        evaluate: () => passing('ok'),
+        ...overrides
+    };
+}
+
+describe('RuleEngine.register', () => {
+    it('rejects rules that are missing required fields', () => {
+        const engine = new SEORules.RuleEngine([]);
+        assert.throws(() => engine.register(rule({ id: '' })), /non-empty string id/);
+        assert.throws(() => engine.register(rule({ category: 'nope' })), /unknown category "nope"/);
+        assert.throws(() => engine.register(rule({ weight: -1 })), /non-negative weight/);
+        assert.throws(() => engine.register(rule({ severity: 'info' })), /severity must be one of/);
+        assert.throws(() => engine.register(rule({ evaluate: null })), /evaluate function/);
+        assert.throws(() => engine.register(rule({ applies: true })), /applies must be a function/);
+    });
+
+    it('registers every default rule', () => {
+        const engine = new SEORules.RuleEngine();
+        assert.equal(engine.rules.size, SEORules.DEFAULT_RULES.length);
+        SEORules.DEFAULT_RULES.forEach(defaultRule => assert.ok(engine.getRule(defaultRule.id).enabled));
+    });
+});
+
+describe('RuleEngine.run', () => {
+    it('scores a passing rule with its full weight', () => {
+        const engine = new SEORules.RuleEngine([rule()]);
+        const analysis = engine.run({});
+        assert.equal(analysis.score, 100);
+        assert.equal(analysis.passed, 1);
+        assert.deepEqual(analysis.categoryScores.basicSeo, { score: 10, maxScore: 10, items: analysis.items });
+    });
+
+    it('weighs rules against each other', () => {
+        const engine = new SEORules.RuleEngine([
+            rule({ id: 'pass' }),
+            rule({ id: 'fail', weight: 30, evaluate: () => failing('bad') })
+        ]);
+        assert.equal(engine.run({}).score, 25);
+
+        engine.setWeight('fail', 10);
+        assert.equal(engine.run({}).score, 50);
+        assert.throws(() => engine.setWeight('fail', -5), /non-negative number/);
+        assert.throws(() => engine.setWeight('missing', 5), /Unknown rule "missing"/);
+    });
+
+    it('averages the credit of a rule that returns several results', () => {
+        const engine = new SEORules.RuleEngine([rule({
+            evaluate: () => [passing('a'), failing('b', { credit: 0.5 }), failing('c', { severity: 'error' })]
+        })]);
+        const analysis = engine.run({});
+        assert.equal(analysis.score, 50);
+        assert.deepEqual(analysis.items.map(item => item.type), ['passed', 'warning', 'error']);
+        assert.equal(analysis.warnings, 1);
+        assert.equal(analysis.errors, 1);
+    });
+
+    it('leaves out disabled rules and rules that do not apply', () => {
+        const engine = new SEORules.RuleEngine([
+            rule({ id: 'pass' }),
+            rule({ id: 'fail', evaluate: () => failing('bad') }),
+            rule({ id: 'hreflang', category: 'internationalization', applies: (metaTags) => metaTags.hreflang.length > 0 })
+        ]);
+        engine.disable('fail');
+        const analysis = engine.run({ hreflang: [] });
+        assert.equal(analysis.score, 100);
+        assert.deepEqual(analysis.items.map(item => item.id), ['pass']);
+        assert.equal(SEORules.categoryPercentage(analysis.categoryScores.internationalization), null);
+
+        engine.enable('fail');
+        assert.equal(engine.run({ hreflang: [] }).score, 50);
+    });
+
+    it('passes the url, keyword and thresholds to evaluators', () => {
+        let seen;
+        const engine = new SEORules.RuleEngine([rule({ evaluate: (metaTags, context) => { seen = context; return passing('ok'); } })]);
+        engine.run({}, { url: PAGE_URL, keyword: 'widgets' });
+        assert.equal(seen.url, PAGE_URL);
+        assert.equal(seen.keyword, 'widgets');
+        assert.deepEqual(seen.thresholds, SEORules.THRESHOLDS);
+    });
+
+    it('throws when a rule returns no results', () => {
+        const engine = new SEORules.RuleEngine([rule({ evaluate: () => [] })]);
+        assert.throws(() => engine.run({}), /returned no results/);
+    });
+});
+
+describe('RuleEngine thresholds', () => {
+    it('grades against the engine thresholds', async () => {
+        const engine = new SEORules.RuleEngine();
+        const analyzer = new FixtureAnalyzer({ ruleEngine: engine, imageSizes: IMAGE_SIZES });
+        const { metaTags } = await analyzer.analyzePage({ html: fixture('article.html'), url: PAGE_URL });
+        const wordCount = (analysis) => itemsFor(analysis, 'word-count')[0];
+
+        assert.equal(wordCount(engine.run(metaTags, { url: PAGE_URL })).type, 'passed');
+
+        engine.setThreshold('wordCount', [1000, 200]);
+        const item = wordCount(engine.run(metaTags, { url: PAGE_URL }));
+        assert.equal(item.type, 'warning');
+        assert.match(item.description, /Aim for at least 1000\./);
+
+        engine.setThreshold('titleWidth', [100, 200]);
+        const title = itemsFor(engine.run(metaTags, { url: PAGE_URL }), 'title-length')[0];
+        assert.equal(title.title, 'Long Title');
+        assert.match(title.description, /Keep it within 200px\./);
+    });
+
+    it('validates threshold ids and shapes', () => {
+        const engine = new SEORules.RuleEngine();
+        assert.throws(() => engine.setThreshold('nope', 1), /Unknown threshold "nope"/);
+        assert.throws(() => engine.setThreshold('wordCount', 300), /pair of numbers/);
+        assert.throws(() => engine.setThreshold('keywordDensity', [1, 2]), /must be a number/);
+    });
+
+    it('does not share threshold values with the defaults', () => {
+        const engine = new SEORules.RuleEngine();
+        engine.thresholds.wordCount[0] = 5;
+        assert.equal(SEORules.THRESHOLDS.wordCount[0], 300);
+        assert.equal(new SEORules.RuleEngine().thresholds.wordCount[0], 300);
+    });
+});
+
+describe('RuleEngine status bands', () => {
+    it('maps percentages to the default bands', () => {
+        const engine = new SEORules.RuleEngine();
+        assert.equal(engine.status(null), null);
+        assert.equal(engine.status(100).label, 'Excellent');
+        assert.equal(engine.status(90).id, 'excellent');
+        assert.equal(engine.status(89).id, 'good');
+        assert.equal(engine.status(50).label, 'Needs Work');
+        assert.equal(engine.status(0).id, 'poor');
+    });
+
+    it('moves band minimums and rejects bands that would overlap', () => {
+        const engine = new SEORules.RuleEngine();
+        engine.setBands({ excellent: 95, good: 85 });
+        assert.equal(engine.status(90).id, 'good');
+        assert.equal(engine.status(80).id, 'warning');
+
+        assert.throws(() => engine.setBands({ good: 99 }), /must not increase/);
+        assert.throws(() => engine.setBands({ poor: 10 }), /Unknown status band "poor"/);
+        assert.throws(() => engine.setBands({ warning: 120 }), /between 0 and 100/);
+        assert.equal(engine.status(90).id, 'good');
+    });
+});
+
+describe('RuleEngine.reset', () => {
+    it('restores declared weights, enabled rules, thresholds and bands', () => {
+        const engine = new SEORules.RuleEngine();
+        engine.setWeight('structured-data', 40).disable('word-count').setThreshold('wordCount', [10, 5]).setBands({ excellent: 99 });
+        engine.reset();
+        assert.equal(engine.getRule('structured-data').weight, 10);
+        assert.equal(engine.getRule('word-count').enabled, true);
+        assert.deepEqual(engine.thresholds, SEORules.THRESHOLDS);
+        assert.deepEqual(engine.bands, SEORules.STATUS_BANDS);
+    });
+});
+
+describe('default rules on fixtures', () => {
+    it('passes every check on a well-built article', async () => {
+        const { analysis } = await analyzeFixture('article.html', PAGE_URL, { imageSizes: IMAGE_SIZES });
+        assert.deepEqual(analysis.items.filter(item => item.type !== 'passed'), []);
+        assert.equal(analysis.score, 100);
+        // One alternate per language plus x-default, all self-consistent
+        assert.equal(SEORules.categoryPercentage(analysis.categoryScores.internationalization), 100);
+    });
+
+    it('reports the problems on a broken page', async () => {
+        const { analysis } = await analyzeFixture('problems.html', PAGE_URL);
+        const titles = (id) => itemsFor(analysis, id).filter(item => item.type !== 'passed').map(item => item.title);
+
+        assert.deepEqual(titles('robots-meta'), ['Page Blocked From Search Results', 'Links Not Followed']);
+        assert.deepEqual(titles('viewport'), ['Fixed Viewport Width', 'Zoom Disabled']);
+        assert.deepEqual(titles('duplicate-head-tags'), ['Multiple Title Tags', 'Multiple Meta Descriptions']);
+        assert.ok(titles('canonical-url').includes('Relative Canonical URL'));
+        assert.ok(titles('structured-data').includes('Invalid JSON-LD'));
+        assert.ok(titles('open-graph-images').includes('Relative og:image URL'));
+        assert.deepEqual(titles('heading-order'), ['Skipped Heading Levels']);
+        assert.deepEqual(titles('duplicate-ids'), ['Duplicate IDs']);
+        assert.equal(itemsFor(analysis, 'hreflang-codes').length, 0);
+        assert.ok(analysis.score < 50);
+        assert.equal(analysis.errors, analysis.items.filter(item => item.type === 'error').length);
+    });
+
+    it('grades analyses saved before the structured sections were extracted', () => {
+        const saved = { title: 'Blue widgets: a guide', description: 'All about widgets', viewport: 'width=device-width', language: 'en', structuredData: [] };
+        const analysis = new SEORules.RuleEngine().run(saved, { url: PAGE_URL, keyword: 'widgets' });
+        ['heading-structure', 'word-count', 'readability', 'heading-order', 'target-keyword']
+            .forEach(id => assert.equal(itemsFor(analysis, id).length, 0, id));
+    });
+
+    it('checks the target keyword only when one is given', async () => {
+        const withoutKeyword = await analyzeFixture('article.html', PAGE_URL, { imageSizes: IMAGE_SIZES });
+        assert.equal(itemsFor(withoutKeyword.analysis, 'target-keyword').length, 0);
+
+        const { analysis } = await analyzeFixture('article.html', PAGE_URL, { imageSizes: IMAGE_SIZES, keyword: 'blue widgets' });
+        const keyword = itemsFor(analysis, 'target-keyword');
+        assert.deepEqual(keyword.map(item => item.title), [
+            'Keyword Density', 'Keyword in Title', 'Keyword in Meta Description', 'Keyword in H1', 'Keyword in URL'
+        ]);
+    });
+});
+
+describe('SEORules.plural', () => {
+    it('pluralizes the word unless the count is one', () => {
+        assert.equal(SEORules.plural(1, 'image'), '1 image');
+        assert.equal(SEORules.plural(0, 'image'), '0 images');
+        assert.equal(SEORules.plural(2, 'link uses', 'links use'), '2 links use');
+    });
+});
+
+describe('broken-links rule', () => {
+    const run = (results, total = results.length) => {
+        const engine = new SEORules.RuleEngine(SEORules.DEFAULT_RULES.filter(rule => rule.id === 'broken-links'));
+        return engine.run({ linkCheck: { total, results } });
+    };
+    const link = (path, ok, status) => ({ url: `https://example.com/${path}`, ok, status, error: ok === false && !status ? 'timeout' : '' });
+
+    it('does not judge links without a status', () => {
+        assert.equal(run([link('a', null, 0), link('b', null, 0)]).items.length, 0);
+    });
+
+    it('scores only the links with a known status', () => {
+        const analysis = run([link('a', true, 200), link('b', false, 404), link('c', null, 0)]);
+        assert.equal(analysis.score, 50);
+        assert.equal(analysis.items[0].description,
+            'https://example.com/b returned HTTP 404. 1 of 2 checked internal links is broken. The status of 1 more link could not be read.');
+    });
+
+    it('words the counts for a single link', () => {
+        const analysis = run([link('a', true, 200)], 3);
+        assert.equal(analysis.items[0].description, 'The checked internal link responds. Only 1 of 3 links was checked.');
+    });
+
+    it('mentions links that were not checked', () => {
+        const engine = new SEORules.RuleEngine(SEORules.DEFAULT_RULES.filter(rule => rule.id === 'broken-links'));
+        const skipped = [{ url: 'http://localhost/admin', reason: 'private or local network address' }];
+        const analysis = engine.run({ linkCheck: { total: 2, results: [link('a', true, 200)], skipped } });
+        assert.equal(analysis.items[0].description,
+            'The checked internal link responds. 1 more link was not checked (private or local network address). Only 1 of 2 links was checked.');
+    });
+});
+
+describe('social-images rule', () => {
+    it('passes an image whose size cannot be read without checking it', async () => {
+        const { metaTags, analysis } = await analyzeFixture('article.html', PAGE_URL, {
+            imageSizes: { 'https://example.com/img/blue-widget.jpg': null }
+        });
+        assert.equal(metaTags.socialImages[0].status, 'unknown-size');
+        assert.deepEqual(itemsFor(analysis, 'social-images').map(item => [item.type, item.description]), [
+            ['passed', 'https://example.com/img/blue-widget.jpg (og:image and twitter:image) loaded, but its size could not be read, so it was not checked against the platform requirements.']
+        ]);
+        assert.equal(analysis.score, 100);
+    });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOSchema = require('../lib/schema');
+const { parse } = require('./helpers');
+
+describe('SEOSchema.extractMicrodata', () => {
+    it('builds JSON-LD shaped entities with nested items', () => {
+        const doc = parse(`
+            <div itemscope itemtype="https://schema.org/Product">
+                <span itemprop="name">Widget</span>
+                <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+                    <meta itemprop="price" content="9.99">
+                    <meta itemprop="priceCurrency" content="USD">
+                </div>
+            </div>`);
+        assert.deepEqual(SEOSchema.extractMicrodata(doc), [{
+            '@context': 'https://schema.org',
+            '@type': 'Product',
+            name: 'Widget',
+            offers: { '@type': 'Offer', price: '9.99', priceCurrency: 'USD' }
+        }]);
+    });
+});
+
+describe('SEOSchema.extractRdfa', () => {
+    it('expands vocab terms and reads link values from href', () => {
+        const doc = parse(`
+            <div vocab="https://schema.org/" typeof="Organization">
+                <span property="name">ACME</span>
+                <a property="url" href="https://acme.example">Our site</a>
+            </div>`);
+        assert.deepEqual(SEOSchema.extractRdfa(doc), [{
+            '@context': 'https://schema.org',
+            '@type': 'Organization',
+            name: 'ACME',
+            url: 'https://acme.example'
+        }]);
+    });
+});
+
+describe('SEOSchema.validateStructuredData', () => {
+    it('passes a complete Article', () => {
+        const result = SEOSchema.validateStructuredData([{
+            '@context': 'https://schema.org',
+            '@type': 'Article',
+            headline: 'Blue widgets',
+            image: 'https://example.com/a.jpg',
+            datePublished: '2024-03-01',
+            dateModified: '2024-03-02',
+            author: { '@type': 'Person', name: 'Sam Lee' }
+        }]);
+        assert.deepEqual(result, { types: ['Article', 'Person'], findings: [] });
+    });
+
+    it('validates subtypes and entities nested in @graph and lists', () => {
+        const result = SEOSchema.validateStructuredData([{
+            '@context': 'https://schema.org',
+            '@graph': [
+                { '@type': 'NewsArticle', headline: 'News', image: 'a.jpg', datePublished: '2024-01-01', dateModified: '2024-01-01', author: 'Sam' },
+                { '@type': 'BreadcrumbList', itemListElement: [{ '@type': 'ListItem', position: 1 }] }
+            ]
+        }]);
+        assert.deepEqual(result.types, ['NewsArticle', 'BreadcrumbList', 'ListItem']);
+        assert.deepEqual(result.findings.map(finding => [finding.severity, finding.type, finding.property, finding.path]), [
+            ['error', 'ListItem', 'name', 'block 1 > @graph[1] > itemListElement[0]'],
+            ['warning', 'ListItem', 'item', 'block 1 > @graph[1] > itemListElement[0]']
+        ]);
+    });
+
+    it('accepts any one of alternative required properties', () => {
+        const product = (extra) => SEOSchema.validateStructuredData([{
+            '@context': 'https://schema.org', '@type': 'Product', name: 'Widget', image: 'a.jpg', description: 'd', brand: 'b', sku: '1', ...extra
+        }]).findings;
+        assert.deepEqual(product({ aggregateRating: { '@type': 'AggregateRating', ratingValue: 4 } }), []);
+        assert.deepEqual(product({}).map(finding => finding.message), [
+            'Product is missing required property "offers" or "review" or "aggregateRating".'
+        ]);
+    });
+
+    it('warns about a missing Schema.org @context', () => {
+        const { findings } = SEOSchema.validateStructuredData([{ '@type': 'Thing', name: 'x' }]);
+        assert.deepEqual(findings.map(finding => finding.property), ['@context']);
+    });
+});
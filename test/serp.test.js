@@ -0,0 +1,54 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOSerp = require('../lib/serp');
+const { parse } = require('./helpers');
+
+const LONG_TITLE = 'A very long title that keeps going and going well past the width Google shows in results';
+
+describe('SEOSerp.textWidth', () => {
+    it('uses per-character widths', () => {
+        assert.equal(SEOSerp.textWidth('iiii', 20), 18);
+        assert.equal(SEOSerp.textWidth('WWWW', 20), 76);
+        assert.equal(SEOSerp.textWidth('', 20), 0);
+        assert.equal(SEOSerp.textWidth('é', 20), SEOSerp.textWidth('e', 20));
+    });
+});
+
+describe('SEOSerp.fitSnippet', () => {
+    it('keeps text that fits', () => {
+        assert.deepEqual(SEOSerp.fitSnippet('  Short   title ', 'title'), {
+            text: 'Short title', width: 84, truncated: false, visibleLength: 11, maxWidth: 600
+        });
+    });
+
+    it('cuts long text at a word boundary for the mode', () => {
+        const desktop = SEOSerp.fitSnippet(LONG_TITLE, 'title');
+        assert.equal(desktop.truncated, true);
+        assert.equal(desktop.text, 'A very long title that keeps going and going well past the width ...');
+        assert.ok(SEOSerp.textWidth(desktop.text, 20) <= 600);
+        assert.equal(SEOSerp.fitSnippet(LONG_TITLE, 'title', 'mobile').truncated, false);
+    });
+});
+
+describe('SEOSerp.buildSnippet', () => {
+    it('builds the breadcrumb, site name and favicon', () => {
+        assert.equal(SEOSerp.breadcrumb('https://www.example.com/blog/caf%C3%A9/?q=1#x'), 'https://www.example.com › blog › café');
+
+        const snippet = SEOSerp.buildSnippet({ title: 'T', description: 'D', favicon: '/i.png', ogSiteName: 'Example' }, 'https://example.com/a');
+        assert.equal(snippet.siteName, 'Example');
+        assert.equal(snippet.favicon, 'https://example.com/i.png');
+        assert.equal(snippet.breadcrumb, 'https://example.com › a');
+
+        const fallback = SEOSerp.buildSnippet({}, 'https://www.example.com/a');
+        assert.equal(fallback.siteName, 'example.com');
+        assert.equal(fallback.favicon, 'https://www.example.com/favicon.ico');
+    });
+
+    it('finds the icon link', () => {
+        const doc = parse('<head><link rel="apple-touch-icon" href="/a.png"><link rel="Shortcut Icon" href=" /f.ico "></head>');
+        assert.equal(SEOSerp.extractFavicon(doc), '/f.ico');
+        assert.equal(SEOSerp.extractFavicon(parse('<head></head>')), '');
+    });
+});
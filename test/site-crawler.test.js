@@ -0,0 +1,119 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const SEOSite = require('../lib/site-crawler');
+
+const parseXml = (xml) => new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+
+const ROBOTS = `
+# Consecutive User-agent lines share one group
+User-agent: Googlebot
+User-agent: Bingbot
+Disallow: /private/
+Allow: /private/press/
+
+User-agent: *
+Disallow: /search
+Disallow: /*.pdf$
+Allow: /search/help
+Sitemap: https://example.com/sitemap-index.xml
+`;
+
+describe('SEOSite.parseRobotsTxt', () => {
+    it('groups consecutive user agents with the rules that follow', () => {
+        const robots = SEOSite.parseRobotsTxt(ROBOTS);
+        assert.deepEqual(robots.groups.map(group => group.userAgents), [['googlebot', 'bingbot'], ['*']]);
+        assert.deepEqual(robots.groups[0].rules, [
+            { type: 'disallow', path: '/private/' },
+            { type: 'allow', path: '/private/press/' }
+        ]);
+        assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap-index.xml']);
+    });
+});
+
+describe('SEOSite.isAllowedByRobots', () => {
+    const robots = SEOSite.parseRobotsTxt(ROBOTS);
+    const allowed = (path, agent) => SEOSite.isAllowedByRobots(robots, `https://example.com${path}`, agent);
+
+    it('lets the longest matching rule win', () => {
+        assert.equal(allowed('/search?q=widgets'), false);
+        assert.equal(allowed('/search/help'), true);
+        assert.equal(allowed('/private/page', 'Googlebot'), false);
+        assert.equal(allowed('/private/press/release', 'googlebot'), true);
+    });
+
+    it('uses only the named crawler group when there is one', () => {
+        assert.equal(allowed('/search', 'Bingbot'), true);
+        assert.equal(allowed('/private/page'), true);
+    });
+
+    it('supports * wildcards and $ anchors', () => {
+        assert.equal(allowed('/docs/guide.pdf'), false);
+        assert.equal(allowed('/docs/guide.pdf?download=1'), true);
+    });
+
+    it('prefers Allow on a tie and allows everything without robots.txt', () => {
+        const tie = SEOSite.parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+        assert.equal(SEOSite.isAllowedByRobots(tie, 'https://example.com/page'), true);
+        assert.equal(SEOSite.isAllowedByRobots(null, 'https://example.com/anything'), true);
+    });
+});
+
+describe('SEOSite.parseSitemap', () => {
+    it('reads page URLs from a urlset', () => {
+        const doc = parseXml(`<?xml version="1.0"?>
+            <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+                <url><loc> https://example.com/a </loc><lastmod>2024-05-01</lastmod></url>
+                <url><loc>https://example.com/b</loc></url>
+                <url><lastmod>2024-05-01</lastmod></url>
+            </urlset>`);
+        assert.deepEqual(SEOSite.parseSitemap(doc), {
+            type: 'urlset',
+            sitemaps: [],
+            urls: [{ loc: 'https://example.com/a', lastmod: '2024-05-01' }, { loc: 'https://example.com/b', lastmod: '' }]
+        });
+    });
+
+    it('reads child sitemaps from a sitemap index and rejects other documents', () => {
+        const doc = parseXml(`<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+            <sitemap><loc>https://example.com/posts.xml</loc></sitemap>
+        </sitemapindex>`);
+        assert.deepEqual(SEOSite.parseSitemap(doc), { type: 'index', sitemaps: ['https://example.com/posts.xml'], urls: [] });
+        assert.throws(() => SEOSite.parseSitemap(parseXml('<rss></rss>')), /unexpected <rss> root element/);
+    });
+});
+
+describe('SEOSite.SiteCrawler', () => {
+    it('follows the sitemap index listed in robots.txt', async () => {
+        const files = {
+            'https://example.com/robots.txt': ROBOTS,
+            'https://example.com/sitemap-index.xml': '<sitemapindex><sitemap><loc>/posts.xml</loc></sitemap></sitemapindex>',
+            'https://example.com/posts.xml': '<urlset><url><loc>https://example.com/post</loc></url></urlset>'
+        };
+        const crawler = new SEOSite.SiteCrawler({ fetchText: async (url) => files[url], parseXml });
+        const discovery = await crawler.discover('https://example.com/some/page');
+        assert.deepEqual(discovery.sitemaps.map(sitemap => [sitemap.url, sitemap.type]), [
+            ['https://example.com/sitemap-index.xml', 'index'],
+            ['https://example.com/posts.xml', 'urlset']
+        ]);
+        assert.deepEqual(discovery.urls.map(entry => entry.loc), ['https://example.com/post']);
+    });
+
+    it('reports a robots.txt that could not be fetched and falls back to /sitemap.xml', async () => {
+        const requested = [];
+        const crawler = new SEOSite.SiteCrawler({
+            fetchText: async (url) => {
+                requested.push(url);
+                throw new Error('HTTP 404');
+            },
+            parseXml
+        });
+        const discovery = await crawler.discover('https://example.com/');
+        assert.equal(discovery.robots, null);
+        assert.equal(discovery.robotsError, 'HTTP 404');
+        assert.deepEqual(requested, ['https://example.com/robots.txt', 'https://example.com/sitemap.xml']);
+        assert.deepEqual(SEOSite.auditSite(discovery, []).map(finding => finding.title).slice(0, 1), ['robots.txt Not Found']);
+    });
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SEOSnippet = require('../lib/snippet');
+
+describe('SEOSnippet.headSnippet', () => {
+    it('escapes attribute values and skips empty tags', () => {
+        const snippet = SEOSnippet.headSnippet({
+            title: 'Tom & Jerry <3',
+            description: 'Say "hi"\n  to <b>everyone</b>',
+            ogTitle: '',
+            twitterCard: 'summary'
+        });
+        assert.equal(snippet, [
+            '<title>Tom &amp; Jerry &lt;3</title>',
+            '<meta name="description" content="Say &quot;hi&quot; to &lt;b&gt;everyone&lt;/b&gt;">',
+            '<meta name="twitter:card" content="summary">'
+        ].join('\n'));
+    });
+
+    it('cannot be broken out of with a quote', () => {
+        const snippet = SEOSnippet.headSnippet({ ogImage: 'x.png" onerror="alert(1)' });
+        assert.equal(snippet, '<meta property="og:image" content="x.png&quot; onerror=&quot;alert(1)">');
+    });
+});
+
+describe('SEOSnippet.lengthStatus', () => {
+    it('grades range tags by characters', () => {
+        const tag = SEOSnippet.EDITABLE_TAGS.find(editable => editable.key === 'twitterTitle');
+        assert.equal(SEOSnippet.lengthStatus(tag, 'Short'), 'ok');
+        assert.equal(SEOSnippet.lengthStatus(tag, 'x'.repeat(71)), 'long');
+    });
+});
@@ -0,0 +1,333 @@
+// Batch mode: analyzes a list of URLs through the analyzer's fetch backend,
+// respecting its rate limit, and shows the results in a sortable table.
+class BatchView {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.urlListInput = document.getElementById('batchUrls');
+        this.fileInput = document.getElementById('batchFile');
+        this.runBtn = document.getElementById('batchRunBtn');
+        this.cancelBtn = document.getElementById('batchCancelBtn');
+        this.progress = document.getElementById('batchProgress');
+        this.container = document.getElementById('batchResults');
+        this.table = document.getElementById('batchTable');
+        this.duplicatesContainer = document.getElementById('batchDuplicates');
+        this.duplicatesList = document.getElementById('duplicateFindings');
+        this.queue = null;
+        this.sort = { key: 'index', direction: 'asc' };
+
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        this.runBtn.addEventListener('click', () => this.run());
+        this.cancelBtn.addEventListener('click', () => this.cancel());
+        this.fileInput.addEventListener('change', () => this.loadFile());
+    }
+
+    async loadFile() {
+        const file = this.fileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        const urls = SEOBatch.parseUrlList(await file.text());
+        if (urls.length === 0) {
+            this.analyzer.showError(`No URLs found in ${file.name}`);
+            return;
+        }
+
+        this.analyzer.hideError();
+        this.urlListInput.value = urls.join('\n');
+        this.fileInput.value = '';
+    }
+
+    // Normalizes and validates the pasted list, reporting the first problem found
+    collectUrls() {
+        const urls = [];
+        const candidates = SEOBatch.parseUrlList(this.urlListInput.value);
+
+        for (const candidate of candidates) {
+            const url = this.analyzer.normalizeUrl(candidate);
+            if (!this.analyzer.isValidUrl(url)) {
+                throw new Error(`"${candidate}" is not a valid URL`);
+            }
+            if (this.analyzer.isPrivateUrl(url)) {
+                throw new Error(`Cannot analyze private or local network addresses (${candidate})`);
+            }
+            if (!urls.includes(url)) {
+                urls.push(url);
+            }
+        }
+
+        return urls;
+    }
+
+    async run(urls) {
+        const { compareView } = this.analyzer;
+        if ((this.queue && this.queue.running) || (compareView.queue && compareView.queue.running)) {
+            return;
+        }
+
+        const backend = SEOFetchers.getBackend(this.analyzer.fetchBackendSelect.value);
+        if (!backend.network) {
+            this.analyzer.showError('Batch analysis needs a network fetch backend. Choose a proxy or direct fetch.');
+            return;
+        }
+
+        try {
+            urls = urls || this.collectUrls();
+        } catch (error) {
+            this.analyzer.showError(error.message);
+            return;
+        }
+
+        if (urls.length === 0) {
+            this.analyzer.showError('Please enter at least one URL');
+            return;
+        }
+        if (urls.length > SEOBatch.MAX_BATCH_SIZE) {
+            this.analyzer.showError(`Batches are limited to ${SEOBatch.MAX_BATCH_SIZE} URLs (got ${urls.length})`);
+            return;
+        }
+
+        this.analyzer.hideError();
+        this.queue = new SEOBatch.BatchQueue(url => this.analyzeUrl(url), {
+            minInterval: this.analyzer.minAnalyzeInterval,
+            lastStart: this.analyzer.lastAnalyzeTime,
+            onUpdate: () => this.render()
+        });
+        this.queue.add(urls);
+
+        this.setRunning(true);
+        this.container.style.display = 'block';
+        this.duplicatesContainer.style.display = 'none';
+        this.render();
+
+        try {
+            await this.queue.run();
+        } finally {
+            this.setRunning(false);
+            this.render();
+            this.renderDuplicates();
+        }
+
+        return this.queue.entries;
+    }
+
+    async analyzeUrl(url) {
+        this.analyzer.lastAnalyzeTime = Date.now();
+        const page = await this.analyzer.fetchWebsiteContent(url);
+        return this.analyzer.analyzePage(page);
+    }
+
+    cancel() {
+        if (this.queue) {
+            this.queue.cancel();
+        }
+    }
+
+    setRunning(running) {
+        this.runBtn.disabled = running;
+        this.cancelBtn.style.display = running ? 'inline-block' : 'none';
+        this.analyzer.analyzeBtn.disabled = running;
+    }
+
+    describeError(error) {
+        return error instanceof SEOFetchers.FetchError ? error.message : 'Unable to analyze this URL';
+    }
+
+    sortValue(row, key) {
+        if (key === 'index') {
+            return row.index;
+        }
+        if (key === 'url') {
+            return row.entry.input;
+        }
+        if (row.entry.status !== 'done') {
+            return null;
+        }
+        const { analysis } = row.entry.result;
+        return key === 'score' ? analysis.score : SEORules.categoryPercentage(analysis.categoryScores[key]);
+    }
+
+    sortedRows() {
+        const { key, direction } = this.sort;
+        const factor = direction === 'asc' ? 1 : -1;
+        const rows = this.queue.entries.map((entry, index) => ({ entry, index }));
+
+        return rows.sort((a, b) => {
+            const valueA = this.sortValue(a, key);
+            const valueB = this.sortValue(b, key);
+            // Rows without a value (pending, failed, n/a) always sort last
+            if (valueA === null || valueB === null) {
+                return (valueA === null) - (valueB === null) || a.index - b.index;
+            }
+            if (typeof valueA === 'string') {
+                return factor * valueA.localeCompare(valueB);
+            }
+            return factor * (valueA - valueB) || a.index - b.index;
+        });
+    }
+
+    setSort(key) {
+        if (this.sort.key === key) {
+            this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            // Scores read best-first by default
+            this.sort = { key, direction: key === 'url' || key === 'index' ? 'asc' : 'desc' };
+        }
+        this.render();
+    }
+
+    renderHeader() {
+        const columns = [
+            { key: 'index', label: '#' },
+            { key: 'url', label: 'URL' },
+            { key: 'score', label: 'Score' },
+            ...this.analyzer.ruleEngine.categories.map(category => ({ key: category.id, label: category.name }))
+        ];
+
+        const row = document.createElement('tr');
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            const isSorted = this.sort.key === column.key;
+            th.setAttribute('aria-sort', isSorted ? (this.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sort-btn';
+            button.textContent = column.label;
+            if (isSorted) {
+                const icon = document.createElement('i');
+                icon.className = `fas fa-sort-${this.sort.direction === 'asc' ? 'up' : 'down'}`;
+                button.appendChild(icon);
+            }
+            button.addEventListener('click', () => this.setSort(column.key));
+
+            th.appendChild(button);
+            row.appendChild(th);
+        });
+
+        const statusHeader = document.createElement('th');
+        statusHeader.scope = 'col';
+        statusHeader.textContent = 'Status';
+        row.appendChild(statusHeader);
+
+        return row;
+    }
+
+    renderRow({ entry, index }) {
+        const row = document.createElement('tr');
+        row.className = `batch-row ${entry.status}`;
+
+        const cells = [String(index + 1), entry.input];
+        if (entry.status === 'done') {
+            const { analysis } = entry.result;
+            cells.push(String(analysis.score));
+            this.analyzer.ruleEngine.categories.forEach(category => {
+                const percentage = SEORules.categoryPercentage(analysis.categoryScores[category.id]);
+                cells.push(percentage === null ? 'n/a' : `${percentage}%`);
+            });
+        } else {
+            cells.push(...Array(this.analyzer.ruleEngine.categories.length + 1).fill('–'));
+        }
+
+        cells.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+        });
+
+        const status = document.createElement('td');
+        status.className = 'batch-status';
+        status.textContent = {
+            pending: 'Queued',
+            running: 'Analyzing…',
+            done: `${SEORules.plural(entry.result ? entry.result.analysis.errors : 0, 'error')}, ${SEORules.plural(entry.result ? entry.result.analysis.warnings : 0, 'warning')}`,
+            failed: entry.error ? this.describeError(entry.error) : 'Failed'
+        }[entry.status];
+        row.appendChild(status);
+
+        if (entry.status === 'done') {
+            row.tabIndex = 0;
+            row.title = 'Show detailed results';
+            const open = () => this.showDetails(entry);
+            row.addEventListener('click', open);
+            row.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    open();
+                }
+            });
+        }
+
+        return row;
+    }
+
+    render() {
+        if (!this.queue) {
+            return;
+        }
+
+        const thead = document.createElement('thead');
+        thead.appendChild(this.renderHeader());
+        const tbody = document.createElement('tbody');
+        this.sortedRows().forEach(row => tbody.appendChild(this.renderRow(row)));
+        this.table.replaceChildren(thead, tbody);
+
+        const entries = this.queue.entries;
+        const finished = entries.filter(entry => entry.status === 'done' || entry.status === 'failed').length;
+        const failed = entries.filter(entry => entry.status === 'failed').length;
+        let text = `${finished} of ${entries.length} analyzed`;
+        if (failed > 0) {
+            text += `, ${failed} failed`;
+        }
+        if (!this.queue.running && this.queue.cancelled && finished < entries.length) {
+            text += ' (cancelled)';
+        }
+        this.progress.textContent = text;
+    }
+
+    // Cross-page report over the pages analyzed so far
+    renderDuplicates() {
+        const pages = this.queue.entries
+            .filter(entry => entry.status === 'done')
+            .map(entry => ({ url: entry.input, metaTags: entry.result.metaTags }));
+        if (pages.length < 2) {
+            return;
+        }
+
+        let findings = SEODuplicates.duplicateFindings(SEODuplicates.findDuplicates(pages));
+        if (findings.length === 0) {
+            findings = [{ type: 'passed', title: 'No Duplicates', description: 'Every analyzed page has its own title, description and canonical.', urls: [] }];
+        }
+
+        this.duplicatesList.replaceChildren();
+        findings.forEach(finding => {
+            const element = document.createElement('div');
+            element.className = `analysis-item ${finding.type}`;
+            element.innerHTML = `
+                <div class="analysis-icon">
+                    <i class="${this.analyzer.iconForType(finding.type)}"></i>
+                </div>
+                <div class="analysis-content">
+                    <h4>${this.analyzer.escapeHtml(finding.title)}</h4>
+                    <p>${this.analyzer.escapeHtml(finding.description)}</p>
+                    <ul class="duplicate-urls">
+                        ${finding.urls.map(url => `<li class="finding-url">${this.analyzer.escapeHtml(url)}</li>`).join('')}
+                    </ul>
+                </div>
+            `;
+            this.duplicatesList.appendChild(element);
+        });
+
+        this.duplicatesContainer.style.display = 'block';
+    }
+
+    showDetails(entry) {
+        const { metaTags, analysis } = entry.result;
+        this.analyzer.hideError();
+        this.analyzer.displayResults(metaTags, analysis, entry.input);
+        this.analyzer.resultsContainer.scrollIntoView({ behavior: 'smooth' });
+    }
+}
@@ -0,0 +1,251 @@
+// Compare mode: analyzes your page and up to four competitors through the
+// batch queue and shows scores, meta tags and previews side by side.
+class CompareView {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.ownUrlInput = document.getElementById('compareOwnUrl');
+        this.competitorsInput = document.getElementById('compareUrls');
+        this.runBtn = document.getElementById('compareRunBtn');
+        this.status = document.getElementById('compareStatus');
+        this.container = document.getElementById('competitorComparison');
+        this.content = document.getElementById('comparisonContent');
+        this.queue = null;
+
+        this.runBtn.addEventListener('click', () => this.run());
+    }
+
+    // Your page first, then the competitors; throws on the first invalid URL
+    collectUrls() {
+        const ownInput = this.ownUrlInput.value.trim();
+        if (!ownInput) {
+            throw new Error('Please enter your page URL');
+        }
+
+        const competitors = SEOBatch.parseUrlList(this.competitorsInput.value);
+        if (competitors.length === 0) {
+            throw new Error('Please enter at least one competitor URL');
+        }
+        if (competitors.length > SEOCompare.MAX_COMPETITORS) {
+            throw new Error(`Compare with up to ${SEOCompare.MAX_COMPETITORS} competitors (got ${competitors.length})`);
+        }
+
+        const urls = [];
+        for (const candidate of [ownInput, ...competitors]) {
+            const url = this.analyzer.normalizeUrl(candidate);
+            if (!this.analyzer.isValidUrl(url)) {
+                throw new Error(`"${candidate}" is not a valid URL`);
+            }
+            if (this.analyzer.isPrivateUrl(url)) {
+                throw new Error(`Cannot analyze private or local network addresses (${candidate})`);
+            }
+            if (urls.includes(url)) {
+                throw new Error(`${url} is listed twice`);
+            }
+            urls.push(url);
+        }
+
+        return urls;
+    }
+
+    async run() {
+        // One queue at a time, so batches, crawls and comparisons share the rate limit
+        const { batchView, siteView } = this.analyzer;
+        if ((this.queue && this.queue.running) || (batchView.queue && batchView.queue.running) || siteView.running) {
+            return;
+        }
+
+        const backend = SEOFetchers.getBackend(this.analyzer.fetchBackendSelect.value);
+        if (!backend.network) {
+            this.analyzer.showError('Competitor comparison needs a network fetch backend. Choose a proxy or direct fetch.');
+            return;
+        }
+
+        let urls;
+        try {
+            urls = this.collectUrls();
+        } catch (error) {
+            this.analyzer.showError(error.message);
+            return;
+        }
+
+        this.analyzer.hideError();
+        this.ownUrlInput.value = urls[0];
+        this.queue = new SEOBatch.BatchQueue(url => this.analyzeUrl(url), {
+            minInterval: this.analyzer.minAnalyzeInterval,
+            lastStart: this.analyzer.lastAnalyzeTime,
+            onUpdate: () => this.updateStatus()
+        });
+        this.queue.add(urls);
+
+        this.runBtn.disabled = true;
+        this.container.style.display = 'none';
+        try {
+            await this.queue.run();
+        } finally {
+            this.runBtn.disabled = false;
+        }
+
+        const [own] = this.queue.entries;
+        if (own.status !== 'done') {
+            this.status.textContent = '';
+            this.analyzer.showError(`Your page could not be analyzed: ${this.describeError(own.error)}`);
+            return;
+        }
+
+        this.updateStatus();
+        this.render(this.queue.entries);
+        this.container.style.display = 'block';
+        this.container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async analyzeUrl(url) {
+        this.analyzer.lastAnalyzeTime = Date.now();
+        const page = await this.analyzer.fetchWebsiteContent(url);
+        return this.analyzer.analyzePage(page);
+    }
+
+    describeError(error) {
+        return error instanceof SEOFetchers.FetchError ? error.message : 'Unable to analyze this URL';
+    }
+
+    updateStatus() {
+        const entries = this.queue.entries;
+        const finished = entries.filter(entry => entry.status === 'done' || entry.status === 'failed').length;
+        const failed = entries.filter(entry => entry.status === 'failed').length;
+        this.status.textContent = `${finished} of ${entries.length} pages analyzed${failed ? `, ${failed} failed` : ''}`;
+    }
+
+    // Score with the category status classes used by the category cards
+    formatScore(score, suffix) {
+        if (score === null) {
+            return '<span class="category-status not-analyzed">n/a</span>';
+        }
+        const level = this.analyzer.ruleEngine.status(score).id;
+        return `<span class="category-status ${level}">${score}${suffix}</span>`;
+    }
+
+    // Pages that failed to load get an empty cell rather than "(none)"
+    formatTagValue(value, entry) {
+        if (value) {
+            return `<span class="compare-value">${this.analyzer.escapeHtml(value)}</span>`;
+        }
+        return entry ? '<em>(none)</em>' : '';
+    }
+
+    // Preview markup by Google and platform id; images and favicons are
+    // filled in after rendering
+    renderPreviews(previews) {
+        const escape = (text) => this.analyzer.escapeHtml(text);
+        const markup = {
+            google: `
+                <div class="google-preview ${this.analyzer.serpMode}">
+                    <div class="google-site">
+                        <span class="google-favicon" data-favicon></span>
+                        <span class="google-site-text">
+                            <span class="google-site-name">${escape(previews.google.siteName)}</span>
+                            <span class="google-url">${escape(previews.google.url)}</span>
+                        </span>
+                    </div>
+                    <div class="google-title">${escape(previews.google.title)}</div>
+                    <div class="google-description">${escape(previews.google.description)}</div>
+                </div>`
+        };
+        previews.social.forEach(preview => {
+            markup[preview.id] = this.analyzer.renderSocialPreview(preview);
+        });
+        return markup;
+    }
+
+    render(entries) {
+        const escape = (text) => this.analyzer.escapeHtml(text);
+        const done = entries.map(entry => (entry.status === 'done' ? entry : null));
+
+        const headers = entries.map((entry, index) => `
+            <th scope="col">
+                <span class="compare-role">${index === 0 ? 'Your page' : `Competitor ${index}`}</span>
+                <span class="finding-url">${escape(entry.input)}</span>
+            </th>`).join('');
+
+        const failedRow = entries.some(entry => entry.status === 'failed')
+            ? `<tr><th scope="row">Status</th>${entries.map(entry => `<td>${entry.status === 'failed'
+                ? escape(this.describeError(entry.error))
+                : 'Analyzed'}</td>`).join('')}</tr>`
+            : '';
+
+        const scoreRows = SEOCompare.compareScores(done.map(entry => (entry ? entry.result.analysis : null)), this.analyzer.ruleEngine.categories)
+            .map(row => `
+                <tr>
+                    <th scope="row">${escape(row.name)}</th>
+                    ${row.values.map((value, index) => `<td class="${this.cellClass(index, index === 0 ? row.behind : row.ahead[index])}">${this.formatScore(value, row.id === 'score' ? '' : '%')}</td>`).join('')}
+                </tr>`).join('');
+
+        const tagSections = SEOCompare.compareTagGroups(done.map(entry => (entry
+            ? this.analyzer.metaTagGroups(entry.result.metaTags, entry.input)
+            : null)))
+            .map(group => `
+                <tr class="compare-group"><th scope="rowgroup" colspan="${entries.length + 1}">${escape(group.title)}</th></tr>
+                ${group.rows.map(row => `
+                    <tr>
+                        <th scope="row">${escape(row.name)}</th>
+                        ${row.values.map((value, index) => `<td class="${this.cellClass(index, index === 0 ? row.lacking : row.missing[index])}">${this.formatTagValue(value, done[index])}</td>`).join('')}
+                    </tr>`).join('')}`).join('');
+
+        const previews = done.map(entry => (entry ? this.analyzer.previewContent(entry.result.metaTags, entry.input) : null));
+        const previewMarkup = previews.map(preview => (preview ? this.renderPreviews(preview) : null));
+        const previewRows = [{ id: 'google', name: 'Google' }, ...SEOPreviews.PLATFORMS]
+            .map(platform => `
+                <tr>
+                    <th scope="row">${escape(platform.name)}</th>
+                    ${previewMarkup.map((markup, index) => `<td class="compare-preview" data-column="${index}">${markup ? markup[platform.id] : ''}</td>`).join('')}
+                </tr>`).join('');
+
+        this.content.innerHTML = `
+            <p class="batch-hint">
+                <span class="compare-legend compare-behind">Your page falls behind</span>
+                <span class="compare-legend compare-ahead">Competitor scores higher or has a tag you lack</span>
+            </p>
+            <div class="table-scroll">
+                <table class="batch-table compare-table">
+                    <thead><tr><th scope="col"></th>${headers}</tr></thead>
+                    <tbody>
+                        ${failedRow}
+                        ${scoreRows}
+                    </tbody>
+                </table>
+            </div>
+            <h3>Previews</h3>
+            <div class="table-scroll">
+                <table class="batch-table compare-table">
+                    <thead><tr><th scope="col"></th>${headers}</tr></thead>
+                    <tbody>${previewRows}</tbody>
+                </table>
+            </div>
+            <h3>Meta Tags</h3>
+            <div class="table-scroll">
+                <table class="batch-table compare-table">
+                    <thead><tr><th scope="col"></th>${headers}</tr></thead>
+                    <tbody>${tagSections}</tbody>
+                </table>
+            </div>
+        `;
+
+        // Preview images go through the analyzer so broken ones get its placeholder
+        this.content.querySelectorAll('[data-preview-image]').forEach(container => {
+            const column = Number(container.closest('.compare-preview').dataset.column);
+            const preview = previews[column].social.find(candidate => candidate.id === container.dataset.previewImage);
+            this.analyzer.displayPreviewImage(container, preview.image, entries[column].input);
+        });
+        this.content.querySelectorAll('[data-favicon]').forEach(container => {
+            const column = Number(container.closest('.compare-preview').dataset.column);
+            this.analyzer.displayFavicon(container, previews[column].google.favicon);
+        });
+    }
+
+    // Your page's cell is marked when it falls behind, a competitor's when it is ahead
+    cellClass(column, highlighted) {
+        if (!highlighted) {
+            return '';
+        }
+        return column === 0 ? 'compare-behind' : 'compare-ahead';
+    }
+}
@@ -0,0 +1,63 @@
+// Export buttons for the displayed single-page results: downloads JSON, CSV or
+// Markdown, or prints the standalone HTML report (which browsers can save as PDF).
+class ExportView {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.buttons = document.querySelectorAll('[data-export]');
+
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => this.export(button.dataset.export));
+        });
+    }
+
+    currentReport() {
+        const result = this.analyzer.currentResult;
+        return SEOExport.buildReport({ ...result, categories: this.analyzer.ruleEngine.categories });
+    }
+
+    export(format) {
+        if (!this.analyzer.currentResult) {
+            return;
+        }
+
+        const report = this.currentReport();
+        if (format === 'print') {
+            this.print(report);
+            return;
+        }
+
+        const { filename, mimeType, content } = SEOExport.exportReport(report, format);
+        this.download(filename, mimeType, content);
+    }
+
+    download(filename, mimeType, content) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoke after the click has been handled so the download can start
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Prints from a hidden frame so the report keeps its own print styles
+    print(report) {
+        const previous = document.querySelector('.print-frame');
+        if (previous) {
+            previous.remove();
+        }
+
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.title = 'Printable SEO report';
+        frame.addEventListener('load', () => {
+            frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        });
+        frame.srcdoc = SEOExport.toHtml(report);
+        document.body.appendChild(frame);
+    }
+}
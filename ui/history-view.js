@@ -0,0 +1,231 @@
+// History mode: lists past single-URL analyses stored in IndexedDB, reopens
+// them and compares two runs side by side.
+class HistoryView {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.store = new SEOHistory.HistoryStore();
+        this.filterInput = document.getElementById('historyFilter');
+        this.compareBtn = document.getElementById('historyCompareBtn');
+        this.clearBtn = document.getElementById('historyClearBtn');
+        this.status = document.getElementById('historyStatus');
+        this.list = document.getElementById('historyList');
+        this.compareContainer = document.getElementById('historyCompare');
+        this.compareContent = document.getElementById('historyCompareContent');
+        this.records = [];
+        this.selected = [];
+
+        this.filterInput.addEventListener('input', () => this.render());
+        this.compareBtn.addEventListener('click', () => this.compare());
+        this.clearBtn.addEventListener('click', () => this.clear());
+        document.querySelector('.mode-tab[data-mode="history"]').addEventListener('click', () => this.refresh());
+    }
+
+    // Saving history is best effort; analysis results are shown either way
+    async record(result) {
+        try {
+            await this.store.add(result);
+        } catch (_) {
+            this.status.textContent = 'History is unavailable in this browser.';
+            return;
+        }
+        await this.refresh();
+    }
+
+    async refresh() {
+        try {
+            this.records = await this.store.list();
+        } catch (_) {
+            this.records = [];
+            this.status.textContent = 'History is unavailable in this browser.';
+            this.clearBtn.disabled = true;
+            return;
+        }
+
+        const ids = this.records.map(record => record.id);
+        this.selected = this.selected.filter(id => ids.includes(id));
+        this.render();
+    }
+
+    toggle(id, checked) {
+        this.selected = this.selected.filter(selectedId => selectedId !== id);
+        if (checked) {
+            this.selected.push(id);
+            // Keep the two most recently picked runs
+            this.selected = this.selected.slice(-2);
+        }
+        this.render();
+    }
+
+    open(record) {
+        this.analyzer.hideError();
+        this.analyzer.displayResults(record.metaTags, record.analysis, record.url, new Date(record.analyzedAt), record.profile || null);
+        this.analyzer.resultsContainer.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async remove(id) {
+        await this.store.delete(id);
+        await this.refresh();
+    }
+
+    async clear() {
+        if (!window.confirm('Delete all saved analyses?')) {
+            return;
+        }
+        await this.store.clear();
+        this.compareContainer.style.display = 'none';
+        await this.refresh();
+    }
+
+    formatDate(iso) {
+        return new Date(iso).toLocaleString();
+    }
+
+    render() {
+        const filter = this.filterInput.value.trim().toLowerCase();
+        const records = this.records.filter(record => record.url.toLowerCase().includes(filter));
+
+        this.list.replaceChildren();
+        records.forEach(record => {
+            const row = document.createElement('div');
+            row.className = 'history-row';
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selected.includes(record.id);
+            checkbox.addEventListener('change', () => this.toggle(record.id, checkbox.checked));
+            label.appendChild(checkbox);
+            label.insertAdjacentHTML('beforeend', `
+                <span class="history-score">${Number(record.analysis.score)}</span>
+                <span class="history-info">
+                    <span class="finding-url">${this.analyzer.escapeHtml(record.url)}</span>
+                    <span class="history-date">${this.analyzer.escapeHtml(this.formatDate(record.analyzedAt))}</span>
+                </span>
+            `);
+            row.appendChild(label);
+
+            const openBtn = document.createElement('button');
+            openBtn.type = 'button';
+            openBtn.className = 'history-action';
+            openBtn.title = 'Show results';
+            openBtn.innerHTML = '<i class="fas fa-eye"></i>';
+            openBtn.addEventListener('click', () => this.open(record));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'history-action';
+            deleteBtn.title = 'Delete';
+            deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteBtn.addEventListener('click', () => this.remove(record.id));
+
+            row.append(openBtn, deleteBtn);
+            this.list.appendChild(row);
+        });
+
+        if (this.records.length === 0) {
+            this.status.textContent = 'No saved analyses yet. Single-URL analyses are saved here automatically.';
+        } else {
+            this.status.textContent = `${records.length} of ${this.records.length} saved analyses. Select two to compare them.`;
+        }
+        this.compareBtn.disabled = this.selected.length !== 2;
+        this.clearBtn.disabled = this.records.length === 0;
+    }
+
+    compare() {
+        if (this.selected.length !== 2) {
+            return;
+        }
+
+        const [before, after] = this.selected
+            .map(id => this.records.find(record => record.id === id))
+            .sort((a, b) => a.analyzedAt.localeCompare(b.analyzedAt));
+        const diff = SEOHistory.compareAnalyses(before, after, this.analyzer.ruleEngine.categories);
+
+        this.renderComparison(before, after, diff);
+        this.compareContainer.style.display = 'block';
+        this.compareContainer.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    formatDelta(delta) {
+        if (delta === null) {
+            return '<span class="delta">–</span>';
+        }
+        const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'same';
+        return `<span class="delta ${direction}">${delta > 0 ? '+' : ''}${delta}</span>`;
+    }
+
+    formatScore(score, suffix = '') {
+        return score === null ? 'n/a' : `${score}${suffix}`;
+    }
+
+    renderComparison(before, after, diff) {
+        const escape = (text) => this.analyzer.escapeHtml(text);
+        const statusLabels = { passed: 'Passed', warning: 'Warning', error: 'Error' };
+
+        const scoreRows = [
+            `<tr><th scope="row">Overall</th><td>${diff.score.before}</td><td>${diff.score.after}</td><td>${this.formatDelta(diff.score.delta)}</td></tr>`,
+            ...diff.categories.map(category => `
+                <tr>
+                    <th scope="row">${escape(category.name)}</th>
+                    <td>${this.formatScore(category.before, '%')}</td>
+                    <td>${this.formatScore(category.after, '%')}</td>
+                    <td>${this.formatDelta(category.delta)}</td>
+                </tr>`)
+        ].join('');
+
+        const findingItems = diff.findings.map(finding => {
+            const type = finding.after || 'passed';
+            const change = `${finding.before ? statusLabels[finding.before] : 'Not checked'} → ${finding.after ? statusLabels[finding.after] : 'Not checked'}`;
+            return `
+                <div class="analysis-item ${type}">
+                    <div class="analysis-icon">
+                        <i class="${this.analyzer.iconForType(type)}"></i>
+                    </div>
+                    <div class="analysis-content">
+                        <h4>${escape(finding.title)}</h4>
+                        <div class="history-change">${escape(change)}</div>
+                        <p>${escape(finding.description)}</p>
+                    </div>
+                </div>`;
+        }).join('');
+
+        const metaRows = diff.metaTags.map(tag => `
+            <tr>
+                <th scope="row">${escape(tag.key)}</th>
+                <td><del>${escape(tag.before) || '<em>(none)</em>'}</del></td>
+                <td><ins>${escape(tag.after) || '<em>(none)</em>'}</ins></td>
+            </tr>`).join('');
+
+        const profileName = (id) => this.analyzer.profileView.profileName(id);
+        const profileNotice = diff.profiles.changed ? `
+            <p class="history-profile-notice">
+                <i class="fas fa-exclamation-triangle"></i>
+                These runs were scored with different profiles (${escape(profileName(diff.profiles.before))}
+                → ${escape(profileName(diff.profiles.after))}), so score changes may come from the profile rather than the page.
+            </p>` : '';
+
+        this.compareContent.innerHTML = `
+            <p class="site-summary">
+                ${escape(before.url)} (${escape(this.formatDate(before.analyzedAt))})
+                → ${escape(after.url)} (${escape(this.formatDate(after.analyzedAt))})
+            </p>
+            ${profileNotice}
+            <div class="table-scroll">
+                <table class="batch-table history-table">
+                    <thead><tr><th scope="col">Score</th><th scope="col">Before</th><th scope="col">After</th><th scope="col">Change</th></tr></thead>
+                    <tbody>${scoreRows}</tbody>
+                </table>
+            </div>
+            <h3>Changed Findings</h3>
+            ${findingItems ? `<div class="analysis-grid">${findingItems}</div>` : '<p class="batch-hint">No findings changed status.</p>'}
+            <h3>Changed Meta Tags</h3>
+            ${metaRows ? `
+                <div class="table-scroll">
+                    <table class="batch-table history-table">
+                        <thead><tr><th scope="col">Tag</th><th scope="col">Before</th><th scope="col">After</th></tr></thead>
+                        <tbody>${metaRows}</tbody>
+                    </table>
+                </div>` : '<p class="batch-hint">No meta tag values changed.</p>'}
+        `;
+    }
+}
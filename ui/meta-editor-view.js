@@ -0,0 +1,220 @@
+// What-if editor: edits the title, description, Open Graph and Twitter tags of
+// the displayed result, re-renders the previews and scores as you type and
+// generates a <head> snippet of the edited tags.
+class MetaEditorView {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.toggleBtn = document.getElementById('metaEditToggle');
+        this.editor = document.getElementById('metaEditor');
+        this.fields = document.getElementById('metaEditorFields');
+        this.score = document.getElementById('metaEditorScore');
+        this.snippetBtn = document.getElementById('metaSnippetBtn');
+        this.resetBtn = document.getElementById('metaResetBtn');
+        this.snippet = document.getElementById('metaSnippet');
+        this.snippetOutput = document.getElementById('metaSnippetOutput');
+        this.copyBtn = document.getElementById('metaSnippetCopyBtn');
+        this.original = null;
+        this.baseline = null;
+        this.inputs = {};
+        // Loaded social images by URL, so edited image URLs are only fetched once
+        this.imageCache = new Map();
+        this.imageTimer = null;
+
+        this.renderFields();
+        this.toggleBtn.addEventListener('click', () => (this.isOpen() ? this.close() : this.open()));
+        this.resetBtn.addEventListener('click', () => this.reset());
+        this.snippetBtn.addEventListener('click', () => this.generateSnippet());
+        this.copyBtn.addEventListener('click', () => this.copySnippet());
+    }
+
+    renderFields() {
+        SEOSnippet.EDITABLE_TAGS.forEach(tag => {
+            const field = document.createElement('div');
+            field.className = 'meta-editor-field';
+
+            const label = document.createElement('label');
+            label.htmlFor = `metaEdit-${tag.key}`;
+            label.textContent = tag.label;
+
+            let input;
+            if (tag.options) {
+                input = document.createElement('select');
+                tag.options.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value || '(none)';
+                    input.appendChild(option);
+                });
+                input.addEventListener('change', () => this.update());
+            } else {
+                input = document.createElement(tag.multiline ? 'textarea' : 'input');
+                if (tag.multiline) {
+                    input.rows = 2;
+                } else {
+                    input.type = 'text';
+                }
+                input.addEventListener('input', () => this.update());
+            }
+            input.id = `metaEdit-${tag.key}`;
+
+            const counter = document.createElement('span');
+            counter.className = 'meta-editor-counter';
+
+            field.append(label, input, counter);
+            this.fields.appendChild(field);
+            this.inputs[tag.key] = { tag, input, counter };
+        });
+    }
+
+    // Called for every newly displayed result; edits of the previous one are dropped
+    load(result) {
+        this.original = result;
+        this.imageCache = new Map((result.metaTags.socialImages || []).map(image => [image.url, image]));
+        clearTimeout(this.imageTimer);
+        this.setOpen(false);
+    }
+
+    isOpen() {
+        return this.editor.style.display !== 'none';
+    }
+
+    setOpen(open) {
+        this.editor.style.display = open ? 'block' : 'none';
+        this.toggleBtn.setAttribute('aria-expanded', String(open));
+        this.toggleBtn.innerHTML = open ? '<i class="fas fa-times"></i> Close Editor' : '<i class="fas fa-pen"></i> Edit Tags';
+        this.snippet.style.display = 'none';
+        this.score.textContent = '';
+    }
+
+    open() {
+        if (!this.original) {
+            return;
+        }
+        // Re-scored with the current keyword so both scores use the same rules
+        this.baseline = this.analyze(this.original.metaTags);
+        this.setOpen(true);
+        this.reset();
+    }
+
+    // Re-scores the baseline and the edited tags after the rules changed
+    rescore() {
+        if (this.isOpen()) {
+            this.baseline = this.analyze(this.original.metaTags);
+            this.update();
+        }
+    }
+
+    // Shows the fetched result again
+    close() {
+        clearTimeout(this.imageTimer);
+        this.setOpen(false);
+        if (this.original) {
+            this.analyzer.renderResults(this.original.metaTags, this.original.analysis, this.original.url);
+        }
+    }
+
+    reset() {
+        Object.values(this.inputs).forEach(({ tag, input }) => {
+            const value = this.original.metaTags[tag.key] || '';
+            if (tag.options && !Array.from(input.options).some(option => option.value === value)) {
+                // Keep unknown card types selectable so they survive a round trip
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                input.appendChild(option);
+            }
+            input.value = value;
+        });
+        this.update();
+    }
+
+    analyze(metaTags) {
+        return this.analyzer.analyzeSEO(metaTags, this.original.url, { keyword: this.analyzer.keywordInput.value.trim() });
+    }
+
+    // The fetched meta tags with the editor's values. Social images are graded
+    // once they have loaded; new image URLs are loaded by loadImages().
+    editedTags() {
+        const metaTags = { ...this.original.metaTags };
+        Object.values(this.inputs).forEach(({ tag, input }) => {
+            metaTags[tag.key] = input.value.trim();
+        });
+        // The Open Graph and Twitter checks read the full tag list
+        metaTags.socialTags = Object.values(this.inputs)
+            .filter(({ tag }) => tag.name && SEOOpenGraph.isSocialProperty(tag.name))
+            .reduce((tags, { tag, input }) => SEOOpenGraph.setTag(tags, tag.name, input.value.trim(), tag.attribute),
+                this.original.metaTags.socialTags || SEOOpenGraph.tagsFromFields(this.original.metaTags));
+        metaTags.socialImages = SEOImages.socialImageUrls(metaTags, this.original.url)
+            .filter(image => this.imageCache.has(image.url))
+            .map(image => ({ ...this.imageCache.get(image.url), sources: image.sources }));
+        return metaTags;
+    }
+
+    update() {
+        const metaTags = this.editedTags();
+        const analysis = this.analyze(metaTags);
+        this.analyzer.renderResults(metaTags, analysis, this.original.url);
+
+        Object.values(this.inputs).forEach(({ tag, input, counter }) => {
+            const length = input.value.trim().length;
+            const status = SEOSnippet.lengthStatus(tag, input.value.trim());
+            let text = SEORules.plural(length, 'character');
+            if (tag.serp) {
+                const fit = SEOSerp.fitSnippet(input.value, tag.serp);
+                text += `, ${fit.width}px of ${fit.maxWidth}px on desktop`;
+            } else if (tag.range) {
+                text += tag.range[0] ? ` (${tag.range[0]}-${tag.range[1]} recommended)` : ` (up to ${tag.range[1]})`;
+            }
+            counter.textContent = tag.options ? '' : text;
+            counter.className = `meta-editor-counter ${length ? status : ''}`.trim();
+        });
+
+        const delta = analysis.score - this.baseline.score;
+        this.score.textContent = `What-if score ${analysis.score} ` +
+            (delta ? `(${delta > 0 ? '+' : ''}${delta} vs. the live page)` : '(same as the live page)');
+
+        if (this.snippet.style.display !== 'none') {
+            this.generateSnippet();
+        }
+        this.loadImages(metaTags);
+    }
+
+    // Loads edited og:image/twitter:image URLs once typing pauses, then re-scores
+    loadImages(metaTags) {
+        clearTimeout(this.imageTimer);
+        const pending = SEOImages.socialImageUrls(metaTags, this.original.url)
+            .filter(image => !this.imageCache.has(image.url));
+        if (pending.length === 0) {
+            return;
+        }
+
+        const original = this.original;
+        this.imageTimer = setTimeout(async () => {
+            await Promise.all(pending.map(async (image) => {
+                this.imageCache.set(image.url, await this.analyzer.loadSocialImage(image));
+            }));
+            if (this.original === original && this.isOpen()) {
+                this.update();
+            }
+        }, 600);
+    }
+
+    generateSnippet() {
+        this.snippetOutput.value = SEOSnippet.headSnippet(this.editedTags());
+        this.snippet.style.display = 'flex';
+    }
+
+    async copySnippet() {
+        try {
+            await navigator.clipboard.writeText(this.snippetOutput.value);
+        } catch (_) {
+            // Clipboard API unavailable (e.g. file:// pages); fall back to selection
+            this.snippetOutput.select();
+            document.execCommand('copy');
+        }
+        this.copyBtn.innerHTML = '<i class="fas fa-check"></i> Copied';
+        setTimeout(() => {
+            this.copyBtn.innerHTML = '<i class="fas fa-copy"></i> Copy';
+        }, 1500);
+    }
+}
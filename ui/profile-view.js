@@ -0,0 +1,149 @@
+// Scoring profile picker: applies a built-in preset or an imported profile to
+// the analyzer's rule engine, re-grades the displayed result with it, and
+// imports, exports and deletes user profiles kept in localStorage.
+const PROFILES_KEY = 'seoAnalyzer.scoringProfiles';
+const SELECTED_PROFILE_KEY = 'seoAnalyzer.scoringProfile';
+
+class ProfileView {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.select = document.getElementById('scoringProfile');
+        this.hint = document.getElementById('scoringProfileHint');
+        this.fileInput = document.getElementById('profileFile');
+        this.exportBtn = document.getElementById('profileExportBtn');
+        this.deleteBtn = document.getElementById('profileDeleteBtn');
+        this.userProfiles = this.loadProfiles();
+        this.active = null;
+
+        this.select.addEventListener('change', () => this.choose(this.select.value));
+        this.fileInput.addEventListener('change', () => this.importFile());
+        this.exportBtn.addEventListener('click', () => this.exportProfile());
+        this.deleteBtn.addEventListener('click', () => this.deleteProfile());
+
+        let selected = null;
+        try {
+            selected = localStorage.getItem(SELECTED_PROFILE_KEY);
+        } catch (_) {
+            // Storage unavailable, start with the default profile
+        }
+        this.render();
+        this.choose(selected || 'default');
+    }
+
+    // Stored profiles that no longer validate (e.g. a rule was removed) are dropped
+    loadProfiles() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(PROFILES_KEY)) || [];
+        } catch (_) {
+            // Storage unavailable or corrupted, keep only the presets
+        }
+
+        const profiles = [];
+        (Array.isArray(stored) ? stored : []).forEach(data => {
+            try {
+                profiles.push(SEOProfiles.normalizeProfile(data, this.analyzer.ruleEngine));
+            } catch (_) {
+                // Skip the invalid profile
+            }
+        });
+        return profiles;
+    }
+
+    saveProfiles() {
+        try {
+            localStorage.setItem(PROFILES_KEY, JSON.stringify(this.userProfiles));
+            localStorage.setItem(SELECTED_PROFILE_KEY, this.active.id);
+        } catch (_) {
+            // Storage unavailable (e.g. private browsing); profiles last for this session only
+        }
+    }
+
+    profiles() {
+        return [...SEOProfiles.PRESETS, ...this.userProfiles];
+    }
+
+    render() {
+        const group = (label, profiles) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            profiles.forEach(profile => optgroup.appendChild(new Option(profile.name, profile.id)));
+            return optgroup;
+        };
+
+        this.select.innerHTML = '';
+        this.select.appendChild(group('Presets', SEOProfiles.PRESETS));
+        if (this.userProfiles.length > 0) {
+            this.select.appendChild(group('Your profiles', this.userProfiles));
+        }
+    }
+
+    choose(id) {
+        const profile = this.profiles().find(candidate => candidate.id === id) || SEOProfiles.getPreset('default');
+        SEOProfiles.applyProfile(this.analyzer.ruleEngine, profile);
+        this.active = profile;
+        this.select.value = profile.id;
+        this.hint.textContent = profile.description;
+        this.deleteBtn.disabled = profile.builtIn;
+        this.saveProfiles();
+        this.rescore();
+    }
+
+    // Grades the displayed result again with the active profile. The saved
+    // history record keeps the score of the profile it was analyzed with.
+    rescore() {
+        const result = this.analyzer.currentResult;
+        if (!result) {
+            return;
+        }
+        result.analysis = this.analyzer.analyzeSEO(result.metaTags, result.url, { keyword: this.analyzer.keywordInput.value.trim() });
+        result.profile = this.active.id;
+        if (this.analyzer.metaEditorView.isOpen()) {
+            this.analyzer.metaEditorView.rescore();
+        } else {
+            this.analyzer.renderResults(result.metaTags, result.analysis, result.url);
+        }
+    }
+
+    // Name of a profile id from history, or the id itself once it is deleted
+    profileName(id) {
+        const profile = this.profiles().find(candidate => candidate.id === id);
+        return profile ? profile.name : id;
+    }
+
+    // A profile with the same name as an existing one replaces it
+    async importFile() {
+        const file = this.fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        this.fileInput.value = '';
+
+        let profile;
+        try {
+            profile = SEOProfiles.parseProfile(await file.text(), this.analyzer.ruleEngine);
+        } catch (error) {
+            this.analyzer.showError(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        this.analyzer.hideError();
+        this.userProfiles = [...this.userProfiles.filter(existing => existing.id !== profile.id), profile];
+        this.render();
+        this.choose(profile.id);
+    }
+
+    exportProfile() {
+        const filename = `${this.active.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile'}.json`;
+        this.analyzer.exportView.download(filename, 'application/json', SEOProfiles.serializeProfile(this.active));
+    }
+
+    deleteProfile() {
+        if (this.active.builtIn || !window.confirm(`Delete the "${this.active.name}" scoring profile?`)) {
+            return;
+        }
+        this.userProfiles = this.userProfiles.filter(profile => profile.id !== this.active.id);
+        this.render();
+        this.choose('default');
+    }
+}
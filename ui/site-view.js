@@ -0,0 +1,150 @@
+// Site mode: discovers URLs through robots.txt and sitemaps, analyzes them with
+// the batch queue and reports sitemap/robots/canonical conflicts.
+class SiteView {
+    constructor(analyzer, batchView) {
+        this.analyzer = analyzer;
+        this.batchView = batchView;
+        this.siteUrlInput = document.getElementById('siteUrl');
+        this.maxPagesSelect = document.getElementById('siteMaxPages');
+        this.userAgentSelect = document.getElementById('siteUserAgent');
+        this.crawlBtn = document.getElementById('siteCrawlBtn');
+        this.status = document.getElementById('siteStatus');
+        this.container = document.getElementById('siteAudit');
+        this.summary = document.getElementById('siteSummary');
+        this.findingsList = document.getElementById('siteFindings');
+        this.running = false;
+
+        this.crawlBtn.addEventListener('click', () => this.crawl());
+        this.siteUrlInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.crawl();
+            }
+        });
+        // A plain batch run replaces the crawled pages, so its audit no longer applies
+        this.batchView.runBtn.addEventListener('click', () => this.hide());
+    }
+
+    hide() {
+        this.container.style.display = 'none';
+    }
+
+    async crawl() {
+        const { compareView } = this.analyzer;
+        if (this.running || (this.batchView.queue && this.batchView.queue.running) || (compareView.queue && compareView.queue.running)) {
+            return;
+        }
+
+        let siteUrl = this.siteUrlInput.value.trim();
+        if (!siteUrl) {
+            this.analyzer.showError('Please enter a valid URL');
+            return;
+        }
+
+        siteUrl = this.analyzer.normalizeUrl(siteUrl);
+        if (!this.analyzer.isValidUrl(siteUrl)) {
+            this.analyzer.showError('Please enter a valid URL');
+            return;
+        }
+        if (this.analyzer.isPrivateUrl(siteUrl)) {
+            this.analyzer.showError('Cannot analyze private or local network addresses');
+            return;
+        }
+
+        const backend = SEOFetchers.getBackend(this.analyzer.fetchBackendSelect.value);
+        if (!backend.network) {
+            this.analyzer.showError('Site mode needs a network fetch backend. Choose a proxy or direct fetch.');
+            return;
+        }
+
+        this.analyzer.hideError();
+        this.siteUrlInput.value = siteUrl;
+        this.setRunning(true);
+        this.hide();
+
+        try {
+            const discovery = await this.discover(siteUrl);
+            const userAgent = this.userAgentSelect.value;
+            const limit = Number(this.maxPagesSelect.value);
+            const urls = discovery.urls
+                .map(entry => entry.loc)
+                .filter(url => this.analyzer.isValidUrl(url) && !this.analyzer.isPrivateUrl(url))
+                .slice(0, limit);
+
+            let pages = [];
+            if (urls.length > 0) {
+                this.status.textContent = `Analyzing ${urls.length} of ${discovery.urls.length} sitemap URLs…`;
+                const entries = await this.batchView.run(urls) || [];
+                pages = entries
+                    .filter(entry => entry.status === 'done')
+                    .map(entry => ({ url: entry.input, metaTags: entry.result.metaTags }));
+            }
+
+            this.render(discovery, pages, SEOSite.auditSite(discovery, pages, userAgent));
+            this.status.textContent = '';
+        } catch (error) {
+            this.status.textContent = '';
+            this.analyzer.showError(error instanceof SEOFetchers.FetchError ? error.message : 'Unable to crawl the site.');
+        } finally {
+            this.setRunning(false);
+        }
+    }
+
+    async discover(siteUrl) {
+        const limiter = new SEOBatch.RateLimiter(this.analyzer.minAnalyzeInterval, this.analyzer.lastAnalyzeTime);
+        const crawler = new SEOSite.SiteCrawler({
+            fetchText: async (url) => {
+                await limiter.wait();
+                this.analyzer.lastAnalyzeTime = limiter.lastStart;
+
+                const page = await this.analyzer.fetchWebsiteContent(url);
+                // Only the bundled proxy reports statuses; the other backends fail on
+                // HTTP errors themselves, so a missing robots.txt is not read as empty
+                if (page.response && page.response.status >= 400) {
+                    throw new Error(`HTTP ${page.response.status}`);
+                }
+                return page.html;
+            },
+            parseXml: (xml) => this.analyzer.parseXml(xml),
+            onProgress: (message) => {
+                this.status.textContent = message;
+            }
+        });
+
+        return crawler.discover(siteUrl);
+    }
+
+    setRunning(running) {
+        this.running = running;
+        this.crawlBtn.disabled = running;
+    }
+
+    render(discovery, pages, findings) {
+        const sitemapCount = discovery.sitemaps.filter(sitemap => !sitemap.error).length;
+        this.summary.textContent = `${discovery.robots ? 'robots.txt found' : 'No robots.txt'} · ` +
+            `${SEORules.plural(sitemapCount, 'sitemap')} read · ${SEORules.plural(discovery.urls.length, 'URL')} listed · ${pages.length} analyzed · ` +
+            `${SEORules.plural(findings.length, 'issue')}`;
+
+        this.findingsList.replaceChildren();
+        if (findings.length === 0) {
+            findings = [{ type: 'passed', title: 'No Site Issues', description: 'Sitemap URLs are crawlable, indexable and canonical.' }];
+        }
+
+        findings.forEach(finding => {
+            const element = document.createElement('div');
+            element.className = `analysis-item ${finding.type}`;
+            element.innerHTML = `
+                <div class="analysis-icon">
+                    <i class="${this.analyzer.iconForType(finding.type)}"></i>
+                </div>
+                <div class="analysis-content">
+                    <h4>${this.analyzer.escapeHtml(finding.title)}</h4>
+                    ${finding.url ? `<div class="finding-url">${this.analyzer.escapeHtml(finding.url)}</div>` : ''}
+                    <p>${this.analyzer.escapeHtml(finding.description)}</p>
+                </div>
+            `;
+            this.findingsList.appendChild(element);
+        });
+
+        this.container.style.display = 'block';
+    }
+}